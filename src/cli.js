@@ -5,16 +5,24 @@
  * Usage: driftwarden sync --config config/config.json [--tables users,orders] [--yolo]
  */
 
-import { loadConfig } from './config/loader.js';
+import { loadConfig, validateFilters, resolveObjectTypes } from './config/loader.js';
 import { logger } from './utils/logger.js';
 import { createTunnelWithRetry } from './tunnel/ssh-tunnel.js';
 import { createRemoteReader } from './db/remote-reader.js';
 import { createLocalWriter } from './db/local-writer.js';
 import { compareAllSchemas } from './diff/schema-diff.js';
 import { compareAllData } from './diff/data-diff.js';
-import { interactiveConfirm, displayDryRun } from './ui/preview.js';
+import { compareSubset } from './diff/subset.js';
+import { compareSchemaObjects } from './diff/object-diff.js';
+import { interactiveConfirm, displayDryRun, confirm, confirmRename, declineRename, writeReport } from './ui/preview.js';
+import { listFormatters } from './ui/formatters.js';
 import { executeSync, formatExecutionSummary } from './executor/change-executor.js';
 import { createIssueFromError, listIssues, getIssueSummary } from './issues/tracker.js';
+import { createCheckpointStore } from './utils/checkpoint.js';
+import { generateSqlPatch, parseSqlPatch, summarizeSqlPatch, applySqlPatch } from './executor/sql-patch.js';
+import { createTableFilter, validateTablePatterns } from './utils/table-filter.js';
+import { createSpillArea } from './utils/row-spool.js';
+import { writeFileSync, readFileSync, existsSync } from 'fs';
 
 const VERSION = '0.1.0';
 
@@ -24,27 +32,55 @@ Driftwarden v${VERSION} - MySQL schema + data sync tool
 
 USAGE:
   driftwarden sync [options]
+  driftwarden apply <file.sql> [options]
   driftwarden issues [options]
 
 COMMANDS:
   sync          Sync remote database to local (schema + data)
+  apply         Apply a SQL patch written by --emit-sql to the local database
   issues        List tracked issues
 
 OPTIONS:
   --config, -c  Path to config file (default: config/config.json)
   --tables, -t  Comma-separated list of tables to sync (default: all)
+  --exclude     Comma-separated table names or patterns to skip (globs like tmp_*, or /regex/)
   --yolo        Auto-accept all changes without confirmation
   --per-table   Confirm changes for each table individually
   --dry-run     Preview changes without applying them
   --full-sync   Force full comparison (detect deletes), disables incremental sync
+  --emit-sql    Write the planned changes to a replayable SQL file
+  --format      Diff report format: text, json, markdown (default: text)
+  --output, -o  Write the diff report to a file instead of stdout
+  --checksum    Compare per-range checksums and only fetch ranges that differ
+  --spill       Keep data diff rows on disk past sync.spill.thresholdRows (bounded memory)
+  --bulk        Load all inserted rows with LOAD DATA LOCAL INFILE (default: only into empty tables)
+  --where       Only sync rows matching a filter, as table:clause (repeatable)
+  --subset      Treat filters as subset roots and follow foreign keys to related rows
+  --disable-fk-checks  Apply changes with FOREIGN_KEY_CHECKS=0 (for circular foreign keys)
+  --drop-tables Drop local tables that no longer exist remotely (asks per table with --per-table)
+  --objects     Also sync views, triggers, routines and events: all, or a list of
+                view,trigger,procedure,function,event
+  --resume      Resume the last interrupted sync from its checkpoint
   --help, -h    Show this help message
   --version, -v Show version
 
 EXAMPLES:
   driftwarden sync
   driftwarden sync --tables users,orders
+  driftwarden sync --exclude "*_log,tmp_*"
   driftwarden sync --config custom-config.json --yolo
   driftwarden sync --dry-run
+  driftwarden sync --full-sync --checksum
+  driftwarden sync --full-sync --spill --yolo
+  driftwarden sync --tables events --bulk
+  driftwarden sync --where "orders:created_at >= NOW() - INTERVAL 90 DAY"
+  driftwarden sync --subset --where "customers:tenant_id = 42"
+  driftwarden sync --resume
+  driftwarden sync --objects view,trigger
+  driftwarden sync --drop-tables --per-table
+  driftwarden sync --dry-run --emit-sql out.sql
+  driftwarden sync --dry-run --format json --output diff.json
+  driftwarden apply out.sql
   driftwarden issues
 
 SAFETY:
@@ -60,12 +96,26 @@ function printVersion() {
 function parseArgs(args) {
   const parsed = {
     command: null,
+    file: null,
     config: 'config/config.json',
     tables: [],
+    exclude: [],
     yolo: false,
     perTable: false,
     dryRun: false,
     fullSync: false,
+    emitSql: null,
+    format: 'text',
+    output: null,
+    checksum: false,
+    spill: false,
+    bulk: false,
+    where: {},
+    subset: false,
+    disableFkChecks: false,
+    dropTables: false,
+    objects: null,
+    resume: false,
     help: false,
     version: false,
   };
@@ -80,6 +130,9 @@ function parseArgs(args) {
       case 'issues':
         parsed.command = 'issues';
         break;
+      case 'apply':
+        parsed.command = 'apply';
+        break;
       case '--config':
       case '-c':
         parsed.config = args[++i];
@@ -88,6 +141,9 @@ function parseArgs(args) {
       case '-t':
         parsed.tables = args[++i]?.split(',').map(t => t.trim()).filter(Boolean) || [];
         break;
+      case '--exclude':
+        parsed.exclude.push(...(args[++i]?.split(',').map(t => t.trim()).filter(Boolean) || []));
+        break;
       case '--yolo':
         parsed.yolo = true;
         break;
@@ -100,6 +156,52 @@ function parseArgs(args) {
       case '--full-sync':
         parsed.fullSync = true;
         break;
+      case '--emit-sql':
+        parsed.emitSql = args[++i];
+        break;
+      case '--format':
+        parsed.format = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        parsed.output = args[++i];
+        break;
+      case '--checksum':
+        parsed.checksum = true;
+        break;
+      case '--spill':
+        parsed.spill = true;
+        break;
+      case '--bulk':
+        parsed.bulk = true;
+        break;
+      case '--where': {
+        const value = args[++i] || '';
+        const separator = value.indexOf(':');
+        if (separator <= 0) {
+          console.error(`Invalid --where value: "${value}". Expected table:clause`);
+          process.exit(1);
+        }
+        parsed.where[value.substring(0, separator).trim()] = value.substring(separator + 1).trim();
+        break;
+      }
+      case '--subset':
+        parsed.subset = true;
+        break;
+      case '--disable-fk-checks':
+        parsed.disableFkChecks = true;
+        break;
+      case '--drop-tables':
+        parsed.dropTables = true;
+        break;
+      case '--objects': {
+        const value = args[++i] || '';
+        parsed.objects = value === 'all' ? 'all' : value.split(',').map((t) => t.trim()).filter(Boolean);
+        break;
+      }
+      case '--resume':
+        parsed.resume = true;
+        break;
       case '--help':
       case '-h':
         parsed.help = true;
@@ -113,14 +215,38 @@ function parseArgs(args) {
           console.error(`Unknown option: ${arg}`);
           process.exit(1);
         }
+        if (parsed.command === 'apply' && !parsed.file) {
+          parsed.file = arg;
+        }
     }
   }
 
   return parsed;
 }
 
+/**
+ * Point the user at --resume when an interrupted run left a checkpoint behind
+ * @param {object|undefined} checkpoint - Checkpoint store
+ */
+function logResumeHint(checkpoint) {
+  if (checkpoint?.getState()) {
+    logger.info(`Progress saved to ${checkpoint.filePath}. Run "driftwarden sync --resume" to continue.`);
+  }
+}
+
 async function runSync(options) {
-  const { config: configPath, tables, yolo, perTable, dryRun, fullSync } = options;
+  const { config: configPath, tables, exclude, yolo, perTable, dryRun, emitSql, format, output, checksum, spill, bulk, where, subset, disableFkChecks, dropTables, objects, resume } = options;
+  let { fullSync } = options;
+
+  if (!listFormatters().includes(format)) {
+    console.error(`Unknown format: ${format}. Available: ${listFormatters().join(', ')}`);
+    process.exit(1);
+  }
+
+  // A report printed to stdout must be the only thing there, so it can be piped
+  if (format !== 'text' && !output) {
+    logger.useStderr();
+  }
 
   logger.info('Starting Driftwarden sync...');
 
@@ -140,10 +266,76 @@ async function runSync(options) {
   if (tables.length > 0) {
     config.sync.tables = tables;
   }
+  if (exclude.length > 0) {
+    config.sync.exclude = [...config.sync.exclude, ...exclude];
+    const patternErrors = validateTablePatterns(config.sync.exclude, '--exclude');
+    if (patternErrors.length > 0) {
+      for (const error of patternErrors) {
+        logger.error(error);
+      }
+      process.exit(1);
+    }
+  }
   if (yolo) {
     config.sync.yolo = true;
     config.sync.confirm = false;
   }
+  if (checksum) {
+    config.sync.diffMode = 'checksum';
+  }
+  if (spill) {
+    config.sync.spill.enabled = true;
+  }
+  if (bulk) {
+    config.sync.bulkLoad = 'always';
+  }
+  if (subset) {
+    config.sync.subset.enabled = true;
+  }
+  if (disableFkChecks) {
+    config.sync.disableForeignKeyChecks = true;
+  }
+  if (dropTables) {
+    config.sync.dropTables = true;
+  }
+  if (objects !== null) {
+    const { types, errors } = resolveObjectTypes(objects);
+    if (errors.length > 0) {
+      for (const error of errors) {
+        logger.error(error);
+      }
+      process.exit(1);
+    }
+    config.sync.objects = types;
+  }
+  Object.assign(config.sync.filters, where);
+  const filterErrors = validateFilters(config.sync.filters);
+  if (filterErrors.length > 0) {
+    for (const error of filterErrors) {
+      logger.error(error);
+    }
+    process.exit(1);
+  }
+
+  // Restore the interrupted run's options when resuming
+  const checkpoint = createCheckpointStore(config.sync.checkpointFile);
+  if (resume) {
+    const previous = checkpoint.load();
+    if (!previous) {
+      logger.error(`No checkpoint found at ${config.sync.checkpointFile}. Nothing to resume.`);
+      process.exit(1);
+    }
+    if (tables.length === 0 && previous.tables.length > 0) {
+      config.sync.tables = previous.tables;
+    }
+    fullSync = fullSync || previous.fullSync;
+    config.sync.filters = { ...(previous.filters || {}), ...where };
+    config.sync.subset.enabled = config.sync.subset.enabled || previous.subset === true;
+    logger.info(
+      `Resuming sync started at ${previous.startedAt} ` +
+      `(${checkpoint.getCompletedTables().length} tables already applied)`
+    );
+  }
 
   // Log sync start activity
   logger.syncStart({
@@ -152,19 +344,46 @@ async function runSync(options) {
     perTable,
     dryRun,
     fullSync,
+    resume,
   });
 
   logger.info(`Config loaded from: ${configPath}`);
   logger.info(`Tables to sync: ${config.sync.tables.length > 0 ? config.sync.tables.join(', ') : 'ALL'}`);
+  if (config.sync.include.length > 0) {
+    logger.info(`Include patterns: ${config.sync.include.join(', ')}`);
+  }
+  if (config.sync.exclude.length > 0) {
+    logger.info(`Exclude patterns: ${config.sync.exclude.join(', ')}`);
+  }
   logger.info(`YOLO mode: ${config.sync.yolo ? 'ENABLED' : 'DISABLED'}`);
   logger.info(`Per-table confirmation: ${perTable ? 'ENABLED' : 'DISABLED'}`);
   logger.info(`Dry run: ${dryRun ? 'YES' : 'NO'}`);
   logger.info(`Full sync: ${fullSync ? 'YES' : 'NO'}`);
+  logger.info(`Diff mode: ${config.sync.subset.enabled ? 'subset' : config.sync.diffMode}`);
+  logger.info(`Bulk load: ${config.sync.bulkLoad}`);
+  if (config.sync.spill.enabled) {
+    logger.info(
+      `Spilling data diffs to ${config.sync.spill.directory} past ${config.sync.spill.thresholdRows} rows per list`
+    );
+  }
+  for (const [table, clause] of Object.entries(config.sync.filters)) {
+    logger.info(`Row filter for ${table}: ${clause}`);
+  }
+  if (config.sync.subset.enabled && Object.keys(config.sync.filters).length === 0) {
+    logger.error('Subset mode needs at least one root filter (sync.filters or --where table:clause)');
+    process.exit(1);
+  }
 
   let tunnel = null;
   let remoteReader = null;
   let localWriter = null;
 
+  // Spill files hold remote rows: remove them however the run ends (process.exit skips finally)
+  const spillArea = config.sync.spill.enabled ? createSpillArea(config.sync.spill) : null;
+  if (spillArea) {
+    process.once('exit', spillArea.cleanup);
+  }
+
   try {
     // Step 1: Establish SSH tunnel
     logger.info('Establishing SSH tunnel...');
@@ -183,37 +402,114 @@ async function runSync(options) {
       password: config.remote.mysql.password,
       database: config.remote.mysql.database,
     };
-    remoteReader = await createRemoteReader(remoteConfig);
+    remoteReader = await createRemoteReader(remoteConfig, {}, {
+      masking: config.sync.masking,
+      timezone: config.sync.timezone,
+      concurrency: config.sync.concurrency,
+    });
     logger.connection('remote_mysql', 'connected');
 
     // Step 3: Connect to local MySQL
     logger.info('Connecting to local MySQL...');
     logger.connection('local_mysql', 'connecting', { database: config.local.mysql.database });
-    localWriter = await createLocalWriter(config.local.mysql);
+    localWriter = await createLocalWriter(config.local.mysql, {}, {
+      timezone: config.sync.timezone,
+      concurrency: config.sync.concurrency,
+    });
     logger.connection('local_mysql', 'connected');
 
-    // Step 4: Determine tables to sync
+    // Step 4: Determine tables to sync (sync.tables, then include/exclude patterns)
+    const tableFilter = createTableFilter(config.sync);
     let tablesToSync = config.sync.tables;
     if (!tablesToSync || tablesToSync.length === 0) {
       logger.info('No specific tables configured, fetching all tables from remote...');
       tablesToSync = await remoteReader.getTables();
     }
+    tablesToSync = tablesToSync.filter(tableFilter);
+    if (resume) {
+      const completed = checkpoint.getCompletedTables();
+      tablesToSync = tablesToSync.filter((t) => !completed.includes(t));
+      if (completed.length > 0) {
+        logger.info(`Skipping tables completed before interruption: ${completed.join(', ')}`);
+      }
+      if (tablesToSync.length === 0) {
+        logger.info('All tables from the interrupted sync were already applied.');
+        checkpoint.clear();
+        logger.syncComplete({ success: true });
+        return;
+      }
+    }
     logger.info(`Syncing ${tablesToSync.length} tables: ${tablesToSync.join(', ')}`);
 
     // Step 5: Diff schema
     logger.info('Comparing schemas...');
-    const schemaDiffs = await compareAllSchemas(remoteReader, localWriter, tablesToSync);
+    // Detected column renames are confirmed interactively; dry runs and --yolo only apply sync.renames
+    const schemaDiffs = await compareAllSchemas(remoteReader, localWriter, tablesToSync, {
+      renames: config.sync.renames,
+      confirmRename: dryRun || config.sync.yolo ? declineRename : confirmRename,
+      // Only selected tables may be dropped; without a table list or patterns every local-only table is a candidate
+      dropTables: config.sync.dropTables,
+      tableFilter,
+    });
+    if (config.sync.objects.length > 0) {
+      schemaDiffs.push(...await compareSchemaObjects(remoteReader, localWriter, config.sync.objects, {
+        tableFilter,
+      }));
+    }
 
-    // Step 6: Diff data
+    // Step 6: Diff data (subset mode walks foreign keys out from the filtered root tables)
     logger.info('Comparing data...');
-    const dataDiffs = await compareAllData(remoteReader, localWriter, tablesToSync, {
-      chunkSize: config.sync.chunkSize,
-      useIncremental: !fullSync,
-    });
+    let dataDiffs;
+    if (config.sync.subset.enabled) {
+      // Walk the configured table scope, then drop tables a resumed run already applied
+      const subsetDiffs = await compareSubset(remoteReader, localWriter, config.sync.filters, {
+        tableFilter,
+        followChildren: config.sync.subset.followChildren,
+        chunkSize: config.sync.chunkSize,
+        ignoreColumns: config.sync.ignoreColumns,
+        ignoreColumnsOnInsert: config.sync.ignoreColumnsOnInsert,
+        strategies: config.sync.strategies,
+      });
+      dataDiffs = subsetDiffs.filter((diff) => tablesToSync.includes(diff.tableName));
+    } else {
+      dataDiffs = await compareAllData(remoteReader, localWriter, tablesToSync, {
+        chunkSize: config.sync.chunkSize,
+        useIncremental: !fullSync,
+        checksumMode: config.sync.diffMode === 'checksum',
+        filters: config.sync.filters,
+        ignoreColumns: config.sync.ignoreColumns,
+        ignoreColumnsOnInsert: config.sync.ignoreColumnsOnInsert,
+        strategies: config.sync.strategies,
+        tableFilter,
+        concurrency: config.sync.concurrency,
+        spill: spillArea,
+        // Partly applied tables continue after the last primary key they committed
+        resume: resume ? checkpoint.getTableProgress() : {},
+      });
+    }
+
+    // Foreign keys decide the order changes are applied in (parents before children)
+    const foreignKeys = await remoteReader.getForeignKeys();
+
+    // Export planned changes as a replayable SQL patch
+    if (emitSql) {
+      const patch = generateSqlPatch(schemaDiffs, dataDiffs, {
+        source: config.remote.mysql.database,
+        foreignKeys,
+        timezone: config.sync.timezone,
+      });
+      writeFileSync(emitSql, patch, 'utf-8');
+      logger.info(`SQL patch written to ${emitSql}`);
+    }
+
+    // Write the diff report for CI bots / PR comments
+    if (output) {
+      writeReport(schemaDiffs, dataDiffs, { format, output });
+    }
 
     // Step 7: Display preview / dry-run
     if (dryRun) {
-      displayDryRun(schemaDiffs, dataDiffs);
+      displayDryRun(schemaDiffs, dataDiffs, { format: output ? 'text' : format });
       logger.info('Dry run complete. No changes applied.');
       logger.syncComplete({ success: true, dryRun: true });
       return;
@@ -231,7 +527,16 @@ async function runSync(options) {
       return;
     }
 
-    // Step 9: Apply changes to local database
+    // Step 9: Apply changes to local database, checkpointing each committed table
+    if (!resume) {
+      checkpoint.start({
+        configPath,
+        tables: config.sync.tables,
+        fullSync,
+        filters: config.sync.filters,
+        subset: config.sync.subset.enabled,
+      });
+    }
     logger.info('Applying changes to local database...');
     const results = await executeSync(
       localWriter,
@@ -240,6 +545,11 @@ async function runSync(options) {
       {
         batchSize: config.sync.chunkSize,
         continueOnError: false,
+        concurrency: config.sync.concurrency,
+        checkpoint,
+        foreignKeys,
+        disableForeignKeyChecks: config.sync.disableForeignKeyChecks,
+        bulkLoad: config.sync.bulkLoad,
       }
     );
 
@@ -250,14 +560,17 @@ async function runSync(options) {
     logger.syncComplete(results);
 
     if (results.success) {
+      checkpoint.clear();
       logger.info('Sync completed successfully!');
     } else {
       logger.error('Sync completed with errors.');
+      logResumeHint(checkpoint);
       process.exit(1);
     }
   } catch (err) {
     logger.error(`Sync failed: ${err.message}`, err);
     logger.syncComplete({ success: false, error: err.message });
+    logResumeHint(checkpoint);
 
     // Create issue for tracking
     const issue = createIssueFromError(err, {
@@ -298,6 +611,89 @@ async function runSync(options) {
         logger.warn(`Error closing SSH tunnel: ${e.message}`);
       }
     }
+    spillArea?.cleanup();
+  }
+}
+
+async function runApply(options) {
+  const { config: configPath, file, yolo, dryRun } = options;
+
+  if (!file) {
+    console.error('Missing SQL patch file. Usage: driftwarden apply <file.sql>');
+    process.exit(1);
+  }
+  if (!existsSync(file)) {
+    logger.error(`SQL patch not found: ${file}`);
+    process.exit(1);
+  }
+
+  // Applying a patch only needs the local database (no SSH tunnel or remote access)
+  const config = await loadConfig(configPath, { localOnly: true });
+  if (!config) {
+    logger.error('Failed to load config. Exiting.');
+    process.exit(1);
+  }
+  if (config.logging) {
+    logger.configure(config.logging);
+  }
+
+  const statements = parseSqlPatch(readFileSync(file, 'utf-8'));
+  const summary = summarizeSqlPatch(statements);
+
+  console.log(`\n=== SQL Patch: ${file} ===`);
+  console.log(`  Statements: ${summary.total}`);
+  console.log(`  Schema changes: ${summary.schema}`);
+  console.log(`  Inserts: ${summary.insert}  Updates: ${summary.update}  Deletes: ${summary.delete}`);
+  console.log(`  Target: local database ${config.local.mysql.database}`);
+
+  if (summary.destructive.length > 0) {
+    console.log(`\n⚠️  ${summary.destructive.length} destructive statement(s), e.g.:`);
+    for (const sql of summary.destructive.slice(0, 5)) {
+      console.log(`   • ${sql}`);
+    }
+  }
+
+  if (dryRun) {
+    console.log('\n[DRY RUN] No changes were applied.\n');
+    return;
+  }
+
+  if (!yolo && config.sync.yolo !== true) {
+    const approved = await confirm('\nApply this SQL patch to the local database?');
+    if (!approved) {
+      logger.info('SQL patch apply cancelled by user.');
+      return;
+    }
+  }
+
+  let localWriter = null;
+  try {
+    logger.connection('local_mysql', 'connecting', { database: config.local.mysql.database });
+    localWriter = await createLocalWriter(config.local.mysql, {}, { timezone: config.sync.timezone });
+    logger.connection('local_mysql', 'connected');
+
+    const results = await applySqlPatch(localWriter, statements);
+    if (!results.success) {
+      for (const err of results.errors) {
+        console.error(`  - ${err}`);
+      }
+      process.exit(1);
+    }
+    console.log(`\n✓ Applied ${results.applied} statements from ${file}\n`);
+  } catch (err) {
+    logger.error(`SQL patch apply failed: ${err.message}`, err);
+    const issue = createIssueFromError(err, { command: 'apply', configPath, file });
+    console.error(`\nIssue tracked: ${issue.id}`);
+    process.exit(1);
+  } finally {
+    if (localWriter) {
+      try {
+        await localWriter.close();
+        logger.connection('local_mysql', 'disconnected');
+      } catch (e) {
+        logger.warn(`Error closing local connection: ${e.message}`);
+      }
+    }
   }
 }
 
@@ -349,6 +745,8 @@ async function main() {
 
   if (options.command === 'sync') {
     await runSync(options);
+  } else if (options.command === 'apply') {
+    await runApply(options);
   } else if (options.command === 'issues') {
     runIssues();
   } else {
@@ -5,6 +5,10 @@
 import { readFileSync, existsSync } from 'fs';
 import { resolve } from 'path';
 import { logger } from '../utils/logger.js';
+import { validateMaskingConfig } from '../db/masking.js';
+import { validateTablePatterns } from '../utils/table-filter.js';
+import { SCHEMA_OBJECT_TYPES } from '../db/introspection.js';
+import { APPLY_STRATEGIES } from '../utils/apply-strategy.js';
 
 // Required config sections and their required fields
 const SCHEMA = {
@@ -21,6 +25,17 @@ const SCHEMA = {
   logging: ['level'],
 };
 
+// Sections needed when only the local database is used (e.g. `driftwarden apply`)
+const LOCAL_ONLY_SCHEMA = {
+  local: SCHEMA.local,
+};
+
+// Upper bound for sync.concurrency: every remote connection shares the one SSH tunnel
+const MAX_CONCURRENCY = 16;
+
+// When inserts are loaded with LOAD DATA LOCAL INFILE (sync.bulkLoad)
+const BULK_LOAD_MODES = ['auto', 'always', 'never'];
+
 /**
  * Validate a config section against schema
  */
@@ -55,6 +70,198 @@ function validateSection(config, schema, path = '') {
   return errors;
 }
 
+/**
+ * Validate per-table row filters (sync.filters)
+ * Filters are raw SQL conditions, so statement separators and placeholders are rejected.
+ * @param {object} filters - Map of table name to WHERE clause
+ * @returns {string[]} Validation errors
+ */
+export function validateFilters(filters) {
+  const errors = [];
+
+  if (!filters) return errors;
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['sync.filters must be an object of table -> WHERE clause'];
+  }
+
+  for (const [table, clause] of Object.entries(filters)) {
+    if (typeof clause !== 'string' || !clause.trim()) {
+      errors.push(`sync.filters.${table}: filter must be a non-empty WHERE clause`);
+    } else if (/[;?]/.test(clause)) {
+      errors.push(`sync.filters.${table}: filter must not contain ';' or '?'`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate forced column renames (sync.renames)
+ * @param {object} renames - Map of table name to { oldColumn: newColumn }
+ * @returns {string[]} Validation errors
+ */
+export function validateRenames(renames) {
+  const errors = [];
+
+  if (!renames) return errors;
+
+  if (typeof renames !== 'object' || Array.isArray(renames)) {
+    return ['sync.renames must be an object of table -> { oldColumn: newColumn }'];
+  }
+
+  for (const [table, columns] of Object.entries(renames)) {
+    if (typeof columns !== 'object' || columns === null || Array.isArray(columns)) {
+      errors.push(`sync.renames.${table} must be an object of oldColumn -> newColumn`);
+      continue;
+    }
+
+    const targets = new Set();
+    for (const [from, to] of Object.entries(columns)) {
+      if (typeof to !== 'string' || !to.trim()) {
+        errors.push(`sync.renames.${table}.${from}: new column name must be a non-empty string`);
+      } else if (targets.has(to)) {
+        errors.push(`sync.renames.${table}.${from}: ${to} is already the target of another rename`);
+      }
+      targets.add(to);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Expand and validate the schema object types to sync (sync.objects / --objects)
+ * @param {string|string[]} objects - "all" or a list of view, trigger, procedure, function, event
+ * @returns {{types: string[], errors: string[]}} Object types and validation errors
+ */
+export function resolveObjectTypes(objects) {
+  const known = Object.keys(SCHEMA_OBJECT_TYPES);
+
+  if (!objects) return { types: [], errors: [] };
+  if (objects === 'all') return { types: known, errors: [] };
+  if (!Array.isArray(objects)) {
+    return { types: [], errors: ['sync.objects must be "all" or a list of object types'] };
+  }
+
+  const unknown = objects.filter((type) => !known.includes(type));
+  const errors = unknown.map((type) => `sync.objects: unknown object type "${type}" (expected ${known.join(', ')})`);
+
+  return { types: [...new Set(objects)].filter((type) => known.includes(type)), errors };
+}
+
+/**
+ * Validate ignored columns (sync.ignoreColumns)
+ * @param {string[]|object} ignoreColumns - Column names for every table, or a map of table
+ *   name ('*' for every table) to column names
+ * @returns {string[]} Validation errors
+ */
+export function validateIgnoreColumns(ignoreColumns) {
+  if (!ignoreColumns) return [];
+
+  const isColumnList = (value) => Array.isArray(value) && value.every((col) => typeof col === 'string' && col.trim());
+
+  if (Array.isArray(ignoreColumns)) {
+    return isColumnList(ignoreColumns) ? [] : ['sync.ignoreColumns must be a list of column names'];
+  }
+  if (typeof ignoreColumns !== 'object') {
+    return ['sync.ignoreColumns must be a list of column names or an object of table -> column names'];
+  }
+
+  return Object.entries(ignoreColumns)
+    .filter(([, columns]) => !isColumnList(columns))
+    .map(([table]) => `sync.ignoreColumns.${table} must be a list of column names`);
+}
+
+/**
+ * Validate per-table apply strategies (sync.strategies)
+ * @param {object} strategies - Map of table name ('*' for every table) to strategy
+ * @returns {string[]} Validation errors
+ */
+export function validateStrategies(strategies) {
+  if (!strategies) return [];
+
+  if (typeof strategies !== 'object' || Array.isArray(strategies)) {
+    return ['sync.strategies must be an object of table -> strategy'];
+  }
+
+  return Object.entries(strategies)
+    .filter(([, strategy]) => !APPLY_STRATEGIES.includes(strategy))
+    .map(([table, strategy]) =>
+      `sync.strategies.${table} must be one of ${APPLY_STRATEGIES.join(', ')} (got ${JSON.stringify(strategy)})`
+    );
+}
+
+/**
+ * Validate the number of tables processed in parallel (sync.concurrency)
+ * @param {number|undefined} concurrency - Parallel tables
+ * @returns {string[]} Validation errors
+ */
+export function validateConcurrency(concurrency) {
+  if (concurrency === undefined || concurrency === null) return [];
+
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return [`sync.concurrency must be an integer from 1 to ${MAX_CONCURRENCY} (got ${JSON.stringify(concurrency)})`];
+  }
+
+  return [];
+}
+
+/**
+ * Validate spill-to-disk settings for large data diffs (sync.spill)
+ * @param {object|undefined} spill - { enabled, directory, thresholdRows }
+ * @returns {string[]} Validation errors
+ */
+export function validateSpill(spill) {
+  if (spill === undefined || spill === null) return [];
+
+  if (typeof spill !== 'object' || Array.isArray(spill)) {
+    return ['sync.spill must be an object ({ enabled, directory, thresholdRows })'];
+  }
+
+  const errors = [];
+  if (spill.enabled !== undefined && typeof spill.enabled !== 'boolean') {
+    errors.push('sync.spill.enabled must be true or false');
+  }
+  if (spill.directory !== undefined && (typeof spill.directory !== 'string' || !spill.directory.trim())) {
+    errors.push('sync.spill.directory must be a non-empty path');
+  }
+  if (spill.thresholdRows !== undefined && (!Number.isInteger(spill.thresholdRows) || spill.thresholdRows < 1)) {
+    errors.push(`sync.spill.thresholdRows must be a positive integer (got ${JSON.stringify(spill.thresholdRows)})`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the bulk load mode (sync.bulkLoad)
+ * @param {string|undefined} bulkLoad - 'auto' (initial copies), 'always' or 'never'
+ * @returns {string[]} Validation errors
+ */
+export function validateBulkLoad(bulkLoad) {
+  if (bulkLoad === undefined || bulkLoad === null) return [];
+
+  if (!BULK_LOAD_MODES.includes(bulkLoad)) {
+    return [`sync.bulkLoad must be one of ${BULK_LOAD_MODES.join(', ')} (got ${JSON.stringify(bulkLoad)})`];
+  }
+
+  return [];
+}
+
+/**
+ * Validate the session time zone used for TIMESTAMP values (sync.timezone)
+ * @param {string|null} timezone - 'Z', 'UTC' or an offset such as '+02:00'
+ * @returns {string[]} Validation errors
+ */
+export function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null) return [];
+
+  if (typeof timezone !== 'string' || !/^(Z|UTC|[+-](0\d|1[0-4]):[0-5]\d)$/.test(timezone)) {
+    return [`sync.timezone must be 'Z', 'UTC' or an offset like '+02:00' (got ${JSON.stringify(timezone)})`];
+  }
+
+  return [];
+}
+
 /**
  * Apply default values to config
  */
@@ -65,6 +272,37 @@ function applyDefaults(config) {
   config.sync.chunkSize = config.sync.chunkSize || 5000;
   config.sync.confirm = config.sync.confirm !== false;
   config.sync.yolo = config.sync.yolo === true;
+  config.sync.diffMode = config.sync.diffMode || 'streaming';
+  config.sync.checkpointFile = config.sync.checkpointFile || 'logs/sync-checkpoint.json';
+  config.sync.filters = config.sync.filters || {};
+  config.sync.subset = {
+    enabled: config.sync.subset?.enabled === true,
+    followChildren: config.sync.subset?.followChildren !== false,
+  };
+  config.sync.disableForeignKeyChecks = config.sync.disableForeignKeyChecks === true;
+  config.sync.renames = config.sync.renames || {};
+  config.sync.objects = resolveObjectTypes(config.sync.objects).types;
+  config.sync.dropTables = config.sync.dropTables === true;
+  // A plain list applies to every table
+  config.sync.ignoreColumns = Array.isArray(config.sync.ignoreColumns)
+    ? { '*': config.sync.ignoreColumns }
+    : config.sync.ignoreColumns || {};
+  config.sync.ignoreColumnsOnInsert = config.sync.ignoreColumnsOnInsert === true;
+  // Tables without a strategy (and no '*' entry) are mirrored
+  config.sync.strategies = config.sync.strategies || {};
+  config.sync.concurrency = config.sync.concurrency || 1;
+  config.sync.include = config.sync.include || [];
+  config.sync.exclude = config.sync.exclude || [];
+  // Off by default: diffs are kept in memory unless rows should go to disk past the threshold
+  config.sync.spill = {
+    enabled: config.sync.spill?.enabled === true,
+    directory: config.sync.spill?.directory || 'logs/spill',
+    thresholdRows: config.sync.spill?.thresholdRows || 10000,
+  };
+  // Initial copies (empty local tables) are bulk loaded; falls back to INSERTs without local_infile
+  config.sync.bulkLoad = config.sync.bulkLoad || 'auto';
+  // Both sessions use this offset, so TIMESTAMP values read the same on either side
+  config.sync.timezone = ['Z', 'UTC'].includes(config.sync.timezone) ? '+00:00' : config.sync.timezone || null;
 
   // Retry defaults
   config.retry = config.retry || {};
@@ -85,9 +323,11 @@ function applyDefaults(config) {
 /**
  * Load and validate config from file
  * @param {string} configPath - Path to config JSON file
+ * @param {object} options - Load options (localOnly: skip SSH/tunnel/remote validation)
  * @returns {object|null} Validated config or null on error
  */
-export async function loadConfig(configPath) {
+export async function loadConfig(configPath, options = {}) {
+  const { localOnly = false } = options;
   const absolutePath = resolve(configPath);
 
   // Check file exists
@@ -108,7 +348,21 @@ export async function loadConfig(configPath) {
   }
 
   // Validate against schema
-  const errors = validateSection(config, SCHEMA);
+  const errors = validateSection(config, localOnly ? LOCAL_ONLY_SCHEMA : SCHEMA);
+  if (!localOnly) {
+    errors.push(...validateMaskingConfig(config.sync?.masking));
+    errors.push(...validateFilters(config.sync?.filters));
+    errors.push(...validateRenames(config.sync?.renames));
+    errors.push(...resolveObjectTypes(config.sync?.objects).errors);
+    errors.push(...validateIgnoreColumns(config.sync?.ignoreColumns));
+    errors.push(...validateStrategies(config.sync?.strategies));
+    errors.push(...validateTablePatterns(config.sync?.include, 'sync.include'));
+    errors.push(...validateTablePatterns(config.sync?.exclude, 'sync.exclude'));
+    errors.push(...validateSpill(config.sync?.spill));
+  }
+  errors.push(...validateTimezone(config.sync?.timezone));
+  errors.push(...validateConcurrency(config.sync?.concurrency));
+  errors.push(...validateBulkLoad(config.sync?.bulkLoad));
   if (errors.length > 0) {
     logger.error('Config validation failed:');
     for (const error of errors) {
@@ -118,7 +372,7 @@ export async function loadConfig(configPath) {
   }
 
   // Check SSH key exists
-  if (!existsSync(config.ssh.privateKeyPath)) {
+  if (!localOnly && !existsSync(config.ssh.privateKeyPath)) {
     logger.error(`SSH private key not found: ${config.ssh.privateKeyPath}`);
     return null;
   }
@@ -126,9 +380,16 @@ export async function loadConfig(configPath) {
   // Apply defaults
   config = applyDefaults(config);
 
+  if (!localOnly && config.sync.masking && !config.sync.masking.salt) {
+    logger.warn(
+      'sync.masking has no salt: hashed values of guessable data (emails, phones) can be reversed. ' +
+      'Set sync.masking.salt to a secret string.'
+    );
+  }
+
   // Security recommendation: check for read-only user naming convention
   const remoteUser = config.remote?.mysql?.user || '';
-  if (!remoteUser.includes('ro') && !remoteUser.includes('read') && !remoteUser.includes('replica')) {
+  if (!localOnly && !remoteUser.includes('ro') && !remoteUser.includes('read') && !remoteUser.includes('replica')) {
     logger.warn(
       'SECURITY TIP: Consider using a read-only MySQL user for remote connections ' +
       '(e.g., "driftwarden_ro"). See docs/generated/usage.md for setup instructions.'
@@ -139,4 +400,15 @@ export async function loadConfig(configPath) {
   return config;
 }
 
-export default { loadConfig };
+export default {
+  loadConfig,
+  validateFilters,
+  validateRenames,
+  resolveObjectTypes,
+  validateIgnoreColumns,
+  validateStrategies,
+  validateConcurrency,
+  validateSpill,
+  validateBulkLoad,
+  validateTimezone,
+};
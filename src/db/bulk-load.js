@@ -0,0 +1,207 @@
+/**
+ * Bulk Load Helpers for Driftwarden
+ * Encodes rows as tab-separated files for LOAD DATA LOCAL INFILE (sync.bulkLoad / --bulk),
+ * which copies large tables into the local database much faster than multi-row INSERTs.
+ *
+ * Files use MySQL's default LOAD DATA format: tab-separated fields, newline-terminated lines,
+ * backslash escapes and \N for NULL. They are loaded as utf8mb4 text, which the server converts
+ * to each column's character set (a binary file character set would make JSON columns fail with
+ * ERROR 3144). Binary columns (BINARY, BLOB, BIT, ...) are written as hex into user variables and
+ * stored with UNHEX(), so their bytes never go through a character set conversion.
+ */
+
+// MySQL error numbers when LOAD DATA LOCAL is disabled on the server or for the client
+const LOCAL_INFILE_DISABLED_ERRORS = [
+  1148, // ER_NOT_ALLOWED_COMMAND (MySQL 5.7, MariaDB)
+  3948, // ER_CLIENT_LOCAL_FILES_DISABLED (MySQL 8.0)
+  3950, // ER_LOAD_INFILE_CAPABILITY_DISABLED (MySQL 8.0)
+];
+
+// Column types whose values are bytes rather than text (SHOW COLUMNS Type)
+const BINARY_TYPE_PATTERN = /^(binary|varbinary|tinyblob|blob|mediumblob|longblob|bit)\b/i;
+
+// Storage engines whose non-unique indexes can be rebuilt after a load (ALTER TABLE ... DISABLE KEYS)
+const DISABLE_KEYS_ENGINES = ['MYISAM', 'ARIA'];
+
+const NULL_FIELD = Buffer.from('\\N');
+const TAB = 0x09;
+const NEWLINE = 0x0a;
+
+// Bytes that must be escaped inside a field, and their escape character
+const ESCAPES = new Map([
+  [0x5c, 0x5c], // backslash
+  [TAB, 0x74], // \t
+  [NEWLINE, 0x6e], // \n
+  [0x0d, 0x72], // \r
+  [0x00, 0x30], // \0
+]);
+
+/**
+ * Format a Date as a DATETIME literal in the session time zone
+ * @param {Date} date - Date
+ * @param {string|null} timezone - Offset such as '+02:00' (sync.timezone), or null for local time
+ * @returns {string|null} 'YYYY-MM-DD HH:MM:SS.mmm', or null for an invalid date
+ */
+export function formatDateTime(date, timezone = null) {
+  if (Number.isNaN(date.getTime())) return null;
+
+  let parts;
+  if (timezone) {
+    const [, sign, hours, minutes] = /^([+-])(\d\d):(\d\d)$/.exec(timezone) || [, '+', '00', '00'];
+    const offsetMs = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+    const shifted = new Date(date.getTime() + offsetMs);
+    parts = [
+      shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(),
+      shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds(), shifted.getUTCMilliseconds(),
+    ];
+  } else {
+    parts = [
+      date.getFullYear(), date.getMonth() + 1, date.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds(),
+    ];
+  }
+
+  const [year, month, day, hour, minute, second, ms] = parts;
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Convert a column value to the raw bytes of a field (before escaping)
+ * @param {*} value - Column value
+ * @param {string|null} timezone - Session time zone offset for Dates
+ * @returns {Buffer|null} Field bytes, or null for NULL
+ */
+function toFieldBytes(value, timezone) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Date) {
+    const formatted = formatDateTime(value, timezone);
+    return formatted === null ? null : Buffer.from(formatted);
+  }
+  if (typeof value === 'boolean') return Buffer.from(value ? '1' : '0');
+  if (typeof value === 'object') return Buffer.from(JSON.stringify(value));
+  return Buffer.from(String(value));
+}
+
+/**
+ * Check whether a column type holds bytes, so its values must be loaded as hex
+ * @param {string} type - Column type from SHOW COLUMNS, e.g. 'varbinary(16)'
+ * @returns {boolean}
+ */
+export function isBinaryType(type) {
+  return BINARY_TYPE_PATTERN.test(String(type || ''));
+}
+
+/**
+ * Escape field bytes for LOAD DATA (ESCAPED BY '\\')
+ * @param {Buffer} bytes - Field bytes
+ * @returns {Buffer}
+ */
+function escapeField(bytes) {
+  let extra = 0;
+  for (const byte of bytes) {
+    if (ESCAPES.has(byte)) extra++;
+  }
+  if (extra === 0) return bytes;
+
+  const escaped = Buffer.alloc(bytes.length + extra);
+  let offset = 0;
+  for (const byte of bytes) {
+    if (ESCAPES.has(byte)) {
+      escaped[offset++] = 0x5c;
+      escaped[offset++] = ESCAPES.get(byte);
+    } else {
+      escaped[offset++] = byte;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Encode rows as LOAD DATA input
+ * @param {Array<object>} rows - Rows
+ * @param {string[]} columns - Columns to write, in the order of the LOAD DATA column list
+ * @param {string|null} timezone - Session time zone offset for Dates
+ * @param {string[]} hexColumns - Binary columns, written as hex (see buildLoadDataQuery)
+ * @returns {Buffer} File contents
+ */
+export function encodeRows(rows, columns, timezone = null, hexColumns = []) {
+  const parts = [];
+  for (const row of rows) {
+    columns.forEach((col, i) => {
+      if (i > 0) parts.push(Buffer.from([TAB]));
+      const bytes = toFieldBytes(row[col], timezone);
+      if (bytes === null) {
+        parts.push(NULL_FIELD);
+      } else {
+        parts.push(hexColumns.includes(col) ? Buffer.from(bytes.toString('hex')) : escapeField(bytes));
+      }
+    });
+    parts.push(Buffer.from([NEWLINE]));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Build the LOAD DATA LOCAL INFILE statement for a file written by encodeRows
+ * @param {string} tableName - Table name
+ * @param {string[]} columns - Columns in file order
+ * @param {string} filePath - File name sent to the server (the client streams the file itself)
+ * @param {string[]} hexColumns - Binary columns: read into a user variable and stored with UNHEX()
+ * @returns {{sql: string, params: Array}} Statement with identifier (??) and value (?) placeholders
+ */
+export function buildLoadDataQuery(tableName, columns, filePath, hexColumns = []) {
+  const fields = [];
+  const assignments = [];
+  const fieldParams = [];
+  const assignmentParams = [];
+
+  columns.forEach((col, i) => {
+    if (hexColumns.includes(col)) {
+      fields.push(`@hex${i}`);
+      assignments.push(`?? = UNHEX(@hex${i})`);
+      assignmentParams.push(col);
+    } else {
+      fields.push('??');
+      fieldParams.push(col);
+    }
+  });
+
+  return {
+    sql:
+      'LOAD DATA LOCAL INFILE ? INTO TABLE ?? CHARACTER SET utf8mb4 ' +
+      "FIELDS TERMINATED BY '\\t' ESCAPED BY '\\\\' LINES TERMINATED BY '\\n' " +
+      `(${fields.join(', ')})` +
+      (assignments.length > 0 ? ` SET ${assignments.join(', ')}` : ''),
+    params: [filePath, tableName, ...fieldParams, ...assignmentParams],
+  };
+}
+
+/**
+ * Check whether an error means LOAD DATA LOCAL is not available (local_infile disabled)
+ * @param {Error} err - Error from the LOAD DATA statement
+ * @returns {boolean}
+ */
+export function isLocalInfileDisabled(err) {
+  return LOCAL_INFILE_DISABLED_ERRORS.includes(err?.errno);
+}
+
+/**
+ * Check whether a storage engine supports ALTER TABLE ... DISABLE KEYS
+ * (InnoDB accepts the statement but ignores it)
+ * @param {string|null} engine - Storage engine
+ * @returns {boolean}
+ */
+export function supportsDisableKeys(engine) {
+  return DISABLE_KEYS_ENGINES.includes(String(engine || '').toUpperCase());
+}
+
+export default {
+  formatDateTime,
+  isBinaryType,
+  encodeRows,
+  buildLoadDataQuery,
+  isLocalInfileDisabled,
+  supportsDisableKeys,
+};
@@ -0,0 +1,308 @@
+/**
+ * Schema Introspection for Driftwarden
+ * information_schema queries shared by RemoteReader and LocalWriter
+ * Queries are plain SELECTs so they pass the remote read-only check
+ */
+
+import { logger } from '../utils/logger.js';
+
+const FOREIGN_KEYS_BASE_QUERY =
+  'SELECT k.CONSTRAINT_NAME, k.TABLE_NAME, k.COLUMN_NAME, k.REFERENCED_TABLE_NAME, k.REFERENCED_COLUMN_NAME, ' +
+  'r.UPDATE_RULE, r.DELETE_RULE ' +
+  'FROM information_schema.KEY_COLUMN_USAGE k ' +
+  'JOIN information_schema.REFERENTIAL_CONSTRAINTS r ' +
+  'ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.TABLE_NAME = k.TABLE_NAME AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME ' +
+  'WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL ';
+
+/**
+ * Query returning one row per foreign key column in a schema
+ * Params: [schema, schema]
+ */
+export const FOREIGN_KEYS_QUERY =
+  FOREIGN_KEYS_BASE_QUERY + 'ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION';
+
+/**
+ * Query returning one row per foreign key column of a single table
+ * Params: [schema, schema, table]
+ */
+export const TABLE_FOREIGN_KEYS_QUERY =
+  FOREIGN_KEYS_BASE_QUERY + 'AND k.TABLE_NAME = ? ORDER BY k.CONSTRAINT_NAME, k.ORDINAL_POSITION';
+
+/**
+ * Query returning the CHECK constraints of a single table (MySQL 8.0.16+)
+ * Params: [schema, table]
+ */
+export const CHECK_CONSTRAINTS_QUERY =
+  'SELECT t.CONSTRAINT_NAME, c.CHECK_CLAUSE, t.ENFORCED ' +
+  'FROM information_schema.TABLE_CONSTRAINTS t ' +
+  'JOIN information_schema.CHECK_CONSTRAINTS c ' +
+  'ON c.CONSTRAINT_SCHEMA = t.CONSTRAINT_SCHEMA AND c.CONSTRAINT_NAME = t.CONSTRAINT_NAME ' +
+  "WHERE t.TABLE_SCHEMA = ? AND t.TABLE_NAME = ? AND t.CONSTRAINT_TYPE = 'CHECK' " +
+  'ORDER BY t.CONSTRAINT_NAME';
+
+/**
+ * Query returning the table options of a single table
+ * Params: [schema, table]
+ */
+export const TABLE_OPTIONS_QUERY =
+  'SELECT ENGINE, TABLE_COLLATION, ROW_FORMAT, TABLE_COMMENT ' +
+  'FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?';
+
+/**
+ * Query returning the generation expressions of a table's generated columns
+ * Params: [schema, table]
+ */
+export const GENERATED_COLUMNS_QUERY =
+  'SELECT COLUMN_NAME, GENERATION_EXPRESSION FROM information_schema.COLUMNS ' +
+  "WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND GENERATION_EXPRESSION <> ''";
+
+// SHOW COLUMNS Extra of generated columns ("DEFAULT_GENERATED" marks expression defaults, not these)
+const GENERATED_EXTRA_PATTERN = /\b(VIRTUAL|STORED) GENERATED\b/i;
+const INVISIBLE_EXTRA_PATTERN = /\bINVISIBLE\b/i;
+
+/**
+ * Non-table schema objects: how to list them (params: [schema]) and read their definition
+ * listQuery returns `name` (and `tableName` for triggers); SHOW CREATE returns the
+ * definition in `definitionColumn`
+ */
+export const SCHEMA_OBJECT_TYPES = {
+  view: {
+    listQuery: 'SELECT TABLE_NAME AS name FROM information_schema.VIEWS WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME',
+    showCreate: 'SHOW CREATE VIEW ??',
+    definitionColumn: 'Create View',
+  },
+  trigger: {
+    listQuery:
+      'SELECT TRIGGER_NAME AS name, EVENT_OBJECT_TABLE AS tableName FROM information_schema.TRIGGERS ' +
+      'WHERE TRIGGER_SCHEMA = ? ORDER BY EVENT_OBJECT_TABLE, ACTION_ORDER',
+    showCreate: 'SHOW CREATE TRIGGER ??',
+    definitionColumn: 'SQL Original Statement',
+  },
+  procedure: {
+    listQuery:
+      "SELECT ROUTINE_NAME AS name FROM information_schema.ROUTINES WHERE ROUTINE_SCHEMA = ? AND ROUTINE_TYPE = 'PROCEDURE' " +
+      'ORDER BY ROUTINE_NAME',
+    showCreate: 'SHOW CREATE PROCEDURE ??',
+    definitionColumn: 'Create Procedure',
+  },
+  function: {
+    listQuery:
+      "SELECT ROUTINE_NAME AS name FROM information_schema.ROUTINES WHERE ROUTINE_SCHEMA = ? AND ROUTINE_TYPE = 'FUNCTION' " +
+      'ORDER BY ROUTINE_NAME',
+    showCreate: 'SHOW CREATE FUNCTION ??',
+    definitionColumn: 'Create Function',
+  },
+  event: {
+    listQuery: 'SELECT EVENT_NAME AS name FROM information_schema.EVENTS WHERE EVENT_SCHEMA = ? ORDER BY EVENT_NAME',
+    showCreate: 'SHOW CREATE EVENT ??',
+    definitionColumn: 'Create Event',
+  },
+};
+
+// Servers without CHECK constraint support lack these tables/columns
+const UNSUPPORTED_CHECK_ERRORS = ['ER_UNKNOWN_TABLE', 'ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'];
+
+/**
+ * Group KEY_COLUMN_USAGE rows into foreign key definitions
+ * @param {Array<object>} rows - Rows from FOREIGN_KEYS_QUERY
+ * @returns {Array<object>} Foreign keys ({ name, table, columns, referencedTable, referencedColumns, onUpdate, onDelete })
+ */
+export function groupForeignKeys(rows) {
+  const foreignKeys = new Map();
+
+  for (const row of rows) {
+    const id = `${row.TABLE_NAME}.${row.CONSTRAINT_NAME}`;
+    if (!foreignKeys.has(id)) {
+      foreignKeys.set(id, {
+        name: row.CONSTRAINT_NAME,
+        table: row.TABLE_NAME,
+        columns: [],
+        referencedTable: row.REFERENCED_TABLE_NAME,
+        referencedColumns: [],
+        onUpdate: row.UPDATE_RULE || null,
+        onDelete: row.DELETE_RULE || null,
+      });
+    }
+    const fk = foreignKeys.get(id);
+    fk.columns.push(row.COLUMN_NAME);
+    fk.referencedColumns.push(row.REFERENCED_COLUMN_NAME);
+  }
+
+  return [...foreignKeys.values()];
+}
+
+/**
+ * Build the constraint body of a foreign key, as used after ADD CONSTRAINT `name`
+ * @param {object} fk - Foreign key from groupForeignKeys
+ * @returns {string} SQL fragment
+ */
+export function buildForeignKeyDefinition(fk) {
+  const list = (cols) => cols.map((c) => `\`${c}\``).join(', ');
+  let def = `FOREIGN KEY (${list(fk.columns)}) REFERENCES \`${fk.referencedTable}\` (${list(fk.referencedColumns)})`;
+
+  if (fk.onDelete) def += ` ON DELETE ${fk.onDelete}`;
+  if (fk.onUpdate) def += ` ON UPDATE ${fk.onUpdate}`;
+
+  return def;
+}
+
+/**
+ * Build the constraint body of a CHECK constraint
+ * @param {object} check - Check constraint ({ clause, enforced })
+ * @returns {string} SQL fragment
+ */
+export function buildCheckDefinition(check) {
+  return `CHECK (${check.clause})${check.enforced ? '' : ' NOT ENFORCED'}`;
+}
+
+/**
+ * Read the foreign keys and CHECK constraints of one table
+ * @param {function} query - Query function (sql, params) => rows
+ * @param {string} schema - Database name
+ * @param {string} tableName - Table name
+ * @returns {Promise<{foreignKeys: object[], checks: object[]}>}
+ */
+export async function readTableConstraints(query, schema, tableName) {
+  const foreignKeys = groupForeignKeys(await query(TABLE_FOREIGN_KEYS_QUERY, [schema, schema, tableName]));
+
+  let checkRows = [];
+  try {
+    checkRows = await query(CHECK_CONSTRAINTS_QUERY, [schema, tableName]);
+  } catch (err) {
+    if (!UNSUPPORTED_CHECK_ERRORS.includes(err.code)) throw err;
+    logger.debug(`CHECK constraints not supported by server, skipping for ${tableName}`);
+  }
+
+  const checks = checkRows.map((row) => ({
+    name: row.CONSTRAINT_NAME,
+    clause: row.CHECK_CLAUSE,
+    enforced: row.ENFORCED !== 'NO',
+  }));
+
+  return { foreignKeys, checks };
+}
+
+/**
+ * Get the generation type of a SHOW COLUMNS row
+ * @param {object} column - SHOW FULL COLUMNS row
+ * @returns {string|null} 'VIRTUAL', 'STORED', or null for a regular column
+ */
+export function generatedKind(column) {
+  const match = GENERATED_EXTRA_PATTERN.exec(column.Extra || '');
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Get the columns rows can be read from and written to: every column except generated ones
+ * Invisible columns are included (SELECT * would skip them).
+ * @param {object[]} columns - SHOW FULL COLUMNS rows
+ * @returns {string[]} Column names
+ */
+export function dataColumnNames(columns) {
+  return columns.filter((col) => !generatedKind(col)).map((col) => col.Field);
+}
+
+/**
+ * Flag generated and invisible columns of SHOW FULL COLUMNS rows
+ * Adds Generated ('VIRTUAL', 'STORED' or null), GenerationExpression and Invisible to each
+ * column. Generation expressions are only queried when the table has generated columns.
+ * @param {function} query - Query function (sql, params) => rows
+ * @param {string} schema - Database name
+ * @param {string} tableName - Table name
+ * @param {object[]} columns - SHOW FULL COLUMNS rows
+ * @returns {Promise<object[]>} Annotated columns
+ */
+export async function readColumnDetails(query, schema, tableName, columns) {
+  const expressions = new Map();
+
+  if (columns.some((col) => generatedKind(col))) {
+    for (const row of await query(GENERATED_COLUMNS_QUERY, [schema, tableName])) {
+      expressions.set(row.COLUMN_NAME, row.GENERATION_EXPRESSION);
+    }
+  }
+
+  return columns.map((col) => ({
+    ...col,
+    Generated: generatedKind(col),
+    GenerationExpression: expressions.get(col.Field) ?? null,
+    Invisible: INVISIBLE_EXTRA_PATTERN.test(col.Extra || ''),
+  }));
+}
+
+/**
+ * Get the character set a collation belongs to (every MySQL collation is prefixed by it)
+ * @param {string|null} collation - Collation name, e.g. utf8mb4_0900_ai_ci
+ * @returns {string|null} Character set name, e.g. utf8mb4
+ */
+export function charsetOfCollation(collation) {
+  return collation ? collation.split('_')[0] : null;
+}
+
+/**
+ * Read the options of one table (engine, charset, collation, row format, comment)
+ * @param {function} query - Query function (sql, params) => rows
+ * @param {string} schema - Database name
+ * @param {string} tableName - Table name
+ * @returns {Promise<object|null>} Table options, or null if the table is not found
+ */
+export async function readTableOptions(query, schema, tableName) {
+  const [row] = await query(TABLE_OPTIONS_QUERY, [schema, tableName]);
+  if (!row) return null;
+
+  return {
+    engine: row.ENGINE || null,
+    charset: charsetOfCollation(row.TABLE_COLLATION),
+    collation: row.TABLE_COLLATION || null,
+    rowFormat: row.ROW_FORMAT ? row.ROW_FORMAT.toUpperCase() : null,
+    comment: row.TABLE_COMMENT || '',
+  };
+}
+
+/**
+ * Read the definitions of views, triggers, routines and events
+ * Objects whose definition is hidden (missing SHOW_ROUTINE / SHOW VIEW privilege) are skipped.
+ * @param {function} query - Query function (sql, params) => rows
+ * @param {string} schema - Database name
+ * @param {string[]} types - Object types to read (keys of SCHEMA_OBJECT_TYPES)
+ * @returns {Promise<Array<object>>} Objects ({ type, name, tableName, definition })
+ */
+export async function readSchemaObjects(query, schema, types) {
+  const objects = [];
+
+  for (const type of types) {
+    const { listQuery, showCreate, definitionColumn } = SCHEMA_OBJECT_TYPES[type];
+
+    for (const { name, tableName = null } of await query(listQuery, [schema])) {
+      const [row] = await query(showCreate, [name]);
+      const definition = row?.[definitionColumn];
+
+      if (!definition) {
+        logger.warn(`Cannot read definition of ${type} ${name} (insufficient privileges?), skipping`);
+        continue;
+      }
+
+      objects.push({ type, name, tableName, definition });
+    }
+  }
+
+  return objects;
+}
+
+export default {
+  FOREIGN_KEYS_QUERY,
+  TABLE_FOREIGN_KEYS_QUERY,
+  CHECK_CONSTRAINTS_QUERY,
+  TABLE_OPTIONS_QUERY,
+  GENERATED_COLUMNS_QUERY,
+  SCHEMA_OBJECT_TYPES,
+  generatedKind,
+  dataColumnNames,
+  readColumnDetails,
+  readSchemaObjects,
+  charsetOfCollation,
+  readTableOptions,
+  groupForeignKeys,
+  buildForeignKeyDefinition,
+  buildCheckDefinition,
+  readTableConstraints,
+};
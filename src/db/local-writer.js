@@ -5,8 +5,33 @@
  */
 
 import mysql from 'mysql2/promise';
+import { createReadStream, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { logger } from '../utils/logger.js';
 import { withRetry, isRetryableError, DEFAULT_RETRY_CONFIG } from '../utils/retry.js';
+import {
+  buildSelectPage,
+  buildRangeChecksumQuery,
+  buildCountQuery,
+  toWhereCondition,
+  iterateChunks,
+} from './sql-builder.js';
+import {
+  readTableConstraints,
+  readTableOptions,
+  readSchemaObjects,
+  readColumnDetails,
+  dataColumnNames,
+} from './introspection.js';
+import { encodeRows, buildLoadDataQuery, isBinaryType, isLocalInfileDisabled, supportsDisableKeys } from './bulk-load.js';
+import { rowBatches, lastRow } from '../utils/row-spool.js';
+
+// Rows per temporary file for LOAD DATA LOCAL INFILE
+const DEFAULT_ROWS_PER_LOAD = 50000;
+
+// Session-scoped staging table for batched updates (temporary tables are per connection)
+const UPDATE_STAGING_TABLE = 'driftwarden_update_rows';
 
 /**
  * Detect identifier placeholders in SQL (??)
@@ -19,19 +44,23 @@ function usesIdentifierPlaceholders(sql) {
 }
 
 /**
- * Create a MySQL connection to the local database
+ * Create a MySQL connection pool to the local database
+ * The writer keeps one pooled connection for its writes and transactions; reads go through
+ * the pool, and acquire() hands out further connections for tables applied in parallel.
  * @param {object} config - MySQL config (host, port, user, password, database)
  * @param {object} retryConfig - Optional retry configuration
+ * @param {object} options - Writer options (timezone: sync.timezone offset, concurrency: sync.concurrency)
  * @returns {Promise<LocalWriter>}
  */
-export async function createLocalWriter(config, retryConfig = {}) {
+export async function createLocalWriter(config, retryConfig = {}, options = {}) {
   const { host, port, user, password, database } = config;
+  const { timezone = null, concurrency = 1 } = options;
 
   logger.info(`Connecting to local MySQL at ${host}:${port}/${database}...`);
 
-  const connection = await withRetry(
+  const { pool, connection } = await withRetry(
     async () => {
-      return mysql.createConnection({
+      const candidate = mysql.createPool({
         host,
         port,
         user,
@@ -39,7 +68,25 @@ export async function createLocalWriter(config, retryConfig = {}) {
         database,
         connectTimeout: 30000,
         multipleStatements: false,
+        // The writer's own connection plus one per parallel table
+        connectionLimit: concurrency + 1,
+        ...(timezone && { timezone }),
       });
+
+      if (timezone) {
+        candidate.on('connection', (conn) => {
+          conn.query('SET time_zone = ?', [timezone], (err) => {
+            if (err) logger.error(`Failed to set local session time zone: ${err.message}`);
+          });
+        });
+      }
+
+      try {
+        return { pool: candidate, connection: await candidate.getConnection() };
+      } catch (err) {
+        await candidate.end().catch(() => {});
+        throw err;
+      }
     },
     {
       ...DEFAULT_RETRY_CONFIG,
@@ -49,34 +96,78 @@ export async function createLocalWriter(config, retryConfig = {}) {
     }
   );
 
-  logger.info('Local MySQL connection established');
+  logger.info(`Local MySQL connection established (up to ${concurrency + 1} connection(s))`);
+  if (timezone) {
+    logger.info(`Local session time zone set to ${timezone}`);
+  }
 
-  return new LocalWriter(connection, database, retryConfig);
+  const writer = new LocalWriter(connection, database, retryConfig, pool);
+  writer.timezone = timezone;
+  return writer;
 }
 
 /**
  * LocalWriter class - provides read/write access to local MySQL
  */
-class LocalWriter {
-  constructor(connection, database, retryConfig = {}) {
+export class LocalWriter {
+  /**
+   * @param {object} connection - Connection used for writes, DDL and transactions
+   * @param {string} database - Database name
+   * @param {object} retryConfig - Retry configuration
+   * @param {object|null} pool - Pool used for reads and acquire(); null for acquired sessions
+   */
+  constructor(connection, database, retryConfig = {}, pool = null) {
     this.connection = connection;
     this.database = database;
     this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...retryConfig };
+    this.pool = pool;
+    this.dataColumns = new Map();
+    // Session time zone offset (sync.timezone), used to write Dates into bulk load files
+    this.timezone = null;
+    // Cleared when the staging table for batched updates cannot be created on this connection
+    this.canStageUpdates = true;
+  }
+
+  /**
+   * Acquire a writer on its own pooled connection, for applying a table in parallel
+   * Session state (transactions, SET statements) stays on that connection. The writable
+   * column cache is shared. Call release() when done.
+   * @returns {Promise<LocalWriter>} Writer bound to one connection
+   */
+  async acquire() {
+    if (!this.pool) {
+      throw new Error('Cannot acquire a connection from an acquired writer');
+    }
+    const session = new LocalWriter(await this.pool.getConnection(), this.database, this.retryConfig);
+    session.dataColumns = this.dataColumns;
+    session.timezone = this.timezone;
+    session.canStageUpdates = this.canStageUpdates;
+    return session;
+  }
+
+  /**
+   * Return an acquired writer's connection to the pool
+   */
+  release() {
+    this.connection.release();
   }
 
   /**
    * Execute a read query with retry support
+   * Reads use any pooled connection, so tables can be diffed in parallel.
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    * @returns {Promise<Array>} Query results
    */
   async query(sql, params = []) {
+    const reader = this.pool || this.connection;
+
     return withRetry(
       async () => {
         logger.debug(`Executing local query: ${sql.substring(0, 100)}...`);
         const [rows] = usesIdentifierPlaceholders(sql)
-          ? await this.connection.query(sql, params)
-          : await this.connection.execute(sql, params);
+          ? await reader.query(sql, params)
+          : await reader.execute(sql, params);
         return rows;
       },
       {
@@ -111,11 +202,11 @@ class LocalWriter {
   }
 
   /**
-   * Get list of all tables in the database
+   * Get list of all base tables in the database (views excluded)
    * @returns {Promise<string[]>} Array of table names
    */
   async getTables() {
-    const rows = await this.query('SHOW TABLES');
+    const rows = await this.query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
     const key = `Tables_in_${this.database}`;
     return rows.map((row) => row[key] || Object.values(row)[0]);
   }
@@ -126,20 +217,67 @@ class LocalWriter {
    * @returns {Promise<object>} Table schema info
    */
   async getTableSchema(tableName) {
-    const columns = await this.query('DESCRIBE ??', [tableName]);
+    const columns = await readColumnDetails(
+      (sql, params) => this.query(sql, params),
+      this.database,
+      tableName,
+      await this.query('SHOW FULL COLUMNS FROM ??', [tableName])
+    );
     const [createTableRow] = await this.query('SHOW CREATE TABLE ??', [tableName]);
     const createStatement = createTableRow['Create Table'];
     const indexes = await this.query('SHOW INDEX FROM ??', [tableName]);
+    const { foreignKeys, checks } = await readTableConstraints(
+      (sql, params) => this.query(sql, params),
+      this.database,
+      tableName
+    );
+    const options = await readTableOptions((sql, params) => this.query(sql, params), this.database, tableName);
 
     return {
       name: tableName,
       columns,
       createStatement,
       indexes,
+      foreignKeys,
+      checks,
+      options,
       primaryKey: columns.filter((col) => col.Key === 'PRI').map((col) => col.Field),
     };
   }
 
+  /**
+   * Get the columns rows are read from and written to (see RemoteReader)
+   * The cache is cleared by executeSchema, since DDL can add or drop generated columns.
+   * @param {string} tableName - Name of the table
+   * @returns {Promise<string[]>} Column names
+   */
+  async getDataColumns(tableName) {
+    if (!this.dataColumns.has(tableName)) {
+      this.dataColumns.set(tableName, dataColumnNames(await this.query('SHOW FULL COLUMNS FROM ??', [tableName])));
+    }
+    return this.dataColumns.get(tableName);
+  }
+
+  /**
+   * Get the columns of a row that can be written (generated columns are computed by MySQL)
+   * @param {string} tableName - Name of the table
+   * @param {object} row - Row data
+   * @returns {Promise<string[]>} Writable column names of the row
+   */
+  async getWritableColumns(tableName, row) {
+    const dataColumns = new Set(await this.getDataColumns(tableName));
+    return Object.keys(row).filter((col) => dataColumns.has(col));
+  }
+
+  /**
+   * Get views, triggers, stored routines and events with their definitions (see RemoteReader)
+   * @param {string[]} types - Object types
+   * @returns {Promise<Array<object>>} Objects ({ type, name, tableName, definition })
+   */
+  async getSchemaObjects(types) {
+    return readSchemaObjects((sql, params) => this.query(sql, params), this.database, types);
+  }
+
   /**
    * Check if a table exists
    * @param {string} tableName - Name of the table
@@ -153,24 +291,61 @@ class LocalWriter {
   /**
    * Get data from a table
    * @param {string} tableName - Name of the table
-   * @param {object} options - Query options
+   * @param {object} options - Query options (limit, offset, orderBy, where, after)
    * @returns {Promise<Array>} Table data
    */
   async getTableData(tableName, options = {}) {
-    const { limit = 1000, offset = 0, orderBy = null } = options;
-
-    let sql = 'SELECT * FROM ??';
-    const params = [tableName];
+    const columns = await this.getDataColumns(tableName);
+    const { sql, params } = buildSelectPage(tableName, { ...options, columns });
+    return this.query(sql, params);
+  }
 
-    if (orderBy) {
-      sql += ' ORDER BY ??';
-      params.push(orderBy);
-    }
+  /**
+   * Get data in chunks using a generator, seeking by key (see RemoteReader)
+   * @param {string} tableName - Name of the table
+   * @param {number} chunkSize - Number of rows per chunk
+   * @param {string|string[]} orderBy - Key column(s) to seek by (usually the primary key)
+   * @param {object} options - Extra page options (after, upTo, where)
+   * @yields {Array} Chunk of rows
+   */
+  async *getTableDataChunked(tableName, chunkSize = 5000, orderBy = null, options = {}) {
+    yield* iterateChunks((page) => this.getTableData(tableName, page), orderBy, chunkSize, options);
+  }
 
-    sql += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+  /**
+   * Compute row count and aggregate checksum for a primary key range
+   * @param {string} tableName - Name of the table
+   * @param {string[]} columns - Columns to checksum
+   * @param {string[]} keyColumns - Primary key columns
+   * @param {object} range - Key range ({ after, upTo }, both optional) and row filter (where)
+   * @returns {Promise<{rowCount: number, checksum: string}>}
+   */
+  async getRangeChecksum(tableName, columns, keyColumns, range = {}) {
+    const { sql, params } = buildRangeChecksumQuery(
+      tableName,
+      columns,
+      keyColumns,
+      range.after || null,
+      range.upTo || null,
+      range.where || null
+    );
+    const [row] = await this.query(sql, params);
+    return {
+      rowCount: Number(row?.row_count || 0),
+      checksum: String(row?.checksum ?? 0),
+    };
+  }
 
-    return this.query(sql, params);
+  /**
+   * Count rows, restricted to an optional row filter
+   * @param {string} tableName - Name of the table
+   * @param {string|object|null} filter - Row filter (sync.filters clause or { clause, params })
+   * @returns {Promise<number>} Row count
+   */
+  async countRows(tableName, filter = null) {
+    const { sql, params } = buildCountQuery(tableName, toWhereCondition(filter));
+    const [result] = await this.query(sql, params);
+    return Number(result?.count || 0);
   }
 
   /**
@@ -180,8 +355,8 @@ class LocalWriter {
    * @returns {Promise<object>} Insert result
    */
   async insertRow(tableName, row) {
-    const columns = Object.keys(row);
-    const values = Object.values(row);
+    const columns = await this.getWritableColumns(tableName, row);
+    const values = columns.map((col) => row[col]);
     const placeholders = columns.map(() => '?').join(', ');
 
     const sql = `INSERT INTO ?? (${columns.map(() => '??').join(', ')}) VALUES (${placeholders})`;
@@ -194,12 +369,14 @@ class LocalWriter {
    * Insert multiple rows in a batch
    * @param {string} tableName - Name of the table
    * @param {Array<object>} rows - Array of row objects
+   * @param {object} options - Options (ignoreColumns: columns left to their local default)
    * @returns {Promise<object>} Insert result
    */
-  async insertRows(tableName, rows) {
+  async insertRows(tableName, rows, options = {}) {
     if (rows.length === 0) return { affectedRows: 0 };
 
-    const columns = Object.keys(rows[0]);
+    const { ignoreColumns = [] } = options;
+    const columns = (await this.getWritableColumns(tableName, rows[0])).filter((col) => !ignoreColumns.includes(col));
     const placeholders = `(${columns.map(() => '?').join(', ')})`;
     const allPlaceholders = rows.map(() => placeholders).join(', ');
 
@@ -213,15 +390,103 @@ class LocalWriter {
     return this.execute(sql, params);
   }
 
+  /**
+   * Insert rows with LOAD DATA LOCAL INFILE, through temporary tab-separated files
+   * Runs on the writer's connection, so it joins an open transaction. Falls back to batched
+   * INSERTs when the server (or client) has local_infile disabled.
+   * @param {string} tableName - Name of the table
+   * @param {Array<object>|object} rows - Rows (array or row spool); all rows have the same columns
+   * @param {object} options - Options (ignoreColumns: columns left to their local default,
+   *   rowsPerFile: rows per LOAD DATA statement, batchSize: rows per INSERT when falling back)
+   * @returns {Promise<object>} Result with affectedRows
+   */
+  async loadRows(tableName, rows, options = {}) {
+    if (rows.length === 0) return { affectedRows: 0 };
+
+    const { ignoreColumns = [], rowsPerFile = DEFAULT_ROWS_PER_LOAD, batchSize = 1000 } = options;
+    const columns = (await this.getWritableColumns(tableName, lastRow(rows))).filter((col) => !ignoreColumns.includes(col));
+    const hexColumns = (await this.query('SHOW FULL COLUMNS FROM ??', [tableName]))
+      .filter((col) => columns.includes(col.Field) && isBinaryType(col.Type))
+      .map((col) => col.Field);
+    const directory = mkdtempSync(join(tmpdir(), 'driftwarden-load-'));
+    const filePath = join(directory, 'rows.tsv');
+    let affectedRows = 0;
+
+    try {
+      for (const batch of rowBatches(rows, rowsPerFile)) {
+        writeFileSync(filePath, encodeRows(batch, columns, this.timezone, hexColumns));
+        const { sql, params } = buildLoadDataQuery(tableName, columns, filePath, hexColumns);
+
+        let result;
+        try {
+          [result] = await this.connection.query({
+            sql,
+            values: params,
+            infileStreamFactory: () => createReadStream(filePath),
+          });
+        } catch (err) {
+          if (affectedRows > 0 || !isLocalInfileDisabled(err)) throw err;
+
+          logger.warn(`LOAD DATA LOCAL INFILE is disabled (${err.message}) - inserting ${tableName} rows instead`);
+          for (const insertBatch of rowBatches(rows, batchSize)) {
+            affectedRows += (await this.insertRows(tableName, insertBatch, { ignoreColumns })).affectedRows;
+          }
+          return { affectedRows };
+        }
+
+        // LOCAL loads skip duplicate keys with a warning instead of failing
+        if (result.affectedRows < batch.length) {
+          throw new Error(
+            `Bulk load into ${tableName} skipped ${batch.length - result.affectedRows} of ${batch.length} rows ` +
+            '(duplicate keys)'
+          );
+        }
+        affectedRows += result.affectedRows;
+        logger.debug(`Loaded ${affectedRows} rows into ${tableName}`);
+      }
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+
+    return { affectedRows };
+  }
+
+  /**
+   * Suspend non-unique index maintenance for a bulk load (ALTER TABLE ... DISABLE KEYS)
+   * Only done for engines that support it (MyISAM, Aria); the ALTER commits any open transaction.
+   * @param {string} tableName - Name of the table
+   * @returns {Promise<boolean>} True if keys were disabled (call enableKeys afterwards)
+   */
+  async disableKeys(tableName) {
+    const options = await readTableOptions((sql, params) => this.query(sql, params), this.database, tableName);
+    if (!supportsDisableKeys(options?.engine)) return false;
+
+    await this.connection.query('ALTER TABLE ?? DISABLE KEYS', [tableName]);
+    logger.debug(`Disabled keys on ${tableName}`);
+    return true;
+  }
+
+  /**
+   * Rebuild the indexes suspended by disableKeys
+   * @param {string} tableName - Name of the table
+   */
+  async enableKeys(tableName) {
+    logger.info(`Rebuilding indexes of ${tableName}...`);
+    await this.connection.query('ALTER TABLE ?? ENABLE KEYS', [tableName]);
+  }
+
   /**
    * Update a row by primary key
    * @param {string} tableName - Name of the table
    * @param {object} row - Full row data including primary key
    * @param {string[]} primaryKey - Array of primary key column names
+   * @param {object} options - Options (ignoreColumns: columns that keep their local value)
    * @returns {Promise<object>} Update result
    */
-  async updateRow(tableName, row, primaryKey) {
-    const setColumns = Object.keys(row).filter((col) => !primaryKey.includes(col));
+  async updateRow(tableName, row, primaryKey, options = {}) {
+    const { ignoreColumns = [] } = options;
+    const setColumns = (await this.getWritableColumns(tableName, row))
+      .filter((col) => !primaryKey.includes(col) && !ignoreColumns.includes(col));
     if (setColumns.length === 0) return { affectedRows: 0 };
 
     const setClause = setColumns.map(() => '?? = ?').join(', ');
@@ -243,6 +508,86 @@ class LocalWriter {
     return this.execute(sql, params);
   }
 
+  /**
+   * Update a batch of rows by primary key in one statement
+   * Rows are staged in a temporary table holding the row's columns (CREATE TEMPORARY TABLE ...
+   * SELECT ... LIMIT 0, so column types and collations match) with only a primary key - InnoDB
+   * temporary tables cannot have the FULLTEXT or SPATIAL indexes a LIKE copy would bring along -
+   * and applied with one UPDATE ... JOIN. Only rows that exist are changed: unlike INSERT ... ON
+   * DUPLICATE KEY UPDATE, nothing is inserted and other unique keys are not consulted.
+   * When the staging table cannot be created (e.g. no CREATE TEMPORARY TABLES privilege), rows
+   * are updated one statement each for the rest of the connection's life.
+   * @param {string} tableName - Name of the table
+   * @param {Array<object>} rows - Full rows including primary key (all with the same columns)
+   * @param {string[]} primaryKey - Array of primary key column names
+   * @param {object} options - Options (ignoreColumns: columns that keep their local value)
+   * @returns {Promise<object>} Update result
+   */
+  async updateRows(tableName, rows, primaryKey, options = {}) {
+    if (rows.length === 0) return { affectedRows: 0 };
+
+    const { ignoreColumns = [] } = options;
+    const columns = await this.getWritableColumns(tableName, rows[0]);
+    const setColumns = columns.filter((col) => !primaryKey.includes(col) && !ignoreColumns.includes(col));
+    if (setColumns.length === 0) return { affectedRows: 0 };
+
+    if (!this.canStageUpdates) {
+      return this.updateRowsOneByOne(tableName, rows, primaryKey, options);
+    }
+
+    try {
+      await this.connection.query(
+        `CREATE TEMPORARY TABLE ?? (PRIMARY KEY (${primaryKey.map(() => '??').join(', ')})) ` +
+        `SELECT ${columns.map(() => '??').join(', ')} FROM ?? LIMIT 0`,
+        [UPDATE_STAGING_TABLE, ...primaryKey, ...columns, tableName]
+      );
+    } catch (err) {
+      logger.warn(`Cannot stage batched updates (${err.message}) - updating ${tableName} rows one by one`);
+      this.canStageUpdates = false;
+      return this.updateRowsOneByOne(tableName, rows, primaryKey, options);
+    }
+
+    try {
+      // Ignored columns are staged too (NOT NULL columns need a value) but never copied over
+      const placeholders = `(${columns.map(() => '?').join(', ')})`;
+      const stageParams = [UPDATE_STAGING_TABLE, ...columns];
+      for (const row of rows) {
+        stageParams.push(...columns.map((col) => row[col]));
+      }
+      await this.execute(
+        `INSERT INTO ?? (${columns.map(() => '??').join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`,
+        stageParams
+      );
+
+      const joinClause = primaryKey.map(() => 't.?? = s.??').join(' AND ');
+      const setClause = setColumns.map(() => 't.?? = s.??').join(', ');
+      const params = [tableName, UPDATE_STAGING_TABLE];
+      for (const col of [...primaryKey, ...setColumns]) {
+        params.push(col, col);
+      }
+
+      return await this.execute(`UPDATE ?? AS t JOIN ?? AS s ON ${joinClause} SET ${setClause}`, params);
+    } finally {
+      await this.connection.query('DROP TEMPORARY TABLE IF EXISTS ??', [UPDATE_STAGING_TABLE]);
+    }
+  }
+
+  /**
+   * Update rows one statement each (fallback for updateRows)
+   * @param {string} tableName - Name of the table
+   * @param {Array<object>} rows - Full rows including primary key
+   * @param {string[]} primaryKey - Array of primary key column names
+   * @param {object} options - Options (ignoreColumns: columns that keep their local value)
+   * @returns {Promise<object>} Result with the summed affectedRows
+   */
+  async updateRowsOneByOne(tableName, rows, primaryKey, options = {}) {
+    let affectedRows = 0;
+    for (const row of rows) {
+      affectedRows += (await this.updateRow(tableName, row, primaryKey, options)).affectedRows || 0;
+    }
+    return { affectedRows };
+  }
+
   /**
    * Delete a row by primary key
    * @param {string} tableName - Name of the table
@@ -263,6 +608,29 @@ class LocalWriter {
     return this.execute(sql, params);
   }
 
+  /**
+   * Delete a batch of rows by primary key in one statement
+   * Single-column keys use `pk IN (...)`, composite keys a row constructor `(a, b) IN ((?, ?), ...)`.
+   * @param {string} tableName - Name of the table
+   * @param {Array<object>} keys - Primary key column-value pairs of each row (same columns)
+   * @returns {Promise<object>} Delete result
+   */
+  async deleteRows(tableName, keys) {
+    if (keys.length === 0) return { affectedRows: 0 };
+
+    const columns = Object.keys(keys[0]);
+    const params = [tableName, ...columns];
+    for (const key of keys) {
+      params.push(...columns.map((col) => key[col]));
+    }
+
+    const target = columns.length === 1 ? '??' : `(${columns.map(() => '??').join(', ')})`;
+    const tuple = columns.length === 1 ? '?' : `(${columns.map(() => '?').join(', ')})`;
+    const sql = `DELETE FROM ?? WHERE ${target} IN (${keys.map(() => tuple).join(', ')})`;
+
+    return this.execute(sql, params);
+  }
+
   /**
    * Execute a schema change (CREATE TABLE, ALTER TABLE)
    * @param {string} sql - DDL statement
@@ -271,41 +639,62 @@ class LocalWriter {
   async executeSchema(sql) {
     logger.info(`Executing schema change: ${sql.substring(0, 100)}...`);
     const [result] = await this.connection.query(sql);
+    this.dataColumns.clear();
+    return result;
+  }
+
+  /**
+   * Execute a raw, fully-formed SQL statement (used to replay SQL patches)
+   * Not retried: a statement inside a transaction cannot be safely replayed on a new connection.
+   * @param {string} sql - SQL statement
+   * @returns {Promise<object>} Result
+   */
+  async executeStatement(sql) {
+    logger.debug(`Executing local statement: ${sql.substring(0, 100)}...`);
+    const [result] = await this.connection.query(sql);
     return result;
   }
 
   /**
    * Begin a transaction
+   * @param {string} [tableName] - Table the transaction applies to (for logging)
    */
-  async beginTransaction() {
+  async beginTransaction(tableName = null) {
     await this.connection.beginTransaction();
-    logger.debug('Transaction started');
+    logger.debug(`Transaction started${tableName ? ` for ${tableName}` : ''}`);
   }
 
   /**
    * Commit a transaction
+   * @param {string} [tableName] - Table the transaction applies to (for logging)
    */
-  async commit() {
+  async commit(tableName = null) {
     await this.connection.commit();
-    logger.debug('Transaction committed');
+    logger.debug(`Transaction committed${tableName ? ` for ${tableName}` : ''}`);
   }
 
   /**
    * Rollback a transaction
+   * @param {string} [tableName] - Table the transaction applies to (for logging)
    */
-  async rollback() {
+  async rollback(tableName = null) {
     await this.connection.rollback();
-    logger.debug('Transaction rolled back');
+    logger.debug(`Transaction rolled back${tableName ? ` for ${tableName}` : ''}`);
   }
 
   /**
    * Get the maximum timestamp value from a column
    * @param {string} tableName - Name of the table
    * @param {string} column - Timestamp column name
+   * @param {object|null} where - Row filter condition ({ clause, params })
    * @returns {Promise<Date|null>} Max timestamp or null if no data
    */
-  async getMaxTimestamp(tableName, column) {
-    const [result] = await this.query('SELECT MAX(??) as maxTs FROM ??', [column, tableName]);
+  async getMaxTimestamp(tableName, column, where = null) {
+    const filter = where ? ` WHERE (${where.clause})` : '';
+    const [result] = await this.query(
+      `SELECT MAX(??) as maxTs FROM ??${filter}`,
+      [column, tableName, ...(where?.params || [])]
+    );
     return result?.maxTs || null;
   }
 
@@ -327,12 +716,13 @@ class LocalWriter {
   }
 
   /**
-   * Close the connection
+   * Close the connection pool
    */
   async close() {
     logger.info('Closing local MySQL connection');
-    await this.connection.end();
+    this.connection.release();
+    await this.pool.end();
   }
 }
 
-export default { createLocalWriter };
+export default { createLocalWriter, LocalWriter };
@@ -0,0 +1,168 @@
+/**
+ * Data Masking for Driftwarden
+ * Anonymizes PII columns in rows read from the remote database before they are diffed
+ * Masking is deterministic (salted SHA-256), so the same remote value always produces
+ * the same local value and masked columns never show up as spurious updates.
+ */
+
+import { createHash } from 'crypto';
+
+export const MASKING_STRATEGIES = ['hash', 'fake-email', 'null', 'fixed', 'keep-domain', 'truncate'];
+
+const DEFAULT_HASH_LENGTH = 16;
+const DEFAULT_FAKE_DOMAIN = 'example.com';
+
+/**
+ * Normalize a column rule to object form
+ * @param {string|object} rule - Strategy name or { strategy, ...options }
+ * @returns {object} Rule object
+ */
+function normalizeRule(rule) {
+  return typeof rule === 'string' ? { strategy: rule } : rule;
+}
+
+/**
+ * Validate a sync.masking config section
+ * @param {object} masking - Masking config ({ salt, tables: { table: { column: rule } } })
+ * @returns {string[]} Validation errors
+ */
+export function validateMaskingConfig(masking) {
+  const errors = [];
+
+  if (!masking) return errors;
+
+  if (typeof masking.tables !== 'object' || masking.tables === null) {
+    errors.push('sync.masking.tables must be an object of table -> column rules');
+    return errors;
+  }
+
+  for (const [table, columns] of Object.entries(masking.tables)) {
+    for (const [column, rawRule] of Object.entries(columns || {})) {
+      const rule = normalizeRule(rawRule);
+      const path = `sync.masking.tables.${table}.${column}`;
+
+      if (!rule || !MASKING_STRATEGIES.includes(rule.strategy)) {
+        errors.push(`${path}: unknown strategy "${rule?.strategy}" (expected one of ${MASKING_STRATEGIES.join(', ')})`);
+      } else if (rule.strategy === 'fixed' && !('value' in rule)) {
+        errors.push(`${path}: "fixed" strategy requires a value`);
+      } else if (rule.strategy === 'truncate' && !(Number.isInteger(rule.length) && rule.length >= 0)) {
+        errors.push(`${path}: "truncate" strategy requires a non-negative integer length`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Hash a value with the masking salt
+ * @param {*} value - Column value
+ * @param {string} salt - Secret salt
+ * @returns {string} Hex digest
+ */
+function hashValue(value, salt) {
+  return createHash('sha256')
+    .update(salt)
+    .update('\0')
+    .update(Buffer.isBuffer(value) ? value : String(value instanceof Date ? value.toISOString() : value))
+    .digest('hex');
+}
+
+/**
+ * Mask a single value
+ * NULL stays NULL so nullability (and "is this set?" checks in the app) is preserved.
+ * @param {*} value - Column value
+ * @param {string|object} rawRule - Masking rule
+ * @param {string} salt - Secret salt
+ * @returns {*} Masked value
+ */
+export function maskValue(value, rawRule, salt = '') {
+  if (value === null || value === undefined) return value;
+
+  const rule = normalizeRule(rawRule);
+
+  switch (rule.strategy) {
+    case 'hash':
+      return hashValue(value, salt).substring(0, rule.length || DEFAULT_HASH_LENGTH);
+
+    case 'fake-email':
+      return `user_${hashValue(value, salt).substring(0, 12)}@${rule.domain || DEFAULT_FAKE_DOMAIN}`;
+
+    case 'keep-domain': {
+      const str = String(value);
+      const at = str.lastIndexOf('@');
+      const local = hashValue(str, salt).substring(0, 12);
+      return at === -1 ? local : `${local}${str.substring(at)}`;
+    }
+
+    case 'null':
+      return null;
+
+    case 'fixed':
+      return rule.value;
+
+    case 'truncate':
+      return Buffer.isBuffer(value) ? value.subarray(0, rule.length) : String(value).substring(0, rule.length);
+
+    default:
+      throw new Error(`Unknown masking strategy: ${rule.strategy}`);
+  }
+}
+
+/**
+ * Create a masker for a sync.masking config section
+ * @param {object} masking - Masking config ({ salt, tables })
+ * @returns {object} Masker
+ */
+export function createMasker(masking = {}) {
+  const salt = masking.salt || '';
+  const tables = masking.tables || {};
+
+  return {
+    /**
+     * Check whether any column of a table is masked
+     * @param {string} tableName - Table name
+     * @returns {boolean}
+     */
+    isMasked(tableName) {
+      return Object.keys(tables[tableName] || {}).length > 0;
+    },
+
+    /**
+     * Get the masked columns of a table
+     * @param {string} tableName - Table name
+     * @returns {string[]}
+     */
+    getMaskedColumns(tableName) {
+      return Object.keys(tables[tableName] || {});
+    },
+
+    /**
+     * Mask rows read from a table (returns new row objects)
+     * @param {string} tableName - Table name
+     * @param {Array<object>} rows - Rows
+     * @returns {Array<object>} Masked rows
+     */
+    maskRows(tableName, rows) {
+      const rules = tables[tableName];
+      if (!rules) return rows;
+
+      return rows.map((row) => {
+        const masked = { ...row };
+        for (const [column, rule] of Object.entries(rules)) {
+          if (column in masked) {
+            masked[column] = maskValue(masked[column], rule, salt);
+          }
+        }
+        return masked;
+      });
+    },
+  };
+}
+
+export default {
+  MASKING_STRATEGIES,
+  validateMaskingConfig,
+  maskValue,
+  createMasker,
+};
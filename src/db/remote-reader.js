@@ -7,10 +7,33 @@
 import mysql from 'mysql2/promise';
 import { logger } from '../utils/logger.js';
 import { withRetry, isRetryableError, DEFAULT_RETRY_CONFIG } from '../utils/retry.js';
+import {
+  buildSelectList,
+  buildSelectPage,
+  buildSelectByKeys,
+  buildCountQuery,
+  buildChunkBoundaryQuery,
+  buildRangeChecksumQuery,
+  iterateChunks,
+} from './sql-builder.js';
+import { createMasker } from './masking.js';
+import {
+  FOREIGN_KEYS_QUERY,
+  groupForeignKeys,
+  readTableConstraints,
+  readTableOptions,
+  readSchemaObjects,
+  readColumnDetails,
+  dataColumnNames,
+} from './introspection.js';
 
 // Whitelist of allowed SQL operations (READ-ONLY)
 const ALLOWED_OPERATIONS = ['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN'];
 
+// The one session statement allowed (sync.timezone): it changes how TIMESTAMP values are
+// returned on that connection and never writes data. Only this exact text passes the guard.
+const SESSION_TIME_ZONE_STATEMENT = 'SET time_zone = ?';
+
 /**
  * Detect identifier placeholders in SQL (??)
  * These are not supported by prepared statements and must use query formatting.
@@ -27,6 +50,8 @@ function usesIdentifierPlaceholders(sql) {
  * @throws {Error} if query is not read-only
  */
 function validateReadOnly(sql) {
+  if (sql === SESSION_TIME_ZONE_STATEMENT) return;
+
   const trimmed = sql.trim().toUpperCase();
   const firstWord = trimmed.split(/\s+/)[0];
 
@@ -40,19 +65,24 @@ function validateReadOnly(sql) {
 }
 
 /**
- * Create a read-only MySQL connection to remote database through tunnel
+ * Create a read-only MySQL connection pool to remote database through tunnel
+ * Every query is a standalone read, so the pool serves up to `concurrency` tables at once
+ * through the same tunnel.
  * @param {object} config - MySQL config (host, port, user, password, database)
  * @param {object} retryConfig - Optional retry configuration
+ * @param {object} options - Reader options (masking: sync.masking config, timezone: sync.timezone offset,
+ *   concurrency: sync.concurrency)
  * @returns {Promise<RemoteReader>}
  */
-export async function createRemoteReader(config, retryConfig = {}) {
+export async function createRemoteReader(config, retryConfig = {}, options = {}) {
   const { host, port, user, password, database } = config;
+  const { timezone = null, concurrency = 1 } = options;
 
   logger.info(`Connecting to remote MySQL at ${host}:${port}/${database}...`);
 
-  const connection = await withRetry(
+  const pool = await withRetry(
     async () => {
-      return mysql.createConnection({
+      const candidate = mysql.createPool({
         host,
         port,
         user,
@@ -61,7 +91,28 @@ export async function createRemoteReader(config, retryConfig = {}) {
         connectTimeout: 30000,
         // Additional safety: set session to read-only mode
         multipleStatements: false, // Prevent SQL injection via multiple statements
+        connectionLimit: concurrency,
+        ...(timezone && { timezone }),
       });
+
+      if (timezone) {
+        // Runs on each new pooled connection before it is handed out, through the same guard
+        validateReadOnly(SESSION_TIME_ZONE_STATEMENT);
+        candidate.on('connection', (connection) => {
+          connection.query(SESSION_TIME_ZONE_STATEMENT, [timezone], (err) => {
+            if (err) logger.error(`Failed to set remote session time zone: ${err.message}`);
+          });
+        });
+      }
+
+      // Open one connection up front so connection errors surface (and are retried) here
+      try {
+        (await candidate.getConnection()).release();
+      } catch (err) {
+        await candidate.end().catch(() => {});
+        throw err;
+      }
+      return candidate;
     },
     {
       ...DEFAULT_RETRY_CONFIG,
@@ -71,19 +122,29 @@ export async function createRemoteReader(config, retryConfig = {}) {
     }
   );
 
-  logger.info('Remote MySQL connection established (READ-ONLY mode)');
+  logger.info(`Remote MySQL connection established (READ-ONLY mode, up to ${concurrency} connection(s))`);
+  if (timezone) {
+    logger.info(`Remote session time zone set to ${timezone}`);
+  }
+
+  const masker = options.masking ? createMasker(options.masking) : null;
+  if (masker) {
+    logger.info('Data masking enabled for remote rows');
+  }
 
-  return new RemoteReader(connection, database, retryConfig);
+  return new RemoteReader(pool, database, retryConfig, masker);
 }
 
 /**
  * RemoteReader class - provides read-only access to remote MySQL
  */
 class RemoteReader {
-  constructor(connection, database, retryConfig = {}) {
-    this.connection = connection;
+  constructor(connection, database, retryConfig = {}, masker = null) {
+    this.connection = connection; // Connection pool (or any object with query/execute/end)
     this.database = database;
     this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...retryConfig };
+    this.masker = masker;
+    this.dataColumns = new Map();
   }
 
   /**
@@ -112,11 +173,31 @@ class RemoteReader {
   }
 
   /**
-   * Get list of all tables in the database
+   * Apply masking rules to rows read from a table
+   * @param {string} tableName - Name of the table
+   * @param {Array} rows - Rows as read from the server
+   * @returns {Array} Masked rows (unchanged if the table has no rules)
+   */
+  maskRows(tableName, rows) {
+    return this.masker ? this.masker.maskRows(tableName, rows) : rows;
+  }
+
+  /**
+   * Get the masked columns of a table
+   * @param {string} tableName - Name of the table
+   * @returns {string[]} Masked column names
+   */
+  getMaskedColumns(tableName) {
+    return this.masker ? this.masker.getMaskedColumns(tableName) : [];
+  }
+
+  /**
+   * Get list of all base tables in the database (views excluded)
    * @returns {Promise<string[]>} Array of table names
    */
   async getTables() {
-    const rows = await this.query('SHOW TABLES');
+    // Base tables only: views are synced as schema objects (see getSchemaObjects)
+    const rows = await this.query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
     const key = `Tables_in_${this.database}`;
     return rows.map((row) => row[key] || Object.values(row)[0]);
   }
@@ -127,8 +208,13 @@ class RemoteReader {
    * @returns {Promise<object>} Table schema info
    */
   async getTableSchema(tableName) {
-    // Get column info
-    const columns = await this.query('DESCRIBE ??', [tableName]);
+    // Get column info (FULL adds Collation and Comment), flagging generated and invisible columns
+    const columns = await readColumnDetails(
+      (sql, params) => this.query(sql, params),
+      this.database,
+      tableName,
+      await this.query('SHOW FULL COLUMNS FROM ??', [tableName])
+    );
 
     // Get CREATE TABLE statement for full schema
     const [createTableRow] = await this.query('SHOW CREATE TABLE ??', [tableName]);
@@ -137,78 +223,146 @@ class RemoteReader {
     // Get indexes
     const indexes = await this.query('SHOW INDEX FROM ??', [tableName]);
 
+    // Get foreign keys and CHECK constraints
+    const { foreignKeys, checks } = await readTableConstraints(
+      (sql, params) => this.query(sql, params),
+      this.database,
+      tableName
+    );
+
+    // Get engine, charset/collation, row format and comment
+    const options = await readTableOptions((sql, params) => this.query(sql, params), this.database, tableName);
+
     return {
       name: tableName,
       columns,
       createStatement,
       indexes,
+      foreignKeys,
+      checks,
+      options,
       primaryKey: columns.filter((col) => col.Key === 'PRI').map((col) => col.Field),
     };
   }
 
+  /**
+   * Get the columns rows are read from: all but generated columns, invisible ones included
+   * @param {string} tableName - Name of the table
+   * @returns {Promise<string[]>} Column names (cached per table)
+   */
+  async getDataColumns(tableName) {
+    if (!this.dataColumns.has(tableName)) {
+      this.dataColumns.set(tableName, dataColumnNames(await this.query('SHOW FULL COLUMNS FROM ??', [tableName])));
+    }
+    return this.dataColumns.get(tableName);
+  }
+
+  /**
+   * Get views, triggers, stored routines and events with their definitions
+   * @param {string[]} types - Object types (view, trigger, procedure, function, event)
+   * @returns {Promise<Array<object>>} Objects ({ type, name, tableName, definition })
+   */
+  async getSchemaObjects(types) {
+    return readSchemaObjects((sql, params) => this.query(sql, params), this.database, types);
+  }
+
+  /**
+   * Get foreign keys of all tables in the database
+   * @returns {Promise<Array<object>>} Foreign keys ({ name, table, columns, referencedTable, referencedColumns })
+   */
+  async getForeignKeys() {
+    const rows = await this.query(FOREIGN_KEYS_QUERY, [this.database, this.database]);
+    return groupForeignKeys(rows);
+  }
+
+  /**
+   * Get rows whose key columns match any of the given value tuples
+   * @param {string} tableName - Name of the table
+   * @param {string[]} columns - Key columns to match
+   * @param {Array<Array>} tuples - Key value tuples (one value per column)
+   * @returns {Promise<Array>} Matching rows (with masking rules applied)
+   */
+  async getRowsByKeys(tableName, columns, tuples) {
+    if (tuples.length === 0) return [];
+    const { sql, params } = buildSelectByKeys(tableName, columns, tuples, await this.getDataColumns(tableName));
+    return this.maskRows(tableName, await this.query(sql, params));
+  }
+
   /**
    * Get row count for a table
    * @param {string} tableName - Name of the table
+   * @param {object|null} where - Row filter condition ({ clause, params })
    * @returns {Promise<number>} Row count
    */
-  async getRowCount(tableName) {
-    const [result] = await this.query('SELECT COUNT(*) as count FROM ??', [tableName]);
+  async getRowCount(tableName, where = null) {
+    const { sql, params } = buildCountQuery(tableName, where);
+    const [result] = await this.query(sql, params);
     return result.count;
   }
 
   /**
    * Get data from a table with chunking support
    * @param {string} tableName - Name of the table
-   * @param {object} options - Query options
-   * @returns {Promise<Array>} Table data
+   * @param {object} options - Query options (limit, offset, orderBy, where, after)
+   * @returns {Promise<Array>} Table data (with masking rules applied)
    */
   async getTableData(tableName, options = {}) {
-    const { limit = 1000, offset = 0, orderBy = null, where = null } = options;
-
-    let sql = 'SELECT * FROM ??';
-    const params = [tableName];
-
-    if (where) {
-      sql += ' WHERE ' + where.clause;
-      params.push(...(where.params || []));
-    }
-
-    if (orderBy) {
-      sql += ' ORDER BY ??';
-      params.push(orderBy);
-    }
-
-    sql += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-
-    return this.query(sql, params);
+    const columns = await this.getDataColumns(tableName);
+    const { sql, params } = buildSelectPage(tableName, { ...options, columns });
+    return this.maskRows(tableName, await this.query(sql, params));
   }
 
   /**
    * Get data in chunks using a generator (for large tables)
+   * Pages seek past the last primary key seen (WHERE pk > ?) instead of using OFFSET,
+   * so each chunk costs the same and concurrent writes cannot skip or repeat rows.
    * @param {string} tableName - Name of the table
    * @param {number} chunkSize - Number of rows per chunk
-   * @param {string} orderBy - Column to order by (usually primary key)
+   * @param {string|string[]} orderBy - Key column(s) to seek by (usually the primary key)
+   * @param {object} options - Extra page options (after, upTo, where)
    * @yields {Array} Chunk of rows
    */
-  async *getTableDataChunked(tableName, chunkSize = 5000, orderBy = null) {
-    let offset = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-      const rows = await this.getTableData(tableName, {
-        limit: chunkSize,
-        offset,
-        orderBy,
-      });
+  async *getTableDataChunked(tableName, chunkSize = 5000, orderBy = null, options = {}) {
+    yield* iterateChunks((page) => this.getTableData(tableName, page), orderBy, chunkSize, options);
+  }
 
-      if (rows.length > 0) {
-        yield rows;
-        offset += rows.length;
-      }
+  /**
+   * Find the key of the last row in the next chunk (used to split checksum ranges)
+   * @param {string} tableName - Name of the table
+   * @param {string[]} keyColumns - Primary key columns
+   * @param {object|null} after - Exclusive lower bound (null for the first chunk)
+   * @param {number} chunkSize - Rows per chunk
+   * @param {object|null} where - Row filter condition ({ clause, params })
+   * @returns {Promise<object|null>} Boundary key, or null if fewer than chunkSize rows remain
+   */
+  async getChunkBoundary(tableName, keyColumns, after, chunkSize, where = null) {
+    const { sql, params } = buildChunkBoundaryQuery(tableName, keyColumns, after, chunkSize, where);
+    const [row] = await this.query(sql, params);
+    return row || null;
+  }
 
-      hasMore = rows.length === chunkSize;
-    }
+  /**
+   * Compute row count and aggregate checksum for a primary key range
+   * @param {string} tableName - Name of the table
+   * @param {string[]} columns - Columns to checksum
+   * @param {string[]} keyColumns - Primary key columns
+   * @param {object} range - Key range ({ after, upTo }, both optional) and row filter (where)
+   * @returns {Promise<{rowCount: number, checksum: string}>}
+   */
+  async getRangeChecksum(tableName, columns, keyColumns, range = {}) {
+    const { sql, params } = buildRangeChecksumQuery(
+      tableName,
+      columns,
+      keyColumns,
+      range.after || null,
+      range.upTo || null,
+      range.where || null
+    );
+    const [row] = await this.query(sql, params);
+    return {
+      rowCount: Number(row?.row_count || 0),
+      checksum: String(row?.checksum ?? 0),
+    };
   }
 
   /**
@@ -216,13 +370,17 @@ class RemoteReader {
    * @param {string} tableName - Name of the table
    * @param {string} timestampColumn - Column name for timestamp (updated_at, created_at)
    * @param {Date} since - Get rows modified after this time
+   * @param {object|null} where - Row filter condition ({ clause, params })
    * @returns {Promise<Array>} Modified rows
    */
-  async getModifiedRows(tableName, timestampColumn, since) {
-    return this.query(
-      'SELECT * FROM ?? WHERE ?? > ? ORDER BY ?? ASC',
-      [tableName, timestampColumn, since, timestampColumn]
+  async getModifiedRows(tableName, timestampColumn, since, where = null) {
+    const filter = where ? ` AND (${where.clause})` : '';
+    const select = buildSelectList(await this.getDataColumns(tableName));
+    const rows = await this.query(
+      `SELECT ${select.sql} FROM ?? WHERE ?? > ?${filter} ORDER BY ?? ASC`,
+      [...select.params, tableName, timestampColumn, since, ...(where?.params || []), timestampColumn]
     );
+    return this.maskRows(tableName, rows);
   }
 
   /**
@@ -243,7 +401,7 @@ class RemoteReader {
   }
 
   /**
-   * Close the connection
+   * Close the connection pool
    */
   async close() {
     logger.info('Closing remote MySQL connection');
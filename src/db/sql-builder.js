@@ -0,0 +1,318 @@
+/**
+ * SQL Builders for Driftwarden
+ * Shared query construction for RemoteReader and LocalWriter
+ * Builders only produce SELECT statements with identifier (??) and value (?) placeholders
+ */
+
+/**
+ * Normalize a column or list of columns to an array
+ * @param {string|string[]|null} columns - Column name(s)
+ * @returns {string[]} Column names
+ */
+export function toColumnList(columns) {
+  if (!columns) return [];
+  return Array.isArray(columns) ? columns : [columns];
+}
+
+/**
+ * Build a lexicographic comparison of a (possibly composite) key against key values
+ * For a composite key (a, b) and '>' this expands to: (a > ?) OR (a = ? AND b > ?)
+ * The expanded form lets MySQL use the primary key index on every version.
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object} key - Key column-value pairs to compare against
+ * @param {string} operator - '>' (strictly after) or '<=' (up to and including)
+ * @returns {{clause: string, params: Array}} Condition and its parameters
+ */
+function buildKeyComparison(keyColumns, key, operator) {
+  const strictOperator = operator === '>' ? '>' : '<';
+  const branches = [];
+  const params = [];
+
+  for (let i = 0; i < keyColumns.length; i++) {
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      parts.push('?? = ?');
+      params.push(keyColumns[j], key[keyColumns[j]]);
+    }
+    const isLast = i === keyColumns.length - 1;
+    parts.push(`?? ${isLast ? operator : strictOperator} ?`);
+    params.push(keyColumns[i], key[keyColumns[i]]);
+    branches.push(`(${parts.join(' AND ')})`);
+  }
+
+  return { clause: `(${branches.join(' OR ')})`, params };
+}
+
+/**
+ * Build a keyset (seek) condition selecting rows strictly after a key
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object} afterKey - Key column-value pairs of the last row seen
+ * @returns {{clause: string, params: Array}} Condition and its parameters
+ */
+export function buildKeysetCondition(keyColumns, afterKey) {
+  return buildKeyComparison(keyColumns, afterKey, '>');
+}
+
+/**
+ * Build conditions restricting rows to a key range (after, upTo]
+ * Either bound may be null for an open-ended range.
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object|null} after - Exclusive lower bound
+ * @param {object|null} upTo - Inclusive upper bound
+ * @returns {{clauses: string[], params: Array}} Conditions and their parameters
+ */
+export function buildKeyRangeConditions(keyColumns, after, upTo) {
+  const clauses = [];
+  const params = [];
+
+  for (const [bound, operator] of [[after, '>'], [upTo, '<=']]) {
+    if (bound && keyColumns.length > 0) {
+      const comparison = buildKeyComparison(keyColumns, bound, operator);
+      clauses.push(comparison.clause);
+      params.push(...comparison.params);
+    }
+  }
+
+  return { clauses, params };
+}
+
+/**
+ * Build a row filter condition from a sync.filters clause
+ * @param {string|object|null} filter - Raw SQL clause, or an existing { clause, params } condition
+ * @returns {{clause: string, params: Array}|null} Condition, or null when unfiltered
+ */
+export function toWhereCondition(filter) {
+  if (!filter) return null;
+  if (typeof filter === 'string') return { clause: filter, params: [] };
+  return filter;
+}
+
+/**
+ * Build the WHERE part shared by all builders: an optional row filter plus key range bounds
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object|null} after - Exclusive lower bound
+ * @param {object|null} upTo - Inclusive upper bound
+ * @returns {{sql: string, params: Array}} ' WHERE ...' (or '') and its parameters
+ */
+function buildWhere(where, keyColumns, after, upTo) {
+  const conditions = [];
+  const params = [];
+
+  if (where) {
+    conditions.push(`(${where.clause})`);
+    params.push(...(where.params || []));
+  }
+
+  const range = buildKeyRangeConditions(keyColumns, after, upTo);
+  conditions.push(...range.clauses);
+  params.push(...range.params);
+
+  return {
+    sql: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+    params,
+  };
+}
+
+/**
+ * Extract key column values from a row
+ * @param {object} row - Row data
+ * @param {string[]} keyColumns - Key columns
+ * @returns {object} Key column-value pairs
+ */
+export function extractKey(row, keyColumns) {
+  const key = {};
+  for (const col of keyColumns) {
+    key[col] = row[col];
+  }
+  return key;
+}
+
+/**
+ * Build the select list: the given columns, or * when none are given
+ * @param {string[]|null} columns - Columns to select
+ * @returns {{sql: string, params: Array}} Select list and its identifier parameters
+ */
+export function buildSelectList(columns) {
+  if (!columns || columns.length === 0) return { sql: '*', params: [] };
+  return { sql: columns.map(() => '??').join(', '), params: [...columns] };
+}
+
+/**
+ * Build a paged SELECT for a table
+ * When `after` is given, pages are fetched by seeking past the last key (no OFFSET),
+ * which keeps each page O(chunk) and stable while the table is being written to.
+ * `upTo` caps the page at an inclusive upper key (used for checksum ranges).
+ * @param {string} tableName - Name of the table
+ * @param {object} options - Query options (limit, offset, orderBy, where, after, upTo,
+ *   columns: explicit select list instead of *)
+ * @returns {{sql: string, params: Array}} Query and its parameters
+ */
+export function buildSelectPage(tableName, options = {}) {
+  const { limit = 1000, offset = 0, orderBy = null, where = null, after = null, upTo = null, columns = null } = options;
+  const orderColumns = toColumnList(orderBy);
+
+  const select = buildSelectList(columns);
+  const filter = buildWhere(where, orderColumns, after, upTo);
+  let sql = `SELECT ${select.sql} FROM ??` + filter.sql;
+  const params = [...select.params, tableName, ...filter.params];
+
+  if (orderColumns.length > 0) {
+    sql += ' ORDER BY ' + orderColumns.map(() => '??').join(', ');
+    params.push(...orderColumns);
+  }
+
+  if (after) {
+    sql += ' LIMIT ?';
+    params.push(limit);
+  } else {
+    sql += ' LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * Build a SELECT for rows whose (possibly composite) key columns match any of the given tuples
+ * Uses a row constructor IN list for composite keys: (a, b) IN ((?, ?), ...)
+ * @param {string} tableName - Name of the table
+ * @param {string[]} columns - Key columns to match
+ * @param {Array<Array>} tuples - Key value tuples (one value per column)
+ * @param {string[]|null} selectColumns - Explicit select list instead of *
+ * @returns {{sql: string, params: Array}} Query and its parameters
+ */
+export function buildSelectByKeys(tableName, columns, tuples, selectColumns = null) {
+  const select = buildSelectList(selectColumns);
+
+  if (columns.length === 1) {
+    return {
+      sql: `SELECT ${select.sql} FROM ?? WHERE ?? IN (?)`,
+      params: [...select.params, tableName, columns[0], tuples.map((tuple) => tuple[0])],
+    };
+  }
+
+  return {
+    sql: `SELECT ${select.sql} FROM ?? WHERE (${columns.map(() => '??').join(', ')}) IN (?)`,
+    params: [...select.params, tableName, ...columns, tuples],
+  };
+}
+
+/**
+ * Build a row count query
+ * @param {string} tableName - Name of the table
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @returns {{sql: string, params: Array}} Query and its parameters
+ */
+export function buildCountQuery(tableName, where = null) {
+  const filter = buildWhere(where, [], null, null);
+  return {
+    sql: 'SELECT COUNT(*) as count FROM ??' + filter.sql,
+    params: [tableName, ...filter.params],
+  };
+}
+
+/**
+ * Build a query returning the key of the last row in the next chunk after a key
+ * Only key columns are read, so finding range boundaries is an index-only scan.
+ * @param {string} tableName - Name of the table
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object|null} after - Exclusive lower bound (null for the first chunk)
+ * @param {number} chunkSize - Rows per chunk
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @returns {{sql: string, params: Array}} Query and its parameters
+ */
+export function buildChunkBoundaryQuery(tableName, keyColumns, after, chunkSize, where = null) {
+  const filter = buildWhere(where, keyColumns, after, null);
+  let sql = `SELECT ${keyColumns.map(() => '??').join(', ')} FROM ??` + filter.sql;
+  const params = [...keyColumns, tableName, ...filter.params];
+
+  sql += ` ORDER BY ${keyColumns.map(() => '??').join(', ')} LIMIT 1 OFFSET ?`;
+  params.push(...keyColumns, chunkSize - 1);
+
+  return { sql, params };
+}
+
+/**
+ * Build an aggregate checksum query over a key range (pt-table-checksum style)
+ * Each row is reduced to CRC32 of its column values plus a NULL bitmap, and rows are
+ * combined with BIT_XOR, so both servers can be compared without transferring rows.
+ * Columns are cast to BINARY before concatenating, so columns with different collations do not
+ * fail with "Illegal mix of collations" (and binary values are compared byte for byte).
+ * @param {string} tableName - Name of the table
+ * @param {string[]} columns - Columns to include in the checksum (same order on both sides)
+ * @param {string[]} keyColumns - Ordered key columns
+ * @param {object|null} after - Exclusive lower bound
+ * @param {object|null} upTo - Inclusive upper bound
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @returns {{sql: string, params: Array}} Query and its parameters
+ */
+export function buildRangeChecksumQuery(tableName, columns, keyColumns, after, upTo, where = null) {
+  const columnList = columns.map(() => 'CAST(?? AS BINARY)').join(', ');
+  const nullBitmap = columns.map(() => 'ISNULL(??)').join(', ');
+
+  let sql =
+    'SELECT COUNT(*) AS row_count, ' +
+    `COALESCE(BIT_XOR(CRC32(CONCAT_WS('#', ${columnList}, CONCAT(${nullBitmap})))), 0) AS checksum ` +
+    'FROM ??';
+  const params = [...columns, ...columns, tableName];
+
+  const filter = buildWhere(where, keyColumns, after, upTo);
+  sql += filter.sql;
+  params.push(...filter.params);
+
+  return { sql, params };
+}
+
+/**
+ * Iterate a table in chunks
+ * Seeks by key when key columns are known, otherwise falls back to OFFSET paging.
+ * @param {Function} fetchPage - Called with getTableData-style options, returns rows
+ * @param {string|string[]|null} keyColumns - Key column(s) to seek by
+ * @param {number} chunkSize - Rows per chunk
+ * @param {object} extraOptions - Additional options passed to every page (e.g. where, upTo);
+ *   `after` sets the starting key
+ * @yields {Array} Chunk of rows
+ */
+export async function* iterateChunks(fetchPage, keyColumns, chunkSize, extraOptions = {}) {
+  const orderBy = toColumnList(keyColumns);
+  const useKeyset = orderBy.length > 0;
+  let after = extraOptions.after || null;
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const rows = await fetchPage({
+      ...extraOptions,
+      limit: chunkSize,
+      orderBy: useKeyset ? orderBy : null,
+      ...(useKeyset ? { after } : { offset }),
+    });
+
+    if (rows.length > 0) {
+      yield rows;
+      if (useKeyset) {
+        after = extractKey(rows[rows.length - 1], orderBy);
+      } else {
+        offset += rows.length;
+      }
+    }
+
+    hasMore = rows.length === chunkSize;
+  }
+}
+
+export default {
+  toColumnList,
+  buildKeysetCondition,
+  buildKeyRangeConditions,
+  toWhereCondition,
+  extractKey,
+  buildSelectList,
+  buildSelectPage,
+  buildSelectByKeys,
+  buildCountQuery,
+  buildChunkBoundaryQuery,
+  buildRangeChecksumQuery,
+  iterateChunks,
+};
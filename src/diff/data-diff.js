@@ -4,25 +4,130 @@
  */
 
 import { logger } from '../utils/logger.js';
+import { toWhereCondition, buildCountQuery, buildSelectList, buildKeysetCondition } from '../db/sql-builder.js';
+import { dataColumnNames } from '../db/introspection.js';
+import { createValueComparator } from './value-normalizer.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { firstRows } from '../utils/row-spool.js';
+import { DEFAULT_STRATEGY, limitToStrategy, resolveStrategy } from '../utils/apply-strategy.js';
+
+// Comparator used when no column metadata is available
+const defaultValuesEqual = createValueComparator();
+
+/**
+ * Resolve the ignored columns of a table from sync.ignoreColumns
+ * @param {object} ignoreColumns - Map of table name (or '*' for every table) to column names
+ * @param {string} tableName - Table name
+ * @returns {string[]} Columns to ignore
+ */
+export function resolveIgnoredColumns(ignoreColumns, tableName) {
+  if (!ignoreColumns) return [];
+  return [...new Set([...(ignoreColumns['*'] || []), ...(ignoreColumns[tableName] || [])])];
+}
+
+/**
+ * Drop primary key columns from an ignore list (rows could no longer be matched)
+ * @param {string} tableName - Table name
+ * @param {string[]} ignoreColumns - Columns to ignore
+ * @param {string[]} pk - Primary key columns
+ * @returns {string[]} Ignorable columns
+ */
+function withoutKeyColumns(tableName, ignoreColumns, pk) {
+  const keys = ignoreColumns.filter((col) => (pk || []).includes(col));
+  if (keys.length > 0) {
+    logger.warn(`Not ignoring primary key column(s) of ${tableName}: ${keys.join(', ')}`);
+  }
+  return ignoreColumns.filter((col) => !keys.includes(col));
+}
+
+/**
+ * Restrict a row filter to rows after a primary key
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @param {string[]} pk - Primary key columns
+ * @param {object} afterKey - Key column-value pairs
+ * @returns {{clause: string, params: Array}} Combined condition
+ */
+function withRowsAfter(where, pk, afterKey) {
+  const keyset = buildKeysetCondition(pk, afterKey);
+  if (!where) return keyset;
+  return { clause: `(${where.clause}) AND ${keyset.clause}`, params: [...(where.params || []), ...keyset.params] };
+}
 
 /**
  * Compare data between remote and local tables
  * @param {object} remoteReader - Remote database reader
  * @param {object} localWriter - Local database writer
  * @param {string} tableName - Table to compare
- * @param {object} options - Comparison options
+ * @param {object} options - Comparison options (resumeAfter: last primary key applied by an
+ *   interrupted run, rows up to it are left out)
  * @returns {Promise<object>} Data diff with insert/update/delete operations
  */
 export async function diffTableData(remoteReader, localWriter, tableName, options = {}) {
-  const { chunkSize = 5000, primaryKey = null, useIncremental = true, streamingMode = true } = options;
+  const {
+    chunkSize = 5000,
+    primaryKey = null,
+    useIncremental = true,
+    streamingMode = true,
+    checksumMode = false,
+    filter = null,
+    ignoreColumns = [],
+    ignoreColumnsOnInsert = false,
+    spill = null,
+    strategy = DEFAULT_STRATEGY,
+    resumeAfter = null,
+  } = options;
+
+  // Row filter (sync.filters): only rows matching it are compared on either side
+  const rowFilter = toWhereCondition(filter);
 
   // Get table schema to find primary key
   const schema = await remoteReader.getTableSchema(tableName);
   const pk = primaryKey || schema.primaryKey;
 
+  // Resumed tables (--resume) skip the rows an interrupted run already applied; the diff keeps
+  // the plain row filter, which the executor and SQL patches use for the whole table
+  const resumed = resumeAfter && pk?.length > 0 && strategy !== 'replace';
+  const where = resumed ? withRowsAfter(rowFilter, pk, resumeAfter) : rowFilter;
+  if (resumed) {
+    logger.info(`Resuming ${tableName} after primary key ${JSON.stringify(resumeAfter)}`);
+  }
+
+  // Values are compared by column type (DECIMAL scale, JSON key order, float tolerance, ...);
+  // ignored columns (sync.ignoreColumns) never make rows differ
+  const ignored = withoutKeyColumns(tableName, ignoreColumns, pk);
+  const valuesEqual = createValueComparator(schema.columns, { ignoreColumns: ignored });
+
+  // The executor keeps local values of ignored columns on update (and on insert, if configured);
+  // operations the table's strategy (sync.strategies) does not apply are dropped from the diff
+  const withIgnored = (diff) => limitToStrategy(Object.assign(diff, {
+    ignoreColumns: ignored,
+    ignoreColumnsOnInsert: ignoreColumnsOnInsert && ignored.length > 0,
+    ...(resumed && { filter: rowFilter?.clause || null, resumedAfter: resumeAfter }),
+  }), strategy);
+
+  // Row lists: arrays, or spools that move rows to disk past a threshold (sync.spill)
+  const newRows = spill ? (list) => spill.createSpool(`${tableName}-${list}`) : () => [];
+
+  // Masked keys would break row matching and any foreign keys pointing at them
+  const maskedColumns = remoteReader.getMaskedColumns?.(tableName) || [];
+  const maskedKeys = (pk || []).filter((col) => maskedColumns.includes(col));
+  if (maskedKeys.length > 0) {
+    throw new Error(`Cannot mask primary key column(s) of ${tableName}: ${maskedKeys.join(', ')}`);
+  }
+
+  if (strategy === 'replace') {
+    logger.info(`Replacing all rows of ${tableName} (strategy: replace)`);
+    const diff = await fullTableDiff(remoteReader, localWriter, tableName, chunkSize, where, newRows);
+    return withIgnored(Object.assign(diff, { primaryKey: pk || [] }));
+  }
+
   if (!pk || pk.length === 0) {
+    // Without a key, rows cannot be matched: only a full replacement keeps the table in sync
+    if (strategy !== DEFAULT_STRATEGY) {
+      throw new Error(`Strategy ${strategy} needs a primary key, and ${tableName} has none`);
+    }
     logger.warn(`Table ${tableName} has no primary key - full comparison required`);
-    return await fullTableDiff(remoteReader, localWriter, tableName, chunkSize);
+    return withIgnored(await fullTableDiff(remoteReader, localWriter, tableName, chunkSize, where, newRows));
   }
 
   // Check for timestamp columns for incremental sync
@@ -35,36 +140,68 @@ export async function diffTableData(remoteReader, localWriter, tableName, option
       const localTimestamps = await localWriter.checkTimestampColumns(tableName);
       if (localTimestamps.hasUpdatedAt) {
         logger.info(`Using incremental sync for ${tableName} (updated_at column detected)`);
-        return await incrementalDiff(
+        return withIgnored(await incrementalDiff(
           remoteReader,
           localWriter,
           tableName,
           pk,
           timestamps.updatedAtColumn,
-          chunkSize
-        );
+          chunkSize,
+          where,
+          valuesEqual,
+          newRows
+        ));
       }
     }
   }
 
+  // Checksum mode: compare per-range aggregates and only fetch ranges that differ
+  // (remote checksums are computed server-side on unmasked values, so masked tables stream instead)
+  if (checksumMode && maskedColumns.length > 0) {
+    logger.info(`Table ${tableName} has masked columns - using streaming diff instead of checksums`);
+  } else if (checksumMode) {
+    const columns = await getChecksumColumns(localWriter, tableName, schema);
+    if (columns) {
+      const checksumColumns = columns.filter((col) => !ignored.includes(col));
+      return withIgnored(
+        await checksumTableDiff(
+          remoteReader, localWriter, tableName, pk, timestamps, chunkSize, checksumColumns, where, valuesEqual, newRows
+        )
+      );
+    }
+    logger.warn(`Column sets differ for ${tableName} - falling back to streaming diff`);
+  }
+
+  // Spilled diffs compare key ranges, so delete detection does not remember every remote key
+  if (streamingMode && spill) {
+    return withIgnored(
+      await rangedTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where, valuesEqual, newRows)
+    );
+  }
+
   // Use streaming mode for large tables (default) or in-memory for small tables
   if (streamingMode) {
-    return await streamingTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize);
+    return withIgnored(
+      await streamingTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where, valuesEqual)
+    );
   }
 
   // Legacy in-memory approach (for backwards compatibility or small tables)
-  return await inMemoryTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize);
+  return withIgnored(
+    await inMemoryTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where, valuesEqual)
+  );
 }
 
 /**
  * Streaming/chunked table diff - processes data in batches to reduce memory usage
  * Uses sorted merge join approach: both tables are read in PK order and compared chunk by chunk
  */
-async function streamingTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize) {
+async function streamingTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where = null, valuesEqual = defaultValuesEqual) {
   const diff = {
     tableName,
     primaryKey: pk,
     hasTimestamps: timestamps.hasUpdatedAt || timestamps.hasCreatedAt,
+    filter: where?.clause || null,
     toInsert: [],
     toUpdate: [],
     toDelete: [],
@@ -81,10 +218,9 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
 
   // Get row counts using available methods (fallback to counting during iteration)
   if (typeof remoteReader.getRowCount === 'function') {
-    diff.stats.remoteRows = await remoteReader.getRowCount(tableName);
+    diff.stats.remoteRows = await remoteReader.getRowCount(tableName, where);
   }
-  const [localCountResult] = await localWriter.query('SELECT COUNT(*) as count FROM ??', [tableName]);
-  diff.stats.localRows = localCountResult?.count || 0;
+  diff.stats.localRows = await countLocalRows(localWriter, tableName, where);
 
   // Track remote PKs we've seen (for delete detection)
   // Use a Set of PK strings - more memory efficient than storing full rows
@@ -92,7 +228,7 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
 
   // Process remote data in chunks, comparing against local on-the-fly
   logger.info(`Streaming comparison for ${tableName}...`);
-  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk[0])) {
+  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk, { where })) {
     // Build PK lookup for this chunk
     const chunkPKs = remoteChunk.map(row => buildPrimaryKeyValue(row, pk));
 
@@ -119,12 +255,12 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
         // Row exists in remote but not local - INSERT
         diff.toInsert.push(remoteRow);
         diff.stats.inserts++;
-      } else if (!rowsEqual(remoteRow, localRow)) {
+      } else if (!rowsEqual(remoteRow, localRow, valuesEqual)) {
         // Row exists in both but different - UPDATE
         diff.toUpdate.push({
           remote: remoteRow,
           local: localRow,
-          changes: getRowChanges(localRow, remoteRow),
+          changes: getRowChanges(localRow, remoteRow, valuesEqual),
         });
         diff.stats.updates++;
       }
@@ -137,18 +273,9 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
   }
 
   // Scan local table for deletions (rows not in remote)
-  // Process in chunks to keep memory low
+  // Process in chunks to keep memory low; rows outside the filter are never deletes
   logger.debug(`Scanning local ${tableName} for deletions...`);
-  let localOffset = 0;
-  let localHasMore = true;
-
-  while (localHasMore) {
-    const localChunk = await localWriter.getTableData(tableName, {
-      limit: chunkSize,
-      offset: localOffset,
-      orderBy: pk[0],
-    });
-
+  for await (const localChunk of localWriter.getTableDataChunked(tableName, chunkSize, pk, { where })) {
     for (const localRow of localChunk) {
       const key = buildPrimaryKeyValue(localRow, pk);
       if (!remoteKeysSeen.has(key)) {
@@ -156,9 +283,65 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
         diff.stats.deletes++;
       }
     }
+  }
+
+  logger.info(
+    `Data diff for ${tableName}: ` +
+    `${diff.stats.inserts} inserts, ${diff.stats.updates} updates, ${diff.stats.deletes} deletes`
+  );
+
+  return diff;
+}
+
+/**
+ * Range-based streaming diff with bounded memory (used when diffs spill to disk)
+ * Each remote chunk covers the key range (previous chunk's last key, its own last key]; local
+ * rows are read for exactly that range, so rows left over are deletes. Local rows past the
+ * last remote key are deletes as well. Memory holds one remote chunk and its local range.
+ */
+async function rangedTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where = null, valuesEqual = defaultValuesEqual, newRows = () => []) {
+  const diff = {
+    tableName,
+    primaryKey: pk,
+    hasTimestamps: timestamps.hasUpdatedAt || timestamps.hasCreatedAt,
+    filter: where?.clause || null,
+    toInsert: newRows('insert'),
+    toUpdate: newRows('update'),
+    toDelete: newRows('delete'),
+    stats: {
+      remoteRows: 0,
+      localRows: 0,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+    },
+  };
 
-    localOffset += localChunk.length;
-    localHasMore = localChunk.length === chunkSize;
+  logger.info(`Using range streaming diff for ${tableName} (rows spill to disk)...`);
+
+  diff.stats.localRows = await countLocalRows(localWriter, tableName, where);
+
+  let after = null;
+  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk, { where })) {
+    if (remoteChunk.length === 0) continue;
+    diff.stats.remoteRows += remoteChunk.length;
+
+    const upTo = pickKey(remoteChunk[remoteChunk.length - 1], pk);
+    const localIndex = new Map();
+    for await (const localChunk of localWriter.getTableDataChunked(tableName, chunkSize, pk, { after, upTo, where })) {
+      for (const row of localChunk) {
+        localIndex.set(buildPrimaryKeyValue(row, pk), row);
+      }
+    }
+
+    compareChunk(remoteChunk, localIndex, pk, diff, valuesEqual);
+    after = upTo;
+  }
+
+  // Local rows beyond the last remote key (or all of them, if the remote side is empty)
+  for await (const localChunk of localWriter.getTableDataChunked(tableName, chunkSize, pk, { after, where })) {
+    diff.toDelete.push(...localChunk);
+    diff.stats.deletes += localChunk.length;
   }
 
   logger.info(
@@ -169,6 +352,152 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
   return diff;
 }
 
+/**
+ * Get the column list to checksum, or null if remote and local columns differ
+ * (checksums are only comparable when both sides hash the same columns)
+ */
+async function getChecksumColumns(localWriter, tableName, remoteSchema) {
+  if (!(await localWriter.tableExists(tableName))) return null;
+
+  // Generated columns are never compared (they follow from the other columns)
+  const localSchema = await localWriter.getTableSchema(tableName);
+  const remoteColumns = dataColumnNames(remoteSchema.columns);
+  const localColumns = new Set(dataColumnNames(localSchema.columns));
+
+  if (remoteColumns.length !== localColumns.size) return null;
+  if (!remoteColumns.every((col) => localColumns.has(col))) return null;
+
+  return remoteColumns;
+}
+
+/**
+ * Checksum-based table diff (pt-table-checksum style)
+ * Splits the remote table into PK ranges of chunkSize rows, compares COUNT + BIT_XOR(CRC32)
+ * aggregates computed on each server, and only transfers rows for ranges whose checksums differ.
+ * Mismatched ranges are compared row-by-row with the same logic as the streaming diff.
+ */
+async function checksumTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, columns, where = null, valuesEqual = defaultValuesEqual, newRows = () => []) {
+  const diff = {
+    tableName,
+    primaryKey: pk,
+    hasTimestamps: timestamps.hasUpdatedAt || timestamps.hasCreatedAt,
+    filter: where?.clause || null,
+    checksum: true,
+    toInsert: newRows('insert'),
+    toUpdate: newRows('update'),
+    toDelete: newRows('delete'),
+    stats: {
+      remoteRows: 0,
+      localRows: 0,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+      rangesCompared: 0,
+      rangesMismatched: 0,
+      rowsFetched: 0,
+    },
+  };
+
+  logger.info(`Using checksum diff for ${tableName} (${chunkSize} rows per range)...`);
+
+  let after = null;
+  let done = false;
+
+  while (!done) {
+    // A null boundary means fewer than chunkSize rows remain: the last range is open-ended,
+    // which also covers local rows beyond the remote's highest key
+    const upTo = await remoteReader.getChunkBoundary(tableName, pk, after, chunkSize, where);
+    const range = { after, upTo, where };
+    done = upTo === null;
+
+    const remoteSum = await remoteReader.getRangeChecksum(tableName, columns, pk, range);
+    const localSum = await localWriter.getRangeChecksum(tableName, columns, pk, range);
+
+    diff.stats.rangesCompared++;
+    diff.stats.remoteRows += remoteSum.rowCount;
+    diff.stats.localRows += localSum.rowCount;
+
+    if (remoteSum.rowCount !== localSum.rowCount || remoteSum.checksum !== localSum.checksum) {
+      diff.stats.rangesMismatched++;
+      await diffKeyRange(remoteReader, localWriter, tableName, pk, chunkSize, range, diff, valuesEqual);
+    }
+
+    after = upTo;
+  }
+
+  logger.info(
+    `Checksum diff for ${tableName}: ${diff.stats.rangesMismatched}/${diff.stats.rangesCompared} ranges differ, ` +
+    `${diff.stats.inserts} inserts, ${diff.stats.updates} updates, ${diff.stats.deletes} deletes ` +
+    `(fetched ${diff.stats.rowsFetched} rows)`
+  );
+
+  return diff;
+}
+
+/**
+ * Compare all rows of a single PK range and record inserts, updates and deletes
+ */
+async function diffKeyRange(remoteReader, localWriter, tableName, pk, chunkSize, range, diff, valuesEqual = defaultValuesEqual) {
+  const localIndex = new Map();
+  for await (const localChunk of localWriter.getTableDataChunked(tableName, chunkSize, pk, range)) {
+    for (const row of localChunk) {
+      localIndex.set(buildPrimaryKeyValue(row, pk), row);
+    }
+    diff.stats.rowsFetched += localChunk.length;
+  }
+
+  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk, range)) {
+    diff.stats.rowsFetched += remoteChunk.length;
+    compareChunk(remoteChunk, localIndex, pk, diff, valuesEqual, false);
+  }
+
+  // Local rows left in this range do not exist remotely
+  for (const localRow of localIndex.values()) {
+    diff.toDelete.push(localRow);
+    diff.stats.deletes++;
+  }
+}
+
+/**
+ * Compare remote rows against an index of the local rows in the same key range
+ * Matched local rows are removed from the index; with `deleteRest`, local rows left over
+ * are recorded as deletes.
+ */
+function compareChunk(remoteRows, localIndex, pk, diff, valuesEqual = defaultValuesEqual, deleteRest = true) {
+  for (const remoteRow of remoteRows) {
+    const key = buildPrimaryKeyValue(remoteRow, pk);
+    const localRow = localIndex.get(key);
+    localIndex.delete(key);
+
+    if (!localRow) {
+      diff.toInsert.push(remoteRow);
+      diff.stats.inserts++;
+    } else if (!rowsEqual(remoteRow, localRow, valuesEqual)) {
+      diff.toUpdate.push({
+        remote: remoteRow,
+        local: localRow,
+        changes: getRowChanges(localRow, remoteRow, valuesEqual),
+      });
+      diff.stats.updates++;
+    }
+  }
+
+  if (deleteRest) {
+    for (const localRow of localIndex.values()) {
+      diff.toDelete.push(localRow);
+      diff.stats.deletes++;
+    }
+  }
+}
+
+/**
+ * Build the select list for local row lookups: the writer's data columns (generated
+ * columns excluded, invisible ones included), or * when the writer does not report them
+ */
+async function localSelectList(localWriter, tableName) {
+  return buildSelectList(await localWriter.getDataColumns?.(tableName));
+}
+
 /**
  * Batch lookup local rows by primary key values
  * More efficient than individual queries for each row
@@ -176,14 +505,16 @@ async function streamingTableDiff(remoteReader, localWriter, tableName, pk, time
 async function batchLookupByPK(localWriter, tableName, pk, remoteRows) {
   if (remoteRows.length === 0) return [];
 
+  const select = await localSelectList(localWriter, tableName);
+
   // For single-column PKs, use IN clause
   if (pk.length === 1) {
     const pkCol = pk[0];
     const pkValues = remoteRows.map(row => row[pkCol]);
     const placeholders = pkValues.map(() => '?').join(', ');
     return await localWriter.query(
-      `SELECT * FROM ?? WHERE ?? IN (${placeholders})`,
-      [tableName, pkCol, ...pkValues]
+      `SELECT ${select.sql} FROM ?? WHERE ?? IN (${placeholders})`,
+      [...select.params, tableName, pkCol, ...pkValues]
     );
   }
 
@@ -192,25 +523,26 @@ async function batchLookupByPK(localWriter, tableName, pk, remoteRows) {
     return `(${pk.map(() => '?? = ?').join(' AND ')})`;
   }).join(' OR ');
 
-  const params = [tableName];
+  const params = [...select.params, tableName];
   for (const row of remoteRows) {
     for (const col of pk) {
       params.push(col, row[col]);
     }
   }
 
-  return await localWriter.query(`SELECT * FROM ?? WHERE ${conditions}`, params);
+  return await localWriter.query(`SELECT ${select.sql} FROM ?? WHERE ${conditions}`, params);
 }
 
 /**
  * Legacy in-memory table diff - loads all local data into memory
  * Suitable for small tables or when memory is not a concern
  */
-async function inMemoryTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize) {
+async function inMemoryTableDiff(remoteReader, localWriter, tableName, pk, timestamps, chunkSize, where = null, valuesEqual = defaultValuesEqual) {
   const diff = {
     tableName,
     primaryKey: pk,
     hasTimestamps: timestamps.hasUpdatedAt || timestamps.hasCreatedAt,
+    filter: where?.clause || null,
     toInsert: [],
     toUpdate: [],
     toDelete: [],
@@ -226,34 +558,23 @@ async function inMemoryTableDiff(remoteReader, localWriter, tableName, pk, times
   // Build index of local data by primary key
   logger.info(`Building local data index for ${tableName}...`);
   const localIndex = new Map();
-  let localOffset = 0;
-  let localHasMore = true;
-
-  while (localHasMore) {
-    const localRows = await localWriter.getTableData(tableName, {
-      limit: chunkSize,
-      offset: localOffset,
-      orderBy: pk[0],
-    });
 
+  for await (const localRows of localWriter.getTableDataChunked(tableName, chunkSize, pk, { where })) {
     for (const row of localRows) {
       const key = buildPrimaryKeyValue(row, pk);
       localIndex.set(key, row);
     }
-
-    localOffset += localRows.length;
-    localHasMore = localRows.length === chunkSize;
   }
 
   diff.stats.localRows = localIndex.size;
-  logger.debug(`Local index built: ${localIndex.size} rows`);
+  logger.debug(`Local index built for ${tableName}: ${localIndex.size} rows`);
 
   // Track which local rows we've seen (for delete detection)
   const seenLocalKeys = new Set();
 
   // Compare remote data against local
   logger.info(`Comparing remote data for ${tableName}...`);
-  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk[0])) {
+  for await (const remoteChunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk, { where })) {
     for (const remoteRow of remoteChunk) {
       diff.stats.remoteRows++;
       const key = buildPrimaryKeyValue(remoteRow, pk);
@@ -265,12 +586,12 @@ async function inMemoryTableDiff(remoteReader, localWriter, tableName, pk, times
         // Row exists in remote but not local - INSERT
         diff.toInsert.push(remoteRow);
         diff.stats.inserts++;
-      } else if (!rowsEqual(remoteRow, localRow)) {
+      } else if (!rowsEqual(remoteRow, localRow, valuesEqual)) {
         // Row exists in both but different - UPDATE
         diff.toUpdate.push({
           remote: remoteRow,
           local: localRow,
-          changes: getRowChanges(localRow, remoteRow),
+          changes: getRowChanges(localRow, remoteRow, valuesEqual),
         });
         diff.stats.updates++;
       }
@@ -295,17 +616,16 @@ async function inMemoryTableDiff(remoteReader, localWriter, tableName, pk, times
 }
 
 /**
- * Full table comparison when no primary key exists
+ * Full table comparison when no primary key exists (or the table's strategy is replace)
  */
-async function fullTableDiff(remoteReader, localWriter, tableName, chunkSize) {
-  logger.warn(`Performing full table comparison for ${tableName} (no primary key)`);
-
+async function fullTableDiff(remoteReader, localWriter, tableName, chunkSize, where = null, newRows = () => []) {
   const diff = {
     tableName,
     primaryKey: [],
     hasTimestamps: false,
     fullReplace: true, // Indicates this needs special handling
-    remoteData: [],
+    filter: where?.clause || null, // Only rows matching the filter are replaced
+    remoteData: newRows('replace'),
     stats: {
       remoteRows: 0,
       localRows: 0,
@@ -316,14 +636,13 @@ async function fullTableDiff(remoteReader, localWriter, tableName, chunkSize) {
   };
 
   // Get all remote data
-  for await (const chunk of remoteReader.getTableDataChunked(tableName, chunkSize)) {
+  for await (const chunk of remoteReader.getTableDataChunked(tableName, chunkSize, null, { where })) {
     diff.remoteData.push(...chunk);
     diff.stats.remoteRows += chunk.length;
   }
 
   // Count local rows
-  const localCount = await localWriter.query('SELECT COUNT(*) as count FROM ??', [tableName]);
-  diff.stats.localRows = localCount[0]?.count || 0;
+  diff.stats.localRows = await countLocalRows(localWriter, tableName, where);
 
   // For stats display, treat as inserts (full replace)
   diff.stats.inserts = diff.stats.remoteRows;
@@ -340,22 +659,26 @@ async function fullTableDiff(remoteReader, localWriter, tableName, chunkSize) {
  * @param {string[]} pk - Primary key columns
  * @param {string} timestampColumn - Column to use for incremental sync
  * @param {number} chunkSize - Chunk size for queries
+ * @param {object|null} where - Row filter condition ({ clause, params })
+ * @param {function} valuesEqual - Column value comparator
+ * @param {function(string): (Array|object)} newRows - Creates the insert/update/delete row lists
  * @returns {Promise<object>} Data diff
  */
-async function incrementalDiff(remoteReader, localWriter, tableName, pk, timestampColumn, chunkSize) {
+async function incrementalDiff(remoteReader, localWriter, tableName, pk, timestampColumn, chunkSize, where = null, valuesEqual = defaultValuesEqual, newRows = () => []) {
   // Get the max timestamp from local table
-  const localMaxTs = await localWriter.getMaxTimestamp(tableName, timestampColumn);
+  const localMaxTs = await localWriter.getMaxTimestamp(tableName, timestampColumn, where);
 
   const diff = {
     tableName,
     primaryKey: pk,
     hasTimestamps: true,
     incremental: true,
+    filter: where?.clause || null,
     timestampColumn,
     localMaxTimestamp: localMaxTs,
-    toInsert: [],
-    toUpdate: [],
-    toDelete: [], // Note: incremental sync cannot detect deletes without full scan
+    toInsert: newRows('insert'),
+    toUpdate: newRows('update'),
+    toDelete: newRows('delete'), // Note: incremental sync cannot detect deletes without full scan
     stats: {
       remoteRows: 0,
       localRows: 0,
@@ -367,13 +690,16 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
   };
 
   // Get local row count for stats
-  const [localCountResult] = await localWriter.query('SELECT COUNT(*) as count FROM ??', [tableName]);
-  diff.stats.localRows = localCountResult?.count || 0;
+  const localRowCount = await countLocalRows(localWriter, tableName, where);
+  diff.stats.localRows = localRowCount;
 
   // If no local data, we need a full sync (but still optimized with PK)
   if (!localMaxTs) {
     logger.info(`No local data for ${tableName} - fetching all remote rows`);
-    return await fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chunkSize);
+    const fullDiff = await fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chunkSize, where, newRows);
+    // Rows can exist without a timestamp (all NULL); keep their count for the preview and bulk load choice
+    fullDiff.stats.localRows = localRowCount;
+    return fullDiff;
   }
 
   logger.info(`Incremental sync from ${localMaxTs.toISOString()} for ${tableName}`);
@@ -383,7 +709,7 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
   const localIndex = new Map();
 
   // Get modified rows from remote (since local max timestamp)
-  const modifiedRows = await remoteReader.getModifiedRows(tableName, timestampColumn, localMaxTs);
+  const modifiedRows = await remoteReader.getModifiedRows(tableName, timestampColumn, localMaxTs, where);
   diff.stats.scannedRows = modifiedRows.length;
 
   if (modifiedRows.length === 0) {
@@ -394,6 +720,7 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
   logger.info(`Found ${modifiedRows.length} modified rows in remote ${tableName}`);
 
   // Get local versions of potentially modified rows for comparison
+  const select = await localSelectList(localWriter, tableName);
   for (const remoteRow of modifiedRows) {
     const pkValue = buildPrimaryKeyValue(remoteRow, pk);
 
@@ -405,20 +732,20 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
     }
 
     const [localRow] = await localWriter.query(
-      `SELECT * FROM ?? WHERE ${whereClause}`,
-      [tableName, ...whereParams]
+      `SELECT ${select.sql} FROM ?? WHERE ${whereClause}`,
+      [...select.params, tableName, ...whereParams]
     );
 
     if (!localRow) {
       // New row in remote
       diff.toInsert.push(remoteRow);
       diff.stats.inserts++;
-    } else if (!rowsEqual(remoteRow, localRow)) {
+    } else if (!rowsEqual(remoteRow, localRow, valuesEqual)) {
       // Row exists but changed
       diff.toUpdate.push({
         remote: remoteRow,
         local: localRow,
-        changes: getRowChanges(localRow, remoteRow),
+        changes: getRowChanges(localRow, remoteRow, valuesEqual),
       });
       diff.stats.updates++;
     }
@@ -426,7 +753,7 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
   }
 
   // Get remote row count for stats
-  diff.stats.remoteRows = await remoteReader.getRowCount(tableName);
+  diff.stats.remoteRows = await remoteReader.getRowCount(tableName, where);
 
   logger.info(
     `Incremental diff for ${tableName}: ` +
@@ -448,15 +775,16 @@ async function incrementalDiff(remoteReader, localWriter, tableName, pk, timesta
 /**
  * Full diff using primary key (when no local data exists but PK is available)
  */
-async function fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chunkSize) {
+async function fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chunkSize, where = null, newRows = () => []) {
   const diff = {
     tableName,
     primaryKey: pk,
     hasTimestamps: true,
     incremental: false,
-    toInsert: [],
-    toUpdate: [],
-    toDelete: [],
+    filter: where?.clause || null,
+    toInsert: newRows('insert'),
+    toUpdate: newRows('update'),
+    toDelete: newRows('delete'),
     stats: {
       remoteRows: 0,
       localRows: 0,
@@ -467,7 +795,7 @@ async function fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chun
   };
 
   // Get all remote rows (all will be inserts since local is empty)
-  for await (const chunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk[0])) {
+  for await (const chunk of remoteReader.getTableDataChunked(tableName, chunkSize, pk, { where })) {
     for (const row of chunk) {
       diff.toInsert.push(row);
       diff.stats.inserts++;
@@ -480,6 +808,94 @@ async function fullPrimaryKeyDiff(remoteReader, localWriter, tableName, pk, chun
   return diff;
 }
 
+/**
+ * Diff an explicit set of remote rows against local (used by subset extraction)
+ * Only inserts and updates are planned: local rows outside the set are never deletes.
+ * @param {object} localWriter - Local database writer
+ * @param {string} tableName - Table name
+ * @param {string[]} pk - Primary key columns
+ * @param {Array<object>} remoteRows - Remote rows to bring over
+ * @param {object} options - Options (chunkSize, columns: remote column metadata for value comparison,
+ *   ignoreColumns, ignoreColumnsOnInsert, strategy: apply strategy from sync.strategies)
+ * @returns {Promise<object>} Data diff
+ */
+export async function diffRowSet(localWriter, tableName, pk, remoteRows, options = {}) {
+  const {
+    chunkSize = 5000,
+    columns = [],
+    ignoreColumns = [],
+    ignoreColumnsOnInsert = false,
+    strategy = DEFAULT_STRATEGY,
+  } = options;
+  const ignored = withoutKeyColumns(tableName, ignoreColumns, pk);
+  const valuesEqual = createValueComparator(columns, { ignoreColumns: ignored });
+
+  const diff = {
+    tableName,
+    primaryKey: pk,
+    hasTimestamps: false,
+    subset: true,
+    ignoreColumns: ignored,
+    ignoreColumnsOnInsert: ignoreColumnsOnInsert && ignored.length > 0,
+    toInsert: [],
+    toUpdate: [],
+    toDelete: [],
+    stats: {
+      remoteRows: remoteRows.length,
+      localRows: 0,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+    },
+  };
+
+  const localTableExists = await localWriter.tableExists(tableName);
+
+  for (let i = 0; i < remoteRows.length; i += chunkSize) {
+    const remoteChunk = remoteRows.slice(i, i + chunkSize);
+    const localIndex = new Map();
+
+    if (localTableExists) {
+      for (const row of await batchLookupByPK(localWriter, tableName, pk, remoteChunk)) {
+        localIndex.set(buildPrimaryKeyValue(row, pk), row);
+      }
+      diff.stats.localRows += localIndex.size;
+    }
+
+    for (const remoteRow of remoteChunk) {
+      const localRow = localIndex.get(buildPrimaryKeyValue(remoteRow, pk));
+
+      if (!localRow) {
+        diff.toInsert.push(remoteRow);
+        diff.stats.inserts++;
+      } else if (!rowsEqual(remoteRow, localRow, valuesEqual)) {
+        diff.toUpdate.push({
+          remote: remoteRow,
+          local: localRow,
+          changes: getRowChanges(localRow, remoteRow, valuesEqual),
+        });
+        diff.stats.updates++;
+      }
+    }
+  }
+
+  logger.info(
+    `Subset diff for ${tableName}: ${diff.stats.inserts} inserts, ${diff.stats.updates} updates ` +
+    `(${diff.stats.remoteRows} rows in subset)`
+  );
+
+  return limitToStrategy(diff, strategy);
+}
+
+/**
+ * Count local rows, restricted to the table's row filter
+ */
+async function countLocalRows(localWriter, tableName, where) {
+  const { sql, params } = buildCountQuery(tableName, where);
+  const [result] = await localWriter.query(sql, params);
+  return result?.count || 0;
+}
+
 /**
  * Build a string key from primary key columns
  */
@@ -487,10 +903,20 @@ function buildPrimaryKeyValue(row, primaryKey) {
   return primaryKey.map((col) => String(row[col])).join('|');
 }
 
+/**
+ * Pick the primary key column-value pairs of a row (a key range bound)
+ */
+function pickKey(row, primaryKey) {
+  return Object.fromEntries(primaryKey.map((col) => [col, row[col]]));
+}
+
 /**
  * Check if two rows are equal
+ * @param {object} row1 - Row
+ * @param {object} row2 - Row
+ * @param {function} valuesEqual - Column value comparator (see value-normalizer.js)
  */
-function rowsEqual(row1, row2) {
+function rowsEqual(row1, row2, valuesEqual = defaultValuesEqual) {
   const keys1 = Object.keys(row1).sort();
   const keys2 = Object.keys(row2).sort();
 
@@ -499,36 +925,20 @@ function rowsEqual(row1, row2) {
   for (let i = 0; i < keys1.length; i++) {
     if (keys1[i] !== keys2[i]) return false;
 
-    const val1 = normalizeValue(row1[keys1[i]]);
-    const val2 = normalizeValue(row2[keys2[i]]);
-
-    if (val1 !== val2) return false;
+    if (!valuesEqual(keys1[i], row1[keys1[i]], row2[keys2[i]])) return false;
   }
 
   return true;
 }
 
-/**
- * Normalize a value for comparison
- */
-function normalizeValue(val) {
-  if (val === null || val === undefined) return null;
-  if (val instanceof Date) return val.toISOString();
-  if (typeof val === 'object') return JSON.stringify(val);
-  return String(val);
-}
-
 /**
  * Get list of columns that changed between two rows
  */
-function getRowChanges(localRow, remoteRow) {
+function getRowChanges(localRow, remoteRow, valuesEqual = defaultValuesEqual) {
   const changes = [];
 
   for (const key of Object.keys(remoteRow)) {
-    const localVal = normalizeValue(localRow[key]);
-    const remoteVal = normalizeValue(remoteRow[key]);
-
-    if (localVal !== remoteVal) {
+    if (!valuesEqual(key, localRow[key], remoteRow[key])) {
       changes.push({
         column: key,
         from: localRow[key],
@@ -551,6 +961,25 @@ export function formatDataDiff(diff, maxDisplay = 10) {
   lines.push(`\n=== Table: ${diff.tableName} ===`);
   lines.push(`Primary Key: ${diff.primaryKey.join(', ') || 'NONE'}`);
   lines.push(`Remote rows: ${diff.stats.remoteRows}, Local rows: ${diff.stats.localRows}`);
+  if (diff.filter) {
+    lines.push(`Filter: ${diff.filter}`);
+  }
+  if (diff.ignoreColumns?.length > 0) {
+    lines.push(`Ignored columns: ${diff.ignoreColumns.join(', ')}`);
+  }
+  lines.push(`Strategy: ${formatStrategy(diff)}`);
+  if (diff.checksum) {
+    lines.push(
+      `Checksum ranges: ${diff.stats.rangesMismatched}/${diff.stats.rangesCompared} differ ` +
+      `(${diff.stats.rowsFetched} rows fetched)`
+    );
+  }
+
+  if (diff.fullReplace && diff.strategy === 'replace') {
+    lines.push('\n[REPLACE] Full table replacement (strategy: replace)');
+    lines.push(`This will DELETE all ${diff.stats.localRows} local rows and INSERT ${diff.stats.remoteRows} remote rows`);
+    return lines.join('\n');
+  }
 
   if (diff.fullReplace) {
     lines.push('\n[WARNING] No primary key - full table replacement required');
@@ -561,9 +990,7 @@ export function formatDataDiff(diff, maxDisplay = 10) {
   // Inserts
   if (diff.toInsert.length > 0) {
     lines.push(`\n[INSERT] ${diff.stats.inserts} rows to insert`);
-    const displayCount = Math.min(diff.toInsert.length, maxDisplay);
-    for (let i = 0; i < displayCount; i++) {
-      const row = diff.toInsert[i];
+    for (const row of firstRows(diff.toInsert, maxDisplay)) {
       const pkVal = buildPrimaryKeyValue(row, diff.primaryKey);
       lines.push(`  + ${pkVal}`);
     }
@@ -575,9 +1002,7 @@ export function formatDataDiff(diff, maxDisplay = 10) {
   // Updates
   if (diff.toUpdate.length > 0) {
     lines.push(`\n[UPDATE] ${diff.stats.updates} rows to update`);
-    const displayCount = Math.min(diff.toUpdate.length, maxDisplay);
-    for (let i = 0; i < displayCount; i++) {
-      const { remote, changes } = diff.toUpdate[i];
+    for (const { remote, changes } of firstRows(diff.toUpdate, maxDisplay)) {
       const pkVal = buildPrimaryKeyValue(remote, diff.primaryKey);
       lines.push(`  ~ ${pkVal}`);
       for (const change of changes.slice(0, 3)) {
@@ -595,9 +1020,7 @@ export function formatDataDiff(diff, maxDisplay = 10) {
   // Deletes
   if (diff.toDelete.length > 0) {
     lines.push(`\n[DELETE] ${diff.stats.deletes} rows to delete`);
-    const displayCount = Math.min(diff.toDelete.length, maxDisplay);
-    for (let i = 0; i < displayCount; i++) {
-      const row = diff.toDelete[i];
+    for (const row of firstRows(diff.toDelete, maxDisplay)) {
       const pkVal = buildPrimaryKeyValue(row, diff.primaryKey);
       lines.push(`  - ${pkVal}`);
     }
@@ -613,6 +1036,20 @@ export function formatDataDiff(diff, maxDisplay = 10) {
   return lines.join('\n');
 }
 
+/**
+ * Describe a diff's apply strategy, with the operations it leaves out
+ * @param {object} diff - Data diff
+ * @returns {string} e.g. "upsert (3 deletes skipped)"
+ */
+export function formatStrategy(diff) {
+  const skipped = [];
+  if (diff.stats?.skippedUpdates > 0) skipped.push(`${diff.stats.skippedUpdates} updates skipped`);
+  if (diff.stats?.skippedDeletes > 0) skipped.push(`${diff.stats.skippedDeletes} deletes skipped`);
+
+  const strategy = diff.strategy || DEFAULT_STRATEGY;
+  return skipped.length > 0 ? `${strategy} (${skipped.join(', ')})` : strategy;
+}
+
 /**
  * Format a value for display
  */
@@ -628,39 +1065,68 @@ function formatValue(val) {
  * @param {object} remoteReader - Remote database reader
  * @param {object} localWriter - Local database writer
  * @param {string[]} tables - Tables to compare
- * @param {object|number} options - Comparison options or chunk size
+ * @param {object|number} options - Comparison options or chunk size (tableFilter: include/exclude
+ *   predicate applied to the tables, concurrency: tables diffed in parallel, spill: spill area from
+ *   createSpillArea for row lists kept on disk, strategies: sync.strategies map of table to apply strategy,
+ *   resume: checkpoint table progress of an interrupted run - those tables get a full diff, after
+ *   their last applied primary key when one was recorded)
  * @returns {Promise<object[]>} Array of data diffs
  */
 export async function compareAllData(remoteReader, localWriter, tables, options = {}) {
   const resolvedOptions = typeof options === 'number' ? { chunkSize: options } : options;
-  const { chunkSize = 5000, useIncremental = true, streamingMode = true } = resolvedOptions;
-  const diffs = [];
+  const {
+    chunkSize = 5000,
+    useIncremental = true,
+    streamingMode = true,
+    checksumMode = false,
+    filters = {},
+    ignoreColumns = {},
+    ignoreColumnsOnInsert = false,
+    tableFilter = () => true,
+    concurrency = 1,
+    spill = null,
+    strategies = {},
+    resume = {},
+  } = resolvedOptions;
+  const tablesToCompare = tables.filter(tableFilter);
 
-  logger.info(`Comparing data for ${tables.length} tables...`);
+  logger.info(
+    `Comparing data for ${tablesToCompare.length} tables` +
+    `${concurrency > 1 ? ` (up to ${concurrency} in parallel)` : ''}...`
+  );
 
-  for (const tableName of tables) {
+  // Diffs come back in table order, whatever order the tables finish in
+  return mapWithConcurrency(tablesToCompare, concurrency, async (tableName) => {
     try {
-      const diff = await diffTableData(remoteReader, localWriter, tableName, {
+      return await diffTableData(remoteReader, localWriter, tableName, {
         chunkSize,
-        useIncremental,
+        // Partly applied tables are ahead of what an incremental diff would compare against
+        useIncremental: useIncremental && !resume[tableName],
         streamingMode,
+        checksumMode,
+        filter: filters[tableName] || null,
+        ignoreColumns: resolveIgnoredColumns(ignoreColumns, tableName),
+        ignoreColumnsOnInsert,
+        spill,
+        strategy: resolveStrategy(strategies, tableName),
+        resumeAfter: resume[tableName]?.lastPrimaryKey || null,
       });
-      diffs.push(diff);
     } catch (err) {
       logger.error(`Error comparing data for ${tableName}: ${err.message}`);
-      diffs.push({
+      return {
         tableName,
         error: err.message,
         stats: { inserts: 0, updates: 0, deletes: 0 },
-      });
+      };
     }
-  }
-
-  return diffs;
+  });
 }
 
 export default {
   diffTableData,
+  diffRowSet,
+  resolveIgnoredColumns,
   formatDataDiff,
+  formatStrategy,
   compareAllData,
 };
@@ -0,0 +1,138 @@
+/**
+ * Schema Object Diff for Driftwarden
+ * Compares views, triggers, stored procedures/functions and events by definition.
+ * Object diffs share the schema diff shape (tableName, hasChanges, sql) plus an
+ * objectType, so they flow through preview, confirmation, SQL patches and the executor.
+ */
+
+import { logger } from '../utils/logger.js';
+import { SCHEMA_OBJECT_TYPES } from '../db/introspection.js';
+import { orderTablesByDependencies } from '../executor/change-executor.js';
+import { createTableFilter } from '../utils/table-filter.js';
+
+export const OBJECT_TYPES = Object.keys(SCHEMA_OBJECT_TYPES);
+
+const DEFINER_PATTERN = /DEFINER\s*=\s*(`[^`]*`|'[^']*'|[^\s@]+)\s*@\s*(`[^`]*`|'[^']*'|\S+)/i;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite a SHOW CREATE definition for the local database
+ * The DEFINER becomes the local connection user and references qualified with the
+ * source schema name (SHOW CREATE VIEW always qualifies them) become unqualified.
+ * The result is also used to compare definitions across servers.
+ * @param {string} definition - SHOW CREATE definition
+ * @param {string} schema - Database the definition was read from
+ * @returns {string} Portable definition
+ */
+export function rewriteDefinition(definition, schema) {
+  return definition
+    .replace(DEFINER_PATTERN, 'DEFINER=CURRENT_USER')
+    .replace(new RegExp(`\`${escapeRegExp(schema)}\`\\.`, 'g'), '');
+}
+
+/**
+ * Build the DROP statement for an object
+ */
+function dropStatement(type, name) {
+  return `DROP ${type.toUpperCase()} IF EXISTS \`${name}\``;
+}
+
+/**
+ * Order views so that views used by other views are created first
+ */
+function orderViews(diffs) {
+  const views = diffs.filter((d) => d.objectType === 'view');
+  const dependencies = [];
+
+  for (const view of views) {
+    for (const other of views) {
+      if (other !== view && view.definition.includes(`\`${other.tableName}\``)) {
+        dependencies.push({ table: view.tableName, referencedTable: other.tableName });
+      }
+    }
+  }
+
+  const { order } = orderTablesByDependencies(views.map((v) => v.tableName), dependencies);
+  const ordered = order.map((name) => views.find((v) => v.tableName === name));
+
+  return [...ordered, ...diffs.filter((d) => d.objectType !== 'view')];
+}
+
+/**
+ * Diff remote schema objects against local ones
+ * Objects missing locally are created, changed ones are dropped and recreated.
+ * Local-only objects are left alone.
+ * @param {object[]} remoteObjects - Remote objects ({ type, name, tableName, definition })
+ * @param {object[]} localObjects - Local objects
+ * @param {object} options - Options (remoteDatabase, localDatabase)
+ * @returns {object[]} Object diffs (only those with changes)
+ */
+export function diffSchemaObjects(remoteObjects, localObjects, options = {}) {
+  const { remoteDatabase, localDatabase } = options;
+  const localByKey = new Map(localObjects.map((obj) => [`${obj.type}:${obj.name}`, obj]));
+  const diffs = [];
+
+  for (const remote of remoteObjects) {
+    const definition = rewriteDefinition(remote.definition, remoteDatabase);
+    const local = localByKey.get(`${remote.type}:${remote.name}`);
+    const localDefinition = local ? rewriteDefinition(local.definition, localDatabase) : null;
+
+    if (localDefinition === definition) continue;
+
+    const action = local ? 'replace' : 'create';
+    diffs.push({
+      tableName: remote.name,
+      objectType: remote.type,
+      objectTable: remote.tableName,
+      action,
+      hasChanges: true,
+      createTable: false,
+      definition,
+      localDefinition,
+      sql: local ? [dropStatement(remote.type, remote.name), definition] : [definition],
+    });
+  }
+
+  return orderViews(diffs);
+}
+
+/**
+ * Compare views, triggers, routines and events between remote and local
+ * @param {object} remoteReader - Remote database reader
+ * @param {object} localWriter - Local database writer
+ * @param {string[]} types - Object types to compare
+ * @param {object} options - Options (tables: only compare triggers of these tables,
+ *   tableFilter: include/exclude predicate for trigger tables)
+ * @returns {Promise<object[]>} Object diffs
+ */
+export async function compareSchemaObjects(remoteReader, localWriter, types, options = {}) {
+  const { tables = null, tableFilter = null } = options;
+  const tableInScope = tableFilter || createTableFilter({ tables });
+  const inScope = (obj) => obj.type !== 'trigger' || tableInScope(obj.tableName);
+
+  logger.info(`Comparing schema objects (${types.join(', ')})...`);
+
+  const remoteObjects = (await remoteReader.getSchemaObjects(types)).filter(inScope);
+  const localObjects = await localWriter.getSchemaObjects(types);
+
+  const diffs = diffSchemaObjects(remoteObjects, localObjects, {
+    remoteDatabase: remoteReader.database,
+    localDatabase: localWriter.database,
+  });
+
+  logger.info(`Found ${diffs.length} schema objects to create or replace`);
+  return diffs;
+}
+
+export default {
+  OBJECT_TYPES,
+  rewriteDefinition,
+  diffSchemaObjects,
+  compareSchemaObjects,
+};
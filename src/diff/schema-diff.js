@@ -4,24 +4,68 @@
  */
 
 import { logger } from '../utils/logger.js';
+import { buildForeignKeyDefinition, buildCheckDefinition, charsetOfCollation, generatedKind } from '../db/introspection.js';
+import { orderTablesByDependencies } from '../executor/change-executor.js';
+
+// Table options compared between remote and local, with their ALTER TABLE clause
+const TABLE_OPTIONS = {
+  engine: (value) => `ENGINE=${value}`,
+  collation: (value) => `CONVERT TO CHARACTER SET ${charsetOfCollation(value)} COLLATE ${value}`,
+  rowFormat: (value) => `ROW_FORMAT=${value}`,
+  comment: (value) => `COMMENT=${quoteString(value)}`,
+};
 
 /**
- * Compare two schemas and generate a diff
- * @param {object} remoteSchema - Schema from remote database
- * @param {object} localSchema - Schema from local database
- * @returns {object} Schema diff with changes needed
+ * Create a schema diff without changes
+ * @param {string} tableName - Table name
+ * @returns {object} Empty schema diff
  */
-export function diffTableSchema(remoteSchema, localSchema) {
-  const diff = {
-    tableName: remoteSchema.name,
+function createEmptyDiff(tableName) {
+  return {
+    tableName,
     hasChanges: false,
     createTable: false,
+    dropTable: false,
+    columnsToRename: [],
     columnsToAdd: [],
     columnsToModify: [],
+    columnsToMove: [],
     columnsToRemove: [],
+    tableOptionChanges: [],
     indexesToAdd: [],
+    indexesToModify: [],
     indexesToRemove: [],
+    primaryKeyChange: null,
+    constraintsToAdd: [],
+    constraintsToModify: [],
+    constraintsToDrop: [],
   };
+}
+
+/**
+ * Build the diff for a local table that no longer exists in the remote database
+ * @param {string} tableName - Local table name
+ * @returns {object} Schema diff that drops the table
+ */
+export function createDropTableDiff(tableName) {
+  const diff = createEmptyDiff(tableName);
+  diff.dropTable = true;
+  diff.hasChanges = true;
+  return diff;
+}
+
+/**
+ * Compare two schemas and generate a diff
+ * @param {object} remoteSchema - Schema from remote database
+ * @param {object} localSchema - Schema from local database
+ * @param {object} options - Options (renames: { oldName: newName } forced for this table,
+ *   detectRenames: propose a rename for one identical removed/added column pair)
+ * @returns {object} Schema diff with changes needed
+ */
+export function diffTableSchema(remoteSchema, localSchema, options = {}) {
+  const { renames = {}, detectRenames = true } = options;
+
+  const diff = createEmptyDiff(remoteSchema.name);
 
   // If local table doesn't exist, need to create it
   if (!localSchema) {
@@ -31,25 +75,38 @@ export function diffTableSchema(remoteSchema, localSchema) {
     return diff;
   }
 
-  // Compare columns
+  // Resolve renamed columns, then compare local columns under their new names
   const remoteColumns = new Map(remoteSchema.columns.map((c) => [c.Field, c]));
-  const localColumns = new Map(localSchema.columns.map((c) => [c.Field, c]));
+  const renameMap = resolveRenames(remoteSchema.columns, localSchema.columns, renames, detectRenames);
+  const renamed = (name) => renameMap.get(name)?.to ?? name;
 
-  // Find columns to add (in remote but not in local)
-  for (const [name, remoteCol] of remoteColumns) {
-    if (!localColumns.has(name)) {
-      diff.columnsToAdd.push({
-        name,
-        type: remoteCol.Type,
-        nullable: remoteCol.Null === 'YES',
-        default: remoteCol.Default,
-        extra: remoteCol.Extra,
-        definition: buildColumnDefinition(remoteCol),
-      });
-      diff.hasChanges = true;
-    }
+  for (const [from, { to, detected }] of renameMap) {
+    diff.columnsToRename.push({ from, to, detected, definition: buildColumnDefinition(remoteColumns.get(to)) });
+    diff.hasChanges = true;
   }
 
+  const localColumns = new Map(localSchema.columns.map((c) => [renamed(c.Field), c]));
+
+  // Find columns to add (in remote but not in local), positioned after their remote predecessor
+  const remoteNames = [...remoteColumns.keys()];
+  remoteNames.forEach((name, i) => {
+    if (localColumns.has(name)) return;
+
+    const remoteCol = remoteColumns.get(name);
+    // Appending is enough when every later remote column is new as well
+    const appends = remoteNames.slice(i + 1).every((next) => !localColumns.has(next));
+    diff.columnsToAdd.push({
+      name,
+      type: remoteCol.Type,
+      nullable: remoteCol.Null === 'YES',
+      default: remoteCol.Default,
+      extra: remoteCol.Extra,
+      definition: buildColumnDefinition(remoteCol),
+      position: appends ? null : columnPosition(remoteNames[i - 1]),
+    });
+    diff.hasChanges = true;
+  });
+
   // Find columns to remove (in local but not in remote)
   for (const [name, localCol] of localColumns) {
     if (!remoteColumns.has(name)) {
@@ -58,14 +115,19 @@ export function diffTableSchema(remoteSchema, localSchema) {
     }
   }
 
-  // Find columns to modify (type or attributes changed)
+  // Find columns to modify (type or attributes changed). MySQL cannot MODIFY a column
+  // between virtual, stored and regular, so those are dropped and re-added in place once the
+  // added columns exist (their remote predecessor or generation expression may be new).
   for (const [name, remoteCol] of remoteColumns) {
     const localCol = localColumns.get(name);
     if (localCol && !columnsEqual(remoteCol, localCol)) {
+      const rebuild = (remoteCol.Generated ?? null) !== (localCol.Generated ?? null);
       diff.columnsToModify.push({
         name,
         from: buildColumnDefinition(localCol),
         to: buildColumnDefinition(remoteCol),
+        rebuild,
+        position: rebuild ? columnPosition(remoteNames[remoteNames.indexOf(name) - 1]) : null,
         remoteCol,
         localCol,
       });
@@ -73,18 +135,77 @@ export function diffTableSchema(remoteSchema, localSchema) {
     }
   }
 
-  // Compare indexes (excluding primary key which is handled with columns)
+  // Find columns out of order: keep the longest run already in remote order, move the rest
+  const commonRemote = remoteNames.filter((name) => localColumns.has(name));
+  const commonLocal = [...localColumns.keys()].filter((name) => remoteColumns.has(name));
+  const inOrder = longestCommonSubsequence(commonRemote, commonLocal);
+
+  commonRemote.forEach((name, i) => {
+    if (inOrder.has(name)) return;
+
+    diff.columnsToMove.push({
+      name,
+      position: columnPosition(commonRemote[i - 1]),
+      definition: buildColumnDefinition(remoteColumns.get(name)),
+    });
+    diff.hasChanges = true;
+  });
+
+  // Compare table options (engine, charset/collation, row format, comment)
+  if (remoteSchema.options && localSchema.options) {
+    for (const option of Object.keys(TABLE_OPTIONS)) {
+      const from = localSchema.options[option] ?? null;
+      const to = remoteSchema.options[option] ?? null;
+      if (to !== null && from !== to) {
+        diff.tableOptionChanges.push({ option, from, to });
+        diff.hasChanges = true;
+      }
+    }
+
+    // CONVERT TO resets every string column to the table collation, so columns with
+    // their own collation are modified back afterwards
+    const convert = diff.tableOptionChanges.find((change) => change.option === 'collation');
+    if (convert) {
+      convert.restoreColumns = remoteSchema.columns
+        .filter((col) => col.Collation && col.Collation !== convert.to && localColumns.has(col.Field))
+        .map((col) => ({ name: col.Field, definition: buildColumnDefinition(col) }));
+    }
+  }
+
+  // Compare indexes (the primary key is compared separately below)
   const remoteIndexes = groupIndexes(remoteSchema.indexes);
-  const localIndexes = groupIndexes(localSchema.indexes);
+  const localIndexes = groupIndexes(
+    localSchema.indexes.map((row) => (renameMap.has(row.Column_name) ? { ...row, Column_name: renamed(row.Column_name) } : row))
+  );
+
+  const remotePk = remoteIndexes.get('PRIMARY') || null;
+  const localPk = localIndexes.get('PRIMARY') || null;
+  const remotePkDef = remotePk ? buildKeyParts(remotePk) : null;
+  const localPkDef = localPk ? buildKeyParts(localPk) : null;
+
+  if (remotePkDef !== localPkDef) {
+    diff.primaryKeyChange = {
+      from: localPk ? localPk.columns : [],
+      to: remotePk ? remotePk.columns : [],
+      definition: remotePkDef,
+    };
+    diff.hasChanges = true;
+  }
 
   for (const [indexName, remoteIdx] of remoteIndexes) {
     if (indexName === 'PRIMARY') continue;
 
-    if (!localIndexes.has(indexName)) {
-      diff.indexesToAdd.push({
+    const localIdx = localIndexes.get(indexName);
+    if (!localIdx) {
+      diff.indexesToAdd.push(remoteIdx);
+      diff.hasChanges = true;
+    } else if (buildIndexDefinition(localIdx) !== buildIndexDefinition(remoteIdx)) {
+      diff.indexesToModify.push({
         name: indexName,
-        columns: remoteIdx.columns,
-        unique: remoteIdx.unique,
+        from: buildIndexDefinition(localIdx),
+        to: buildIndexDefinition(remoteIdx),
+        remoteIdx,
+        localIdx,
       });
       diff.hasChanges = true;
     }
@@ -99,33 +220,202 @@ export function diffTableSchema(remoteSchema, localSchema) {
     }
   }
 
+  // Compare foreign keys and CHECK constraints by name and definition
+  const remoteConstraints = groupConstraints(remoteSchema);
+  const localConstraints = groupConstraints({
+    ...localSchema,
+    foreignKeys: (localSchema.foreignKeys || []).map((fk) => ({ ...fk, columns: fk.columns.map(renamed) })),
+  });
+
+  for (const [name, remoteCon] of remoteConstraints) {
+    const localCon = localConstraints.get(name);
+    if (!localCon) {
+      diff.constraintsToAdd.push(remoteCon);
+      diff.hasChanges = true;
+    } else if (localCon.type !== remoteCon.type || localCon.definition !== remoteCon.definition) {
+      diff.constraintsToModify.push({
+        name,
+        type: remoteCon.type,
+        localType: localCon.type,
+        from: localCon.definition,
+        to: remoteCon.definition,
+      });
+      diff.hasChanges = true;
+    }
+  }
+
+  for (const [name, localCon] of localConstraints) {
+    if (!remoteConstraints.has(name)) {
+      diff.constraintsToDrop.push(localCon);
+      diff.hasChanges = true;
+    }
+  }
+
   return diff;
 }
 
+/**
+ * Build the ALTER TABLE position clause placing a column after another (or first)
+ * @param {string|undefined} previous - Preceding column name
+ * @returns {string} "AFTER `previous`" or "FIRST"
+ */
+function columnPosition(previous) {
+  return previous ? `AFTER \`${previous}\`` : 'FIRST';
+}
+
+/**
+ * Find the longest common subsequence of two name lists
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {Set<string>} Names in the subsequence
+ */
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Work out which local columns are renames of remote columns
+ * Configured renames apply whenever the old name exists only locally and the new name only
+ * remotely. Otherwise, if exactly one column was removed and one added, and both have the
+ * same definition and position, the pair is proposed as a (detected) rename.
+ * @param {object[]} remoteCols - Remote DESCRIBE rows
+ * @param {object[]} localCols - Local DESCRIBE rows
+ * @param {object} renames - Configured renames ({ oldName: newName })
+ * @param {boolean} detectRenames - Whether to propose heuristic renames
+ * @returns {Map<string, {to: string, detected: boolean}>} Local name -> rename
+ */
+function resolveRenames(remoteCols, localCols, renames, detectRenames) {
+  const remoteNames = new Set(remoteCols.map((c) => c.Field));
+  const localNames = new Set(localCols.map((c) => c.Field));
+  const result = new Map();
+
+  for (const [from, to] of Object.entries(renames)) {
+    if (localNames.has(from) && !remoteNames.has(from) && remoteNames.has(to) && !localNames.has(to)) {
+      result.set(from, { to, detected: false });
+    }
+  }
+
+  if (detectRenames) {
+    const targets = new Set([...result.values()].map((r) => r.to));
+    const added = remoteCols.filter((c) => !localNames.has(c.Field) && !targets.has(c.Field));
+    const removed = localCols.filter((c) => !remoteNames.has(c.Field) && !result.has(c.Field));
+
+    if (
+      added.length === 1 &&
+      removed.length === 1 &&
+      columnsEqual(added[0], removed[0]) &&
+      remoteCols.indexOf(added[0]) === localCols.indexOf(removed[0])
+    ) {
+      result.set(removed[0].Field, { to: added[0].Field, detected: true });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Collect a table's foreign keys and CHECK constraints by name
+ * @param {object} schema - Table schema (foreignKeys, checks)
+ * @returns {Map<string, {name: string, type: string, definition: string}>}
+ */
+function groupConstraints(schema) {
+  const constraints = new Map();
+
+  for (const fk of schema.foreignKeys || []) {
+    constraints.set(fk.name, { name: fk.name, type: 'FOREIGN KEY', definition: buildForeignKeyDefinition(fk) });
+  }
+  for (const check of schema.checks || []) {
+    constraints.set(check.name, { name: check.name, type: 'CHECK', definition: buildCheckDefinition(check) });
+  }
+
+  return constraints;
+}
+
+/**
+ * Build the ALTER TABLE clause that drops a constraint
+ */
+function dropConstraintClause(name, type) {
+  return type === 'FOREIGN KEY' ? `DROP FOREIGN KEY \`${name}\`` : `DROP CHECK \`${name}\``;
+}
+
+/**
+ * Quote a string literal for generated SQL
+ */
+function quoteString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
 /**
  * Build column definition string for ALTER TABLE
  */
 function buildColumnDefinition(col) {
   let def = col.Type;
 
+  if (col.Collation) {
+    def += ` CHARACTER SET ${charsetOfCollation(col.Collation)} COLLATE ${col.Collation}`;
+  }
+
+  // Generated columns take their expression instead of a default
+  const generated = col.Generated ?? generatedKind(col);
+  if (generated) {
+    def += ` GENERATED ALWAYS AS (${col.GenerationExpression ?? ''}) ${generated}`;
+  }
+
   if (col.Null === 'NO') {
     def += ' NOT NULL';
   } else {
     def += ' NULL';
   }
 
-  if (col.Default !== null && col.Default !== undefined) {
-    if (col.Default === 'CURRENT_TIMESTAMP') {
-      def += ` DEFAULT ${col.Default}`;
-    } else {
-      def += ` DEFAULT '${col.Default}'`;
+  if (!generated) {
+    if (col.Default !== null && col.Default !== undefined) {
+      if (col.Default === 'CURRENT_TIMESTAMP') {
+        def += ` DEFAULT ${col.Default}`;
+      } else {
+        def += ` DEFAULT '${col.Default}'`;
+      }
+    } else if (col.Null === 'YES') {
+      def += ' DEFAULT NULL';
     }
-  } else if (col.Null === 'YES') {
-    def += ' DEFAULT NULL';
   }
 
-  if (col.Extra) {
-    def += ` ${col.Extra}`;
+  // Extra without the generated/invisible markers, which are written as clauses of their own
+  const extra = (col.Extra || '').replace(/\b(VIRTUAL|STORED) GENERATED\b|\bINVISIBLE\b/gi, '').replace(/\s+/g, ' ').trim();
+  if (extra) {
+    def += ` ${extra}`;
+  }
+
+  if (col.Invisible ?? /\bINVISIBLE\b/i.test(col.Extra || '')) {
+    def += ' INVISIBLE';
+  }
+
+  if (col.Comment) {
+    def += ` COMMENT ${quoteString(col.Comment)}`;
   }
 
   return def;
@@ -139,31 +429,88 @@ function columnsEqual(col1, col2) {
     col1.Type === col2.Type &&
     col1.Null === col2.Null &&
     col1.Default === col2.Default &&
-    col1.Extra === col2.Extra
+    col1.Extra === col2.Extra &&
+    (col1.GenerationExpression ?? null) === (col2.GenerationExpression ?? null) &&
+    (col1.Collation ?? null) === (col2.Collation ?? null) &&
+    (col1.Comment ?? '') === (col2.Comment ?? '')
   );
 }
 
 /**
- * Group index rows by index name
+ * Group SHOW INDEX rows by index name
+ * Each index keeps its full signature: key parts (column or functional expression, prefix
+ * length, direction), uniqueness, index type and visibility.
  */
 function groupIndexes(indexRows) {
   const indexes = new Map();
+  const ordered = [...indexRows].sort((a, b) => (a.Seq_in_index ?? 0) - (b.Seq_in_index ?? 0));
 
-  for (const row of indexRows) {
+  for (const row of ordered) {
     const name = row.Key_name;
     if (!indexes.has(name)) {
       indexes.set(name, {
         name,
         columns: [],
-        unique: row.Non_unique === 0,
+        parts: [],
+        unique: Number(row.Non_unique) === 0,
+        type: row.Index_type || 'BTREE',
+        visible: row.Visible !== 'NO',
       });
     }
-    indexes.get(name).columns.push(row.Column_name);
+    const index = indexes.get(name);
+    index.columns.push(row.Column_name ?? `(${row.Expression})`);
+    index.parts.push({
+      column: row.Column_name ?? null,
+      expression: row.Expression ?? null,
+      subPart: row.Sub_part ?? null,
+      descending: row.Collation === 'D',
+    });
   }
 
   return indexes;
 }
 
+/**
+ * Build the parenthesised key part list of an index
+ * @param {object} idx - Index from groupIndexes (or { columns })
+ * @returns {string} e.g. "(`email`(64) DESC, `id`)"
+ */
+function buildKeyParts(idx) {
+  const parts = idx.parts || idx.columns.map((column) => ({ column }));
+  const keyParts = parts
+    .map((part) => {
+      if (part.expression) return `(${part.expression})${part.descending ? ' DESC' : ''}`;
+      // SPATIAL indexes report a fixed Sub_part that cannot be written back as a prefix
+      const prefix = part.subPart && idx.type !== 'SPATIAL' ? `(${part.subPart})` : '';
+      return `\`${part.column}\`${prefix}${part.descending ? ' DESC' : ''}`;
+    })
+    .join(', ');
+
+  return `(${keyParts})`;
+}
+
+/**
+ * Build the index clause used after ALTER TABLE ... ADD
+ * @param {object} idx - Index from groupIndexes (or { name, columns, unique })
+ * @returns {string} e.g. "UNIQUE INDEX `uq_email` (`email`(64) DESC) INVISIBLE"
+ */
+function buildIndexDefinition(idx) {
+  let kind = 'INDEX';
+  if (idx.type === 'FULLTEXT') kind = 'FULLTEXT INDEX';
+  else if (idx.type === 'SPATIAL') kind = 'SPATIAL INDEX';
+  else if (idx.unique) kind = 'UNIQUE INDEX';
+
+  let def = `${kind} \`${idx.name}\` ${buildKeyParts(idx)}`;
+  if (idx.type && !['BTREE', 'FULLTEXT', 'SPATIAL'].includes(idx.type)) {
+    def += ` USING ${idx.type}`;
+  }
+  if (idx.visible === false) {
+    def += ' INVISIBLE';
+  }
+
+  return def;
+}
+
 /**
  * Generate SQL statements to apply schema changes
  * @param {object} diff - Schema diff object
@@ -178,16 +525,76 @@ export function generateSchemaSQL(diff) {
     return statements;
   }
 
-  // Add columns
-  for (const col of diff.columnsToAdd) {
-    statements.push(`ALTER TABLE \`${tableName}\` ADD COLUMN \`${col.name}\` ${col.definition}`);
+  if (diff.dropTable) {
+    statements.push(`DROP TABLE \`${tableName}\``);
+    return statements;
+  }
+
+  const constraintsToAdd = diff.constraintsToAdd || [];
+  const constraintsToModify = diff.constraintsToModify || [];
+  const constraintsToDrop = diff.constraintsToDrop || [];
+
+  // Drop constraints first, so the columns and indexes they use can change
+  for (const con of constraintsToDrop) {
+    statements.push(`ALTER TABLE \`${tableName}\` ${dropConstraintClause(con.name, con.type)}`);
+  }
+  for (const con of constraintsToModify) {
+    statements.push(`ALTER TABLE \`${tableName}\` ${dropConstraintClause(con.name, con.localType)}`);
+  }
+
+  // Table options (CONVERT TO rewrites string columns, so it runs before column changes)
+  for (const change of diff.tableOptionChanges || []) {
+    statements.push(`ALTER TABLE \`${tableName}\` ${TABLE_OPTIONS[change.option](change.to)}`);
+    for (const col of change.restoreColumns || []) {
+      statements.push(`ALTER TABLE \`${tableName}\` MODIFY COLUMN \`${col.name}\` ${col.definition}`);
+    }
+  }
+
+  // Rename columns (keeps their data, unlike drop + add)
+  for (const col of diff.columnsToRename || []) {
+    statements.push(`ALTER TABLE \`${tableName}\` RENAME COLUMN \`${col.from}\` TO \`${col.to}\``);
   }
 
-  // Modify columns
+  // Modify columns (moved columns get their full definition with the move below,
+  // rebuilt columns are re-added after the new columns)
+  const columnsToMove = diff.columnsToMove || [];
+  const moved = new Set(columnsToMove.map((col) => col.name));
+  const rebuilds = diff.columnsToModify.filter((col) => col.rebuild);
+  const rebuilt = new Set(rebuilds.map((col) => col.name));
   for (const col of diff.columnsToModify) {
+    if (moved.has(col.name) || col.rebuild) continue;
     statements.push(`ALTER TABLE \`${tableName}\` MODIFY COLUMN \`${col.name}\` ${col.to}`);
   }
 
+  // Move columns, in remote order, each after its remote predecessor
+  for (const col of columnsToMove) {
+    if (rebuilt.has(col.name)) continue;
+    statements.push(`ALTER TABLE \`${tableName}\` MODIFY COLUMN \`${col.name}\` ${col.definition} ${col.position}`);
+  }
+
+  // Add columns (after moves, so their predecessors are already in place)
+  for (const col of diff.columnsToAdd) {
+    const position = col.position ? ` ${col.position}` : '';
+    statements.push(`ALTER TABLE \`${tableName}\` ADD COLUMN \`${col.name}\` ${col.definition}${position}`);
+  }
+
+  // Rebuild columns switching between virtual, stored and regular, now that every column their
+  // position or generation expression can refer to exists (this also puts moved ones in place)
+  for (const col of rebuilds) {
+    statements.push(
+      `ALTER TABLE \`${tableName}\` DROP COLUMN \`${col.name}\`, ADD COLUMN \`${col.name}\` ${col.to} ${col.position}`
+    );
+  }
+
+  // Replace the primary key once new key columns exist (and before old ones are dropped)
+  const pkChange = diff.primaryKeyChange;
+  if (pkChange) {
+    const clauses = [];
+    if (pkChange.from.length > 0) clauses.push('DROP PRIMARY KEY');
+    if (pkChange.to.length > 0) clauses.push(`ADD PRIMARY KEY ${pkChange.definition}`);
+    statements.push(`ALTER TABLE \`${tableName}\` ${clauses.join(', ')}`);
+  }
+
   // Remove columns (careful - data loss!)
   for (const col of diff.columnsToRemove) {
     statements.push(`ALTER TABLE \`${tableName}\` DROP COLUMN \`${col.name}\``);
@@ -195,9 +602,12 @@ export function generateSchemaSQL(diff) {
 
   // Add indexes
   for (const idx of diff.indexesToAdd) {
-    const indexType = idx.unique ? 'UNIQUE INDEX' : 'INDEX';
-    const columns = idx.columns.map((c) => `\`${c}\``).join(', ');
-    statements.push(`ALTER TABLE \`${tableName}\` ADD ${indexType} \`${idx.name}\` (${columns})`);
+    statements.push(`ALTER TABLE \`${tableName}\` ADD ${buildIndexDefinition(idx)}`);
+  }
+
+  // Recreate changed indexes (drop + add in one ALTER, so the table is never without the index)
+  for (const idx of diff.indexesToModify || []) {
+    statements.push(`ALTER TABLE \`${tableName}\` DROP INDEX \`${idx.name}\`, ADD ${idx.to}`);
   }
 
   // Remove indexes
@@ -205,6 +615,11 @@ export function generateSchemaSQL(diff) {
     statements.push(`ALTER TABLE \`${tableName}\` DROP INDEX \`${idx.name}\``);
   }
 
+  // (Re-)add constraints last, once their columns and indexes exist
+  for (const con of [...constraintsToModify.map((c) => ({ name: c.name, definition: c.to })), ...constraintsToAdd]) {
+    statements.push(`ALTER TABLE \`${tableName}\` ADD CONSTRAINT \`${con.name}\` ${con.definition}`);
+  }
+
   return statements;
 }
 
@@ -213,19 +628,26 @@ export function generateSchemaSQL(diff) {
  * @param {object} remoteReader - Remote database reader
  * @param {object} localWriter - Local database writer
  * @param {string[]} tables - Optional list of specific tables to compare
+ * @param {object} options - Options (renames: table -> { oldName: newName },
+ *   confirmRename: async (tableName, rename) => boolean, asked for each detected rename,
+ *   dropTables: report local-only tables as tables to drop - true for all of them, or a list of
+ *   table names to limit it to,
+ *   tableFilter: include/exclude predicate applied to compared and dropped tables)
  * @returns {Promise<object[]>} Array of schema diffs
  */
-export async function compareAllSchemas(remoteReader, localWriter, tables = null) {
+export async function compareAllSchemas(remoteReader, localWriter, tables = null, options = {}) {
+  const { renames = {}, confirmRename = null, dropTables = false, tableFilter = () => true } = options;
   const diffs = [];
 
   // Get table lists
   const remoteTables = await remoteReader.getTables();
   const localTables = await localWriter.getTables();
 
-  // Filter to specific tables if provided
-  const tablesToCompare = tables && tables.length > 0
+  // Filter to specific tables if provided, then to include/exclude patterns
+  const tablesToCompare = (tables && tables.length > 0
     ? remoteTables.filter((t) => tables.includes(t))
-    : remoteTables;
+    : remoteTables
+  ).filter(tableFilter);
 
   logger.info(`Comparing schemas for ${tablesToCompare.length} tables...`);
 
@@ -237,7 +659,19 @@ export async function compareAllSchemas(remoteReader, localWriter, tables = null
       ? await localWriter.getTableSchema(tableName)
       : null;
 
-    const diff = diffTableSchema(remoteSchema, localSchema);
+    const tableRenames = { ...renames[tableName] };
+    let diff = diffTableSchema(remoteSchema, localSchema, { renames: tableRenames });
+
+    // Let the user accept or reject detected renames; a rejected one becomes drop + add again
+    const detected = diff.columnsToRename.filter((col) => col.detected);
+    if (confirmRename && detected.length > 0) {
+      for (const rename of detected) {
+        if (await confirmRename(tableName, rename)) {
+          tableRenames[rename.from] = rename.to;
+        }
+      }
+      diff = diffTableSchema(remoteSchema, localSchema, { renames: tableRenames, detectRenames: false });
+    }
 
     if (diff.hasChanges) {
       diff.sql = generateSchemaSQL(diff);
@@ -245,6 +679,28 @@ export async function compareAllSchemas(remoteReader, localWriter, tables = null
     }
   }
 
+  // Local tables that were dropped remotely (opt-in), child tables first so local FKs allow the drop
+  if (dropTables) {
+    const localOnly = localTables.filter(
+      (t) => !remoteTables.includes(t) && (!Array.isArray(dropTables) || dropTables.includes(t)) && tableFilter(t)
+    );
+    const localForeignKeys = [];
+    for (const tableName of localOnly) {
+      const localSchema = await localWriter.getTableSchema(tableName);
+      localForeignKeys.push(...(localSchema.foreignKeys || []));
+    }
+
+    const { order } = orderTablesByDependencies(localOnly, localForeignKeys);
+    for (const tableName of order.reverse()) {
+      const diff = createDropTableDiff(tableName);
+      diff.sql = generateSchemaSQL(diff);
+      diffs.push(diff);
+    }
+    if (localOnly.length > 0) {
+      logger.info(`Found ${localOnly.length} local tables that no longer exist remotely`);
+    }
+  }
+
   logger.info(`Found ${diffs.length} tables with schema changes`);
   return diffs;
 }
@@ -256,6 +712,19 @@ export async function compareAllSchemas(remoteReader, localWriter, tables = null
  */
 export function formatSchemaDiff(diff) {
   const lines = [];
+
+  // Views, triggers, routines and events (see object-diff.js)
+  if (diff.objectType) {
+    const label = diff.objectType.charAt(0).toUpperCase() + diff.objectType.slice(1);
+    lines.push(`\n=== ${label}: ${diff.tableName} ===`);
+    lines.push(
+      diff.action === 'create'
+        ? `  [CREATE] New ${diff.objectType} will be created`
+        : `  [REPLACE] Definition changed, ${diff.objectType} will be dropped and recreated`
+    );
+    return lines.join('\n');
+  }
+
   lines.push(`\n=== Table: ${diff.tableName} ===`);
 
   if (diff.createTable) {
@@ -263,6 +732,25 @@ export function formatSchemaDiff(diff) {
     return lines.join('\n');
   }
 
+  if (diff.dropTable) {
+    lines.push('  [DROP] Table no longer exists remotely and will be dropped with all its rows');
+    return lines.join('\n');
+  }
+
+  if (diff.tableOptionChanges?.length > 0) {
+    lines.push('  [TABLE OPTIONS]');
+    for (const change of diff.tableOptionChanges) {
+      lines.push(`    ~ ${change.option}: ${change.from ?? 'none'} -> ${change.to}`);
+    }
+  }
+
+  if (diff.columnsToRename?.length > 0) {
+    lines.push('  [RENAME COLUMNS]');
+    for (const col of diff.columnsToRename) {
+      lines.push(`    ~ ${col.from} -> ${col.to}${col.detected ? ' (detected, review before applying)' : ''}`);
+    }
+  }
+
   if (diff.columnsToAdd.length > 0) {
     lines.push('  [ADD COLUMNS]');
     for (const col of diff.columnsToAdd) {
@@ -273,12 +761,19 @@ export function formatSchemaDiff(diff) {
   if (diff.columnsToModify.length > 0) {
     lines.push('  [MODIFY COLUMNS]');
     for (const col of diff.columnsToModify) {
-      lines.push(`    ~ ${col.name}:`);
+      lines.push(`    ~ ${col.name}:${col.rebuild ? ' (dropped and re-added)' : ''}`);
       lines.push(`      FROM: ${col.from}`);
       lines.push(`      TO:   ${col.to}`);
     }
   }
 
+  if (diff.columnsToMove?.length > 0) {
+    lines.push('  [MOVE COLUMNS]');
+    for (const col of diff.columnsToMove) {
+      lines.push(`    ~ ${col.name}: ${col.position}`);
+    }
+  }
+
   if (diff.columnsToRemove.length > 0) {
     lines.push('  [REMOVE COLUMNS] (WARNING: Data loss!)');
     for (const col of diff.columnsToRemove) {
@@ -286,10 +781,27 @@ export function formatSchemaDiff(diff) {
     }
   }
 
+  if (diff.primaryKeyChange) {
+    const { from, to } = diff.primaryKeyChange;
+    lines.push('  [CHANGE PRIMARY KEY] (WARNING: Rebuilds table, may fail on duplicate keys)');
+    lines.push(`    FROM: ${from.length > 0 ? `(${from.join(', ')})` : 'none'}`);
+    lines.push(`    TO:   ${to.length > 0 ? `(${to.join(', ')})` : 'none'}`);
+  }
+
   if (diff.indexesToAdd.length > 0) {
     lines.push('  [ADD INDEXES]');
     for (const idx of diff.indexesToAdd) {
-      lines.push(`    + ${idx.name} (${idx.columns.join(', ')})${idx.unique ? ' UNIQUE' : ''}`);
+      const type = idx.type && idx.type !== 'BTREE' ? ` ${idx.type}` : '';
+      lines.push(`    + ${idx.name} (${idx.columns.join(', ')})${idx.unique ? ' UNIQUE' : ''}${type}`);
+    }
+  }
+
+  if (diff.indexesToModify?.length > 0) {
+    lines.push('  [MODIFY INDEXES]');
+    for (const idx of diff.indexesToModify) {
+      lines.push(`    ~ ${idx.name}:`);
+      lines.push(`      FROM: ${idx.from}`);
+      lines.push(`      TO:   ${idx.to}`);
     }
   }
 
@@ -300,11 +812,35 @@ export function formatSchemaDiff(diff) {
     }
   }
 
+  if (diff.constraintsToAdd?.length > 0) {
+    lines.push('  [ADD CONSTRAINTS]');
+    for (const con of diff.constraintsToAdd) {
+      lines.push(`    + ${con.name}: ${con.definition}`);
+    }
+  }
+
+  if (diff.constraintsToModify?.length > 0) {
+    lines.push('  [MODIFY CONSTRAINTS]');
+    for (const con of diff.constraintsToModify) {
+      lines.push(`    ~ ${con.name}:`);
+      lines.push(`      FROM: ${con.from}`);
+      lines.push(`      TO:   ${con.to}`);
+    }
+  }
+
+  if (diff.constraintsToDrop?.length > 0) {
+    lines.push('  [DROP CONSTRAINTS]');
+    for (const con of diff.constraintsToDrop) {
+      lines.push(`    - ${con.name}: ${con.definition}`);
+    }
+  }
+
   return lines.join('\n');
 }
 
 export default {
   diffTableSchema,
+  createDropTableDiff,
   generateSchemaSQL,
   compareAllSchemas,
   formatSchemaDiff,
@@ -0,0 +1,203 @@
+/**
+ * Referential-Integrity-Aware Subset Extraction for Driftwarden
+ * Starts from filtered root tables and walks foreign keys on the remote database to
+ * collect a consistent subgraph: every referenced parent row, and the child rows of
+ * selected roots, so nothing copied locally is left dangling.
+ */
+
+import { logger } from '../utils/logger.js';
+import { toWhereCondition } from '../db/sql-builder.js';
+import { createTableFilter } from '../utils/table-filter.js';
+import { diffRowSet, resolveIgnoredColumns } from './data-diff.js';
+import { resolveStrategy } from '../utils/apply-strategy.js';
+
+/**
+ * Build a string key from column values
+ */
+function buildKeyValue(row, columns) {
+  return columns.map((col) => String(row[col])).join('|');
+}
+
+/**
+ * Collect the distinct, fully non-NULL value tuples of columns across rows
+ * (a NULL foreign key column references nothing)
+ */
+function collectTuples(rows, columns) {
+  const tuples = new Map();
+
+  for (const row of rows) {
+    const tuple = columns.map((col) => row[col]);
+    if (tuple.some((val) => val === null || val === undefined)) continue;
+    tuples.set(buildKeyValue(row, columns), tuple);
+  }
+
+  return [...tuples.values()];
+}
+
+/**
+ * Check whether two column lists are identical
+ */
+function sameColumns(a, b) {
+  return a.length === b.length && a.every((col, i) => col === b[i]);
+}
+
+/**
+ * Extract a referentially consistent subset of the remote database
+ * Parent rows (tables referenced by selected rows) are always followed. Child rows
+ * (tables referencing selected rows) are followed from the roots downwards only;
+ * rows pulled in as parents do not expand their children, otherwise the walk would
+ * reach most of the database through shared lookup tables.
+ * @param {object} remoteReader - Remote database reader
+ * @param {object} roots - Map of root table name to WHERE clause selecting seed rows
+ * @param {object} options - Options (tables: allowed tables, tableFilter: include/exclude predicate,
+ *   followChildren, chunkSize)
+ * @returns {Promise<Map<string, object>>} Table name -> { primaryKey, rows }
+ */
+export async function extractSubset(remoteReader, roots, options = {}) {
+  const { tables = null, tableFilter = null, followChildren = true, chunkSize = 5000 } = options;
+  const inScope = tableFilter || createTableFilter({ tables });
+
+  const foreignKeys = (await remoteReader.getForeignKeys()).filter(
+    (fk) => inScope(fk.table) && inScope(fk.referencedTable)
+  );
+  logger.debug(`Subset: ${foreignKeys.length} foreign keys in scope`);
+
+  const selected = new Map();
+  const queue = [];
+
+  async function getBucket(table) {
+    if (!selected.has(table)) {
+      const schema = await remoteReader.getTableSchema(table);
+      selected.set(table, { primaryKey: schema.primaryKey, columns: schema.columns, rows: new Map() });
+    }
+    return selected.get(table);
+  }
+
+  async function addRows(table, rows, expandChildren) {
+    const bucket = await getBucket(table);
+    const keyColumns = bucket.primaryKey.length > 0 ? bucket.primaryKey : Object.keys(rows[0] || {});
+    const added = [];
+
+    for (const row of rows) {
+      const key = buildKeyValue(row, keyColumns);
+      if (!bucket.rows.has(key)) {
+        bucket.rows.set(key, row);
+        added.push(row);
+      }
+    }
+
+    if (added.length > 0) {
+      queue.push({ table, rows: added, expandChildren });
+    }
+  }
+
+  async function fetchRelated(table, columns, tuples, expandChildren) {
+    const bucket = await getBucket(table);
+
+    // Skip tuples that are already selected when they address the table's primary key
+    const pending = sameColumns(columns, bucket.primaryKey)
+      ? tuples.filter((tuple) => !bucket.rows.has(tuple.map(String).join('|')))
+      : tuples;
+
+    for (let i = 0; i < pending.length; i += chunkSize) {
+      const rows = await remoteReader.getRowsByKeys(table, columns, pending.slice(i, i + chunkSize));
+      await addRows(table, rows, expandChildren);
+    }
+  }
+
+  // Seed rows from root filters
+  for (const [table, clause] of Object.entries(roots)) {
+    const bucket = await getBucket(table);
+    const where = toWhereCondition(clause);
+    for await (const chunk of remoteReader.getTableDataChunked(table, chunkSize, bucket.primaryKey, { where })) {
+      await addRows(table, chunk, true);
+    }
+    logger.info(`Subset root ${table}: ${bucket.rows.size} rows match "${clause}"`);
+  }
+
+  // Walk relations breadth-first until no new rows are found
+  while (queue.length > 0) {
+    const { table, rows, expandChildren } = queue.shift();
+
+    for (const fk of foreignKeys) {
+      if (fk.table === table) {
+        await fetchRelated(fk.referencedTable, fk.referencedColumns, collectTuples(rows, fk.columns), false);
+      }
+    }
+
+    if (!followChildren || !expandChildren) continue;
+
+    for (const fk of foreignKeys) {
+      if (fk.referencedTable === table) {
+        await fetchRelated(fk.table, fk.columns, collectTuples(rows, fk.referencedColumns), true);
+      }
+    }
+  }
+
+  const result = new Map();
+  for (const [table, bucket] of selected) {
+    if (bucket.rows.size > 0) {
+      result.set(table, { primaryKey: bucket.primaryKey, rows: [...bucket.rows.values()] });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare a referentially consistent subset against local
+ * Produces normal data diffs (inserts/updates only) that the executor can apply.
+ * @param {object} remoteReader - Remote database reader
+ * @param {object} localWriter - Local database writer
+ * @param {object} roots - Map of root table name to WHERE clause
+ * @param {object} options - Options (tables, tableFilter, followChildren, chunkSize, ignoreColumns,
+ *   ignoreColumnsOnInsert, strategies: sync.strategies map of table to apply strategy)
+ * @returns {Promise<object[]>} Array of data diffs
+ */
+export async function compareSubset(remoteReader, localWriter, roots, options = {}) {
+  const { chunkSize = 5000, ignoreColumns = {}, ignoreColumnsOnInsert = false, strategies = {} } = options;
+
+  logger.info(`Extracting subset from ${Object.keys(roots).length} root table(s)...`);
+  const subset = await extractSubset(remoteReader, roots, options);
+
+  const diffs = [];
+  for (const [tableName, { primaryKey, columns, rows }] of subset) {
+    if (primaryKey.length === 0) {
+      logger.warn(`Skipping ${tableName} in subset: no primary key to match local rows`);
+      continue;
+    }
+
+    // A subset is never the whole table, so replace tables are upserted instead
+    let strategy = resolveStrategy(strategies, tableName);
+    if (strategy === 'replace') {
+      logger.info(`Upserting ${tableName} in subset mode (strategy replace needs the whole table)`);
+      strategy = 'upsert';
+    }
+
+    try {
+      diffs.push(await diffRowSet(localWriter, tableName, primaryKey, rows, {
+        chunkSize,
+        columns,
+        ignoreColumns: resolveIgnoredColumns(ignoreColumns, tableName),
+        ignoreColumnsOnInsert,
+        strategy,
+      }));
+    } catch (err) {
+      logger.error(`Error comparing subset data for ${tableName}: ${err.message}`);
+      diffs.push({
+        tableName,
+        error: err.message,
+        stats: { inserts: 0, updates: 0, deletes: 0 },
+      });
+    }
+  }
+
+  logger.info(`Subset covers ${diffs.length} table(s)`);
+
+  return diffs;
+}
+
+export default {
+  extractSubset,
+  compareSubset,
+};
@@ -0,0 +1,198 @@
+/**
+ * Value Normalizer for Driftwarden
+ * Type-aware value comparison for row diffs. Values that MySQL considers equal but that
+ * reach JavaScript in different shapes (DECIMAL scale, JSON key order, Buffers, float
+ * rounding between the text and binary protocols, fractional seconds) are not updates.
+ */
+
+// Relative tolerance for approximate types (FLOAT is single precision)
+const FLOAT_EPSILON = {
+  float: 1e-6,
+  double: 1e-12,
+  real: 1e-12,
+};
+
+const BINARY_TYPES = ['binary', 'varbinary', 'tinyblob', 'blob', 'mediumblob', 'longblob'];
+
+/**
+ * Normalize a value for comparison when its column type is unknown
+ * @param {*} val - Column value
+ * @returns {string|null} Comparable representation
+ */
+export function normalizeValue(val) {
+  if (val === null || val === undefined) return null;
+  if (val instanceof Date) return val.toISOString();
+  if (typeof val === 'object') return JSON.stringify(val);
+  return String(val);
+}
+
+/**
+ * Split a column type into its base type, length/precision and scale
+ * @param {string} type - Column type as shown by SHOW COLUMNS, e.g. decimal(10,2) unsigned
+ * @returns {{base: string, length: number|null, scale: number|null}}
+ */
+export function parseColumnType(type) {
+  const match = /^(\w+)(?:\((\d+)(?:,\s*(\d+))?\))?/.exec(String(type || '').toLowerCase());
+  if (!match) return { base: '', length: null, scale: null };
+  return {
+    base: match[1],
+    length: match[2] !== undefined ? Number(match[2]) : null,
+    scale: match[3] !== undefined ? Number(match[3]) : null,
+  };
+}
+
+/**
+ * Normalize a DECIMAL value: no leading zeros, no trailing fraction zeros, no negative zero
+ * Numbers are fixed to the column scale first, so float artifacts do not leak in.
+ * @param {*} val - DECIMAL value (mysql2 returns strings)
+ * @param {number|null} scale - Column scale
+ * @returns {string}
+ */
+export function normalizeDecimal(val, scale = null) {
+  const str = typeof val === 'number' ? val.toFixed(scale ?? 10) : String(val).trim();
+  const match = /^([+-]?)0*(\d*)(?:\.(\d*?)0*)?$/.exec(str);
+  if (!match) return str;
+
+  const [, sign, integer, fraction] = match;
+  const digits = `${integer || '0'}${fraction ? `.${fraction}` : ''}`;
+  return digits === '0' ? '0' : `${sign === '-' ? '-' : ''}${digits}`;
+}
+
+/**
+ * Serialise JSON with object keys sorted, so key order does not matter
+ * Strings are parsed first (servers without a native JSON type return text).
+ * @param {*} val - JSON value
+ * @returns {string}
+ */
+export function canonicalJson(val) {
+  let parsed = val;
+  if (typeof val === 'string') {
+    try {
+      parsed = JSON.parse(val);
+    } catch {
+      return val;
+    }
+  }
+
+  const sortKeys = (node) => {
+    if (Array.isArray(node)) return node.map(sortKeys);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.keys(node).sort().map((key) => [key, sortKeys(node[key])]));
+    }
+    return node;
+  };
+
+  return JSON.stringify(sortKeys(parsed));
+}
+
+/**
+ * Normalize a BIT value to its unsigned integer value (leading zero bytes do not matter)
+ * @param {*} val - BIT value (mysql2 returns a Buffer)
+ * @returns {string}
+ */
+function normalizeBit(val) {
+  if (Buffer.isBuffer(val)) {
+    return val.length === 0 ? '0' : BigInt(`0x${val.toString('hex')}`).toString();
+  }
+  try {
+    return BigInt(val).toString();
+  } catch {
+    return String(val);
+  }
+}
+
+/**
+ * Normalize a binary string value to hex
+ * @param {*} val - BINARY/VARBINARY/BLOB value
+ * @returns {string}
+ */
+function normalizeBinary(val) {
+  return (Buffer.isBuffer(val) ? val : Buffer.from(String(val))).toString('hex');
+}
+
+/**
+ * Normalize a temporal value to the precision of its column (fractional seconds digits)
+ * Dates are compared as instants, strings by their text with the fraction cut to fsp.
+ * @param {*} val - DATETIME/TIMESTAMP/TIME value
+ * @param {number} fsp - Fractional seconds precision (0-6)
+ * @returns {string}
+ */
+export function normalizeTemporal(val, fsp = 0) {
+  if (val instanceof Date) {
+    const time = val.getTime();
+    if (Number.isNaN(time)) return String(val);
+    const unit = 10 ** (3 - Math.min(fsp, 3));
+    return new Date(Math.floor(time / unit) * unit).toISOString();
+  }
+
+  return String(val).replace(/\.(\d*)$/, (_, fraction) => {
+    const kept = fraction.slice(0, fsp).replace(/0+$/, '');
+    return kept ? `.${kept}` : '';
+  });
+}
+
+/**
+ * Build an equality check for two non-NULL values of a column type
+ * @param {string} type - Column type
+ * @returns {function(*, *): boolean}
+ */
+function equalsForType(type) {
+  const { base, length, scale } = parseColumnType(type);
+  const byNormalizer = (normalize) => (a, b) => normalize(a) === normalize(b);
+
+  if (base === 'decimal' || base === 'numeric') {
+    return byNormalizer((val) => normalizeDecimal(val, scale));
+  }
+  if (FLOAT_EPSILON[base] !== undefined) {
+    return (a, b) => {
+      const x = Number(a);
+      const y = Number(b);
+      if (Number.isNaN(x) || Number.isNaN(y)) return String(a) === String(b);
+      return Math.abs(x - y) <= FLOAT_EPSILON[base] * Math.max(1, Math.abs(x), Math.abs(y));
+    };
+  }
+  if (base === 'json') {
+    return byNormalizer(canonicalJson);
+  }
+  if (base === 'bit') {
+    return byNormalizer(normalizeBit);
+  }
+  if (BINARY_TYPES.includes(base)) {
+    return byNormalizer(normalizeBinary);
+  }
+  if (base === 'datetime' || base === 'timestamp' || base === 'time') {
+    return byNormalizer((val) => normalizeTemporal(val, length ?? 0));
+  }
+
+  return byNormalizer(normalizeValue);
+}
+
+/**
+ * Create a value comparator for a table from its column metadata
+ * Columns without metadata are compared by their generic normalized form.
+ * @param {object[]} columns - SHOW COLUMNS rows (Field, Type) from getTableSchema
+ * @param {object} options - Options (ignoreColumns: columns whose values always compare equal)
+ * @returns {function(string, *, *): boolean} (column, a, b) => values are equal
+ */
+export function createValueComparator(columns = [], options = {}) {
+  const ignored = new Set(options.ignoreColumns || []);
+  const equalsByColumn = new Map(columns.map((col) => [col.Field, equalsForType(col.Type)]));
+  const genericEquals = equalsForType('');
+
+  return (column, a, b) => {
+    if (ignored.has(column)) return true;
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return (a ?? null) === (b ?? null);
+    }
+    return (equalsByColumn.get(column) || genericEquals)(a, b);
+  };
+}
+
+export default {
+  normalizeValue,
+  parseColumnType,
+  normalizeDecimal,
+  canonicalJson,
+  normalizeTemporal,
+  createValueComparator,
+};
@@ -5,6 +5,11 @@
  */
 
 import { logger } from '../utils/logger.js';
+import { getDiffMode, isResumableByKey } from '../utils/checkpoint.js';
+import { extractKey } from '../db/sql-builder.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { rowBatches } from '../utils/row-spool.js';
+import { strategyAllows } from '../utils/apply-strategy.js';
 
 /**
  * Apply schema changes to local database
@@ -33,7 +38,7 @@ export async function applySchemaChanges(localWriter, schemaDiffs) {
         await localWriter.executeSchema(sql);
         results.applied.push({ table: diff.tableName, sql });
       } catch (err) {
-        logger.error(`Failed to apply schema change: ${err.message}`);
+        logger.error(`Failed to apply schema change to ${diff.tableName}: ${err.message}`);
         results.failed.push({ table: diff.tableName, sql, error: err.message });
         results.errors.push(err.message);
         results.success = false;
@@ -48,15 +53,96 @@ export async function applySchemaChanges(localWriter, schemaDiffs) {
   return results;
 }
 
+/**
+ * Order tables so that referenced (parent) tables come before the tables referencing them
+ * Self-references are ignored. Tables that are part of (or depend on) a foreign key cycle
+ * cannot be ordered and are appended in their original order.
+ * @param {string[]} tables - Table names
+ * @param {object[]} foreignKeys - Foreign keys ({ table, referencedTable })
+ * @returns {{order: string[], cyclic: string[]}} Parent-first order and unorderable tables
+ */
+export function orderTablesByDependencies(tables, foreignKeys = []) {
+  const tableSet = new Set(tables);
+  const parents = new Map(tables.map((table) => [table, new Set()]));
+
+  for (const fk of foreignKeys) {
+    if (fk.table !== fk.referencedTable && tableSet.has(fk.table) && tableSet.has(fk.referencedTable)) {
+      parents.get(fk.table).add(fk.referencedTable);
+    }
+  }
+
+  const order = [];
+  const placed = new Set();
+  let progress = true;
+
+  while (progress) {
+    progress = false;
+    for (const table of tables) {
+      if (!placed.has(table) && [...parents.get(table)].every((parent) => placed.has(parent))) {
+        order.push(table);
+        placed.add(table);
+        progress = true;
+      }
+    }
+  }
+
+  const cyclic = tables.filter((table) => !placed.has(table));
+
+  return { order: [...order, ...cyclic], cyclic };
+}
+
+/**
+ * Group tables into dependency levels: every table comes one level after its deepest parent
+ * Tables within a level do not reference each other and can be applied in parallel. Tables in
+ * a foreign key cycle get a level of their own each, after all others, in their original order.
+ * @param {string[]} tables - Table names
+ * @param {object[]} foreignKeys - Foreign keys ({ table, referencedTable })
+ * @returns {{levels: string[][], cyclic: string[]}} Parent-first levels and unorderable tables
+ */
+export function groupTablesByDependencies(tables, foreignKeys = []) {
+  const { order, cyclic } = orderTablesByDependencies(tables, foreignKeys);
+  const depth = new Map();
+  const levels = [];
+
+  for (const table of order) {
+    if (cyclic.includes(table)) continue;
+
+    const parentDepths = foreignKeys
+      .filter((fk) => fk.table === table && fk.referencedTable !== table && depth.has(fk.referencedTable))
+      .map((fk) => depth.get(fk.referencedTable));
+    const level = parentDepths.length > 0 ? Math.max(...parentDepths) + 1 : 0;
+
+    depth.set(table, level);
+    (levels[level] = levels[level] || []).push(table);
+  }
+
+  return { levels: [...levels, ...cyclic.map((table) => [table])], cyclic };
+}
+
 /**
  * Apply data changes to local database
+ * Inserts and updates are applied parent-first, then deletes child-first, so local foreign
+ * keys are satisfied at every commit. Each table commits once per phase.
+ * With concurrency > 1 (and a writer that can acquire() pooled connections), tables of the
+ * same dependency level are applied in parallel, each on its own connection.
+ * With a checkpoint, tables whose rows come in primary key order commit and record every batch,
+ * so --resume can continue after the last applied key instead of restarting the table.
  * @param {object} localWriter - Local database writer
  * @param {object[]} dataDiffs - Approved data diffs
- * @param {object} options - Execution options
+ * @param {object} options - Execution options (batchSize, continueOnError, checkpoint, foreignKeys,
+ *   concurrency, disableForeignKeyChecks, bulkLoad: 'auto' | 'always' | 'never')
  * @returns {Promise<object>} Execution results
  */
 export async function applyDataChanges(localWriter, dataDiffs, options = {}) {
-  const { batchSize = 1000, continueOnError = false } = options;
+  const {
+    batchSize = 1000,
+    continueOnError = false,
+    checkpoint = null,
+    foreignKeys = [],
+    concurrency = 1,
+    disableForeignKeyChecks = false,
+    bulkLoad = 'auto',
+  } = options;
 
   const results = {
     success: true,
@@ -67,40 +153,153 @@ export async function applyDataChanges(localWriter, dataDiffs, options = {}) {
     errors: [],
   };
 
-  for (const diff of dataDiffs) {
-    const tableResult = {
-      table: diff.tableName,
-      inserts: 0,
-      updates: 0,
-      deletes: 0,
-      errors: [],
-    };
+  const tables = dataDiffs.map((diff) => diff.tableName);
+  const parallel = concurrency > 1 && typeof localWriter.acquire === 'function';
+  const { order, cyclic } = orderTablesByDependencies(tables, foreignKeys);
+  if (cyclic.length > 0) {
+    logger.warn(
+      `Foreign key cycle involving ${cyclic.join(', ')} - these tables are applied in their original order. ` +
+      'Enable sync.disableForeignKeyChecks if local constraints reject the changes.'
+    );
+  }
+
+  // Waves run one after another; tables within a wave run in parallel
+  const waves = parallel
+    ? groupTablesByDependencies(tables, foreignKeys).levels
+    : order.map((table) => [table]);
+  if (parallel) {
+    logger.info(`Applying up to ${concurrency} tables in parallel (${waves.length} dependency levels)`);
+  }
+
+  const diffsByTable = new Map(dataDiffs.map((diff) => [diff.tableName, diff]));
+  const tableResults = new Map();
+
+  /**
+   * Record a table in the checkpoint once its last phase has committed
+   */
+  function completeTable(diff, tableResult) {
+    if (!checkpoint) return;
+
+    checkpoint.completeTable(diff.tableName, {
+      diffMode: getDiffMode(diff),
+      inserts: tableResult.inserts,
+      updates: tableResult.updates,
+      deletes: tableResult.deletes,
+    });
+  }
+
+  /**
+   * Get the checkpoint recorder of a table applied batch by batch (key-ordered diffs), or null
+   * when the table commits once per phase. Recorders take the phase and the batch's last row,
+   * or null when changes below that row are still pending and resuming after it would skip them.
+   */
+  function batchRecorder(diff, tableResult) {
+    if (!checkpoint || !isResumableByKey(diff)) return null;
+
+    return (phase, lastRow) => checkpoint.recordBatch(diff.tableName, {
+      phase,
+      lastPrimaryKey: lastRow ? extractKey(lastRow, diff.primaryKey) : null,
+      inserts: tableResult.inserts,
+      updates: tableResult.updates,
+      deletes: tableResult.deletes,
+    });
+  }
+
+  /**
+   * Run work on a writer of its own (parallel mode) or on the shared writer
+   * Acquired connections get the run's session settings, and lose them before going back.
+   */
+  async function withWriter(work) {
+    if (!parallel) return work(localWriter);
 
+    const writer = await localWriter.acquire();
     try {
-      // Handle full table replacement (no primary key)
-      if (diff.fullReplace) {
-        await applyFullReplace(localWriter, diff, tableResult);
-      } else {
-        // Normal incremental sync
-        await applyIncrementalChanges(localWriter, diff, tableResult, batchSize);
-      }
+      if (disableForeignKeyChecks) await writer.executeStatement('SET FOREIGN_KEY_CHECKS = 0');
+      return await work(writer);
+    } finally {
+      if (disableForeignKeyChecks) await writer.executeStatement('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
+      writer.release();
+    }
+  }
+
+  /**
+   * Run one phase for a table, recording errors
+   * @returns {Promise<boolean>} False if the run must stop
+   */
+  async function runPhase(diff, apply) {
+    if (!tableResults.has(diff.tableName)) {
+      tableResults.set(diff.tableName, {
+        table: diff.tableName,
+        inserts: 0,
+        updates: 0,
+        deletes: 0,
+        errors: [],
+      });
+    }
+    const tableResult = tableResults.get(diff.tableName);
+
+    try {
+      await withWriter((writer) => apply(writer, diff, tableResult));
     } catch (err) {
       logger.error(`Error applying changes to ${diff.tableName}: ${err.message}`);
       tableResult.errors.push(err.message);
       results.success = false;
+      return continueOnError;
+    }
+    return true;
+  }
 
-      if (!continueOnError) {
-        results.tables.push(tableResult);
-        results.errors.push(`${diff.tableName}: ${err.message}`);
-        return results;
-      }
+  /**
+   * Run a phase over the waves; a wave that must stop the run lets its running tables finish
+   * @returns {Promise<boolean>} False if the run stopped
+   */
+  async function runWaves(phaseWaves, apply) {
+    for (const wave of phaseWaves) {
+      const outcomes = await mapWithConcurrency(wave, concurrency, (diff) => runPhase(diff, apply));
+      if (outcomes.includes(false)) return false;
+    }
+    return true;
+  }
+
+  // Phase 1: inserts and updates, parents before children
+  const upsertWaves = waves.map((wave) => wave.map((table) => diffsByTable.get(table)));
+  const completed = await runWaves(upsertWaves, async (writer, diff, tableResult) => {
+    const bulk = await useBulkLoad(writer, diff, bulkLoad);
+
+    // Handle full table replacement (no primary key)
+    if (diff.fullReplace) {
+      await applyFullReplace(writer, diff, tableResult, bulk);
+    } else {
+      await applyUpserts(writer, diff, tableResult, batchSize, bulk, batchRecorder(diff, tableResult));
     }
 
+    if (!hasPendingDeletes(diff)) {
+      completeTable(diff, tableResult);
+    }
+  });
+
+  // Phase 2: deletes, children before parents
+  if (completed) {
+    const deleteWaves = [...upsertWaves]
+      .reverse()
+      .map((wave) => [...wave].reverse().filter(
+        (diff) => hasPendingDeletes(diff) && tableResults.get(diff.tableName).errors.length === 0
+      ))
+      .filter((wave) => wave.length > 0);
+
+    await runWaves(deleteWaves, async (writer, diff, tableResult) => {
+      await applyDeletes(writer, diff, tableResult, batchSize, batchRecorder(diff, tableResult));
+      completeTable(diff, tableResult);
+    });
+  }
+
+  // Tables are reported in the order they were started, whatever order they finished in
+  for (const tableResult of tableResults.values()) {
     results.tables.push(tableResult);
     results.totalInserts += tableResult.inserts;
     results.totalUpdates += tableResult.updates;
     results.totalDeletes += tableResult.deletes;
-    results.errors.push(...tableResult.errors.map((e) => `${diff.tableName}: ${e}`));
+    results.errors.push(...tableResult.errors.map((e) => `${tableResult.table}: ${e}`));
   }
 
   logger.info(
@@ -112,132 +311,281 @@ export async function applyDataChanges(localWriter, dataDiffs, options = {}) {
 }
 
 /**
- * Apply incremental changes (insert/update/delete)
+ * Decide whether a table's inserts are loaded with LOAD DATA LOCAL INFILE (sync.bulkLoad)
+ * 'auto' bulk loads initial copies: tables with no local rows (within the table's row filter).
+ * Rows are counted here: diff stats only count the local rows a diff looked at (incremental and
+ * subset diffs), so an empty count there does not mean an empty table.
  */
-async function applyIncrementalChanges(localWriter, diff, tableResult, batchSize) {
-  const { tableName, primaryKey, toInsert, toUpdate, toDelete } = diff;
+async function useBulkLoad(localWriter, diff, bulkLoad) {
+  if (bulkLoad === 'never' || typeof localWriter.loadRows !== 'function') return false;
+  const inserts = diff.fullReplace ? diff.remoteData : diff.toInsert;
+  if (!inserts?.length) return false;
+  if (bulkLoad === 'always') return true;
+  return (await localWriter.countRows(diff.tableName, diff.filter)) === 0;
+}
 
-  // Start transaction for atomicity
-  await localWriter.beginTransaction();
+/**
+ * Run a bulk load with the table's indexes disabled where the engine supports it
+ * DISABLE KEYS is DDL (it commits), so it runs outside the load's transaction.
+ */
+async function withKeysDisabled(localWriter, tableName, load) {
+  const disabled = (await localWriter.disableKeys?.(tableName)) || false;
+  try {
+    await load();
+  } finally {
+    if (disabled) await localWriter.enableKeys(tableName);
+  }
+}
+
+/**
+ * Check whether a diff has row deletes left for the delete phase (and its strategy deletes rows)
+ */
+function hasPendingDeletes(diff) {
+  return !diff.fullReplace && diff.toDelete?.length > 0 && strategyAllows(diff.strategy, 'delete');
+}
+
+/**
+ * Run table changes inside a transaction, rolling back on error
+ */
+async function inTransaction(localWriter, tableName, apply, { quiet = false } = {}) {
+  await localWriter.beginTransaction(tableName);
 
   try {
+    await apply();
+    await localWriter.commit(tableName);
+    logger[quiet ? 'debug' : 'info'](`Changes committed for ${tableName}`);
+  } catch (err) {
+    await localWriter.rollback(tableName);
+    logger.error(`Rolling back changes for ${tableName}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Commit a table's changes once per phase, or once per batch when a checkpoint recorder is given
+ * Batches then commit on their own and are recorded as soon as they are committed.
+ */
+function createCommitter(localWriter, tableName, recordBatch) {
+  return {
+    async phase(apply) {
+      if (!recordBatch) return inTransaction(localWriter, tableName, apply);
+      await apply();
+      logger.info(`Changes committed for ${tableName}`);
+    },
+
+    async batch(phase, keyRow, apply) {
+      if (!recordBatch) return apply();
+      await inTransaction(localWriter, tableName, apply, { quiet: true });
+      recordBatch(phase, keyRow);
+    },
+  };
+}
+
+/**
+ * Apply inserts and updates for a table
+ * @param {Function|null} recordBatch - Checkpoint recorder of tables applied batch by batch
+ */
+async function applyUpserts(localWriter, diff, tableResult, batchSize, bulk = false, recordBatch = null) {
+  const { tableName, primaryKey, toInsert } = diff;
+  // Insert-only tables (sync.strategies) never receive updates, whoever built the diff
+  const toUpdate = strategyAllows(diff.strategy, 'update') ? diff.toUpdate : [];
+  const ignoreColumns = diff.ignoreColumns || [];
+  const insertOptions = { ignoreColumns: diff.ignoreColumnsOnInsert ? ignoreColumns : [] };
+
+  if (!toInsert?.length && !toUpdate?.length) return;
+
+  const committer = createCommitter(localWriter, tableName, recordBatch);
+
+  // Resuming after an inserted key is only safe once no update or delete is left below it
+  const insertsKeyed = !toUpdate?.length && !hasPendingDeletes(diff);
+
+  const apply = () => committer.phase(async () => {
+    // Bulk load inserts from temporary files (sync.bulkLoad), one batch at a time when recorded
+    if (bulk) {
+      logger.info(`Bulk loading ${toInsert.length} rows into ${tableName}...`);
+      const loads = recordBatch ? rowBatches(toInsert, batchSize) : [toInsert];
+      for (const rows of loads) {
+        await committer.batch('insert', recordBatch && insertsKeyed ? rows[rows.length - 1] : null, async () => {
+          const result = await localWriter.loadRows(tableName, rows, { ...insertOptions, batchSize });
+          tableResult.inserts += result.affectedRows;
+        });
+      }
+    }
+
     // Apply inserts in batches
-    if (toInsert && toInsert.length > 0) {
+    if (!bulk && toInsert && toInsert.length > 0) {
       logger.info(`Inserting ${toInsert.length} rows into ${tableName}...`);
 
-      for (let i = 0; i < toInsert.length; i += batchSize) {
-        const batch = toInsert.slice(i, i + batchSize);
-        await localWriter.insertRows(tableName, batch);
-        tableResult.inserts += batch.length;
-        logger.debug(`Inserted batch ${Math.floor(i / batchSize) + 1}`);
+      // Row lists may be arrays or spools read back from disk (sync.spill)
+      let batchNumber = 0;
+      for (const batch of rowBatches(toInsert, batchSize)) {
+        await committer.batch('insert', insertsKeyed ? batch[batch.length - 1] : null, async () => {
+          await localWriter.insertRows(tableName, batch, insertOptions);
+          tableResult.inserts += batch.length;
+        });
+        logger.debug(`Inserted batch ${++batchNumber} into ${tableName}`);
       }
     }
 
-    // Apply updates one by one (to handle different columns per row)
+    // Apply updates one statement per batch
     if (toUpdate && toUpdate.length > 0) {
       logger.info(`Updating ${toUpdate.length} rows in ${tableName}...`);
 
-      for (const { remote } of toUpdate) {
-        await localWriter.updateRow(tableName, remote, primaryKey);
-        tableResult.updates++;
+      const keyed = !hasPendingDeletes(diff);
+      let batchNumber = 0;
+      for (const batch of rowBatches(toUpdate, batchSize)) {
+        await committer.batch('update', keyed ? batch[batch.length - 1].remote : null, async () => {
+          // Ignored columns (sync.ignoreColumns) keep their local value
+          await localWriter.updateRows(tableName, batch.map(({ remote }) => remote), primaryKey, { ignoreColumns });
+          tableResult.updates += batch.length;
+        });
+        logger.debug(`Updated batch ${++batchNumber} in ${tableName}`);
       }
     }
+  });
 
-    // Apply deletes
-    if (toDelete && toDelete.length > 0) {
-      logger.info(`Deleting ${toDelete.length} rows from ${tableName}...`);
+  await (bulk ? withKeysDisabled(localWriter, tableName, apply) : apply());
+}
 
-      for (const row of toDelete) {
-        const keyValues = {};
-        for (const col of primaryKey) {
-          keyValues[col] = row[col];
-        }
-        await localWriter.deleteRow(tableName, keyValues);
-        tableResult.deletes++;
-      }
+/**
+ * Apply deletes for a table
+ * @param {Function|null} recordBatch - Checkpoint recorder of tables applied batch by batch
+ */
+async function applyDeletes(localWriter, diff, tableResult, batchSize, recordBatch = null) {
+  const { tableName, primaryKey, toDelete } = diff;
+  const committer = createCommitter(localWriter, tableName, recordBatch);
+
+  await committer.phase(async () => {
+    logger.info(`Deleting ${toDelete.length} rows from ${tableName}...`);
+
+    let batchNumber = 0;
+    for (const batch of rowBatches(toDelete, batchSize)) {
+      const keys = batch.map((row) => extractKey(row, primaryKey));
+      // Inserts and updates are done by now, so every change up to the last deleted key is applied
+      await committer.batch('delete', batch[batch.length - 1], async () => {
+        await localWriter.deleteRows(tableName, keys);
+        tableResult.deletes += batch.length;
+      });
+      logger.debug(`Deleted batch ${++batchNumber} from ${tableName}`);
     }
-
-    // Commit transaction
-    await localWriter.commit();
-    logger.info(`Changes committed for ${tableName}`);
-  } catch (err) {
-    // Rollback on error
-    await localWriter.rollback();
-    logger.error(`Rolling back changes for ${tableName}: ${err.message}`);
-    throw err;
-  }
+  });
 }
 
 /**
  * Apply full table replacement (for tables without primary key)
  */
-async function applyFullReplace(localWriter, diff, tableResult) {
+async function applyFullReplace(localWriter, diff, tableResult, bulk = false) {
   const { tableName, remoteData } = diff;
+  const insertOptions = { ignoreColumns: diff.ignoreColumnsOnInsert ? diff.ignoreColumns : [] };
 
   logger.warn(`Performing full table replacement for ${tableName}`);
 
-  await localWriter.beginTransaction();
+  const apply = async () => {
+    await localWriter.beginTransaction(tableName);
 
-  try {
-    // Delete all existing rows
-    const deleteResult = await localWriter.execute('DELETE FROM ??', [tableName]);
-    tableResult.deletes = deleteResult.affectedRows;
-    logger.info(`Deleted ${tableResult.deletes} rows from ${tableName}`);
-
-    // Insert all remote data
-    if (remoteData && remoteData.length > 0) {
-      const batchSize = 1000;
-      for (let i = 0; i < remoteData.length; i += batchSize) {
-        const batch = remoteData.slice(i, i + batchSize);
-        await localWriter.insertRows(tableName, batch);
-        tableResult.inserts += batch.length;
+    try {
+      // Delete all existing rows (only those matching the table's row filter, if any)
+      const deleteResult = diff.filter
+        ? await localWriter.execute(`DELETE FROM ?? WHERE (${diff.filter})`, [tableName])
+        : await localWriter.execute('DELETE FROM ??', [tableName]);
+      tableResult.deletes = deleteResult.affectedRows;
+      logger.info(`Deleted ${tableResult.deletes} rows from ${tableName}`);
+
+      // Insert all remote data (bulk loaded from temporary files with sync.bulkLoad)
+      if (bulk) {
+        const result = await localWriter.loadRows(tableName, remoteData, { ...insertOptions, batchSize: 1000 });
+        tableResult.inserts += result.affectedRows;
+        logger.info(`Loaded ${tableResult.inserts} rows into ${tableName}`);
+      } else if (remoteData && remoteData.length > 0) {
+        for (const batch of rowBatches(remoteData, 1000)) {
+          await localWriter.insertRows(tableName, batch, insertOptions);
+          tableResult.inserts += batch.length;
+        }
+        logger.info(`Inserted ${tableResult.inserts} rows into ${tableName}`);
       }
-      logger.info(`Inserted ${tableResult.inserts} rows into ${tableName}`);
+
+      await localWriter.commit(tableName);
+    } catch (err) {
+      await localWriter.rollback(tableName);
+      throw err;
     }
+  };
 
-    await localWriter.commit();
-  } catch (err) {
-    await localWriter.rollback();
-    throw err;
-  }
+  await (bulk ? withKeysDisabled(localWriter, tableName, apply) : apply());
 }
 
 /**
  * Execute full sync (schema + data)
+ * Table schema changes run first, then data changes, then views, triggers, routines and
+ * events (so new triggers do not fire on the rows being synced).
  * @param {object} localWriter - Local database writer
  * @param {object[]} schemaDiffs - Approved schema diffs
  * @param {object[]} dataDiffs - Approved data diffs
- * @param {object} options - Execution options
+ * @param {object} options - Execution options (see applyDataChanges, plus disableForeignKeyChecks)
  * @returns {Promise<object>} Combined results
  */
 export async function executeSync(localWriter, schemaDiffs, dataDiffs, options = {}) {
+  const { foreignKeys = [], disableForeignKeyChecks = false } = options;
+
   const results = {
     success: true,
     schema: null,
     data: null,
+    objects: null,
   };
 
-  // Apply schema changes first
-  if (schemaDiffs && schemaDiffs.length > 0) {
-    logger.info('Applying schema changes...');
-    results.schema = await applySchemaChanges(localWriter, schemaDiffs);
-    if (!results.schema.success) {
-      results.success = false;
-      logger.error('Schema changes failed - aborting data sync');
-      return results;
-    }
+  const tableDiffs = (schemaDiffs || []).filter((d) => !d.objectType);
+  const objectDiffs = (schemaDiffs || []).filter((d) => d.objectType);
+
+  // Session-level switch for FK cycles; always restored, even if the run fails
+  if (disableForeignKeyChecks) {
+    logger.warn('Foreign key checks disabled on the local database for this sync run');
+    await localWriter.executeStatement('SET FOREIGN_KEY_CHECKS = 0');
   }
 
-  // Apply data changes
-  if (dataDiffs && dataDiffs.length > 0) {
-    logger.info('Applying data changes...');
-    results.data = await applyDataChanges(localWriter, dataDiffs, options);
-    if (!results.data.success) {
-      results.success = false;
+  try {
+    // Apply schema changes first (parent tables first, so new FKs can reference them).
+    // Table drops come last, once FKs pointing at the dropped tables have been removed.
+    if (tableDiffs.length > 0) {
+      logger.info('Applying schema changes...');
+      const alterDiffs = tableDiffs.filter((d) => !d.dropTable);
+      const { order } = orderTablesByDependencies(alterDiffs.map((d) => d.tableName), foreignKeys);
+      const orderedSchemaDiffs = [
+        ...order.map((table) => alterDiffs.find((d) => d.tableName === table)),
+        ...tableDiffs.filter((d) => d.dropTable),
+      ];
+      results.schema = await applySchemaChanges(localWriter, orderedSchemaDiffs);
+      if (!results.schema.success) {
+        results.success = false;
+        logger.error('Schema changes failed - aborting data sync');
+        return results;
+      }
     }
-  }
 
-  return results;
+    // Apply data changes
+    if (dataDiffs && dataDiffs.length > 0) {
+      logger.info('Applying data changes...');
+      results.data = await applyDataChanges(localWriter, dataDiffs, options);
+      if (!results.data.success) {
+        results.success = false;
+      }
+    }
+
+    // Apply views, triggers, routines and events
+    if (objectDiffs.length > 0 && results.success) {
+      logger.info('Applying views, triggers, routines and events...');
+      results.objects = await applySchemaChanges(localWriter, objectDiffs);
+      if (!results.objects.success) {
+        results.success = false;
+      }
+    }
+
+    return results;
+  } finally {
+    if (disableForeignKeyChecks) {
+      await localWriter.executeStatement('SET FOREIGN_KEY_CHECKS = 1');
+    }
+  }
 }
 
 /**
@@ -265,6 +613,12 @@ export function formatExecutionSummary(results) {
     lines.push(`  Deletes: ${results.data.totalDeletes}`);
   }
 
+  if (results.objects) {
+    lines.push(`\nViews, Triggers, Routines & Events:`);
+    lines.push(`  Applied: ${results.objects.applied.length}`);
+    lines.push(`  Failed: ${results.objects.failed.length}`);
+  }
+
   if (results.success) {
     lines.push(`\n✓ Sync completed successfully`);
   } else {
@@ -272,6 +626,7 @@ export function formatExecutionSummary(results) {
     const allErrors = [
       ...(results.schema?.errors || []),
       ...(results.data?.errors || []),
+      ...(results.objects?.errors || []),
     ];
     for (const err of allErrors) {
       lines.push(`  - ${err}`);
@@ -284,6 +639,8 @@ export function formatExecutionSummary(results) {
 }
 
 export default {
+  orderTablesByDependencies,
+  groupTablesByDependencies,
   applySchemaChanges,
   applyDataChanges,
   executeSync,
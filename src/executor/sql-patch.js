@@ -0,0 +1,424 @@
+/**
+ * SQL Patch Export/Apply for Driftwarden
+ * Serialises approved schema + data diffs into a replayable SQL file,
+ * and replays such a file against the local database
+ * SAFETY: Patches are only ever applied to the LOCAL database
+ */
+
+import mysql from 'mysql2/promise';
+import { generateSchemaSQL } from '../diff/schema-diff.js';
+import { logger } from '../utils/logger.js';
+import { orderTablesByDependencies } from './change-executor.js';
+import { rowBatches } from '../utils/row-spool.js';
+
+const DEFAULT_ROWS_PER_INSERT = 500;
+
+// Statement delimiter for object definitions, whose bodies contain semicolons (as mysqldump)
+const OBJECT_DELIMITER = ';;';
+
+/**
+ * Prepare a column value for mysql.format
+ * JSON columns are read as parsed objects and arrays, which format would expand into
+ * identifier lists; they are written back as JSON text. Buffers and Dates are left alone.
+ * @param {*} value - Column value
+ * @returns {*} Value to format
+ */
+function toSqlValue(value) {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Format a statement with column values, writing Dates in the session time zone
+ * @param {string} sql - SQL with placeholders
+ * @param {Array} values - Placeholder values
+ * @param {string|null} timezone - Offset such as '+02:00' (sync.timezone), or null for local time
+ * @returns {string} Escaped SQL
+ */
+function formatValues(sql, values, timezone = null) {
+  return mysql.format(sql, values, false, timezone || 'local');
+}
+
+/**
+ * Build a multi-row INSERT statement
+ * @param {string} tableName - Table name
+ * @param {Array<object>} rows - Rows to insert (all rows share the first row's columns)
+ * @param {string[]} ignoreColumns - Columns left to their local default
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string} Escaped SQL statement
+ */
+function buildInsertStatement(tableName, rows, ignoreColumns = [], timezone = null) {
+  const columns = Object.keys(rows[0]).filter((col) => !ignoreColumns.includes(col));
+  const values = rows.map((row) => formatValues('(?)', [columns.map((col) => toSqlValue(row[col]))], timezone));
+  return mysql.format(`INSERT INTO ?? (??) VALUES ${values.join(', ')}`, [tableName, columns]);
+}
+
+/**
+ * Build a WHERE clause matching a row by primary key
+ * @param {object} row - Row data
+ * @param {string[]} primaryKey - Primary key columns
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string} Escaped WHERE clause (without the WHERE keyword)
+ */
+function buildKeyClause(row, primaryKey, timezone = null) {
+  return primaryKey.map((col) => formatValues('?? = ?', [col, toSqlValue(row[col])], timezone)).join(' AND ');
+}
+
+/**
+ * Build an UPDATE statement setting every non-key column of a row
+ * @param {string} tableName - Table name
+ * @param {object} row - Full remote row
+ * @param {string[]} primaryKey - Primary key columns
+ * @param {string[]} ignoreColumns - Columns that keep their local value
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string|null} Escaped SQL statement, or null if there is nothing to set
+ */
+function buildUpdateStatement(tableName, row, primaryKey, ignoreColumns = [], timezone = null) {
+  const setColumns = Object.keys(row).filter((col) => !primaryKey.includes(col) && !ignoreColumns.includes(col));
+  if (setColumns.length === 0) return null;
+
+  const setClause = setColumns.map((col) => formatValues('?? = ?', [col, toSqlValue(row[col])], timezone)).join(', ');
+  return mysql.format(`UPDATE ?? SET ${setClause} WHERE ${buildKeyClause(row, primaryKey, timezone)}`, [tableName]);
+}
+
+/**
+ * Build DELETE statement for a row
+ * @param {string} tableName - Table name
+ * @param {object} row - Local row
+ * @param {string[]} primaryKey - Primary key columns
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string} Escaped SQL statement
+ */
+function buildDeleteStatement(tableName, row, primaryKey, timezone = null) {
+  return mysql.format(`DELETE FROM ?? WHERE ${buildKeyClause(row, primaryKey, timezone)}`, [tableName]);
+}
+
+/**
+ * Generate the insert/update statements for one table diff
+ * @param {object} diff - Data diff
+ * @param {number} rowsPerInsert - Rows per multi-row INSERT
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string[]} SQL statements
+ */
+function generateUpsertStatements(diff, rowsPerInsert, timezone = null) {
+  const { tableName, primaryKey = [], ignoreColumns = [] } = diff;
+  const insertIgnoreColumns = diff.ignoreColumnsOnInsert ? ignoreColumns : [];
+  const statements = [];
+
+  const inserts = diff.fullReplace ? diff.remoteData || [] : diff.toInsert || [];
+
+  if (diff.fullReplace) {
+    const filter = diff.filter ? ` WHERE (${diff.filter})` : '';
+    statements.push(mysql.format(`DELETE FROM ??${filter}`, [tableName]));
+  }
+
+  for (const batch of rowBatches(inserts, rowsPerInsert)) {
+    statements.push(buildInsertStatement(tableName, batch, insertIgnoreColumns, timezone));
+  }
+
+  if (!diff.fullReplace) {
+    for (const batch of rowBatches(diff.toUpdate, rowsPerInsert)) {
+      for (const { remote } of batch) {
+        const statement = buildUpdateStatement(tableName, remote, primaryKey, ignoreColumns, timezone);
+        if (statement) statements.push(statement);
+      }
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Generate the delete statements for one table diff
+ * @param {object} diff - Data diff
+ * @param {string|null} timezone - Session time zone offset (sync.timezone)
+ * @returns {string[]} SQL statements
+ */
+function generateDeleteStatements(diff, timezone = null) {
+  if (diff.fullReplace) return [];
+
+  const statements = [];
+  for (const batch of rowBatches(diff.toDelete, 1000)) {
+    statements.push(...batch.map((row) => buildDeleteStatement(diff.tableName, row, diff.primaryKey || [], timezone)));
+  }
+  return statements;
+}
+
+/**
+ * Generate a replayable SQL patch from schema and data diffs
+ * Schema statements come first (DDL implicitly commits in MySQL), followed by all
+ * data changes inside a single transaction: inserts/updates parent-first, then deletes
+ * child-first, following the same foreign key order as the executor.
+ * Dates are written in the session time zone the rows were read in (timezone: sync.timezone).
+ * @param {object[]} schemaDiffs - Schema diffs
+ * @param {object[]} dataDiffs - Data diffs
+ * @param {object} options - Options (source, rowsPerInsert, foreignKeys, timezone)
+ * @returns {string} SQL file content
+ */
+export function generateSqlPatch(schemaDiffs, dataDiffs, options = {}) {
+  const { source = null, rowsPerInsert = DEFAULT_ROWS_PER_INSERT, foreignKeys = [], timezone = null } = options;
+  const lines = [];
+
+  lines.push('-- Driftwarden SQL patch');
+  lines.push(`-- Generated: ${new Date().toISOString()}`);
+  if (source) {
+    lines.push(`-- Source database: ${source}`);
+  }
+  lines.push('-- Apply with: driftwarden apply <file>');
+  lines.push('');
+
+  const byTable = (diffs) => {
+    const { order } = orderTablesByDependencies(diffs.map((d) => d.tableName), foreignKeys);
+    return order.map((table) => diffs.find((d) => d.tableName === table));
+  };
+
+  // Table drops go last, after the changes that remove foreign keys pointing at them
+  const schemaWithChanges = [
+    ...byTable(schemaDiffs.filter((d) => d.hasChanges && !d.objectType && !d.dropTable)),
+    ...schemaDiffs.filter((d) => d.hasChanges && d.dropTable),
+  ];
+  const objectsWithChanges = schemaDiffs.filter((d) => d.hasChanges && d.objectType);
+  if (schemaWithChanges.length > 0) {
+    lines.push('-- Schema changes (DDL commits implicitly, so these run before the data transaction)');
+    for (const diff of schemaWithChanges) {
+      lines.push(`-- Schema: ${diff.tableName}`);
+      for (const sql of diff.sql || generateSchemaSQL(diff)) {
+        lines.push(`${sql};`);
+      }
+      lines.push('');
+    }
+  }
+
+  lines.push('START TRANSACTION;');
+  lines.push('');
+
+  const orderedDataDiffs = byTable(dataDiffs);
+
+  for (const diff of orderedDataDiffs) {
+    if (diff.error) {
+      lines.push(`-- Skipped ${diff.tableName}: ${diff.error.replace(/\s+/g, ' ')}`);
+      lines.push('');
+      continue;
+    }
+
+    const statements = generateUpsertStatements(diff, rowsPerInsert, timezone);
+    if (statements.length === 0) continue;
+
+    const { inserts = 0, updates = 0 } = diff.stats || {};
+    const label = diff.fullReplace ? 'full replacement' : `${inserts} inserts, ${updates} updates`;
+    lines.push(`-- Data: ${diff.tableName} (${label})`);
+    for (const sql of statements) {
+      lines.push(`${sql};`);
+    }
+    lines.push('');
+  }
+
+  for (const diff of [...orderedDataDiffs].reverse()) {
+    if (diff.error) continue;
+
+    const statements = generateDeleteStatements(diff, timezone);
+    if (statements.length === 0) continue;
+
+    lines.push(`-- Data: ${diff.tableName} (${statements.length} deletes)`);
+    for (const sql of statements) {
+      lines.push(`${sql};`);
+    }
+    lines.push('');
+  }
+
+  lines.push('COMMIT;');
+  lines.push('');
+
+  // Views, triggers, routines and events after the data, so new triggers do not fire on it
+  if (objectsWithChanges.length > 0) {
+    lines.push(`DELIMITER ${OBJECT_DELIMITER}`);
+    for (const diff of objectsWithChanges) {
+      lines.push(`-- ${diff.objectType}: ${diff.tableName}`);
+      for (const sql of diff.sql) {
+        lines.push(`${sql}${OBJECT_DELIMITER}`);
+      }
+    }
+    lines.push('DELIMITER ;');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split SQL file content into statements
+ * Splits on the delimiter (semicolon unless changed by a mysql-client style
+ * `DELIMITER` line) outside string literals, quoted identifiers and comments.
+ * @param {string} content - SQL file content
+ * @returns {string[]} Statements without trailing delimiters
+ */
+export function parseSqlPatch(content) {
+  const statements = [];
+  let current = '';
+  let quote = null;
+  let delimiter = ';';
+  let i = 0;
+
+  while (i < content.length) {
+    const ch = content[i];
+    const next = content[i + 1];
+
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && quote !== '`') {
+        current += next ?? '';
+        i += 2;
+        continue;
+      }
+      if (ch === quote) {
+        quote = null;
+      }
+      i++;
+      continue;
+    }
+
+    // Line comments (-- followed by whitespace, and #)
+    if ((ch === '-' && next === '-' && /\s/.test(content[i + 2] ?? '\n')) || ch === '#') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end + 1;
+      continue;
+    }
+
+    // Block comments
+    if (ch === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+      continue;
+    }
+
+    // DELIMITER lines (only at the start of a statement)
+    if (!current.trim() && (i === 0 || content[i - 1] === '\n')) {
+      const match = /^DELIMITER[ \t]+(\S+)[ \t]*(?:\r?\n|$)/i.exec(content.slice(i, content.indexOf('\n', i) + 1 || content.length));
+      if (match) {
+        delimiter = match[1];
+        current = '';
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+    }
+
+    if (content.startsWith(delimiter, i)) {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i += delimiter.length;
+      continue;
+    }
+
+    current += ch;
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+
+  return statements;
+}
+
+/**
+ * Classify a statement by its leading keyword
+ * @param {string} sql - SQL statement
+ * @returns {string} Statement kind (schema, insert, update, delete, transaction, other)
+ */
+function classifyStatement(sql) {
+  const keyword = sql.trim().split(/\s+/)[0].toUpperCase();
+
+  if (['CREATE', 'ALTER', 'DROP', 'RENAME'].includes(keyword)) return 'schema';
+  if (keyword === 'INSERT' || keyword === 'REPLACE') return 'insert';
+  if (keyword === 'UPDATE') return 'update';
+  if (keyword === 'DELETE') return 'delete';
+  if (['START', 'BEGIN', 'COMMIT', 'ROLLBACK'].includes(keyword)) return 'transaction';
+  return 'other';
+}
+
+/**
+ * Summarise the statements of a SQL patch
+ * @param {string[]} statements - Parsed statements
+ * @returns {object} Counts per statement kind and whether the patch is destructive
+ */
+export function summarizeSqlPatch(statements) {
+  const summary = {
+    total: statements.length,
+    schema: 0,
+    insert: 0,
+    update: 0,
+    delete: 0,
+    transaction: 0,
+    other: 0,
+    destructive: [],
+  };
+
+  for (const sql of statements) {
+    const kind = classifyStatement(sql);
+    summary[kind]++;
+
+    if (kind === 'delete' || (kind === 'schema' && /\bDROP\s+(COLUMN|TABLE|PRIMARY)\b/i.test(sql))) {
+      summary.destructive.push(sql.length > 100 ? sql.substring(0, 97) + '...' : sql);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Apply parsed SQL patch statements to the local database
+ * Statements run in order; on failure the open transaction is rolled back and
+ * the remaining statements are skipped.
+ * @param {object} localWriter - Local database writer
+ * @param {string[]} statements - Parsed statements
+ * @returns {Promise<object>} Execution results
+ */
+export async function applySqlPatch(localWriter, statements) {
+  const results = {
+    success: true,
+    applied: 0,
+    skipped: 0,
+    errors: [],
+  };
+
+  let inTransaction = false;
+
+  for (let i = 0; i < statements.length; i++) {
+    const sql = statements[i];
+    const keyword = sql.trim().split(/\s+/)[0].toUpperCase();
+
+    try {
+      await localWriter.executeStatement(sql);
+      results.applied++;
+
+      if (keyword === 'START' || keyword === 'BEGIN') inTransaction = true;
+      if (keyword === 'COMMIT' || keyword === 'ROLLBACK') inTransaction = false;
+    } catch (err) {
+      logger.error(`Failed to apply statement ${i + 1}: ${err.message}`);
+      results.success = false;
+      results.errors.push(`Statement ${i + 1}: ${err.message}`);
+      results.skipped = statements.length - i - 1;
+
+      if (inTransaction) {
+        await localWriter.executeStatement('ROLLBACK');
+        logger.info('Rolled back SQL patch transaction');
+      }
+      break;
+    }
+  }
+
+  logger.info(`SQL patch: ${results.applied} statements applied, ${results.skipped} skipped`);
+
+  return results;
+}
+
+export default {
+  generateSqlPatch,
+  parseSqlPatch,
+  summarizeSqlPatch,
+  applySqlPatch,
+};
@@ -0,0 +1,524 @@
+/**
+ * Diff Output Formatters for Driftwarden
+ * Registry of output formats (text, json, markdown) used to render sync previews and reports
+ */
+
+import { formatSchemaDiff } from '../diff/schema-diff.js';
+import { formatDataDiff, formatStrategy } from '../diff/data-diff.js';
+import { firstRows } from '../utils/row-spool.js';
+import { DEFAULT_STRATEGY } from '../utils/apply-strategy.js';
+
+const formatters = new Map();
+
+// Rows per operation serialized into a JSON data diff: spooled lists are read back from disk,
+// so a report never holds a whole spilled table (stats keep the full counts)
+export const REPORT_ROW_LIMIT = 1000;
+
+/**
+ * Check whether a data diff has any row changes
+ * @param {object} diff - Data diff
+ * @returns {boolean}
+ */
+function hasDataChanges(diff) {
+  return diff.stats.inserts > 0 || diff.stats.updates > 0 || diff.stats.deletes > 0;
+}
+
+/**
+ * Check whether a schema diff alters a table (or object), as opposed to dropping it
+ * @param {object} diff - Schema diff
+ * @returns {boolean}
+ */
+function isSchemaChange(diff) {
+  return diff.hasChanges && !diff.dropTable;
+}
+
+/**
+ * Summarise schema and data diffs (counts and warnings shared by every format)
+ * @param {object[]} schemaDiffs - Schema diffs
+ * @param {object[]} dataDiffs - Data diffs
+ * @returns {object} Summary
+ */
+export function summarizeChanges(schemaDiffs, dataDiffs) {
+  const summary = {
+    schemaChanges: schemaDiffs.filter(isSchemaChange).length,
+    tableDrops: schemaDiffs.filter((d) => d.dropTable).length,
+    dataChanges: dataDiffs.filter(hasDataChanges).length,
+    totals: { inserts: 0, updates: 0, deletes: 0 },
+    warnings: [],
+  };
+
+  for (const diff of dataDiffs) {
+    summary.totals.inserts += diff.stats?.inserts || 0;
+    summary.totals.updates += diff.stats?.updates || 0;
+    summary.totals.deletes += diff.stats?.deletes || 0;
+  }
+
+  // Check for tables without primary keys
+  const noPkTables = dataDiffs.filter((d) => d.fullReplace && d.strategy !== 'replace');
+  if (noPkTables.length > 0) {
+    summary.warnings.push(
+      `${noPkTables.length} table(s) have no primary key and require full replacement`
+    );
+  }
+
+  // Check for local-only tables
+  if (summary.tableDrops > 0) {
+    summary.warnings.push(
+      `${summary.tableDrops} local table(s) no longer exist remotely and will be dropped (DATA LOSS)`
+    );
+  }
+
+  // Check for column removals
+  const colRemovals = schemaDiffs.filter((d) => d.columnsToRemove?.length > 0);
+  if (colRemovals.length > 0) {
+    summary.warnings.push(
+      `${colRemovals.length} table(s) have columns to be removed (DATA LOSS)`
+    );
+  }
+
+  // Check for heuristically detected renames
+  const detectedRenames = schemaDiffs.flatMap((d) => (d.columnsToRename || []).filter((c) => c.detected));
+  if (detectedRenames.length > 0) {
+    summary.warnings.push(
+      `${detectedRenames.length} column rename(s) detected heuristically and not confirmed - confirm them when prompted, or list them in sync.renames`
+    );
+  }
+
+  // Check for primary key changes
+  const pkChanges = schemaDiffs.filter((d) => d.primaryKeyChange);
+  if (pkChanges.length > 0) {
+    summary.warnings.push(`${pkChanges.length} table(s) have primary key changes (table rebuild)`);
+  }
+
+  // Check for deletes
+  if (summary.totals.deletes > 0) {
+    summary.warnings.push(`${summary.totals.deletes} row(s) will be deleted from local database`);
+  }
+
+  return summary;
+}
+
+/**
+ * Convert a value into something JSON can represent without losing information
+ * @param {*} val - Column value
+ * @returns {*} JSON-safe value
+ */
+function toJsonValue(val) {
+  if (val === undefined) return null;
+  if (Buffer.isBuffer(val)) return `0x${val.toString('hex')}`;
+  if (typeof val === 'bigint') return val.toString();
+  if (val instanceof Date) return val.toISOString();
+  return val;
+}
+
+/**
+ * Convert a row into a JSON-safe object
+ * @param {object} row - Row data
+ * @returns {object}
+ */
+function toJsonRow(row) {
+  const result = {};
+  for (const [key, val] of Object.entries(row)) {
+    result[key] = toJsonValue(val);
+  }
+  return result;
+}
+
+/**
+ * Build a plain, serialisable view of a schema diff
+ * @param {object} diff - Schema diff
+ * @returns {object}
+ */
+export function schemaDiffToObject(diff) {
+  if (diff.objectType) {
+    return {
+      object: diff.tableName,
+      type: diff.objectType,
+      action: diff.action,
+      definition: diff.definition,
+      sql: diff.sql || [],
+    };
+  }
+
+  return {
+    table: diff.tableName,
+    createTable: diff.createTable === true,
+    dropTable: diff.dropTable === true,
+    columnsToRename: (diff.columnsToRename || []).map((c) => ({ from: c.from, to: c.to, detected: c.detected === true })),
+    columnsToAdd: (diff.columnsToAdd || []).map((c) => ({ name: c.name, definition: c.definition })),
+    columnsToModify: (diff.columnsToModify || []).map((c) => ({ name: c.name, from: c.from, to: c.to })),
+    columnsToMove: (diff.columnsToMove || []).map((c) => ({ name: c.name, position: c.position })),
+    columnsToRemove: (diff.columnsToRemove || []).map((c) => c.name),
+    tableOptionChanges: (diff.tableOptionChanges || []).map((c) => ({ option: c.option, from: c.from, to: c.to })),
+    indexesToAdd: (diff.indexesToAdd || []).map((i) => ({ name: i.name, columns: i.columns, unique: i.unique })),
+    indexesToModify: (diff.indexesToModify || []).map((i) => ({ name: i.name, from: i.from, to: i.to })),
+    indexesToRemove: (diff.indexesToRemove || []).map((i) => i.name),
+    primaryKeyChange: diff.primaryKeyChange ? { from: diff.primaryKeyChange.from, to: diff.primaryKeyChange.to } : null,
+    constraintsToAdd: (diff.constraintsToAdd || []).map((c) => ({ name: c.name, type: c.type, definition: c.definition })),
+    constraintsToModify: (diff.constraintsToModify || []).map((c) => ({ name: c.name, type: c.type, from: c.from, to: c.to })),
+    constraintsToDrop: (diff.constraintsToDrop || []).map((c) => c.name),
+    sql: diff.sql || [],
+  };
+}
+
+/**
+ * Build a plain, serialisable view of a data diff
+ * @param {object} diff - Data diff
+ * @param {number|null} maxRows - Max rows per operation (null for REPORT_ROW_LIMIT, Infinity for all)
+ * @returns {object}
+ */
+export function dataDiffToObject(diff, maxRows = null) {
+  const rowLimit = maxRows ?? REPORT_ROW_LIMIT;
+  const limit = (rows = []) => firstRows(rows, rowLimit);
+  const primaryKey = diff.primaryKey || [];
+  const pickKey = (row) => Object.fromEntries(primaryKey.map((col) => [col, toJsonValue(row[col])]));
+
+  const result = {
+    table: diff.tableName,
+    primaryKey,
+    filter: diff.filter || null,
+    strategy: diff.strategy || DEFAULT_STRATEGY,
+    stats: { ...diff.stats },
+  };
+
+  if (diff.error) {
+    result.error = diff.error;
+    return result;
+  }
+
+  if (diff.fullReplace) {
+    result.fullReplace = true;
+    return result;
+  }
+
+  result.inserts = limit(diff.toInsert).map(toJsonRow);
+  result.updates = limit(diff.toUpdate).map(({ remote, changes }) => ({
+    key: pickKey(remote),
+    changes: changes.map((c) => ({ column: c.column, from: toJsonValue(c.from), to: toJsonValue(c.to) })),
+  }));
+  result.deletes = limit(diff.toDelete).map(pickKey);
+  if ([diff.toInsert, diff.toUpdate, diff.toDelete].some((rows) => rows?.length > rowLimit)) {
+    result.truncated = true;
+  }
+
+  return result;
+}
+
+/**
+ * Escape text for use inside a markdown table cell
+ * @param {*} val - Value
+ * @returns {string}
+ */
+function markdownCell(val) {
+  const json = toJsonValue(val);
+  if (json === null) return '`NULL`';
+  const str = typeof json === 'object' ? JSON.stringify(json) : String(json);
+  const truncated = str.length > 60 ? str.substring(0, 57) + '...' : str;
+  return truncated.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+const textFormatter = {
+  formatSchemaDiff,
+  formatDataDiff,
+
+  formatPreview(schemaDiffs, dataDiffs, summary) {
+    const lines = [];
+
+    lines.push('\n' + '='.repeat(60));
+    lines.push('                 DRIFTWARDEN SYNC PREVIEW');
+    lines.push('='.repeat(60));
+
+    lines.push(`\nSUMMARY:`);
+    lines.push(`  Tables with schema changes: ${summary.schemaChanges}`);
+    if (summary.tableDrops > 0) {
+      lines.push(`  Tables to drop: ${summary.tableDrops}`);
+    }
+    lines.push(`  Tables with data changes: ${summary.dataChanges}`);
+
+    lines.push(`\n  Total operations:`);
+    lines.push(`    Inserts: ${summary.totals.inserts}`);
+    lines.push(`    Updates: ${summary.totals.updates}`);
+    lines.push(`    Deletes: ${summary.totals.deletes}`);
+
+    // Schema changes detail
+    if (summary.schemaChanges > 0) {
+      lines.push('\n' + '-'.repeat(60));
+      lines.push('SCHEMA CHANGES');
+      lines.push('-'.repeat(60));
+
+      for (const diff of schemaDiffs) {
+        if (isSchemaChange(diff)) {
+          lines.push(this.formatSchemaDiff(diff));
+        }
+      }
+    }
+
+    // Local tables that no longer exist remotely
+    if (summary.tableDrops > 0) {
+      lines.push('\n' + '-'.repeat(60));
+      lines.push('DROP TABLE');
+      lines.push('-'.repeat(60));
+
+      for (const diff of schemaDiffs) {
+        if (diff.dropTable) {
+          lines.push(this.formatSchemaDiff(diff));
+        }
+      }
+    }
+
+    // Data changes detail
+    if (summary.dataChanges > 0) {
+      lines.push('\n' + '-'.repeat(60));
+      lines.push('DATA CHANGES');
+      lines.push('-'.repeat(60));
+
+      for (const diff of dataDiffs) {
+        if (hasDataChanges(diff)) {
+          lines.push(this.formatDataDiff(diff));
+        }
+      }
+    }
+
+    if (summary.warnings.length > 0) {
+      lines.push('\n' + '-'.repeat(60));
+      lines.push('⚠️  WARNINGS');
+      lines.push('-'.repeat(60));
+      for (const warning of summary.warnings) {
+        lines.push(`  ! ${warning}`);
+      }
+    }
+
+    lines.push('\n' + '='.repeat(60));
+
+    return lines.join('\n');
+  },
+};
+
+const jsonFormatter = {
+  formatSchemaDiff(diff) {
+    return JSON.stringify(schemaDiffToObject(diff), null, 2);
+  },
+
+  formatDataDiff(diff, maxDisplay = null) {
+    return JSON.stringify(dataDiffToObject(diff, maxDisplay), null, 2);
+  },
+
+  formatPreview(schemaDiffs, dataDiffs, summary) {
+    return JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        summary,
+        schema: schemaDiffs.filter(isSchemaChange).map(schemaDiffToObject),
+        drop: schemaDiffs.filter((d) => d.dropTable).map((d) => d.tableName),
+        data: dataDiffs.map((d) => dataDiffToObject(d)),
+      },
+      null,
+      2
+    );
+  },
+};
+
+const markdownFormatter = {
+  formatSchemaDiff(diff) {
+    if (diff.objectType) {
+      const verb = diff.action === 'create' ? 'CREATE' : 'REPLACE';
+      return [`### ${diff.objectType} \`${diff.tableName}\``, '', `- **${verb}** ${diff.objectType}`, '', '```sql', ...diff.sql.map((sql) => `${sql};`), '```'].join('\n');
+    }
+
+    const lines = [`### \`${diff.tableName}\``, ''];
+
+    if (diff.createTable) {
+      lines.push('- **CREATE** new table');
+    }
+    if (diff.dropTable) {
+      lines.push('- **DROP TABLE** (no longer exists remotely) ⚠️ data loss');
+    }
+    for (const change of diff.tableOptionChanges || []) {
+      lines.push(`- **TABLE OPTION** ${change.option}: \`${change.from ?? 'none'}\` → \`${change.to}\``);
+    }
+    for (const col of diff.columnsToRename || []) {
+      lines.push(`- **RENAME COLUMN** \`${col.from}\` → \`${col.to}\`${col.detected ? ' (detected, review)' : ''}`);
+    }
+    for (const col of diff.columnsToAdd || []) {
+      lines.push(`- **ADD COLUMN** \`${col.name}\` ${col.definition}`);
+    }
+    for (const col of diff.columnsToModify || []) {
+      lines.push(`- **MODIFY COLUMN** \`${col.name}\`: \`${col.from}\` → \`${col.to}\``);
+    }
+    for (const col of diff.columnsToMove || []) {
+      lines.push(`- **MOVE COLUMN** \`${col.name}\` ${col.position}`);
+    }
+    for (const col of diff.columnsToRemove || []) {
+      lines.push(`- **DROP COLUMN** \`${col.name}\` ⚠️ data loss`);
+    }
+    if (diff.primaryKeyChange) {
+      const keyList = (cols) => (cols.length > 0 ? cols.map((c) => `\`${c}\``).join(', ') : 'none');
+      lines.push(`- **CHANGE PRIMARY KEY** ${keyList(diff.primaryKeyChange.from)} → ${keyList(diff.primaryKeyChange.to)} ⚠️ table rebuild`);
+    }
+    for (const idx of diff.indexesToAdd || []) {
+      lines.push(`- **ADD INDEX** \`${idx.name}\` (${idx.columns.join(', ')})${idx.unique ? ' UNIQUE' : ''}`);
+    }
+    for (const idx of diff.indexesToModify || []) {
+      lines.push(`- **MODIFY INDEX** \`${idx.name}\`: \`${idx.from}\` → \`${idx.to}\``);
+    }
+    for (const idx of diff.indexesToRemove || []) {
+      lines.push(`- **DROP INDEX** \`${idx.name}\``);
+    }
+    for (const con of diff.constraintsToAdd || []) {
+      lines.push(`- **ADD CONSTRAINT** \`${con.name}\` ${con.definition}`);
+    }
+    for (const con of diff.constraintsToModify || []) {
+      lines.push(`- **MODIFY CONSTRAINT** \`${con.name}\`: \`${con.from}\` → \`${con.to}\``);
+    }
+    for (const con of diff.constraintsToDrop || []) {
+      lines.push(`- **DROP CONSTRAINT** \`${con.name}\``);
+    }
+
+    if (diff.sql?.length > 0) {
+      lines.push('', '```sql', ...diff.sql.map((sql) => `${sql};`), '```');
+    }
+
+    return lines.join('\n');
+  },
+
+  formatDataDiff(diff, maxDisplay = 10) {
+    const { stats } = diff;
+    const lines = [`### \`${diff.tableName}\``, ''];
+
+    lines.push(`Primary key: ${diff.primaryKey?.length ? diff.primaryKey.map((c) => `\`${c}\``).join(', ') : 'none'}  `);
+    lines.push(`Remote rows: ${stats.remoteRows ?? 0}, local rows: ${stats.localRows ?? 0}  `);
+    lines.push(`Strategy: ${formatStrategy(diff)}`);
+    lines.push('');
+
+    if (diff.error) {
+      lines.push(`> ❌ ${diff.error}`);
+      return lines.join('\n');
+    }
+
+    if (diff.fullReplace && diff.strategy === 'replace') {
+      lines.push(`> 🔄 Strategy replace — all ${stats.localRows} local rows will be replaced by ${stats.remoteRows} remote rows`);
+      return lines.join('\n');
+    }
+
+    if (diff.fullReplace) {
+      lines.push(`> ⚠️ No primary key — all ${stats.localRows} local rows will be replaced by ${stats.remoteRows} remote rows`);
+      return lines.join('\n');
+    }
+
+    lines.push('| Inserts | Updates | Deletes |');
+    lines.push('|--------:|--------:|--------:|');
+    lines.push(`| ${stats.inserts} | ${stats.updates} | ${stats.deletes} |`);
+
+    if (diff.toUpdate?.length > 0) {
+      const keyOf = (row) => diff.primaryKey.map((col) => markdownCell(row[col])).join(', ');
+      lines.push('', '| Key | Column | From | To |', '|-----|--------|------|----|');
+      for (const { remote, changes } of firstRows(diff.toUpdate, maxDisplay)) {
+        for (const change of changes) {
+          lines.push(`| ${keyOf(remote)} | \`${change.column}\` | ${markdownCell(change.from)} | ${markdownCell(change.to)} |`);
+        }
+      }
+      if (diff.toUpdate.length > maxDisplay) {
+        lines.push('', `_… and ${diff.toUpdate.length - maxDisplay} more updated rows_`);
+      }
+    }
+
+    return lines.join('\n');
+  },
+
+  formatPreview(schemaDiffs, dataDiffs, summary) {
+    const lines = ['## Driftwarden Sync Preview', ''];
+
+    lines.push('| | Count |', '|---|---:|');
+    lines.push(`| Tables with schema changes | ${summary.schemaChanges} |`);
+    lines.push(`| Tables to drop | ${summary.tableDrops} |`);
+    lines.push(`| Tables with data changes | ${summary.dataChanges} |`);
+    lines.push(`| Inserts | ${summary.totals.inserts} |`);
+    lines.push(`| Updates | ${summary.totals.updates} |`);
+    lines.push(`| Deletes | ${summary.totals.deletes} |`);
+
+    if (summary.warnings.length > 0) {
+      lines.push('', '**⚠️ Warnings**', '');
+      for (const warning of summary.warnings) {
+        lines.push(`- ${warning}`);
+      }
+    }
+
+    if (summary.schemaChanges > 0) {
+      lines.push('', '## Schema Changes', '');
+      for (const diff of schemaDiffs) {
+        if (isSchemaChange(diff)) {
+          lines.push(this.formatSchemaDiff(diff), '');
+        }
+      }
+    }
+
+    if (summary.tableDrops > 0) {
+      lines.push('', '## Drop Table', '');
+      for (const diff of schemaDiffs) {
+        if (diff.dropTable) {
+          lines.push(this.formatSchemaDiff(diff), '');
+        }
+      }
+    }
+
+    if (summary.dataChanges > 0) {
+      lines.push('', '## Data Changes', '');
+      for (const diff of dataDiffs) {
+        if (hasDataChanges(diff)) {
+          lines.push(this.formatDataDiff(diff), '');
+        }
+      }
+    }
+
+    return lines.join('\n');
+  },
+};
+
+/**
+ * Register an output format
+ * @param {string} name - Format name (used by --format)
+ * @param {object} formatter - Object with formatSchemaDiff, formatDataDiff and formatPreview
+ */
+export function registerFormatter(name, formatter) {
+  for (const method of ['formatSchemaDiff', 'formatDataDiff', 'formatPreview']) {
+    if (typeof formatter[method] !== 'function') {
+      throw new Error(`Formatter "${name}" must implement ${method}()`);
+    }
+  }
+  formatters.set(name, formatter);
+}
+
+/**
+ * Get a registered output format
+ * @param {string} name - Format name
+ * @returns {object} Formatter
+ * @throws {Error} if the format is not registered
+ */
+export function getFormatter(name) {
+  const formatter = formatters.get(name);
+  if (!formatter) {
+    throw new Error(`Unknown output format: ${name}. Available: ${listFormatters().join(', ')}`);
+  }
+  return formatter;
+}
+
+/**
+ * List registered output format names
+ * @returns {string[]}
+ */
+export function listFormatters() {
+  return [...formatters.keys()];
+}
+
+registerFormatter('text', textFormatter);
+registerFormatter('json', jsonFormatter);
+registerFormatter('markdown', markdownFormatter);
+
+export default {
+  summarizeChanges,
+  schemaDiffToObject,
+  dataDiffToObject,
+  registerFormatter,
+  getFormatter,
+  listFormatters,
+};
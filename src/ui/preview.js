@@ -4,111 +4,33 @@
  */
 
 import * as readline from 'readline';
-import { formatSchemaDiff } from '../diff/schema-diff.js';
-import { formatDataDiff } from '../diff/data-diff.js';
+import { writeFileSync } from 'fs';
+import { getFormatter, summarizeChanges } from './formatters.js';
 import { logger } from '../utils/logger.js';
 
 /**
  * Display full sync preview
  * @param {object[]} schemaDiffs - Array of schema diff objects
  * @param {object[]} dataDiffs - Array of data diff objects
+ * @param {object} options - Options (format: text, json, markdown)
  * @returns {string} Formatted preview string
  */
-export function generatePreview(schemaDiffs, dataDiffs) {
-  const lines = [];
-
-  lines.push('\n' + '='.repeat(60));
-  lines.push('                 DRIFTWARDEN SYNC PREVIEW');
-  lines.push('='.repeat(60));
-
-  // Summary
-  const schemaChanges = schemaDiffs.filter((d) => d.hasChanges).length;
-  const dataChanges = dataDiffs.filter((d) =>
-    d.stats.inserts > 0 || d.stats.updates > 0 || d.stats.deletes > 0
-  ).length;
-
-  lines.push(`\nSUMMARY:`);
-  lines.push(`  Tables with schema changes: ${schemaChanges}`);
-  lines.push(`  Tables with data changes: ${dataChanges}`);
-
-  // Total operation counts
-  let totalInserts = 0;
-  let totalUpdates = 0;
-  let totalDeletes = 0;
-
-  for (const diff of dataDiffs) {
-    totalInserts += diff.stats?.inserts || 0;
-    totalUpdates += diff.stats?.updates || 0;
-    totalDeletes += diff.stats?.deletes || 0;
-  }
-
-  lines.push(`\n  Total operations:`);
-  lines.push(`    Inserts: ${totalInserts}`);
-  lines.push(`    Updates: ${totalUpdates}`);
-  lines.push(`    Deletes: ${totalDeletes}`);
-
-  // Schema changes detail
-  if (schemaChanges > 0) {
-    lines.push('\n' + '-'.repeat(60));
-    lines.push('SCHEMA CHANGES');
-    lines.push('-'.repeat(60));
-
-    for (const diff of schemaDiffs) {
-      if (diff.hasChanges) {
-        lines.push(formatSchemaDiff(diff));
-      }
-    }
-  }
-
-  // Data changes detail
-  if (dataChanges > 0) {
-    lines.push('\n' + '-'.repeat(60));
-    lines.push('DATA CHANGES');
-    lines.push('-'.repeat(60));
-
-    for (const diff of dataDiffs) {
-      if (diff.stats.inserts > 0 || diff.stats.updates > 0 || diff.stats.deletes > 0) {
-        lines.push(formatDataDiff(diff));
-      }
-    }
-  }
-
-  // Warnings
-  const warnings = [];
-
-  // Check for tables without primary keys
-  const noPkTables = dataDiffs.filter((d) => d.fullReplace);
-  if (noPkTables.length > 0) {
-    warnings.push(
-      `${noPkTables.length} table(s) have no primary key and require full replacement`
-    );
-  }
-
-  // Check for column removals
-  const colRemovals = schemaDiffs.filter((d) => d.columnsToRemove?.length > 0);
-  if (colRemovals.length > 0) {
-    warnings.push(
-      `${colRemovals.length} table(s) have columns to be removed (DATA LOSS)`
-    );
-  }
-
-  // Check for deletes
-  if (totalDeletes > 0) {
-    warnings.push(`${totalDeletes} row(s) will be deleted from local database`);
-  }
-
-  if (warnings.length > 0) {
-    lines.push('\n' + '-'.repeat(60));
-    lines.push('⚠️  WARNINGS');
-    lines.push('-'.repeat(60));
-    for (const warning of warnings) {
-      lines.push(`  ! ${warning}`);
-    }
-  }
-
-  lines.push('\n' + '='.repeat(60));
+export function generatePreview(schemaDiffs, dataDiffs, options = {}) {
+  const { format = 'text' } = options;
+  const formatter = getFormatter(format);
+  return formatter.formatPreview(schemaDiffs, dataDiffs, summarizeChanges(schemaDiffs, dataDiffs));
+}
 
-  return lines.join('\n');
+/**
+ * Write the sync preview to a report file
+ * @param {object[]} schemaDiffs - Schema diffs
+ * @param {object[]} dataDiffs - Data diffs
+ * @param {object} options - Options (format, output)
+ */
+export function writeReport(schemaDiffs, dataDiffs, options = {}) {
+  const { format = 'text', output } = options;
+  writeFileSync(output, generatePreview(schemaDiffs, dataDiffs, { format }) + '\n', 'utf-8');
+  logger.info(`${format} report written to ${output}`);
 }
 
 /**
@@ -131,6 +53,34 @@ export async function confirm(message) {
   });
 }
 
+/**
+ * Ask whether a heuristically detected column rename should be applied as a rename
+ * @param {string} tableName - Table name
+ * @param {object} rename - Detected rename ({ from, to, definition })
+ * @returns {Promise<boolean>} True to rename, false to drop + add
+ */
+export async function confirmRename(tableName, rename) {
+  return confirm(
+    `Column ${tableName}.${rename.from} looks renamed to ${rename.to} (${rename.definition}). ` +
+    'Rename it and keep its data instead of drop + add?'
+  );
+}
+
+/**
+ * Decline a heuristically detected column rename without asking (dry runs and --yolo)
+ * Only renames listed in sync.renames are applied without confirmation.
+ * @param {string} tableName - Table name
+ * @param {object} rename - Detected rename ({ from, to, definition })
+ * @returns {Promise<boolean>} Always false (drop + add)
+ */
+export async function declineRename(tableName, rename) {
+  logger.warn(
+    `Column ${tableName}.${rename.from} looks renamed to ${rename.to} - syncing it as drop + add. ` +
+    'Confirm it interactively or list it in sync.renames to keep its data.'
+  );
+  return false;
+}
+
 /**
  * Threshold for "large delete" warnings
  */
@@ -145,11 +95,22 @@ const LARGE_DELETE_THRESHOLD = 100;
 export function detectDestructiveChanges(schemaDiffs, dataDiffs) {
   const destructive = {
     hasDestructive: false,
+    tableDrops: [],
     columnRemovals: [],
+    columnRebuilds: [],
+    primaryKeyChanges: [],
     fullReplacements: [],
     largeDeletes: [],
   };
 
+  // Check for local tables that no longer exist remotely (DATA LOSS)
+  for (const diff of schemaDiffs) {
+    if (diff.dropTable) {
+      destructive.tableDrops.push({ table: diff.tableName });
+      destructive.hasDestructive = true;
+    }
+  }
+
   // Check for column removals (DATA LOSS)
   for (const diff of schemaDiffs) {
     if (diff.columnsToRemove?.length > 0) {
@@ -161,12 +122,37 @@ export function detectDestructiveChanges(schemaDiffs, dataDiffs) {
     }
   }
 
+  // Check for regular columns turned into generated ones: drop + add discards their stored values
+  for (const diff of schemaDiffs) {
+    const rebuilds = (diff.columnsToModify || []).filter((col) => col.rebuild && !col.localCol?.Generated);
+    if (rebuilds.length > 0) {
+      destructive.columnRebuilds.push({
+        table: diff.tableName,
+        columns: rebuilds.map((col) => col.name),
+      });
+      destructive.hasDestructive = true;
+    }
+  }
+
+  // Check for primary key changes (table rebuild, duplicate rows under the new key fail)
+  for (const diff of schemaDiffs) {
+    if (diff.primaryKeyChange) {
+      destructive.primaryKeyChanges.push({
+        table: diff.tableName,
+        from: diff.primaryKeyChange.from,
+        to: diff.primaryKeyChange.to,
+      });
+      destructive.hasDestructive = true;
+    }
+  }
+
   // Check for full table replacements (no PK)
   for (const diff of dataDiffs) {
     if (diff.fullReplace) {
       destructive.fullReplacements.push({
         table: diff.tableName,
         rowCount: diff.stats?.inserts || 0,
+        strategy: diff.strategy,
       });
       destructive.hasDestructive = true;
     }
@@ -197,6 +183,15 @@ export async function confirmDestructiveChanges(destructive) {
   console.log('!'.repeat(60));
   console.log('\nThe following operations will cause DATA LOSS or major changes:\n');
 
+  // Table drops
+  if (destructive.tableDrops.length > 0) {
+    console.log('🧨 TABLE DROPS (local tables no longer present remotely, all rows deleted):');
+    for (const item of destructive.tableDrops) {
+      console.log(`   • ${item.table}`);
+    }
+    console.log('');
+  }
+
   // Column removals
   if (destructive.columnRemovals.length > 0) {
     console.log('📛 COLUMN REMOVALS (data will be permanently deleted):');
@@ -206,11 +201,31 @@ export async function confirmDestructiveChanges(destructive) {
     console.log('');
   }
 
+  // Regular columns becoming generated
+  if (destructive.columnRebuilds.length > 0) {
+    console.log('🧮 COLUMNS BECOMING GENERATED (stored values are dropped and recomputed):');
+    for (const item of destructive.columnRebuilds) {
+      console.log(`   • ${item.table}: rebuilding columns [${item.columns.join(', ')}]`);
+    }
+    console.log('');
+  }
+
+  // Primary key changes
+  if (destructive.primaryKeyChanges.length > 0) {
+    console.log('🔑 PRIMARY KEY CHANGES (table is rebuilt, rows are re-keyed):');
+    for (const item of destructive.primaryKeyChanges) {
+      const keyList = (cols) => (cols.length > 0 ? `(${cols.join(', ')})` : 'none');
+      console.log(`   • ${item.table}: ${keyList(item.from)} → ${keyList(item.to)}`);
+    }
+    console.log('');
+  }
+
   // Full replacements
   if (destructive.fullReplacements.length > 0) {
-    console.log('🔄 FULL TABLE REPLACEMENTS (no primary key - all rows replaced):');
+    console.log('🔄 FULL TABLE REPLACEMENTS (all rows replaced):');
     for (const item of destructive.fullReplacements) {
-      console.log(`   • ${item.table}: replacing with ${item.rowCount} rows`);
+      const reason = item.strategy === 'replace' ? 'strategy: replace' : 'no primary key';
+      console.log(`   • ${item.table}: replacing with ${item.rowCount} rows (${reason})`);
     }
     console.log('');
   }
@@ -325,7 +340,11 @@ export async function interactiveConfirm(schemaDiffs, dataDiffs, options = {}) {
       console.log('\n--- Schema Changes ---');
       for (const diff of schemaDiffs) {
         if (diff.hasChanges) {
-          const approved = await confirm(`Apply schema changes to ${diff.tableName}?`);
+          const approved = await confirm(
+            diff.dropTable
+              ? `Drop local table ${diff.tableName}? (no longer exists remotely)`
+              : `Apply schema changes to ${diff.tableName}?`
+          );
           if (approved) {
             schemaApproved.push(diff);
           }
@@ -373,12 +392,18 @@ export async function interactiveConfirm(schemaDiffs, dataDiffs, options = {}) {
 
 /**
  * Display dry-run summary (no confirmation needed)
+ * Non-text formats are printed bare so stdout can be piped into other tools (the CLI sends
+ * log output to stderr for them).
  * @param {object[]} schemaDiffs - Schema diffs
  * @param {object[]} dataDiffs - Data diffs
+ * @param {object} options - Options (format)
  */
-export function displayDryRun(schemaDiffs, dataDiffs) {
-  console.log(generatePreview(schemaDiffs, dataDiffs));
-  console.log('\n[DRY RUN] No changes were applied.\n');
+export function displayDryRun(schemaDiffs, dataDiffs, options = {}) {
+  const { format = 'text' } = options;
+  console.log(generatePreview(schemaDiffs, dataDiffs, { format }));
+  if (format === 'text') {
+    console.log('\n[DRY RUN] No changes were applied.\n');
+  }
 }
 
 /**
@@ -405,9 +430,13 @@ export function generateMetricsSummary(results, startTime) {
     lines.push(`\n📋 SCHEMA CHANGES APPLIED: ${schemaApplied.length} table(s)`);
     for (const diff of schemaApplied) {
       const changes = [];
+      if (diff.dropTable) changes.push('dropped');
       if (diff.columnsToAdd?.length) changes.push(`+${diff.columnsToAdd.length} cols`);
       if (diff.columnsToModify?.length) changes.push(`~${diff.columnsToModify.length} cols`);
       if (diff.columnsToRemove?.length) changes.push(`-${diff.columnsToRemove.length} cols`);
+      const constraintChanges =
+        (diff.constraintsToAdd?.length || 0) + (diff.constraintsToModify?.length || 0) + (diff.constraintsToDrop?.length || 0);
+      if (constraintChanges) changes.push(`${constraintChanges} constraints`);
       lines.push(`   • ${diff.tableName}: ${changes.join(', ') || 'structure changes'}`);
     }
   }
@@ -510,8 +539,11 @@ export function displayMetricsSummary(results, startTime) {
 
 export default {
   generatePreview,
+  writeReport,
   confirm,
   confirmTable,
+  confirmRename,
+  declineRename,
   detectDestructiveChanges,
   confirmDestructiveChanges,
   interactiveConfirm,
@@ -0,0 +1,77 @@
+/**
+ * Apply Strategies for Driftwarden
+ * Decide which row operations reach a table (sync.strategies):
+ * - mirror: inserts, updates and deletes, so the table matches remote exactly (default)
+ * - upsert: inserts and updates; local-only rows are kept
+ * - insert-only: new rows only, for append-only tables such as logs
+ * - replace: every local row (within the row filter) is deleted and the remote rows inserted
+ */
+
+import { isRowSpool } from './row-spool.js';
+
+// Row operations each strategy applies ('replace' applies all of them as a full replacement)
+const STRATEGY_OPERATIONS = {
+  mirror: ['insert', 'update', 'delete'],
+  upsert: ['insert', 'update'],
+  'insert-only': ['insert'],
+  replace: ['insert', 'update', 'delete'],
+};
+
+export const APPLY_STRATEGIES = Object.keys(STRATEGY_OPERATIONS);
+
+export const DEFAULT_STRATEGY = 'mirror';
+
+/**
+ * Resolve the apply strategy of a table from sync.strategies
+ * @param {object} strategies - Map of table name (or '*' for every table) to strategy
+ * @param {string} tableName - Table name
+ * @returns {string} Strategy
+ */
+export function resolveStrategy(strategies, tableName) {
+  return strategies?.[tableName] || strategies?.['*'] || DEFAULT_STRATEGY;
+}
+
+/**
+ * Check whether a strategy applies a row operation
+ * @param {string|undefined} strategy - Strategy (mirror when unset)
+ * @param {'insert'|'update'|'delete'} operation - Row operation
+ * @returns {boolean}
+ */
+export function strategyAllows(strategy, operation) {
+  return (STRATEGY_OPERATIONS[strategy] || STRATEGY_OPERATIONS[DEFAULT_STRATEGY]).includes(operation);
+}
+
+/**
+ * Record a table's strategy on its data diff and drop the operations it does not apply
+ * Dropped operations are counted in stats (skippedUpdates, skippedDeletes) for the preview.
+ * @param {object} diff - Data diff
+ * @param {string} strategy - Strategy
+ * @returns {object} The same diff
+ */
+export function limitToStrategy(diff, strategy = DEFAULT_STRATEGY) {
+  diff.strategy = strategy;
+  if (diff.fullReplace) return diff;
+
+  const dropped = [
+    ['update', 'toUpdate', 'updates', 'skippedUpdates'],
+    ['delete', 'toDelete', 'deletes', 'skippedDeletes'],
+  ];
+  for (const [operation, list, stat, skipped] of dropped) {
+    if (strategyAllows(strategy, operation)) continue;
+
+    diff.stats[skipped] = diff[list]?.length || 0;
+    diff.stats[stat] = 0;
+    if (isRowSpool(diff[list])) diff[list].discard();
+    diff[list] = [];
+  }
+
+  return diff;
+}
+
+export default {
+  APPLY_STRATEGIES,
+  DEFAULT_STRATEGY,
+  resolveStrategy,
+  strategyAllows,
+  limitToStrategy,
+};
@@ -0,0 +1,202 @@
+/**
+ * Sync Checkpoints for Driftwarden
+ * Persists progress of a sync run so an interrupted run can be resumed
+ * Completed tables are skipped on --resume. Tables with key-ordered diffs also record each
+ * committed batch, so an interrupted table continues after the last primary key it applied.
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, unlinkSync, renameSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+export const DEFAULT_CHECKPOINT_PATH = 'logs/sync-checkpoint.json';
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Describe which diff mode produced a data diff
+ * @param {object} diff - Data diff object
+ * @returns {string} Diff mode name
+ */
+export function getDiffMode(diff) {
+  if (diff.fullReplace) return 'full-replace';
+  if (diff.subset) return 'subset';
+  if (diff.incremental) return 'incremental';
+  if (diff.checksum) return 'checksum';
+  return 'streaming';
+}
+
+/**
+ * Check whether a diff's rows come in primary key order, so it can be applied batch by batch
+ * and resumed after the last applied key (streaming and checksum diffs, including first copies)
+ * @param {object} diff - Data diff object
+ * @returns {boolean}
+ */
+export function isResumableByKey(diff) {
+  return ['streaming', 'checksum'].includes(getDiffMode(diff)) && diff.primaryKey?.length > 0;
+}
+
+/**
+ * Create a checkpoint store backed by a JSON file
+ * @param {string} filePath - Path to checkpoint file
+ * @returns {object} Checkpoint store
+ */
+export function createCheckpointStore(filePath = DEFAULT_CHECKPOINT_PATH) {
+  let state = null;
+
+  /**
+   * Write the current state to disk (write + rename so a crash never leaves a partial file)
+   */
+  function persist() {
+    const dir = dirname(filePath);
+    if (dir && !existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    state.updatedAt = new Date().toISOString();
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2), 'utf-8');
+    renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Load an existing checkpoint from disk
+     * @returns {object|null} Checkpoint state or null if none exists
+     */
+    load() {
+      if (!existsSync(filePath)) {
+        return null;
+      }
+
+      try {
+        const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+        if (parsed.version !== CHECKPOINT_VERSION) {
+          logger.warn(`Ignoring checkpoint ${filePath}: unsupported version ${parsed.version}`);
+          return null;
+        }
+        state = { tableProgress: {}, ...parsed };
+        return state;
+      } catch (err) {
+        logger.warn(`Failed to read checkpoint ${filePath}: ${err.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Start a new checkpoint for a sync run (overwrites any previous checkpoint)
+     * @param {object} run - Run details (configPath, tables, fullSync, filters, subset)
+     * @returns {object} Checkpoint state
+     */
+    start(run = {}) {
+      const now = new Date().toISOString();
+      state = {
+        version: CHECKPOINT_VERSION,
+        startedAt: now,
+        updatedAt: now,
+        configPath: run.configPath || null,
+        tables: run.tables || [],
+        fullSync: run.fullSync === true,
+        filters: run.filters || {},
+        subset: run.subset === true,
+        completedTables: {},
+        tableProgress: {},
+      };
+      persist();
+      return state;
+    },
+
+    /**
+     * Record a committed batch of a table that is applied batch by batch
+     * @param {string} tableName - Table name
+     * @param {object} progress - Progress details (phase: 'insert' | 'update' | 'delete',
+     *   lastPrimaryKey: key up to which every change of the table is applied, or null, counts)
+     */
+    recordBatch(tableName, progress = {}) {
+      if (!state) return;
+
+      // Changes up to a recorded key stay applied, so batches without a key of their own keep it
+      const previous = state.tableProgress[tableName];
+      state.tableProgress[tableName] = {
+        updatedAt: new Date().toISOString(),
+        phase: progress.phase || null,
+        lastPrimaryKey: progress.lastPrimaryKey || previous?.lastPrimaryKey || null,
+        inserts: progress.inserts || 0,
+        updates: progress.updates || 0,
+        deletes: progress.deletes || 0,
+      };
+      persist();
+    },
+
+    /**
+     * Record that a table's changes were committed
+     * @param {string} tableName - Table name
+     * @param {object} progress - Progress details (diffMode, counts)
+     */
+    completeTable(tableName, progress = {}) {
+      if (!state) return;
+
+      state.completedTables[tableName] = {
+        completedAt: new Date().toISOString(),
+        diffMode: progress.diffMode || null,
+        inserts: progress.inserts || 0,
+        updates: progress.updates || 0,
+        deletes: progress.deletes || 0,
+      };
+      delete state.tableProgress[tableName];
+      persist();
+    },
+
+    /**
+     * Check whether a table was already committed in this run
+     * @param {string} tableName - Table name
+     * @returns {boolean}
+     */
+    isTableComplete(tableName) {
+      return Boolean(state?.completedTables[tableName]);
+    },
+
+    /**
+     * Get names of tables already committed in this run
+     * @returns {string[]}
+     */
+    getCompletedTables() {
+      return state ? Object.keys(state.completedTables) : [];
+    },
+
+    /**
+     * Get tables that were partly applied, with their last recorded batch
+     * @returns {object} Table name -> progress ({ phase, lastPrimaryKey, counts })
+     */
+    getTableProgress() {
+      return state ? { ...state.tableProgress } : {};
+    },
+
+    /**
+     * Get current checkpoint state
+     * @returns {object|null}
+     */
+    getState() {
+      return state;
+    },
+
+    /**
+     * Remove the checkpoint file (called after a successful run)
+     */
+    clear() {
+      state = null;
+      if (existsSync(filePath)) {
+        unlinkSync(filePath);
+      }
+    },
+  };
+}
+
+export default {
+  DEFAULT_CHECKPOINT_PATH,
+  createCheckpointStore,
+  getDiffMode,
+  isResumableByKey,
+};
@@ -0,0 +1,39 @@
+/**
+ * Concurrency helpers for Driftwarden
+ * Runs per-table work in parallel with a fixed number of workers (sync.concurrency)
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time
+ * Results keep the order of the input, whatever order the calls finish in.
+ * A rejected call rejects the whole map once running calls have settled; callers
+ * that must keep going catch errors inside `fn`.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight (values below 1 are treated as 1)
+ * @param {function(*, number): Promise<*>} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failure = failure || err;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (failure) throw failure;
+  return results;
+}
+
+export default { mapWithConcurrency };
@@ -16,6 +16,8 @@ const LOG_LEVELS = {
 let currentLevel = LOG_LEVELS.INFO;
 let activityLogPath = null;
 let errorLogPath = null;
+// Debug/info lines and activity entries go to stdout unless stdout carries a report
+let writeLine = (line) => console.log(line);
 
 function timestamp() {
   return new Date().toISOString();
@@ -111,6 +113,15 @@ export const logger = {
     }
   },
 
+  /**
+   * Send debug/info lines and activity entries to stderr instead of stdout
+   * Used when stdout carries a machine-readable report (e.g. --format json without --output).
+   * @param {boolean} enabled - True for stderr, false for stdout
+   */
+  useStderr(enabled = true) {
+    writeLine = enabled ? (line) => console.error(line) : (line) => console.log(line);
+  },
+
   /**
    * Get current configuration
    * @returns {object} Current logger configuration
@@ -130,7 +141,7 @@ export const logger = {
   debug(message) {
     if (currentLevel <= LOG_LEVELS.DEBUG) {
       const formatted = formatMessage('DEBUG', message);
-      console.log(formatted);
+      writeLine(formatted);
     }
   },
 
@@ -141,7 +152,7 @@ export const logger = {
   info(message) {
     if (currentLevel <= LOG_LEVELS.INFO) {
       const formatted = formatMessage('INFO', message);
-      console.log(formatted);
+      writeLine(formatted);
     }
   },
 
@@ -189,7 +200,7 @@ export const logger = {
     };
 
     // Always output to console
-    console.log(JSON.stringify(entry));
+    writeLine(JSON.stringify(entry));
 
     // Write to activity log file if configured
     writeActivityLog(entry);
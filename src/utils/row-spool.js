@@ -0,0 +1,285 @@
+/**
+ * Row Spools for Driftwarden
+ * Disk-backed row lists for data diffs (sync.spill). A spool keeps up to thresholdRows rows
+ * in memory and appends the rest to an NDJSON file, so a diff of a large table holds one
+ * buffer per list instead of every row. Consumers read spools back in batches.
+ *
+ * The helpers below (rowBatches, firstRows, lastRow) accept plain arrays too, so diff
+ * consumers work the same whether a diff was spilled or not.
+ */
+
+import { appendFileSync, closeSync, mkdirSync, openSync, readSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
+import { StringDecoder } from 'string_decoder';
+
+const DEFAULT_THRESHOLD_ROWS = 10000;
+const READ_BUFFER_BYTES = 1024 * 1024;
+
+// Marks values JSON cannot represent as-is (row values are Dates, Buffers and BigInts too)
+const TYPE_TAG = '$driftwarden';
+
+/**
+ * JSON.stringify replacer keeping Dates, Buffers and BigInts
+ * `this[key]` is the raw value: Dates and Buffers have already been through toJSON in `value`.
+ */
+function encodeValue(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) {
+    return { [TYPE_TAG]: 'date', value: Number.isNaN(raw.getTime()) ? null : raw.toISOString() };
+  }
+  if (Buffer.isBuffer(raw)) {
+    return { [TYPE_TAG]: 'buffer', value: raw.toString('base64') };
+  }
+  if (typeof raw === 'bigint') {
+    return { [TYPE_TAG]: 'bigint', value: raw.toString() };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver restoring values written by encodeValue
+ */
+function decodeValue(_key, value) {
+  if (!value || typeof value !== 'object' || !(TYPE_TAG in value)) return value;
+
+  switch (value[TYPE_TAG]) {
+    case 'date':
+      return new Date(value.value ?? NaN);
+    case 'buffer':
+      return Buffer.from(value.value, 'base64');
+    case 'bigint':
+      return BigInt(value.value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Serialize a row (or update entry) to one NDJSON line
+ * @param {object} row - Row
+ * @returns {string}
+ */
+export function serializeRow(row) {
+  return JSON.stringify(row, encodeValue);
+}
+
+/**
+ * Parse a row written by serializeRow
+ * @param {string} line - NDJSON line
+ * @returns {object}
+ */
+export function deserializeRow(line) {
+  return JSON.parse(line, decodeValue);
+}
+
+/**
+ * Append-only row list that spills to a file once it outgrows its memory buffer
+ * Rows must all be pushed before the spool is read.
+ */
+export class RowSpool {
+  /**
+   * @param {string} filePath - Spill file (created on first spill)
+   * @param {number} thresholdRows - Rows buffered in memory before they are written out
+   */
+  constructor(filePath, thresholdRows = DEFAULT_THRESHOLD_ROWS) {
+    this.filePath = filePath;
+    this.thresholdRows = thresholdRows;
+    this.buffer = [];
+    this.count = 0;
+    this.spilled = false;
+    this.lastRow = null;
+  }
+
+  /**
+   * Number of rows in the spool (like Array#length)
+   */
+  get length() {
+    return this.count;
+  }
+
+  /**
+   * Append rows
+   * @param {...object} rows - Rows
+   * @returns {number} New length
+   */
+  push(...rows) {
+    for (const row of rows) {
+      this.buffer.push(row);
+      this.lastRow = row;
+      this.count++;
+    }
+    if (this.buffer.length >= this.thresholdRows) {
+      this.flush();
+    }
+    return this.count;
+  }
+
+  /**
+   * Write buffered rows to the spill file
+   */
+  flush() {
+    if (this.buffer.length === 0) return;
+
+    if (!this.spilled) {
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      this.spilled = true;
+    }
+    appendFileSync(this.filePath, this.buffer.map((row) => `${serializeRow(row)}\n`).join(''));
+    this.buffer = [];
+  }
+
+  /**
+   * Read rows back in batches, in the order they were pushed
+   * @param {number} size - Rows per batch
+   * @yields {object[]} Batch of rows
+   */
+  *batches(size) {
+    if (!this.spilled) {
+      for (let i = 0; i < this.buffer.length; i += size) {
+        yield this.buffer.slice(i, i + size);
+      }
+      return;
+    }
+
+    this.flush();
+    const fd = openSync(this.filePath, 'r');
+    const chunk = Buffer.alloc(READ_BUFFER_BYTES);
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+    let batch = [];
+
+    try {
+      let bytesRead;
+      while ((bytesRead = readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+        const lines = (pending + decoder.write(chunk.subarray(0, bytesRead))).split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          if (!line) continue;
+          batch.push(deserializeRow(line));
+          if (batch.length >= size) {
+            yield batch;
+            batch = [];
+          }
+        }
+      }
+
+      pending += decoder.end();
+      if (pending) batch.push(deserializeRow(pending));
+      if (batch.length > 0) yield batch;
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  /**
+   * Remove the spill file and drop buffered rows
+   */
+  discard() {
+    this.buffer = [];
+    if (this.spilled) {
+      rmSync(this.filePath, { force: true });
+      this.spilled = false;
+    }
+  }
+}
+
+/**
+ * Check whether a row list is a spool
+ * @param {*} rows - Row list
+ * @returns {boolean}
+ */
+export function isRowSpool(rows) {
+  return rows instanceof RowSpool;
+}
+
+/**
+ * Iterate a row list (array or spool) in batches
+ * @param {Array|RowSpool} rows - Row list
+ * @param {number} size - Rows per batch
+ * @yields {object[]} Batch of rows
+ */
+export function* rowBatches(rows, size) {
+  if (!rows) return;
+
+  if (isRowSpool(rows)) {
+    yield* rows.batches(size);
+    return;
+  }
+
+  for (let i = 0; i < rows.length; i += size) {
+    yield rows.slice(i, i + size);
+  }
+}
+
+/**
+ * Get the first rows of a row list (array or spool), e.g. for previews
+ * @param {Array|RowSpool} rows - Row list
+ * @param {number} count - Maximum rows (Infinity for all)
+ * @returns {object[]}
+ */
+export function firstRows(rows, count = Infinity) {
+  if (!rows) return [];
+  if (!isRowSpool(rows)) return rows.slice(0, count);
+
+  const result = [];
+  for (const batch of rows.batches(Math.min(count, DEFAULT_THRESHOLD_ROWS))) {
+    result.push(...batch.slice(0, count - result.length));
+    if (result.length >= count) break;
+  }
+  return result;
+}
+
+/**
+ * Get the last row of a row list (array or spool)
+ * @param {Array|RowSpool} rows - Row list
+ * @returns {object|null}
+ */
+export function lastRow(rows) {
+  if (!rows || rows.length === 0) return null;
+  return isRowSpool(rows) ? rows.lastRow : rows[rows.length - 1];
+}
+
+/**
+ * Create a spill area: one directory per run holding the spools of every diff
+ * @param {object} options - Spill options (directory: parent directory, thresholdRows)
+ * @returns {{directory: string, createSpool: function(string): RowSpool, cleanup: function(): void}}
+ */
+export function createSpillArea(options = {}) {
+  const { directory = 'logs/spill', thresholdRows = DEFAULT_THRESHOLD_ROWS } = options;
+  const runDirectory = join(directory, `run-${process.pid}-${Date.now()}`);
+  let spools = 0;
+
+  return {
+    directory: runDirectory,
+
+    /**
+     * Create a spool in this area
+     * @param {string} label - File name hint, e.g. "users-insert"
+     * @returns {RowSpool}
+     */
+    createSpool(label) {
+      spools++;
+      const name = `${spools}-${String(label).replace(/[^\w.-]/g, '_')}.ndjson`;
+      return new RowSpool(join(runDirectory, name), thresholdRows);
+    },
+
+    /**
+     * Remove every spill file of this run
+     */
+    cleanup() {
+      rmSync(runDirectory, { recursive: true, force: true });
+    },
+  };
+}
+
+export default {
+  RowSpool,
+  isRowSpool,
+  rowBatches,
+  firstRows,
+  lastRow,
+  serializeRow,
+  deserializeRow,
+  createSpillArea,
+};
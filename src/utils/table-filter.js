@@ -0,0 +1,87 @@
+/**
+ * Table Filters for Driftwarden
+ * Selects tables by exact name (sync.tables) and include/exclude patterns
+ * (sync.include / sync.exclude / --exclude)
+ *
+ * Patterns are globs (`*` any characters, `?` one character) or regular
+ * expressions written as /source/flags, e.g. "tmp_*" or "/^audit_\d+$/".
+ */
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Compile a table pattern to a regular expression
+ * @param {string} pattern - Glob or /regex/flags pattern
+ * @returns {RegExp} Regular expression matching whole table names (globs) or as written (regex)
+ * @throws {SyntaxError} If a /regex/ pattern is invalid
+ */
+export function compileTablePattern(pattern) {
+  const regex = REGEX_PATTERN.exec(pattern);
+  if (regex) {
+    // Stateful flags would make test() skip matches on repeated calls
+    return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  }
+
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate table patterns (sync.include / sync.exclude)
+ * @param {string[]} patterns - Patterns to validate
+ * @param {string} path - Config path used in error messages
+ * @returns {string[]} Validation errors
+ */
+export function validateTablePatterns(patterns, path) {
+  if (patterns === undefined || patterns === null) return [];
+
+  if (!Array.isArray(patterns)) {
+    return [`${path} must be a list of table names or patterns`];
+  }
+
+  const errors = [];
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      errors.push(`${path}: patterns must be non-empty strings`);
+      continue;
+    }
+    try {
+      compileTablePattern(pattern);
+    } catch (err) {
+      errors.push(`${path}: invalid pattern ${pattern} (${err.message})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create a predicate selecting the tables to sync
+ * A table is selected when it is listed in `tables` (or no list is given), matches an
+ * `include` pattern (or none are given) and matches no `exclude` pattern.
+ * @param {object} options - Selection (tables: exact names, include/exclude: patterns)
+ * @returns {function(string): boolean} Table predicate
+ */
+export function createTableFilter(options = {}) {
+  const { tables = [], include = [], exclude = [] } = options;
+  const includePatterns = (include || []).map(compileTablePattern);
+  const excludePatterns = (exclude || []).map(compileTablePattern);
+
+  return (table) => {
+    if (tables && tables.length > 0 && !tables.includes(table)) return false;
+    if (includePatterns.length > 0 && !includePatterns.some((re) => re.test(table))) return false;
+    return !excludePatterns.some((re) => re.test(table));
+  };
+}
+
+export default {
+  compileTablePattern,
+  validateTablePatterns,
+  createTableFilter,
+};
@@ -0,0 +1,67 @@
+/**
+ * Apply strategy tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { existsSync, rmSync } from 'fs';
+import { resolveStrategy, strategyAllows, limitToStrategy } from '../src/utils/apply-strategy.js';
+import { RowSpool } from '../src/utils/row-spool.js';
+
+const SPILL_DIR = 'tests/fixtures/spill-strategy';
+
+describe('resolveStrategy', () => {
+  test('prefers the table entry, then the * entry, then mirror', () => {
+    const strategies = { '*': 'upsert', audit_log: 'insert-only' };
+
+    expect(resolveStrategy(strategies, 'audit_log')).toBe('insert-only');
+    expect(resolveStrategy(strategies, 'users')).toBe('upsert');
+    expect(resolveStrategy({}, 'users')).toBe('mirror');
+    expect(resolveStrategy(undefined, 'users')).toBe('mirror');
+  });
+});
+
+describe('strategyAllows', () => {
+  test('maps strategies to row operations', () => {
+    expect(['insert', 'update', 'delete'].filter((op) => strategyAllows('mirror', op))).toEqual(['insert', 'update', 'delete']);
+    expect(['insert', 'update', 'delete'].filter((op) => strategyAllows('upsert', op))).toEqual(['insert', 'update']);
+    expect(['insert', 'update', 'delete'].filter((op) => strategyAllows('insert-only', op))).toEqual(['insert']);
+    expect(strategyAllows(undefined, 'delete')).toBe(true);
+  });
+});
+
+describe('limitToStrategy', () => {
+  test('drops skipped operations and counts them', () => {
+    const diff = limitToStrategy(
+      {
+        toInsert: [{ id: 1 }],
+        toUpdate: [{ remote: { id: 2 } }],
+        toDelete: [{ id: 3 }, { id: 4 }],
+        stats: { inserts: 1, updates: 1, deletes: 2 },
+      },
+      'upsert'
+    );
+
+    expect(diff.strategy).toBe('upsert');
+    expect(diff.toUpdate).toHaveLength(1);
+    expect(diff.toDelete).toEqual([]);
+    expect(diff.stats).toEqual({ inserts: 1, updates: 1, deletes: 0, skippedDeletes: 2 });
+  });
+
+  test('removes the spill files of dropped spools', () => {
+    const toDelete = new RowSpool(`${SPILL_DIR}/delete.ndjson`, 1);
+    toDelete.push({ id: 1 });
+
+    try {
+      limitToStrategy({ toInsert: [], toUpdate: [], toDelete, stats: { deletes: 1 } }, 'insert-only');
+      expect(existsSync(`${SPILL_DIR}/delete.ndjson`)).toBe(false);
+    } finally {
+      rmSync(SPILL_DIR, { recursive: true, force: true });
+    }
+  });
+
+  test('leaves full replacements alone', () => {
+    const diff = limitToStrategy({ fullReplace: true, remoteData: [{ id: 1 }], stats: { inserts: 1 } }, 'replace');
+
+    expect(diff).toEqual({ fullReplace: true, remoteData: [{ id: 1 }], stats: { inserts: 1 }, strategy: 'replace' });
+  });
+});
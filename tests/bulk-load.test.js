@@ -0,0 +1,107 @@
+/**
+ * Bulk load tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  formatDateTime,
+  isBinaryType,
+  encodeRows,
+  buildLoadDataQuery,
+  isLocalInfileDisabled,
+  supportsDisableKeys,
+} from '../src/db/bulk-load.js';
+
+describe('encodeRows', () => {
+  test('writes tab-separated lines with \\N for NULL', () => {
+    const rows = [
+      { id: 1, name: 'alpha', note: null },
+      { id: 2, name: 'bravo', note: undefined },
+    ];
+
+    expect(encodeRows(rows, ['id', 'name', 'note']).toString()).toBe('1\talpha\t\\N\n2\tbravo\t\\N\n');
+  });
+
+  test('escapes backslashes, tabs, newlines, carriage returns and NUL bytes', () => {
+    const rows = [{ text: 'a\\b\tc\nd\re\0f' }];
+    expect(encodeRows(rows, ['text']).toString()).toBe('a\\\\b\\tc\\nd\\re\\0f\n');
+  });
+
+  test('writes Buffers as raw bytes, escaped', () => {
+    const encoded = encodeRows([{ data: Buffer.from([0x00, 0xff, 0x09, 0x41]) }], ['data']);
+    expect([...encoded]).toEqual([0x5c, 0x30, 0xff, 0x5c, 0x74, 0x41, 0x0a]);
+  });
+
+  test('writes binary columns as hex', () => {
+    const rows = [{ id: 1, hash: Buffer.from([0x00, 0xff, 0x09]), flags: null }];
+    expect(encodeRows(rows, ['id', 'hash', 'flags'], null, ['hash', 'flags']).toString()).toBe('1\t00ff09\t\\N\n');
+  });
+
+  test('writes UTF-8 text, JSON, booleans and BigInts', () => {
+    const rows = [{ name: 'Zoë', doc: { a: [1, 2] }, flag: true, big: 9007199254740993n }];
+    expect(encodeRows(rows, ['name', 'doc', 'flag', 'big']).toString('utf8')).toBe(
+      'Zoë\t{"a":[1,2]}\t1\t9007199254740993\n'
+    );
+  });
+
+  test('writes Dates in the session time zone', () => {
+    const rows = [{ at: new Date('2024-03-01T22:30:00.250Z'), bad: new Date(NaN) }];
+    expect(encodeRows(rows, ['at', 'bad'], '+02:00').toString()).toBe('2024-03-02 00:30:00.250\t\\N\n');
+  });
+});
+
+describe('formatDateTime', () => {
+  test('applies negative offsets', () => {
+    expect(formatDateTime(new Date('2024-01-01T03:00:00Z'), '-05:30')).toBe('2023-12-31 21:30:00.000');
+  });
+
+  test('uses local time without a time zone', () => {
+    const date = new Date(2024, 0, 2, 3, 4, 5, 6);
+    expect(formatDateTime(date)).toBe('2024-01-02 03:04:05.006');
+  });
+});
+
+describe('buildLoadDataQuery', () => {
+  test('loads the listed columns from a tab-separated file', () => {
+    const { sql, params } = buildLoadDataQuery('users', ['id', 'name'], '/tmp/rows.tsv');
+
+    expect(sql).toBe(
+      'LOAD DATA LOCAL INFILE ? INTO TABLE ?? CHARACTER SET utf8mb4 ' +
+      "FIELDS TERMINATED BY '\\t' ESCAPED BY '\\\\' LINES TERMINATED BY '\\n' (??, ??)"
+    );
+    expect(params).toEqual(['/tmp/rows.tsv', 'users', 'id', 'name']);
+  });
+
+  test('stores binary columns with UNHEX from user variables', () => {
+    const { sql, params } = buildLoadDataQuery('files', ['id', 'hash', 'doc'], '/tmp/rows.tsv', ['hash']);
+
+    expect(sql).toEndWith('(??, @hex1, ??) SET ?? = UNHEX(@hex1)');
+    expect(params).toEqual(['/tmp/rows.tsv', 'files', 'id', 'doc', 'hash']);
+  });
+});
+
+describe('isBinaryType', () => {
+  test('matches byte column types only', () => {
+    for (const type of ['binary(16)', 'VARBINARY(255)', 'blob', 'longblob', 'bit(1)']) {
+      expect(isBinaryType(type)).toBe(true);
+    }
+    for (const type of ['json', 'varchar(255)', 'text', 'bigint', 'datetime(3)', undefined]) {
+      expect(isBinaryType(type)).toBe(false);
+    }
+  });
+});
+
+describe('Bulk load capabilities', () => {
+  test('recognises disabled local_infile errors', () => {
+    expect(isLocalInfileDisabled({ errno: 3948 })).toBe(true);
+    expect(isLocalInfileDisabled({ errno: 1148 })).toBe(true);
+    expect(isLocalInfileDisabled({ errno: 1062 })).toBe(false);
+    expect(isLocalInfileDisabled(null)).toBe(false);
+  });
+
+  test('disables keys only for engines that support it', () => {
+    expect(supportsDisableKeys('MyISAM')).toBe(true);
+    expect(supportsDisableKeys('InnoDB')).toBe(false);
+    expect(supportsDisableKeys(null)).toBe(false);
+  });
+});
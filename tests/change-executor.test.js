@@ -3,12 +3,22 @@
  */
 
 import { describe, test, expect } from 'bun:test';
-import { applyDataChanges } from '../src/executor/change-executor.js';
+import { rmSync } from 'fs';
+import {
+  applyDataChanges,
+  executeSync,
+  orderTablesByDependencies,
+  groupTablesByDependencies,
+} from '../src/executor/change-executor.js';
+import { createSpillArea } from '../src/utils/row-spool.js';
 
-function createMockWriter() {
+function createMockWriter(rowCounts = {}) {
   const calls = [];
   return {
     calls,
+    async countRows(table) {
+      return rowCounts[table] || 0;
+    },
     async beginTransaction() {
       calls.push('begin');
     },
@@ -18,25 +28,34 @@ function createMockWriter() {
     async rollback() {
       calls.push('rollback');
     },
-    async insertRows(table, rows) {
-      calls.push({ type: 'insert', table, count: rows.length });
+    async insertRows(table, rows, options = {}) {
+      calls.push({ type: 'insert', table, count: rows.length, options });
       return { affectedRows: rows.length };
     },
-    async updateRow(table, row, primaryKey) {
-      calls.push({ type: 'update', table, row, primaryKey });
-      return { affectedRows: 1 };
+    async updateRows(table, rows, primaryKey, options = {}) {
+      calls.push({ type: 'update', table, rows, primaryKey, options });
+      return { affectedRows: rows.length };
     },
-    async deleteRow(table, keyValues) {
-      calls.push({ type: 'delete', table, keyValues });
-      return { affectedRows: 1 };
+    async deleteRows(table, keys) {
+      calls.push({ type: 'delete', table, keys });
+      return { affectedRows: keys.length };
     },
     async execute(sql, params) {
       calls.push({ type: 'execute', sql, params });
       return { affectedRows: 3 };
     },
+    async executeStatement(sql) {
+      calls.push({ type: 'statement', sql });
+      return {};
+    },
   };
 }
 
+const foreignKeys = [
+  { name: 'fk_orders_user', table: 'orders', columns: ['user_id'], referencedTable: 'users', referencedColumns: ['id'] },
+  { name: 'fk_items_order', table: 'order_items', columns: ['order_id'], referencedTable: 'orders', referencedColumns: ['id'] },
+];
+
 describe('Change Executor', () => {
   test('applies incremental inserts, updates, and deletes in a transaction', async () => {
     const writer = createMockWriter();
@@ -62,7 +81,71 @@ describe('Change Executor', () => {
     const insertCalls = writer.calls.filter((c) => c.type === 'insert');
     expect(insertCalls).toHaveLength(2);
     const deleteCall = writer.calls.find((c) => c.type === 'delete');
-    expect(deleteCall.keyValues).toEqual({ id: 4 });
+    expect(deleteCall.keys).toEqual([{ id: 4 }]);
+  });
+
+  test('batches updates and deletes by batchSize, including composite keys', async () => {
+    const writer = createMockWriter();
+    const diffs = [
+      {
+        tableName: 'memberships',
+        primaryKey: ['user_id', 'group_id'],
+        toInsert: [],
+        toUpdate: [1, 2, 3].map((n) => ({ remote: { user_id: n, group_id: 1, role: 'admin' } })),
+        toDelete: [1, 2, 3].map((n) => ({ user_id: n, group_id: 2, role: 'member' })),
+      },
+    ];
+
+    const result = await applyDataChanges(writer, diffs, { batchSize: 2 });
+
+    expect(result).toMatchObject({ success: true, totalUpdates: 3, totalDeletes: 3 });
+    const updateCalls = writer.calls.filter((c) => c.type === 'update');
+    expect(updateCalls.map((c) => c.rows.length)).toEqual([2, 1]);
+    expect(updateCalls[0].primaryKey).toEqual(['user_id', 'group_id']);
+    const deleteCalls = writer.calls.filter((c) => c.type === 'delete');
+    expect(deleteCalls.map((c) => c.keys)).toEqual([
+      [{ user_id: 1, group_id: 2 }, { user_id: 2, group_id: 2 }],
+      [{ user_id: 3, group_id: 2 }],
+    ]);
+  });
+
+  test('passes ignored columns to updates, and to inserts only when configured', async () => {
+    const diff = {
+      tableName: 'posts',
+      primaryKey: ['id'],
+      ignoreColumns: ['view_count'],
+      toInsert: [{ id: 1, view_count: 3 }],
+      toUpdate: [{ remote: { id: 2, view_count: 5 } }],
+      toDelete: [],
+    };
+
+    let writer = createMockWriter();
+    await applyDataChanges(writer, [diff]);
+    expect(writer.calls.find((c) => c.type === 'update').options).toEqual({ ignoreColumns: ['view_count'] });
+    expect(writer.calls.find((c) => c.type === 'insert').options).toEqual({ ignoreColumns: [] });
+
+    writer = createMockWriter();
+    await applyDataChanges(writer, [{ ...diff, ignoreColumnsOnInsert: true }]);
+    expect(writer.calls.find((c) => c.type === 'insert').options).toEqual({ ignoreColumns: ['view_count'] });
+  });
+
+  test('leaves out operations the table strategy does not apply', async () => {
+    const writer = createMockWriter();
+    const diffs = [
+      {
+        tableName: 'audit_log',
+        primaryKey: ['id'],
+        strategy: 'insert-only',
+        toInsert: [{ id: 1 }],
+        toUpdate: [{ remote: { id: 2 } }],
+        toDelete: [{ id: 3 }],
+      },
+    ];
+
+    const result = await applyDataChanges(writer, diffs);
+
+    expect(result).toMatchObject({ success: true, totalInserts: 1, totalUpdates: 0, totalDeletes: 0 });
+    expect(writer.calls.filter((c) => c.type === 'update' || c.type === 'delete')).toEqual([]);
   });
 
   test('performs full replacement when diff is marked fullReplace', async () => {
@@ -85,4 +168,430 @@ describe('Change Executor', () => {
     expect(executeCall.sql).toContain('DELETE FROM');
     expect(executeCall.params[0]).toBe('logs');
   });
+
+  test('reads spooled row lists back in batches', async () => {
+    const spill = createSpillArea({ directory: 'tests/fixtures/spill-executor', thresholdRows: 2 });
+    const toInsert = spill.createSpool('users-insert');
+    const toUpdate = spill.createSpool('users-update');
+    const toDelete = spill.createSpool('users-delete');
+    toInsert.push(...[1, 2, 3, 4, 5].map((id) => ({ id, created_at: new Date('2024-01-01T00:00:00Z') })));
+    toUpdate.push({ remote: { id: 6, name: 'new' }, local: { id: 6, name: 'old' }, changes: [] });
+    toDelete.push({ id: 7 }, { id: 8 }, { id: 9 });
+    const completed = [];
+
+    try {
+      const writer = createMockWriter();
+      const result = await applyDataChanges(writer, [{ tableName: 'users', primaryKey: ['id'], toInsert, toUpdate, toDelete }], {
+        batchSize: 2,
+        checkpoint: { completeTable: (table, info) => completed.push({ table, ...info }), recordBatch: () => {} },
+      });
+
+      expect(result.success).toBe(true);
+      expect(writer.calls.filter((c) => c.type === 'insert').map((c) => c.count)).toEqual([2, 2, 1]);
+      expect(writer.calls.find((c) => c.type === 'update').rows).toEqual([{ id: 6, name: 'new' }]);
+      expect(writer.calls.filter((c) => c.type === 'delete').flatMap((c) => c.keys.map((k) => k.id))).toEqual([7, 8, 9]);
+      expect(result).toMatchObject({ totalInserts: 5, totalUpdates: 1, totalDeletes: 3 });
+      expect(completed[0]).toMatchObject({ table: 'users', inserts: 5, updates: 1, deletes: 3 });
+    } finally {
+      rmSync('tests/fixtures/spill-executor', { recursive: true, force: true });
+    }
+  });
+
+  test('bulk loads inserts into empty tables, with keys disabled outside the transaction', async () => {
+    const writer = createMockWriter({ users: 5 });
+    writer.loadRows = async (table, rows, options) => {
+      writer.calls.push({ type: 'load', table, count: rows.length, options });
+      return { affectedRows: rows.length };
+    };
+    writer.disableKeys = async (table) => {
+      writer.calls.push({ type: 'disable-keys', table });
+      return true;
+    };
+    writer.enableKeys = async (table) => {
+      writer.calls.push({ type: 'enable-keys', table });
+    };
+    const diffs = [
+      { tableName: 'events', primaryKey: ['id'], stats: { localRows: 0 }, toInsert: [{ id: 1 }, { id: 2 }], toUpdate: [], toDelete: [] },
+      { tableName: 'users', primaryKey: ['id'], stats: { localRows: 5 }, toInsert: [{ id: 6 }], toUpdate: [], toDelete: [] },
+    ];
+
+    const result = await applyDataChanges(writer, diffs, { batchSize: 500 });
+
+    expect(result.totalInserts).toBe(3);
+    const events = writer.calls.filter((c) => c.table === 'events' || typeof c === 'string').slice(0, 5);
+    expect(events.map((c) => (typeof c === 'string' ? c : c.type))).toEqual([
+      'disable-keys', 'begin', 'load', 'commit', 'enable-keys',
+    ]);
+    expect(writer.calls.find((c) => c.type === 'load').options).toEqual({ ignoreColumns: [], batchSize: 500 });
+    expect(writer.calls.find((c) => c.type === 'insert').table).toBe('users');
+  });
+
+  test('counts local rows instead of trusting diff stats before bulk loading', async () => {
+    const writer = createMockWriter({ events: 3 });
+    writer.loadRows = async (table) => {
+      writer.calls.push({ type: 'load', table });
+      return { affectedRows: 0 };
+    };
+    // e.g. an incremental diff of a table whose timestamps are all NULL
+    const diffs = [
+      { tableName: 'events', primaryKey: ['id'], stats: { localRows: 0 }, toInsert: [{ id: 4 }], toUpdate: [], toDelete: [] },
+    ];
+
+    await applyDataChanges(writer, diffs);
+
+    expect(writer.calls.some((c) => c.type === 'load')).toBe(false);
+    expect(writer.calls.find((c) => c.type === 'insert').table).toBe('events');
+  });
+
+  test('bulk loads every table with bulkLoad always, and none with never', async () => {
+    const diff = { tableName: 'users', primaryKey: ['id'], stats: { localRows: 5 }, toInsert: [{ id: 6 }], toUpdate: [], toDelete: [] };
+    const createBulkWriter = () => {
+      const writer = createMockWriter();
+      writer.loadRows = async (table, rows) => {
+        writer.calls.push({ type: 'load', table });
+        return { affectedRows: rows.length };
+      };
+      return writer;
+    };
+
+    let writer = createBulkWriter();
+    await applyDataChanges(writer, [diff], { bulkLoad: 'always' });
+    expect(writer.calls.some((c) => c.type === 'load')).toBe(true);
+
+    writer = createBulkWriter();
+    await applyDataChanges(writer, [{ ...diff, stats: { localRows: 0 } }], { bulkLoad: 'never' });
+    expect(writer.calls.some((c) => c.type === 'load')).toBe(false);
+    expect(writer.calls.some((c) => c.type === 'insert')).toBe(true);
+  });
+
+  test('records each committed table in the checkpoint', async () => {
+    const writer = createMockWriter();
+    const completed = [];
+    const checkpoint = {
+      completeTable(tableName, progress) {
+        completed.push({ tableName, ...progress });
+      },
+      recordBatch() {},
+    };
+    const diffs = [
+      {
+        tableName: 'users',
+        primaryKey: ['id'],
+        toInsert: [{ id: 1 }, { id: 2 }],
+        toUpdate: [],
+        toDelete: [],
+      },
+      {
+        tableName: 'orders',
+        primaryKey: ['id'],
+        incremental: true,
+        toInsert: [],
+        toUpdate: [{ remote: { id: 7, total: 10 } }],
+        toDelete: [],
+      },
+    ];
+
+    const result = await applyDataChanges(writer, diffs, { checkpoint });
+
+    expect(result.success).toBe(true);
+    expect(completed).toHaveLength(2);
+    expect(completed[0]).toMatchObject({ tableName: 'users', diffMode: 'streaming', inserts: 2 });
+    expect(completed[1]).toMatchObject({ tableName: 'orders', diffMode: 'incremental', updates: 1 });
+  });
+
+  test('does not checkpoint a table whose transaction rolled back', async () => {
+    const writer = createMockWriter();
+    writer.insertRows = async () => {
+      throw new Error('duplicate key');
+    };
+    const completed = [];
+    const checkpoint = {
+      completeTable(tableName) {
+        completed.push(tableName);
+      },
+      recordBatch() {},
+    };
+
+    const result = await applyDataChanges(
+      writer,
+      [{ tableName: 'users', primaryKey: ['id'], toInsert: [{ id: 1 }], toUpdate: [], toDelete: [] }],
+      { checkpoint }
+    );
+
+    expect(result.success).toBe(false);
+    expect(completed).toEqual([]);
+    expect(writer.calls).toContain('rollback');
+  });
+
+  test('commits key-ordered tables batch by batch and records the last applied key', async () => {
+    const writer = createMockWriter();
+    const batches = [];
+    const checkpoint = {
+      completeTable() {},
+      recordBatch(tableName, progress) {
+        batches.push({ tableName, ...progress });
+      },
+    };
+    const diffs = [
+      { tableName: 'users', primaryKey: ['id'], toInsert: [{ id: 1 }, { id: 2 }, { id: 3 }], toUpdate: [], toDelete: [] },
+      // Incremental diffs are in timestamp order, so they still commit once per phase
+      { tableName: 'orders', primaryKey: ['id'], incremental: true, toInsert: [{ id: 1 }, { id: 2 }, { id: 3 }], toUpdate: [], toDelete: [] },
+    ];
+
+    const result = await applyDataChanges(writer, diffs, { batchSize: 2, checkpoint });
+
+    expect(result.success).toBe(true);
+    const steps = writer.calls.map((c) => (typeof c === 'string' ? c : `${c.type} ${c.table}`));
+    expect(steps).toEqual([
+      'begin', 'insert users', 'commit',
+      'begin', 'insert users', 'commit',
+      'begin', 'insert orders', 'insert orders', 'commit',
+    ]);
+    expect(batches).toEqual([
+      { tableName: 'users', phase: 'insert', lastPrimaryKey: { id: 2 }, inserts: 2, updates: 0, deletes: 0 },
+      { tableName: 'users', phase: 'insert', lastPrimaryKey: { id: 3 }, inserts: 3, updates: 0, deletes: 0 },
+    ]);
+  });
+
+  test('records no resume key while changes below it are still pending', async () => {
+    const writer = createMockWriter();
+    const batches = [];
+    const checkpoint = {
+      completeTable() {},
+      recordBatch(tableName, progress) {
+        batches.push(progress);
+      },
+    };
+    const diffs = [
+      {
+        tableName: 'users',
+        primaryKey: ['id'],
+        toInsert: [{ id: 1 }, { id: 5 }],
+        toUpdate: [{ remote: { id: 2, name: 'new' } }],
+        toDelete: [{ id: 3 }, { id: 4 }],
+      },
+    ];
+
+    await applyDataChanges(writer, diffs, { batchSize: 1, checkpoint });
+
+    // Inserts leave updates and deletes below their keys, updates leave deletes
+    expect(batches.map(({ phase, lastPrimaryKey }) => [phase, lastPrimaryKey])).toEqual([
+      ['insert', null],
+      ['insert', null],
+      ['update', null],
+      ['delete', { id: 3 }],
+      ['delete', { id: 4 }],
+    ]);
+  });
+
+  test('bulk loads key-ordered tables one committed batch at a time with a checkpoint', async () => {
+    const writer = createMockWriter();
+    writer.loadRows = async (table, rows) => {
+      writer.calls.push({ type: 'load', table, count: rows.length });
+      return { affectedRows: rows.length };
+    };
+    const batches = [];
+    const checkpoint = { completeTable() {}, recordBatch: (tableName, progress) => batches.push(progress.lastPrimaryKey) };
+    const diffs = [{ tableName: 'events', primaryKey: ['id'], toInsert: [{ id: 1 }, { id: 2 }, { id: 3 }], toUpdate: [], toDelete: [] }];
+
+    await applyDataChanges(writer, diffs, { batchSize: 2, checkpoint });
+
+    expect(writer.calls.map((c) => (typeof c === 'string' ? c : `${c.type} ${c.count}`))).toEqual([
+      'begin', 'load 2', 'commit', 'begin', 'load 1', 'commit',
+    ]);
+    expect(batches).toEqual([{ id: 2 }, { id: 3 }]);
+  });
+
+  test('keeps the batches committed before a failing batch', async () => {
+    const writer = createMockWriter();
+    let inserts = 0;
+    writer.insertRows = async (table, rows) => {
+      if (++inserts === 2) throw new Error('duplicate key');
+      writer.calls.push({ type: 'insert', table });
+      return { affectedRows: rows.length };
+    };
+    const batches = [];
+    const completed = [];
+    const checkpoint = {
+      completeTable: (tableName) => completed.push(tableName),
+      recordBatch: (tableName, progress) => batches.push(progress.lastPrimaryKey),
+    };
+
+    const result = await applyDataChanges(
+      writer,
+      [{ tableName: 'users', primaryKey: ['id'], toInsert: [{ id: 1 }, { id: 2 }], toUpdate: [], toDelete: [] }],
+      { batchSize: 1, checkpoint }
+    );
+
+    expect(result.success).toBe(false);
+    expect(writer.calls).toEqual(['begin', { type: 'insert', table: 'users' }, 'commit', 'begin', 'rollback']);
+    expect(batches).toEqual([{ id: 1 }]);
+    expect(completed).toEqual([]);
+  });
+
+  test('orders tables parent-first and reports foreign key cycles', () => {
+    expect(orderTablesByDependencies(['order_items', 'orders', 'users', 'logs'], foreignKeys)).toEqual({
+      order: ['users', 'logs', 'orders', 'order_items'],
+      cyclic: [],
+    });
+
+    const cycle = [
+      { table: 'a', referencedTable: 'b' },
+      { table: 'b', referencedTable: 'a' },
+      { table: 'c', referencedTable: 'c' },
+    ];
+    expect(orderTablesByDependencies(['a', 'b', 'c'], cycle)).toEqual({ order: ['c', 'a', 'b'], cyclic: ['a', 'b'] });
+  });
+
+  test('groups tables into dependency levels', () => {
+    expect(groupTablesByDependencies(['order_items', 'orders', 'users', 'logs'], foreignKeys)).toEqual({
+      levels: [['users', 'logs'], ['orders'], ['order_items']],
+      cyclic: [],
+    });
+
+    const cycle = [
+      { table: 'a', referencedTable: 'b' },
+      { table: 'b', referencedTable: 'a' },
+    ];
+    expect(groupTablesByDependencies(['a', 'b', 'c'], cycle).levels).toEqual([['c'], ['a'], ['b']]);
+  });
+
+  test('applies tables of one dependency level in parallel on their own connections', async () => {
+    const events = [];
+    let running = 0;
+    let peak = 0;
+    let sessions = 0;
+
+    const writer = createMockWriter();
+    writer.acquire = async () => {
+      const id = ++sessions;
+      const session = createMockWriter();
+      session.insertRows = async (table) => {
+        running++;
+        peak = Math.max(peak, running);
+        events.push(`start ${table}`);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        events.push(`end ${table}`);
+        running--;
+      };
+      session.executeStatement = async (sql) => events.push(`${id}: ${sql}`);
+      session.release = () => events.push(`${id}: release`);
+      return session;
+    };
+
+    const diff = (tableName) => ({ tableName, primaryKey: ['id'], toInsert: [{ id: 1 }], toUpdate: [], toDelete: [] });
+    const result = await applyDataChanges(writer, ['order_items', 'orders', 'users', 'logs'].map(diff), {
+      foreignKeys,
+      concurrency: 4,
+      disableForeignKeyChecks: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.tables.map((t) => t.table)).toEqual(['users', 'logs', 'orders', 'order_items']);
+    expect(peak).toBe(2);
+    expect(events.indexOf('start orders')).toBeGreaterThan(events.indexOf('end users'));
+    expect(events.indexOf('start order_items')).toBeGreaterThan(events.indexOf('end orders'));
+    expect(sessions).toBe(4);
+    expect(events).toContain('1: SET FOREIGN_KEY_CHECKS = 0');
+    expect(events.filter((e) => e.endsWith('release'))).toHaveLength(4);
+    expect(writer.calls).toEqual([]);
+  });
+
+  test('applies tables one at a time when the writer cannot acquire connections', async () => {
+    const writer = createMockWriter();
+    const diff = (tableName) => ({ tableName, primaryKey: ['id'], toInsert: [{ id: 1 }], toUpdate: [], toDelete: [] });
+
+    const result = await applyDataChanges(writer, [diff('users'), diff('logs')], { concurrency: 4 });
+
+    expect(result.success).toBe(true);
+    expect(writer.calls.filter((c) => c === 'begin' || c === 'commit')).toEqual(['begin', 'commit', 'begin', 'commit']);
+  });
+
+  test('applies upserts parent-first and deletes child-first', async () => {
+    const writer = createMockWriter();
+    const diff = (tableName) => ({
+      tableName,
+      primaryKey: ['id'],
+      toInsert: [{ id: 1 }],
+      toUpdate: [],
+      toDelete: [{ id: 2 }],
+    });
+    const completed = [];
+    const checkpoint = {
+      completeTable(tableName) {
+        completed.push(tableName);
+      },
+      recordBatch() {},
+    };
+
+    const result = await applyDataChanges(writer, [diff('order_items'), diff('users'), diff('orders')], {
+      foreignKeys,
+      checkpoint,
+    });
+
+    expect(result.success).toBe(true);
+    const writes = writer.calls.filter((c) => c.type).map((c) => `${c.type} ${c.table}`);
+    expect(writes).toEqual([
+      'insert users',
+      'insert orders',
+      'insert order_items',
+      'delete order_items',
+      'delete orders',
+      'delete users',
+    ]);
+    // Tables are checkpointed only after their delete phase commits
+    expect(completed).toEqual(['order_items', 'orders', 'users']);
+  });
+
+  test('wraps the run in FOREIGN_KEY_CHECKS=0 and restores it on failure', async () => {
+    const writer = createMockWriter();
+    writer.insertRows = async () => {
+      throw new Error('duplicate key');
+    };
+
+    const result = await executeSync(
+      writer,
+      [],
+      [{ tableName: 'users', primaryKey: ['id'], toInsert: [{ id: 1 }], toUpdate: [], toDelete: [] }],
+      { disableForeignKeyChecks: true }
+    );
+
+    expect(result.success).toBe(false);
+    const statements = writer.calls.filter((c) => c.type === 'statement').map((c) => c.sql);
+    expect(statements).toEqual(['SET FOREIGN_KEY_CHECKS = 0', 'SET FOREIGN_KEY_CHECKS = 1']);
+  });
+
+  test('applies schema objects after the data changes', async () => {
+    const writer = createMockWriter();
+    writer.executeSchema = async (sql) => {
+      writer.calls.push({ type: 'schema', sql });
+    };
+
+    const result = await executeSync(
+      writer,
+      [{ tableName: 'orders_bi', objectType: 'trigger', action: 'create', hasChanges: true, sql: ['CREATE TRIGGER `orders_bi` ...'] }],
+      [{ tableName: 'orders', primaryKey: ['id'], toInsert: [{ id: 1 }], toUpdate: [], toDelete: [] }]
+    );
+
+    expect(result.success).toBe(true);
+    const writes = writer.calls.filter((c) => c.type === 'insert' || c.type === 'schema').map((c) => c.type);
+    expect(writes).toEqual(['insert', 'schema']);
+  });
+
+  test('drops local-only tables after the other schema changes', async () => {
+    const writer = createMockWriter();
+    writer.executeSchema = async (sql) => {
+      writer.calls.push({ type: 'schema', sql });
+    };
+
+    await executeSync(writer, [
+      { tableName: 'archive', hasChanges: true, dropTable: true, sql: ['DROP TABLE `archive`'] },
+      { tableName: 'users', hasChanges: true, sql: ['ALTER TABLE `users` DROP FOREIGN KEY `fk_users_archive`'] },
+    ], []);
+
+    expect(writer.calls.filter((c) => c.type === 'schema').map((c) => c.sql)).toEqual([
+      'ALTER TABLE `users` DROP FOREIGN KEY `fk_users_archive`',
+      'DROP TABLE `archive`',
+    ]);
+  });
 });
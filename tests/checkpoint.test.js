@@ -0,0 +1,126 @@
+/**
+ * Sync checkpoint tests
+ */
+
+import { describe, test, expect, afterEach } from 'bun:test';
+import { existsSync, readFileSync, writeFileSync, rmSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCheckpointStore, getDiffMode, isResumableByKey } from '../src/utils/checkpoint.js';
+
+const tempDirs = [];
+
+function tempCheckpointPath() {
+  const dir = mkdtempSync(join(tmpdir(), 'driftwarden-checkpoint-'));
+  tempDirs.push(dir);
+  return join(dir, 'nested', 'checkpoint.json');
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('Checkpoint', () => {
+  test('persists completed tables and reloads them', () => {
+    const filePath = tempCheckpointPath();
+    const store = createCheckpointStore(filePath);
+
+    store.start({
+      configPath: 'config/config.json',
+      tables: ['users', 'orders'],
+      fullSync: true,
+      filters: { orders: 'tenant_id = 42' },
+    });
+    store.completeTable('users', { diffMode: 'streaming', inserts: 3 });
+
+    expect(existsSync(filePath)).toBe(true);
+
+    const reloaded = createCheckpointStore(filePath);
+    const state = reloaded.load();
+    expect(state.tables).toEqual(['users', 'orders']);
+    expect(state.fullSync).toBe(true);
+    expect(state.filters).toEqual({ orders: 'tenant_id = 42' });
+    expect(reloaded.isTableComplete('users')).toBe(true);
+    expect(reloaded.isTableComplete('orders')).toBe(false);
+    expect(state.completedTables.users.inserts).toBe(3);
+    expect(state.completedTables.users.diffMode).toBe('streaming');
+  });
+
+  test('load returns null when no checkpoint exists', () => {
+    const store = createCheckpointStore(tempCheckpointPath());
+    expect(store.load()).toBeNull();
+    expect(store.getCompletedTables()).toEqual([]);
+  });
+
+  test('clear removes the checkpoint file', () => {
+    const filePath = tempCheckpointPath();
+    const store = createCheckpointStore(filePath);
+    store.start({ tables: [] });
+    store.clear();
+
+    expect(existsSync(filePath)).toBe(false);
+    expect(store.getState()).toBeNull();
+  });
+
+  test('ignores corrupt checkpoint files', () => {
+    const filePath = tempCheckpointPath();
+    const store = createCheckpointStore(filePath);
+    store.start({ tables: [] });
+    writeFileSync(filePath, '{not json');
+
+    expect(createCheckpointStore(filePath).load()).toBeNull();
+    expect(readFileSync(filePath, 'utf-8')).toBe('{not json');
+  });
+
+  test('records batches of partly applied tables until they complete', () => {
+    const filePath = tempCheckpointPath();
+    const store = createCheckpointStore(filePath);
+    store.start({ tables: ['events', 'users'] });
+
+    store.recordBatch('events', { phase: 'insert', lastPrimaryKey: { id: 1000 }, inserts: 1000 });
+    store.recordBatch('events', { phase: 'insert', lastPrimaryKey: { id: 2000 }, inserts: 2000 });
+    // e.g. a resumed run inserting rows while updates after the key are still pending
+    store.recordBatch('events', { phase: 'insert', lastPrimaryKey: null, inserts: 2500 });
+    store.recordBatch('users', { phase: 'update', lastPrimaryKey: null, updates: 500 });
+    store.completeTable('users', { diffMode: 'streaming', updates: 800 });
+
+    const reloaded = createCheckpointStore(filePath);
+    reloaded.load();
+    expect(reloaded.getTableProgress()).toEqual({
+      events: expect.objectContaining({ phase: 'insert', lastPrimaryKey: { id: 2000 }, inserts: 2500, deletes: 0 }),
+    });
+    expect(reloaded.getCompletedTables()).toEqual(['users']);
+  });
+
+  test('loads checkpoints written without table progress', () => {
+    const filePath = tempCheckpointPath();
+    createCheckpointStore(filePath).start({ tables: ['users'] });
+    const state = JSON.parse(readFileSync(filePath, 'utf-8'));
+    delete state.tableProgress;
+    writeFileSync(filePath, JSON.stringify(state));
+
+    const store = createCheckpointStore(filePath);
+    store.load();
+    expect(store.getTableProgress()).toEqual({});
+    store.recordBatch('users', { phase: 'delete', lastPrimaryKey: { id: 9 }, deletes: 1 });
+    expect(store.getTableProgress().users.lastPrimaryKey).toEqual({ id: 9 });
+  });
+
+  test('resumes key-ordered diffs only', () => {
+    expect(isResumableByKey({ primaryKey: ['id'] })).toBe(true);
+    expect(isResumableByKey({ primaryKey: ['id'], checksum: true })).toBe(true);
+    expect(isResumableByKey({ primaryKey: ['id'], incremental: true })).toBe(false);
+    expect(isResumableByKey({ primaryKey: ['id'], subset: true })).toBe(false);
+    expect(isResumableByKey({ primaryKey: [], fullReplace: true })).toBe(false);
+  });
+
+  test('describes diff mode', () => {
+    expect(getDiffMode({ fullReplace: true })).toBe('full-replace');
+    expect(getDiffMode({ subset: true })).toBe('subset');
+    expect(getDiffMode({ incremental: true })).toBe('incremental');
+    expect(getDiffMode({ checksum: true })).toBe('checksum');
+    expect(getDiffMode({})).toBe('streaming');
+  });
+});
@@ -34,6 +34,10 @@ describe('CLI', () => {
     expect(stdout).toContain('--yolo');
     expect(stdout).toContain('--dry-run');
     expect(stdout).toContain('--full-sync');
+    expect(stdout).toContain('--resume');
+    expect(stdout).toContain('--emit-sql');
+    expect(stdout).toContain('--format');
+    expect(stdout).toContain('apply');
   });
 
   test('--version shows version', async () => {
@@ -60,6 +64,24 @@ describe('CLI', () => {
     expect(stdout).toContain('Issue Tracker');
   });
 
+  test('apply without a file exits with error', async () => {
+    const { code, stderr } = await runCLI(['apply']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Missing SQL patch file');
+  });
+
+  test('sync with unknown format exits with error', async () => {
+    const { code, stderr } = await runCLI(['sync', '--format', 'yaml']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Unknown format');
+  });
+
+  test('--where without a table prefix exits with error', async () => {
+    const { code, stderr } = await runCLI(['sync', '--where', 'tenant_id = 42']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Invalid --where value');
+  });
+
   test('sync with missing config shows error', async () => {
     const { code } = await runCLI(['sync', '--config', 'nonexistent.json']);
     expect(code).toBe(1);
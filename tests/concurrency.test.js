@@ -0,0 +1,50 @@
+/**
+ * Concurrency helper tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('keeps input order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(ms);
+      running--;
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:5', '2:20', '3:1', '4:10']);
+    expect(peak).toBe(2);
+  });
+
+  test('runs one at a time for limits below 2', async () => {
+    const started = [];
+    await mapWithConcurrency(['a', 'b', 'c'], 0, async (item) => {
+      started.push(item);
+      await sleep(1);
+    });
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('stops taking new items after a failure and rethrows it', async () => {
+    const started = [];
+    const run = mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    });
+
+    await expect(run).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+
+  test('returns an empty list for no items', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
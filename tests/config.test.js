@@ -4,7 +4,18 @@
 
 import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
 import { writeFileSync, unlinkSync, mkdirSync, existsSync } from 'fs';
-import { loadConfig } from '../src/config/loader.js';
+import {
+  loadConfig,
+  validateFilters,
+  validateRenames,
+  resolveObjectTypes,
+  validateIgnoreColumns,
+  validateConcurrency,
+  validateSpill,
+  validateBulkLoad,
+  validateTimezone,
+  validateStrategies,
+} from '../src/config/loader.js';
 
 const TEST_CONFIG_DIR = 'tests/fixtures';
 const TEST_CONFIG_PATH = `${TEST_CONFIG_DIR}/test-config.json`;
@@ -112,5 +123,150 @@ describe('Config Loader', () => {
     // Default values are applied
     expect(config.sync.tables).toEqual([]);
     expect(config.sync.yolo).toBe(false);
+    expect(config.sync.disableForeignKeyChecks).toBe(false);
+  });
+
+  test('returns null for invalid masking rules', async () => {
+    const configWithMasking = {
+      ...validConfig,
+      sync: { ...validConfig.sync, masking: { salt: 's', tables: { users: { email: 'scramble' } } } },
+    };
+    writeFileSync(TEST_CONFIG_PATH, JSON.stringify(configWithMasking));
+    const config = await loadConfig(TEST_CONFIG_PATH);
+    expect(config).toBeNull();
+  });
+
+  test('localOnly skips SSH and remote validation', async () => {
+    const localOnlyConfig = { local: validConfig.local, sync: validConfig.sync };
+    writeFileSync(TEST_CONFIG_PATH, JSON.stringify(localOnlyConfig));
+
+    expect(await loadConfig(TEST_CONFIG_PATH)).toBeNull();
+
+    const config = await loadConfig(TEST_CONFIG_PATH, { localOnly: true });
+    expect(config).not.toBeNull();
+    expect(config.local.mysql.database).toBe('local_db');
+  });
+});
+
+describe('validateFilters', () => {
+  test('accepts WHERE clauses per table', () => {
+    expect(validateFilters({ orders: 'created_at >= NOW() - INTERVAL 90 DAY' })).toEqual([]);
+    expect(validateFilters(undefined)).toEqual([]);
+  });
+
+  test('rejects empty clauses, statement separators and placeholders', () => {
+    const errors = validateFilters({ a: '', b: '1=1; DROP TABLE b', c: 'id = ?' });
+    expect(errors).toHaveLength(3);
+    expect(errors[1]).toContain("must not contain ';' or '?'");
+  });
+});
+
+describe('validateRenames', () => {
+  test('accepts old -> new column maps per table', () => {
+    expect(validateRenames({ users: { fullname: 'full_name' } })).toEqual([]);
+    expect(validateRenames(undefined)).toEqual([]);
+  });
+
+  test('rejects non-object tables, empty names and duplicate targets', () => {
+    const errors = validateRenames({ a: 'x', b: { c: '' }, d: { e: 'f', g: 'f' } });
+    expect(errors).toHaveLength(3);
+    expect(errors[2]).toContain('already the target');
+  });
+});
+
+describe('resolveObjectTypes', () => {
+  test('expands all and accepts lists of known types', () => {
+    expect(resolveObjectTypes('all').types).toEqual(['view', 'trigger', 'procedure', 'function', 'event']);
+    expect(resolveObjectTypes(['view', 'trigger'])).toEqual({ types: ['view', 'trigger'], errors: [] });
+    expect(resolveObjectTypes(undefined)).toEqual({ types: [], errors: [] });
+  });
+
+  test('rejects unknown types', () => {
+    const { errors } = resolveObjectTypes(['view', 'sequence']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('sequence');
+  });
+});
+
+describe('validateIgnoreColumns', () => {
+  test('accepts a global list or per-table lists', () => {
+    expect(validateIgnoreColumns(['last_seen_at'])).toEqual([]);
+    expect(validateIgnoreColumns({ '*': ['last_seen_at'], posts: ['view_count'] })).toEqual([]);
+    expect(validateIgnoreColumns(undefined)).toEqual([]);
+  });
+
+  test('rejects non-list tables and empty column names', () => {
+    expect(validateIgnoreColumns(['ok', ''])).toHaveLength(1);
+    expect(validateIgnoreColumns({ posts: 'view_count', users: [1] })).toHaveLength(2);
+    expect(validateIgnoreColumns('view_count')).toHaveLength(1);
+  });
+});
+
+describe('validateSpill', () => {
+  test('accepts a missing or complete spill section', () => {
+    expect(validateSpill(undefined)).toEqual([]);
+    expect(validateSpill({ enabled: true, directory: '/tmp/spill', thresholdRows: 5000 })).toEqual([]);
+  });
+
+  test('rejects bad values', () => {
+    expect(validateSpill(true)).toHaveLength(1);
+    expect(validateSpill({ enabled: 'yes', directory: '', thresholdRows: 0 })).toHaveLength(3);
+  });
+});
+
+describe('validateBulkLoad', () => {
+  test('accepts auto, always and never', () => {
+    for (const mode of [undefined, 'auto', 'always', 'never']) {
+      expect(validateBulkLoad(mode)).toEqual([]);
+    }
+  });
+
+  test('rejects other values', () => {
+    expect(validateBulkLoad(true)).toHaveLength(1);
+    expect(validateBulkLoad('fast')).toHaveLength(1);
+  });
+});
+
+describe('validateStrategies', () => {
+  test('accepts known strategies per table and for every table', () => {
+    expect(validateStrategies(undefined)).toEqual([]);
+    expect(validateStrategies({ '*': 'upsert', audit_log: 'insert-only', settings: 'replace', users: 'mirror' })).toEqual([]);
+  });
+
+  test('rejects unknown strategies and non-object values', () => {
+    expect(validateStrategies({ audit_log: 'append' })).toEqual([
+      'sync.strategies.audit_log must be one of mirror, upsert, insert-only, replace (got "append")',
+    ]);
+    expect(validateStrategies(['upsert'])).toHaveLength(1);
+  });
+});
+
+describe('validateConcurrency', () => {
+  test('accepts small positive integers', () => {
+    expect(validateConcurrency(undefined)).toEqual([]);
+    expect(validateConcurrency(1)).toEqual([]);
+    expect(validateConcurrency(8)).toEqual([]);
+  });
+
+  test('rejects zero, fractions, strings and values above the limit', () => {
+    for (const value of [0, 2.5, '4', 64]) {
+      expect(validateConcurrency(value)).toHaveLength(1);
+    }
+  });
+});
+
+describe('validateTimezone', () => {
+  test('accepts UTC and offsets', () => {
+    expect(validateTimezone(undefined)).toEqual([]);
+    expect(validateTimezone('Z')).toEqual([]);
+    expect(validateTimezone('UTC')).toEqual([]);
+    expect(validateTimezone('+02:00')).toEqual([]);
+    expect(validateTimezone('-05:30')).toEqual([]);
+  });
+
+  test('rejects named zones and malformed offsets', () => {
+    expect(validateTimezone('Europe/Paris')).toHaveLength(1);
+    expect(validateTimezone('+2')).toHaveLength(1);
+    expect(validateTimezone(2)).toHaveLength(1);
   });
 });
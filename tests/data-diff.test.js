@@ -3,7 +3,10 @@
  */
 
 import { describe, test, expect } from 'bun:test';
-import { diffTableData } from '../src/diff/data-diff.js';
+import { rmSync } from 'fs';
+import { diffTableData, resolveIgnoredColumns, compareAllData, formatDataDiff } from '../src/diff/data-diff.js';
+import { createSpillArea, isRowSpool, firstRows } from '../src/utils/row-spool.js';
+import { createMasker } from '../src/db/masking.js';
 
 function createRemoteReader(rows, primaryKey = ['id']) {
   return {
@@ -26,6 +29,11 @@ function createLocalWriter(rows) {
     async getTableData(_tableName, { limit, offset }) {
       return rows.slice(offset, offset + limit);
     },
+    async *getTableDataChunked(_tableName, chunkSize) {
+      for (let i = 0; i < rows.length; i += chunkSize) {
+        yield rows.slice(i, i + chunkSize);
+      }
+    },
     async query(sql, params = []) {
       if (sql.startsWith('SELECT COUNT')) {
         return [{ count: rows.length }];
@@ -116,6 +124,11 @@ describe('Data Diff', () => {
       async getTableData(_tableName, { limit, offset }) {
         return localRows.slice(offset, offset + limit);
       },
+      async *getTableDataChunked(_tableName, chunkSize) {
+        for (let i = 0; i < localRows.length; i += chunkSize) {
+          yield localRows.slice(i, i + chunkSize);
+        }
+      },
       async query(sql, params = []) {
         if (sql.startsWith('SELECT COUNT')) {
           return [{ count: localRows.length }];
@@ -150,3 +163,449 @@ describe('Data Diff', () => {
     expect(diff.toDelete.map((row) => row.id)).toEqual([3]);
   });
 });
+
+function inRange(row, range) {
+  if (range.after && !(row.id > range.after.id)) return false;
+  if (range.upTo && !(row.id <= range.upTo.id)) return false;
+  return true;
+}
+
+function createChecksumSide(rows, fetched) {
+  const sorted = [...rows].sort((a, b) => a.id - b.id);
+  return {
+    async getTableSchema() {
+      return { name: 'users', primaryKey: ['id'], columns: [{ Field: 'id' }, { Field: 'name' }] };
+    },
+    async checkTimestampColumns() {
+      return { hasUpdatedAt: false, hasCreatedAt: false };
+    },
+    async tableExists() {
+      return true;
+    },
+    async getChunkBoundary(_tableName, _pk, after, chunkSize) {
+      const remaining = sorted.filter((row) => inRange(row, { after }));
+      return remaining.length >= chunkSize ? { id: remaining[chunkSize - 1].id } : null;
+    },
+    async getRangeChecksum(_tableName, columns, _pk, range) {
+      const matching = sorted.filter((row) => inRange(row, range));
+      return {
+        rowCount: matching.length,
+        checksum: JSON.stringify(matching.map((row) => columns.map((c) => row[c]))),
+      };
+    },
+    async *getTableDataChunked(_tableName, _chunkSize, _pk, range) {
+      const matching = sorted.filter((row) => inRange(row, range));
+      fetched.push(...matching.map((row) => row.id));
+      yield matching;
+    },
+  };
+}
+
+describe('Checksum Diff', () => {
+  test('only fetches rows for ranges whose checksums differ', async () => {
+    const remoteRows = [1, 2, 3, 4, 5, 6].map((id) => ({ id, name: `user-${id}` }));
+    remoteRows[3] = { id: 4, name: 'changed' };
+    const localRows = [1, 2, 3, 4, 5, 6, 7].map((id) => ({ id, name: `user-${id}` }));
+
+    const remoteFetched = [];
+    const localFetched = [];
+    const remoteReader = createChecksumSide(remoteRows, remoteFetched);
+    const localWriter = createChecksumSide(localRows, localFetched);
+
+    const diff = await diffTableData(remoteReader, localWriter, 'users', {
+      chunkSize: 2,
+      checksumMode: true,
+    });
+
+    expect(diff.checksum).toBe(true);
+    expect(diff.stats.rangesCompared).toBe(4);
+    expect(diff.stats.rangesMismatched).toBe(2);
+    expect(remoteFetched).toEqual([3, 4]);
+    expect(localFetched).toEqual([3, 4, 7]);
+    expect(diff.toUpdate.map((u) => u.remote.id)).toEqual([4]);
+    expect(diff.toUpdate[0].changes).toEqual([{ column: 'name', from: 'user-4', to: 'changed' }]);
+    expect(diff.toDelete.map((row) => row.id)).toEqual([7]);
+    expect(diff.toInsert).toHaveLength(0);
+    expect(diff.stats.remoteRows).toBe(6);
+    expect(diff.stats.localRows).toBe(7);
+  });
+});
+
+describe('Masked Diff', () => {
+  const masker = createMasker({
+    salt: 'test-salt',
+    tables: { users: { email: 'fake-email' } },
+  });
+
+  function createMaskedReader(rows, primaryKey = ['id']) {
+    const reader = createRemoteReader(masker.maskRows('users', rows), primaryKey);
+    reader.getMaskedColumns = (tableName) => masker.getMaskedColumns(tableName);
+    return reader;
+  }
+
+  test('masked columns already synced are not reported as updates', async () => {
+    const remoteRows = [
+      { id: 1, email: 'alice@corp.com', name: 'Alice' },
+      { id: 2, email: 'bob@corp.com', name: 'Bob (renamed)' },
+    ];
+    const localRows = masker.maskRows('users', [
+      { id: 1, email: 'alice@corp.com', name: 'Alice' },
+      { id: 2, email: 'bob@corp.com', name: 'Bob' },
+    ]);
+
+    const diff = await diffTableData(createMaskedReader(remoteRows), createLocalWriter(localRows), 'users', {
+      chunkSize: 10,
+      useIncremental: false,
+    });
+
+    expect(diff.stats.updates).toBe(1);
+    expect(diff.toUpdate[0].changes).toEqual([{ column: 'name', from: 'Bob', to: 'Bob (renamed)' }]);
+  });
+
+  test('refuses to mask primary key columns', async () => {
+    const reader = createMaskedReader([], ['email']);
+
+    await expect(diffTableData(reader, createLocalWriter([]), 'users')).rejects.toThrow(
+      'Cannot mask primary key column(s) of users: email'
+    );
+  });
+});
+
+describe('Filtered Diff', () => {
+  function matchesTenant(options = {}) {
+    return (row) => !options.where || row.tenant_id === 42;
+  }
+
+  function createFilteredSide(rows) {
+    return {
+      async getTableSchema() {
+        return { name: 'orders', primaryKey: ['id'] };
+      },
+      async checkTimestampColumns() {
+        return { hasUpdatedAt: false, hasCreatedAt: false };
+      },
+      async getRowCount(_tableName, where) {
+        return rows.filter(matchesTenant({ where })).length;
+      },
+      async *getTableDataChunked(_tableName, _chunkSize, _pk, options) {
+        yield rows.filter(matchesTenant(options));
+      },
+      async query(sql, params = []) {
+        if (sql.startsWith('SELECT COUNT')) {
+          return [{ count: rows.filter(matchesTenant({ where: sql.includes('WHERE') })).length }];
+        }
+        const pkValues = params.slice(2);
+        return rows.filter((row) => pkValues.includes(row.id));
+      },
+    };
+  }
+
+  test('local rows outside the filter are not flagged as deletes', async () => {
+    const remoteRows = [
+      { id: 1, tenant_id: 42, total: 10 },
+      { id: 2, tenant_id: 7, total: 20 },
+      { id: 3, tenant_id: 42, total: 35 },
+    ];
+    const localRows = [
+      { id: 3, tenant_id: 42, total: 30 },
+      { id: 4, tenant_id: 7, total: 40 },
+      { id: 5, tenant_id: 42, total: 50 },
+    ];
+
+    const diff = await diffTableData(createFilteredSide(remoteRows), createFilteredSide(localRows), 'orders', {
+      useIncremental: false,
+      filter: 'tenant_id = 42',
+    });
+
+    expect(diff.filter).toBe('tenant_id = 42');
+    expect(diff.stats.remoteRows).toBe(2);
+    expect(diff.stats.localRows).toBe(2);
+    expect(diff.toInsert.map((row) => row.id)).toEqual([1]);
+    expect(diff.toUpdate.map((u) => u.remote.id)).toEqual([3]);
+    expect(diff.toDelete.map((row) => row.id)).toEqual([5]);
+  });
+});
+
+describe('Typed Comparison', () => {
+  test('does not report updates for values equal under their column type', async () => {
+    const columns = [
+      { Field: 'id', Type: 'int' },
+      { Field: 'price', Type: 'decimal(10,2)' },
+      { Field: 'meta', Type: 'json' },
+      { Field: 'flags', Type: 'bit(8)' },
+    ];
+    const remoteRows = [
+      { id: 1, price: '1.50', meta: { b: 2, a: 1 }, flags: Buffer.from([5]) },
+      { id: 2, price: '2.00', meta: null, flags: Buffer.from([1]) },
+    ];
+    const localRows = [
+      { id: 1, price: '1.5', meta: { a: 1, b: 2 }, flags: Buffer.from([5]) },
+      { id: 2, price: '2.01', meta: null, flags: Buffer.from([1]) },
+    ];
+
+    const remoteReader = {
+      ...createRemoteReader(remoteRows, ['id']),
+      async getTableSchema() {
+        return { name: 'products', primaryKey: ['id'], columns };
+      },
+    };
+    const localWriter = createLocalWriter(localRows);
+
+    const diff = await diffTableData(remoteReader, localWriter, 'products', { chunkSize: 10 });
+
+    expect(diff.stats.updates).toBe(1);
+    expect(diff.toUpdate[0].remote.id).toBe(2);
+    expect(diff.toUpdate[0].changes.map((change) => change.column)).toEqual(['price']);
+  });
+});
+
+describe('Ignored Columns', () => {
+  test('resolves global and per-table lists', () => {
+    const ignoreColumns = { '*': ['last_seen_at'], posts: ['view_count', 'last_seen_at'] };
+    expect(resolveIgnoredColumns(ignoreColumns, 'posts')).toEqual(['last_seen_at', 'view_count']);
+    expect(resolveIgnoredColumns(ignoreColumns, 'users')).toEqual(['last_seen_at']);
+    expect(resolveIgnoredColumns(undefined, 'users')).toEqual([]);
+  });
+
+  test('does not report updates for changes in ignored columns only', async () => {
+    const remoteRows = [
+      { id: 1, title: 'a', view_count: 10 },
+      { id: 2, title: 'b-new', view_count: 20 },
+      { id: 3, title: 'c', view_count: 30 },
+    ];
+    const localRows = [
+      { id: 1, title: 'a', view_count: 1 },
+      { id: 2, title: 'b', view_count: 2 },
+    ];
+
+    const diff = await diffTableData(createRemoteReader(remoteRows), createLocalWriter(localRows), 'posts', {
+      chunkSize: 10,
+      ignoreColumns: ['view_count', 'id'],
+    });
+
+    expect(diff.ignoreColumns).toEqual(['view_count']);
+    expect(diff.ignoreColumnsOnInsert).toBe(false);
+    expect(diff.stats.updates).toBe(1);
+    expect(diff.toUpdate[0].changes.map((change) => change.column)).toEqual(['title']);
+    expect(diff.toInsert.map((row) => row.id)).toEqual([3]);
+  });
+});
+
+describe('Resumed Diff', () => {
+  // Rows up to id 2 were applied by the interrupted run
+  function createResumedSide(rows, wheres) {
+    const afterResumeKey = (where) => (row) => !where || row.id > 2;
+    return {
+      async getTableSchema() {
+        return { name: 'users', primaryKey: ['id'] };
+      },
+      async checkTimestampColumns() {
+        return { hasUpdatedAt: true, hasCreatedAt: false, updatedAtColumn: 'updated_at' };
+      },
+      async tableExists() {
+        return true;
+      },
+      async getModifiedRows() {
+        throw new Error('partly applied tables must not get an incremental diff');
+      },
+      async getRowCount(_tableName, where) {
+        return rows.filter(afterResumeKey(where)).length;
+      },
+      async *getTableDataChunked(_tableName, _chunkSize, _pk, { where }) {
+        wheres.push(where);
+        yield rows.filter(afterResumeKey(where));
+      },
+      async query(sql) {
+        return [{ count: rows.filter(afterResumeKey(sql.includes('WHERE'))).length }];
+      },
+    };
+  }
+
+  test('compares partly applied tables in full, after their last applied key', async () => {
+    const wheres = [];
+    const remoteRows = [{ id: 1, name: 'alpha' }, { id: 2, name: 'bravo' }, { id: 3, name: 'charlie' }];
+    const localRows = [{ id: 1, name: 'alpha' }, { id: 2, name: 'bravo' }, { id: 4, name: 'delta' }];
+
+    const [diff] = await compareAllData(
+      createResumedSide(remoteRows, wheres),
+      createResumedSide(localRows, wheres),
+      ['users'],
+      {
+        filters: { users: 'tenant_id = 42' },
+        resume: { users: { phase: 'insert', lastPrimaryKey: { id: 2 } } },
+      }
+    );
+
+    expect(diff.error).toBeUndefined();
+    expect(diff.toInsert.map((row) => row.id)).toEqual([3]);
+    expect(diff.toDelete.map((row) => row.id)).toEqual([4]);
+    expect(wheres[0]).toEqual({ clause: '(tenant_id = 42) AND ((?? > ?))', params: ['id', 2] });
+    // The executor and SQL patches work on the whole table within its row filter
+    expect(diff.filter).toBe('tenant_id = 42');
+    expect(diff.resumedAfter).toEqual({ id: 2 });
+  });
+});
+
+describe('Parallel Comparison', () => {
+  test('returns diffs in table order and keeps failed tables in place', async () => {
+    const delays = { users: 20, orders: 1, items: 5 };
+    let running = 0;
+    let peak = 0;
+
+    const remoteReader = {
+      async getTableSchema(tableName) {
+        if (tableName === 'broken') throw new Error('no such table');
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, delays[tableName]));
+        running--;
+        return { name: tableName, primaryKey: ['id'] };
+      },
+      async checkTimestampColumns() {
+        return { hasUpdatedAt: false, hasCreatedAt: false };
+      },
+      async *getTableDataChunked() {
+        yield [{ id: 1 }];
+      },
+    };
+
+    const diffs = await compareAllData(remoteReader, createLocalWriter([]), ['users', 'broken', 'orders', 'items'], {
+      concurrency: 2,
+    });
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['users', 'broken', 'orders', 'items']);
+    expect(diffs[1].error).toBe('no such table');
+    expect(diffs[0].stats.inserts).toBe(1);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('Apply Strategies', () => {
+  const remoteRows = [
+    { id: 1, name: 'alpha' },
+    { id: 2, name: 'bravo-new' },
+    { id: 3, name: 'charlie' },
+  ];
+  const localRows = [
+    { id: 1, name: 'alpha' },
+    { id: 2, name: 'bravo-old' },
+    { id: 4, name: 'delta' },
+  ];
+
+  test('upsert keeps local-only rows', async () => {
+    const diff = await diffTableData(createRemoteReader(remoteRows), createLocalWriter(localRows), 'users', {
+      strategy: 'upsert',
+    });
+
+    expect(diff.strategy).toBe('upsert');
+    expect(diff.toDelete).toEqual([]);
+    expect(diff.stats).toMatchObject({ inserts: 1, updates: 1, deletes: 0, skippedDeletes: 1 });
+    expect(formatDataDiff(diff)).toContain('Strategy: upsert (1 deletes skipped)');
+  });
+
+  test('insert-only applies new rows only', async () => {
+    const diff = await diffTableData(createRemoteReader(remoteRows), createLocalWriter(localRows), 'users', {
+      strategy: 'insert-only',
+    });
+
+    expect(diff.toInsert.map((row) => row.id)).toEqual([3]);
+    expect(diff.toUpdate).toEqual([]);
+    expect(diff.toDelete).toEqual([]);
+    expect(diff.stats).toMatchObject({ updates: 0, deletes: 0, skippedUpdates: 1, skippedDeletes: 1 });
+  });
+
+  test('replace plans a full replacement and keeps the primary key', async () => {
+    const diff = await diffTableData(createRemoteReader(remoteRows), createLocalWriter(localRows), 'users', {
+      strategy: 'replace',
+    });
+
+    expect(diff.fullReplace).toBe(true);
+    expect(diff.primaryKey).toEqual(['id']);
+    expect(diff.remoteData).toHaveLength(3);
+    expect(formatDataDiff(diff)).toContain('[REPLACE] Full table replacement (strategy: replace)');
+  });
+
+  test('tables without a primary key cannot be upserted', async () => {
+    const diffs = await compareAllData(createRemoteReader([{ name: 'one' }], []), createLocalWriter([]), ['logs'], {
+      strategies: { '*': 'upsert' },
+    });
+
+    expect(diffs[0].error).toBe('Strategy upsert needs a primary key, and logs has none');
+  });
+
+  test('mirror is shown when no strategy is configured', async () => {
+    const diffs = await compareAllData(createRemoteReader(remoteRows), createLocalWriter(localRows), ['users'], {
+      strategies: { orders: 'insert-only' },
+    });
+
+    expect(diffs[0].strategy).toBe('mirror');
+    expect(diffs[0].stats.deletes).toBe(1);
+    expect(formatDataDiff(diffs[0])).toContain('Strategy: mirror');
+  });
+});
+
+describe('Spilled Diff', () => {
+  const SPILL_DIR = 'tests/fixtures/spill-diff';
+
+  function createRangeSide(rows) {
+    const sorted = [...rows].sort((a, b) => a.id - b.id);
+    return {
+      async getTableSchema() {
+        return { name: 'users', primaryKey: ['id'], columns: [{ Field: 'id' }, { Field: 'name' }] };
+      },
+      async checkTimestampColumns() {
+        return { hasUpdatedAt: false, hasCreatedAt: false };
+      },
+      async *getTableDataChunked(_tableName, chunkSize, _pk, range = {}) {
+        const matching = sorted.filter((row) => inRange(row, range));
+        for (let i = 0; i < matching.length; i += chunkSize) {
+          yield matching.slice(i, i + chunkSize);
+        }
+      },
+      async query(sql) {
+        if (sql.startsWith('SELECT COUNT')) return [{ count: sorted.length }];
+        throw new Error(`Unexpected query: ${sql}`);
+      },
+    };
+  }
+
+  test('compares key ranges and writes row lists to spools', async () => {
+    const remoteRows = [1, 2, 3, 4, 5, 6].map((id) => ({ id, name: `user-${id}` }));
+    remoteRows[3] = { id: 4, name: 'changed' };
+    const localRows = [0, 1, 2, 4, 5, 7, 8].map((id) => ({ id, name: `user-${id}` }));
+    const spill = createSpillArea({ directory: SPILL_DIR, thresholdRows: 1 });
+
+    try {
+      const diff = await diffTableData(createRangeSide(remoteRows), createRangeSide(localRows), 'users', {
+        chunkSize: 2,
+        spill,
+      });
+
+      expect(isRowSpool(diff.toInsert)).toBe(true);
+      expect(firstRows(diff.toInsert).map((row) => row.id)).toEqual([3, 6]);
+      expect(firstRows(diff.toUpdate).map((u) => u.remote.id)).toEqual([4]);
+      expect(firstRows(diff.toUpdate)[0].changes).toEqual([{ column: 'name', from: 'user-4', to: 'changed' }]);
+      expect(firstRows(diff.toDelete).map((row) => row.id)).toEqual([0, 7, 8]);
+      expect(diff.stats).toMatchObject({ remoteRows: 6, localRows: 7, inserts: 2, updates: 1, deletes: 3 });
+      expect(formatDataDiff(diff)).toContain('  - 0');
+    } finally {
+      rmSync(SPILL_DIR, { recursive: true, force: true });
+    }
+  });
+
+  test('deletes every local row when the remote table is empty', async () => {
+    const spill = createSpillArea({ directory: SPILL_DIR });
+
+    try {
+      const diff = await diffTableData(createRangeSide([]), createRangeSide([{ id: 1 }, { id: 2 }]), 'users', {
+        chunkSize: 1,
+        spill,
+      });
+
+      expect(diff.toDelete.length).toBe(2);
+      expect(diff.stats.inserts).toBe(0);
+    } finally {
+      rmSync(SPILL_DIR, { recursive: true, force: true });
+    }
+  });
+});
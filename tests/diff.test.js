@@ -3,7 +3,10 @@
  */
 
 import { describe, test, expect } from 'bun:test';
-import { diffTableSchema, generateSchemaSQL } from '../src/diff/schema-diff.js';
+import { diffTableSchema, generateSchemaSQL, formatSchemaDiff, compareAllSchemas } from '../src/diff/schema-diff.js';
+import { readColumnDetails, dataColumnNames } from '../src/db/introspection.js';
+import { createTableFilter } from '../src/utils/table-filter.js';
+import { declineRename } from '../src/ui/preview.js';
 
 describe('Schema Diff', () => {
   test('detects new table (no local schema)', () => {
@@ -110,6 +113,75 @@ describe('Schema Diff', () => {
   });
 });
 
+describe('Constraint Diff', () => {
+  const columns = [
+    { Field: 'id', Type: 'int', Null: 'NO', Key: 'PRI', Default: null, Extra: '' },
+    { Field: 'user_id', Type: 'int', Null: 'NO', Key: 'MUL', Default: null, Extra: '' },
+    { Field: 'total', Type: 'int', Null: 'NO', Key: '', Default: null, Extra: '' },
+  ];
+  const userFk = {
+    name: 'fk_orders_user',
+    table: 'orders',
+    columns: ['user_id'],
+    referencedTable: 'users',
+    referencedColumns: ['id'],
+    onUpdate: 'RESTRICT',
+    onDelete: 'CASCADE',
+  };
+  const table = (foreignKeys, checks) => ({ name: 'orders', columns, indexes: [], foreignKeys, checks });
+
+  test('detects no changes for identical constraints', () => {
+    const schema = table([userFk], [{ name: 'chk_total', clause: '(`total` >= 0)', enforced: true }]);
+
+    expect(diffTableSchema(schema, schema).hasChanges).toBe(false);
+  });
+
+  test('detects added, modified and dropped constraints', () => {
+    const remote = table(
+      [userFk],
+      [{ name: 'chk_total', clause: '(`total` >= 0)', enforced: true }]
+    );
+    const local = table(
+      [{ ...userFk, onDelete: 'RESTRICT' }],
+      [{ name: 'chk_legacy', clause: '(`total` < 1000)', enforced: false }]
+    );
+
+    const diff = diffTableSchema(remote, local);
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.constraintsToAdd).toEqual([
+      { name: 'chk_total', type: 'CHECK', definition: 'CHECK ((`total` >= 0))' },
+    ]);
+    expect(diff.constraintsToModify).toHaveLength(1);
+    expect(diff.constraintsToModify[0]).toMatchObject({
+      name: 'fk_orders_user',
+      from: 'FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE RESTRICT ON UPDATE RESTRICT',
+      to: 'FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE RESTRICT',
+    });
+    expect(diff.constraintsToDrop).toEqual([
+      { name: 'chk_legacy', type: 'CHECK', definition: 'CHECK ((`total` < 1000)) NOT ENFORCED' },
+    ]);
+
+    expect(formatSchemaDiff(diff)).toContain('[MODIFY CONSTRAINTS]');
+  });
+
+  test('generates drops before column changes and adds after them', () => {
+    const remote = {
+      ...table([userFk], [{ name: 'chk_total', clause: '(`total` >= 0)', enforced: true }]),
+      columns: [...columns, { Field: 'note', Type: 'text', Null: 'YES', Key: '', Default: null, Extra: '' }],
+    };
+    const local = table([{ ...userFk, onDelete: 'RESTRICT' }], [{ name: 'chk_legacy', clause: '(`total` < 1000)', enforced: true }]);
+
+    expect(generateSchemaSQL(diffTableSchema(remote, local))).toEqual([
+      'ALTER TABLE `orders` DROP CHECK `chk_legacy`',
+      'ALTER TABLE `orders` DROP FOREIGN KEY `fk_orders_user`',
+      'ALTER TABLE `orders` ADD COLUMN `note` text NULL DEFAULT NULL',
+      'ALTER TABLE `orders` ADD CONSTRAINT `fk_orders_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE RESTRICT',
+      'ALTER TABLE `orders` ADD CONSTRAINT `chk_total` CHECK ((`total` >= 0))',
+    ]);
+  });
+});
+
 describe('Schema SQL Generation', () => {
   test('generates CREATE TABLE for new table', () => {
     const diff = {
@@ -165,3 +237,434 @@ describe('Schema SQL Generation', () => {
     expect(sql).toHaveLength(0);
   });
 });
+
+describe('Index Diff', () => {
+  const columns = [
+    { Field: 'id', Type: 'int', Null: 'NO', Key: 'PRI', Default: null, Extra: '' },
+    { Field: 'email', Type: 'varchar(255)', Null: 'NO', Key: 'MUL', Default: null, Extra: '' },
+    { Field: 'bio', Type: 'text', Null: 'YES', Key: 'MUL', Default: null, Extra: '' },
+  ];
+  const indexRow = (overrides) => ({
+    Key_name: 'idx_email',
+    Seq_in_index: 1,
+    Column_name: 'email',
+    Collation: 'A',
+    Sub_part: null,
+    Non_unique: 1,
+    Index_type: 'BTREE',
+    Visible: 'YES',
+    Expression: null,
+    ...overrides,
+  });
+  const table = (indexes) => ({ name: 'users', columns, indexes });
+
+  test('treats identical index signatures as unchanged', () => {
+    const schema = table([indexRow({}), indexRow({ Key_name: 'ft_bio', Column_name: 'bio', Index_type: 'FULLTEXT', Collation: null })]);
+
+    expect(diffTableSchema(schema, schema).hasChanges).toBe(false);
+  });
+
+  test('detects uniqueness, prefix, order and visibility changes', () => {
+    const cases = [
+      [{ Non_unique: 0 }, 'UNIQUE INDEX `idx_email` (`email`)'],
+      [{ Sub_part: 64 }, 'INDEX `idx_email` (`email`(64))'],
+      [{ Collation: 'D' }, 'INDEX `idx_email` (`email` DESC)'],
+      [{ Visible: 'NO' }, 'INDEX `idx_email` (`email`) INVISIBLE'],
+    ];
+
+    for (const [change, expected] of cases) {
+      const diff = diffTableSchema(table([indexRow(change)]), table([indexRow({})]));
+
+      expect(diff.indexesToAdd).toEqual([]);
+      expect(diff.indexesToRemove).toEqual([]);
+      expect(diff.indexesToModify).toHaveLength(1);
+      expect(diff.indexesToModify[0].from).toBe('INDEX `idx_email` (`email`)');
+      expect(diff.indexesToModify[0].to).toBe(expected);
+      expect(generateSchemaSQL(diff)).toEqual([
+        `ALTER TABLE \`users\` DROP INDEX \`idx_email\`, ADD ${expected}`,
+      ]);
+    }
+  });
+
+  test('detects column order changes in composite indexes', () => {
+    const remote = table([
+      indexRow({ Key_name: 'idx_multi', Column_name: 'bio', Sub_part: 10 }),
+      indexRow({ Key_name: 'idx_multi', Column_name: 'email', Seq_in_index: 2 }),
+    ]);
+    const local = table([
+      indexRow({ Key_name: 'idx_multi' }),
+      indexRow({ Key_name: 'idx_multi', Column_name: 'bio', Sub_part: 10, Seq_in_index: 2 }),
+    ]);
+
+    const diff = diffTableSchema(remote, local);
+    expect(diff.indexesToModify[0].to).toBe('INDEX `idx_multi` (`bio`(10), `email`)');
+  });
+
+  test('generates FULLTEXT, SPATIAL and functional index syntax', () => {
+    const remote = table([
+      indexRow({ Key_name: 'ft_bio', Column_name: 'bio', Index_type: 'FULLTEXT', Collation: null }),
+      indexRow({ Key_name: 'sp_location', Column_name: 'location', Index_type: 'SPATIAL', Sub_part: 32 }),
+      indexRow({ Key_name: 'idx_lower_email', Column_name: null, Expression: 'lower(`email`)' }),
+    ]);
+
+    expect(generateSchemaSQL(diffTableSchema(remote, table([])))).toEqual([
+      'ALTER TABLE `users` ADD FULLTEXT INDEX `ft_bio` (`bio`)',
+      'ALTER TABLE `users` ADD SPATIAL INDEX `sp_location` (`location`)',
+      'ALTER TABLE `users` ADD INDEX `idx_lower_email` ((lower(`email`)))',
+    ]);
+  });
+});
+
+describe('Primary Key Diff', () => {
+  const columns = [
+    { Field: 'order_id', Type: 'int', Null: 'NO', Key: 'PRI', Default: null, Extra: '' },
+    { Field: 'line', Type: 'int', Null: 'NO', Key: 'PRI', Default: null, Extra: '' },
+  ];
+  const pkRows = (...cols) =>
+    cols.map((col, i) => ({ Key_name: 'PRIMARY', Seq_in_index: i + 1, Column_name: col, Non_unique: 0, Index_type: 'BTREE' }));
+  const table = (indexes) => ({ name: 'order_items', columns, indexes });
+
+  test('detects an extended composite primary key', () => {
+    const diff = diffTableSchema(table(pkRows('order_id', 'line')), table(pkRows('order_id')));
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.primaryKeyChange).toMatchObject({ from: ['order_id'], to: ['order_id', 'line'] });
+    expect(diff.indexesToAdd).toEqual([]);
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `order_items` DROP PRIMARY KEY, ADD PRIMARY KEY (`order_id`, `line`)',
+    ]);
+    expect(formatSchemaDiff(diff)).toContain('[CHANGE PRIMARY KEY]');
+  });
+
+  test('adds or drops a primary key that exists on one side only', () => {
+    const added = diffTableSchema(table(pkRows('order_id', 'line')), table([]));
+    expect(generateSchemaSQL(added)).toEqual(['ALTER TABLE `order_items` ADD PRIMARY KEY (`order_id`, `line`)']);
+
+    const dropped = diffTableSchema(table([]), table(pkRows('order_id', 'line')));
+    expect(generateSchemaSQL(dropped)).toEqual(['ALTER TABLE `order_items` DROP PRIMARY KEY']);
+  });
+
+  test('leaves an unchanged primary key alone', () => {
+    const schema = table(pkRows('order_id', 'line'));
+    const diff = diffTableSchema(schema, schema);
+
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.primaryKeyChange).toBeNull();
+  });
+});
+
+describe('Column Rename Diff', () => {
+  const col = (Field, Type = 'varchar(255)') => ({ Field, Type, Null: 'YES', Key: '', Default: null, Extra: '' });
+  const table = (columns, indexes = []) => ({ name: 'users', columns, indexes });
+
+  test('proposes a rename for one identical removed/added column pair', () => {
+    const diff = diffTableSchema(
+      table([col('id', 'int'), col('full_name')], [{ Key_name: 'idx_name', Seq_in_index: 1, Column_name: 'full_name', Non_unique: 1 }]),
+      table([col('id', 'int'), col('fullname')], [{ Key_name: 'idx_name', Seq_in_index: 1, Column_name: 'fullname', Non_unique: 1 }])
+    );
+
+    expect(diff.columnsToRename).toEqual([
+      { from: 'fullname', to: 'full_name', detected: true, definition: 'varchar(255) NULL DEFAULT NULL' },
+    ]);
+    expect(diff.columnsToAdd).toEqual([]);
+    expect(diff.columnsToRemove).toEqual([]);
+    // Indexes follow the renamed column
+    expect(diff.indexesToModify).toEqual([]);
+    expect(generateSchemaSQL(diff)).toEqual(['ALTER TABLE `users` RENAME COLUMN `fullname` TO `full_name`']);
+  });
+
+  test('does not guess when types or positions differ', () => {
+    const typeChanged = diffTableSchema(table([col('id', 'int'), col('full_name', 'text')]), table([col('id', 'int'), col('fullname')]));
+    expect(typeChanged.columnsToRename).toEqual([]);
+    expect(typeChanged.columnsToAdd).toHaveLength(1);
+
+    const moved = diffTableSchema(table([col('full_name'), col('id', 'int')]), table([col('id', 'int'), col('fullname')]));
+    expect(moved.columnsToRename).toEqual([]);
+  });
+
+  test('applies configured renames even when the definition changed', () => {
+    const diff = diffTableSchema(
+      table([col('id', 'int'), col('full_name', 'text'), col('nick')]),
+      table([col('id', 'int'), col('fullname'), col('nickname')]),
+      { renames: { fullname: 'full_name' } }
+    );
+
+    // The remaining pair is still detected
+    expect(diff.columnsToRename).toEqual([
+      { from: 'fullname', to: 'full_name', detected: false, definition: 'text NULL DEFAULT NULL' },
+      { from: 'nickname', to: 'nick', detected: true, definition: 'varchar(255) NULL DEFAULT NULL' },
+    ]);
+    expect(generateSchemaSQL(diffTableSchema(
+      table([col('id', 'int'), col('full_name', 'text')]),
+      table([col('id', 'int'), col('fullname')]),
+      { renames: { fullname: 'full_name' } }
+    ))).toEqual([
+      'ALTER TABLE `users` RENAME COLUMN `fullname` TO `full_name`',
+      'ALTER TABLE `users` MODIFY COLUMN `full_name` text NULL DEFAULT NULL',
+    ]);
+  });
+
+  test('falls back to drop + add when a detected rename is rejected', async () => {
+    const remoteReader = {
+      getTables: async () => ['users'],
+      getTableSchema: async () => table([col('id', 'int'), col('full_name')]),
+    };
+    const localWriter = {
+      getTables: async () => ['users'],
+      getTableSchema: async () => table([col('id', 'int'), col('fullname')]),
+    };
+    const asked = [];
+
+    const [diff] = await compareAllSchemas(remoteReader, localWriter, null, {
+      confirmRename: async (tableName, rename) => {
+        asked.push(`${tableName}.${rename.from}`);
+        return false;
+      },
+    });
+
+    expect(asked).toEqual(['users.fullname']);
+    expect(diff.columnsToRename).toEqual([]);
+    expect(diff.sql).toEqual([
+      'ALTER TABLE `users` ADD COLUMN `full_name` varchar(255) NULL DEFAULT NULL',
+      'ALTER TABLE `users` DROP COLUMN `fullname`',
+    ]);
+  });
+
+  test('declineRename applies only configured renames (dry runs and --yolo)', async () => {
+    const remoteReader = {
+      getTables: async () => ['users'],
+      getTableSchema: async () => table([col('id', 'int'), col('full_name'), col('nick')]),
+    };
+    const localWriter = {
+      getTables: async () => ['users'],
+      getTableSchema: async () => table([col('id', 'int'), col('fullname'), col('nick_name')]),
+    };
+
+    const [diff] = await compareAllSchemas(remoteReader, localWriter, null, {
+      renames: { users: { fullname: 'full_name' } },
+      confirmRename: declineRename,
+    });
+
+    expect(diff.columnsToRename.map(({ from, to, detected }) => ({ from, to, detected }))).toEqual([
+      { from: 'fullname', to: 'full_name', detected: false },
+    ]);
+    expect(diff.sql).toContain('ALTER TABLE `users` ADD COLUMN `nick` varchar(255) NULL DEFAULT NULL');
+    expect(diff.sql).toContain('ALTER TABLE `users` DROP COLUMN `nick_name`');
+  });
+});
+
+describe('Column Order and Table Option Diff', () => {
+  const col = (Field, extra = {}) => ({
+    Field,
+    Type: 'varchar(64)',
+    Collation: 'utf8mb4_0900_ai_ci',
+    Null: 'YES',
+    Key: '',
+    Default: null,
+    Extra: '',
+    Comment: '',
+    ...extra,
+  });
+  const options = (overrides = {}) => ({
+    engine: 'InnoDB',
+    charset: 'utf8mb4',
+    collation: 'utf8mb4_0900_ai_ci',
+    rowFormat: 'DYNAMIC',
+    comment: '',
+    ...overrides,
+  });
+  const table = (columns, tableOptions = options()) => ({ name: 'users', columns, indexes: [], options: tableOptions });
+
+  test('moves only the columns outside the longest in-order run', () => {
+    const diff = diffTableSchema(
+      table([col('id'), col('email'), col('name'), col('phone')]),
+      table([col('id'), col('name'), col('phone'), col('email')])
+    );
+
+    expect(diff.columnsToMove.map((c) => [c.name, c.position])).toEqual([['email', 'AFTER `id`']]);
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `users` MODIFY COLUMN `email` varchar(64) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL AFTER `id`',
+    ]);
+  });
+
+  test('positions added columns unless they are appended', () => {
+    const diff = diffTableSchema(
+      table([col('nickname'), col('id'), col('name'), col('bio')]),
+      table([col('id'), col('name')])
+    );
+
+    expect(diff.columnsToAdd.map((c) => [c.name, c.position])).toEqual([
+      ['nickname', 'FIRST'],
+      ['bio', null],
+    ]);
+    expect(diff.columnsToMove).toEqual([]);
+  });
+
+  test('detects collation and comment drift on columns', () => {
+    const diff = diffTableSchema(
+      table([col('id'), col('name', { Collation: 'utf8mb4_bin', Comment: "user's name" })]),
+      table([col('id'), col('name')])
+    );
+
+    expect(diff.columnsToModify).toHaveLength(1);
+    expect(diff.columnsToModify[0].to).toBe(
+      "varchar(64) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL DEFAULT NULL COMMENT 'user''s name'"
+    );
+  });
+
+  test('converts charset and restores columns with their own collation', () => {
+    const diff = diffTableSchema(
+      table([col('id'), col('code', { Collation: 'utf8mb4_bin' })]),
+      table(
+        [col('id', { Collation: 'utf8mb3_general_ci' }), col('code', { Collation: 'utf8mb4_bin' })],
+        options({ charset: 'utf8mb3', collation: 'utf8mb3_general_ci' })
+      )
+    );
+
+    expect(diff.tableOptionChanges.map((c) => c.option)).toEqual(['collation']);
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `users` CONVERT TO CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci',
+      'ALTER TABLE `users` MODIFY COLUMN `code` varchar(64) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL DEFAULT NULL',
+      'ALTER TABLE `users` MODIFY COLUMN `id` varchar(64) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL',
+    ]);
+  });
+
+  test('emits ENGINE, ROW_FORMAT and COMMENT changes', () => {
+    const diff = diffTableSchema(
+      table([col('id')], options({ rowFormat: 'COMPRESSED', comment: 'Registered users' })),
+      table([col('id')], options({ engine: 'MyISAM' }))
+    );
+
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `users` ENGINE=InnoDB',
+      'ALTER TABLE `users` ROW_FORMAT=COMPRESSED',
+      "ALTER TABLE `users` COMMENT='Registered users'",
+    ]);
+    expect(formatSchemaDiff(diff)).toContain('engine: MyISAM -> InnoDB');
+  });
+});
+
+describe('Table Drop Diff', () => {
+  const localOnlyWriter = () => ({
+    getTables: async () => ['users', 'archive', 'archive_items'],
+    getTableSchema: async (name) => ({
+      name,
+      columns: [{ Field: 'id', Type: 'int', Null: 'NO', Key: 'PRI', Default: null, Extra: '' }],
+      indexes: [],
+      foreignKeys: name === 'archive_items'
+        ? [{ name: 'fk_items_archive', table: 'archive_items', columns: ['archive_id'], referencedTable: 'archive', referencedColumns: ['id'] }]
+        : [],
+      checks: [],
+    }),
+  });
+  const remoteReader = {
+    getTables: async () => ['users'],
+    getTableSchema: async (name) => localOnlyWriter().getTableSchema(name),
+  };
+
+  test('ignores local-only tables unless enabled', async () => {
+    expect(await compareAllSchemas(remoteReader, localOnlyWriter(), null)).toEqual([]);
+  });
+
+  test('drops local-only tables child-first', async () => {
+    const diffs = await compareAllSchemas(remoteReader, localOnlyWriter(), null, { dropTables: true });
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['archive_items', 'archive']);
+    expect(diffs[0].dropTable).toBe(true);
+    expect(diffs[0].sql).toEqual(['DROP TABLE `archive_items`']);
+    expect(formatSchemaDiff(diffs[1])).toContain('[DROP]');
+  });
+
+  test('limits drops to the given tables', async () => {
+    const diffs = await compareAllSchemas(remoteReader, localOnlyWriter(), null, { dropTables: ['archive'] });
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['archive']);
+  });
+
+  test('never drops tables the table filter excludes', async () => {
+    const diffs = await compareAllSchemas(remoteReader, localOnlyWriter(), null, {
+      dropTables: true,
+      tableFilter: createTableFilter({ exclude: ['*_items'] }),
+    });
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['archive']);
+  });
+});
+
+describe('Generated and Invisible Column Diff', () => {
+  const col = (Field, extra = {}) => ({ Field, Type: 'int', Null: 'YES', Key: '', Default: null, Extra: '', ...extra });
+  const table = (columns) => ({ name: 'orders', columns, indexes: [] });
+  const total = (kind, expression) => col('total', {
+    Extra: `${kind} GENERATED`,
+    Generated: kind,
+    GenerationExpression: expression,
+  });
+
+  test('flags generated and invisible columns and reads expressions only when needed', async () => {
+    const queries = [];
+    const query = async (sql, params) => {
+      queries.push(params);
+      return [{ COLUMN_NAME: 'total', GENERATION_EXPRESSION: '(`price` * `qty`)' }];
+    };
+    const columns = [col('id'), col('secret', { Extra: 'INVISIBLE' }), col('total', { Extra: 'STORED GENERATED' })];
+
+    const details = await readColumnDetails(query, 'shop', 'orders', columns);
+    expect(details.map((c) => [c.Field, c.Generated, c.GenerationExpression, c.Invisible])).toEqual([
+      ['id', null, null, false],
+      ['secret', null, null, true],
+      ['total', 'STORED', '(`price` * `qty`)', false],
+    ]);
+    expect(queries).toEqual([['shop', 'orders']]);
+    expect(dataColumnNames(details)).toEqual(['id', 'secret']);
+
+    await readColumnDetails(query, 'shop', 'orders', [col('id', { Extra: 'DEFAULT_GENERATED' })]);
+    expect(queries).toHaveLength(1);
+  });
+
+  test('adds generated and invisible columns with their clauses', () => {
+    const diff = diffTableSchema(
+      table([col('id'), col('secret', { Extra: 'INVISIBLE', Invisible: true }), total('VIRTUAL', '(`price` * `qty`)')]),
+      table([col('id')])
+    );
+
+    expect(diff.columnsToAdd.map((c) => c.definition)).toEqual([
+      'int NULL DEFAULT NULL INVISIBLE',
+      'int GENERATED ALWAYS AS ((`price` * `qty`)) VIRTUAL NULL',
+    ]);
+  });
+
+  test('modifies changed generation expressions', () => {
+    const diff = diffTableSchema(
+      table([col('id'), total('STORED', '(`price` * `qty`)')]),
+      table([col('id'), total('STORED', '`price`')])
+    );
+
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `orders` MODIFY COLUMN `total` int GENERATED ALWAYS AS ((`price` * `qty`)) STORED NULL',
+    ]);
+  });
+
+  test('drops and re-adds columns that switch between virtual, stored and regular', () => {
+    const diff = diffTableSchema(
+      table([col('id'), total('STORED', '`price`'), col('note')]),
+      table([col('id'), total('VIRTUAL', '`price`'), col('note')])
+    );
+
+    expect(diff.columnsToModify[0].rebuild).toBe(true);
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `orders` DROP COLUMN `total`, ADD COLUMN `total` int GENERATED ALWAYS AS (`price`) STORED NULL AFTER `id`',
+    ]);
+  });
+
+  test('rebuilds columns after adding the new columns they follow or compute from', () => {
+    const diff = diffTableSchema(
+      table([col('id'), col('price'), total('STORED', '(`price` * 2)')]),
+      table([col('id'), col('total')])
+    );
+
+    expect(generateSchemaSQL(diff)).toEqual([
+      'ALTER TABLE `orders` ADD COLUMN `price` int NULL DEFAULT NULL AFTER `id`',
+      'ALTER TABLE `orders` DROP COLUMN `total`, ADD COLUMN `total` int GENERATED ALWAYS AS ((`price` * 2)) STORED NULL AFTER `price`',
+    ]);
+  });
+});
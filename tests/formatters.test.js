@@ -0,0 +1,199 @@
+/**
+ * Diff output formatter tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  summarizeChanges,
+  registerFormatter,
+  getFormatter,
+  listFormatters,
+  dataDiffToObject,
+  REPORT_ROW_LIMIT,
+} from '../src/ui/formatters.js';
+import { generatePreview, detectDestructiveChanges } from '../src/ui/preview.js';
+
+const schemaDiffs = [
+  {
+    tableName: 'users',
+    hasChanges: true,
+    createTable: false,
+    columnsToAdd: [{ name: 'email', definition: 'varchar(255) NULL' }],
+    columnsToModify: [],
+    columnsToRemove: [{ name: 'legacy' }],
+    indexesToAdd: [],
+    indexesToRemove: [],
+    sql: ['ALTER TABLE `users` ADD COLUMN `email` varchar(255) NULL'],
+  },
+  { tableName: 'orders', hasChanges: false },
+];
+
+const dataDiffs = [
+  {
+    tableName: 'users',
+    primaryKey: ['id'],
+    toInsert: [{ id: 3, name: 'Carol', avatar: Buffer.from([0xde, 0xad]), visits: 9007199254740993n }],
+    toUpdate: [
+      {
+        remote: { id: 1, name: 'Alice | A.' },
+        local: { id: 1, name: 'Alice' },
+        changes: [{ column: 'name', from: 'Alice', to: 'Alice | A.' }],
+      },
+    ],
+    toDelete: [{ id: 2, name: 'Bob' }],
+    stats: { remoteRows: 2, localRows: 2, inserts: 1, updates: 1, deletes: 1 },
+  },
+  {
+    tableName: 'orders',
+    primaryKey: ['id'],
+    toInsert: [],
+    toUpdate: [],
+    toDelete: [],
+    stats: { remoteRows: 5, localRows: 5, inserts: 0, updates: 0, deletes: 0 },
+  },
+];
+
+describe('Formatter Registry', () => {
+  test('registers built-in formats', () => {
+    expect(listFormatters()).toEqual(expect.arrayContaining(['text', 'json', 'markdown']));
+  });
+
+  test('throws for unknown format', () => {
+    expect(() => getFormatter('yaml')).toThrow('Unknown output format: yaml');
+  });
+
+  test('rejects incomplete formatters', () => {
+    expect(() => registerFormatter('broken', { formatPreview: () => '' })).toThrow('formatSchemaDiff');
+  });
+
+  test('custom formatters plug into generatePreview', () => {
+    registerFormatter('count', {
+      formatSchemaDiff: (diff) => diff.tableName,
+      formatDataDiff: (diff) => diff.tableName,
+      formatPreview: (schema, data, summary) => `${summary.schemaChanges}/${summary.dataChanges}`,
+    });
+
+    expect(generatePreview(schemaDiffs, dataDiffs, { format: 'count' })).toBe('1/1');
+  });
+});
+
+describe('summarizeChanges', () => {
+  test('counts tables, operations and warnings', () => {
+    const summary = summarizeChanges(schemaDiffs, dataDiffs);
+
+    expect(summary.schemaChanges).toBe(1);
+    expect(summary.dataChanges).toBe(1);
+    expect(summary.totals).toEqual({ inserts: 1, updates: 1, deletes: 1 });
+    expect(summary.warnings).toContain('1 table(s) have columns to be removed (DATA LOSS)');
+    expect(summary.warnings).toContain('1 row(s) will be deleted from local database');
+  });
+
+  test('flags primary key changes as destructive', () => {
+    const pkDiff = { tableName: 'order_items', hasChanges: true, primaryKeyChange: { from: ['order_id'], to: ['order_id', 'line'] } };
+
+    expect(summarizeChanges([pkDiff], []).warnings).toContain('1 table(s) have primary key changes (table rebuild)');
+
+    const destructive = detectDestructiveChanges([pkDiff], []);
+    expect(destructive.hasDestructive).toBe(true);
+    expect(destructive.primaryKeyChanges).toEqual([{ table: 'order_items', from: ['order_id'], to: ['order_id', 'line'] }]);
+  });
+
+  test('flags regular columns becoming generated as destructive', () => {
+    const rebuild = (name, localGenerated) => ({ name, rebuild: true, localCol: { Field: name, Generated: localGenerated } });
+    const diff = { tableName: 'orders', hasChanges: true, columnsToModify: [rebuild('total', null), rebuild('tax', 'VIRTUAL')] };
+
+    const destructive = detectDestructiveChanges([diff], []);
+    expect(destructive.hasDestructive).toBe(true);
+    expect(destructive.columnRebuilds).toEqual([{ table: 'orders', columns: ['total'] }]);
+  });
+
+  test('flags local-only table drops as destructive', () => {
+    const dropDiff = { tableName: 'archive', hasChanges: true, dropTable: true, sql: ['DROP TABLE `archive`'] };
+
+    const summary = summarizeChanges([...schemaDiffs, dropDiff], []);
+    expect(summary.schemaChanges).toBe(1);
+    expect(summary.tableDrops).toBe(1);
+    expect(summary.warnings).toContain('1 local table(s) no longer exist remotely and will be dropped (DATA LOSS)');
+
+    expect(detectDestructiveChanges([dropDiff], []).tableDrops).toEqual([{ table: 'archive' }]);
+  });
+});
+
+describe('Text Format', () => {
+  test('renders table drops in their own section', () => {
+    const preview = generatePreview([{ tableName: 'archive', hasChanges: true, dropTable: true }], []);
+
+    expect(preview).toContain('Tables to drop: 1');
+    expect(preview).toContain('DROP TABLE');
+    expect(preview).not.toContain('SCHEMA CHANGES');
+  });
+
+  test('is the default preview format', () => {
+    const preview = generatePreview(schemaDiffs, dataDiffs);
+
+    expect(preview).toContain('DRIFTWARDEN SYNC PREVIEW');
+    expect(preview).toContain('Inserts: 1');
+    expect(preview).toContain('WARNINGS');
+  });
+});
+
+describe('JSON Format', () => {
+  test('includes per-row changes and JSON-safe values', () => {
+    const report = JSON.parse(generatePreview(schemaDiffs, dataDiffs, { format: 'json' }));
+
+    expect(report.summary.totals.deletes).toBe(1);
+    expect(report.schema).toHaveLength(1);
+    expect(report.schema[0].columnsToRemove).toEqual(['legacy']);
+
+    const users = report.data.find((d) => d.table === 'users');
+    expect(users.inserts[0].avatar).toBe('0xdead');
+    expect(users.inserts[0].visits).toBe('9007199254740993');
+    expect(users.updates[0]).toEqual({
+      key: { id: 1 },
+      changes: [{ column: 'name', from: 'Alice', to: 'Alice | A.' }],
+    });
+    expect(users.deletes).toEqual([{ id: 2 }]);
+  });
+
+  test('caps serialized rows per operation and marks truncated tables', () => {
+    const toInsert = Array.from({ length: REPORT_ROW_LIMIT + 1 }, (_, id) => ({ id }));
+    const diff = { tableName: 'events', primaryKey: ['id'], toInsert, toUpdate: [], toDelete: [], stats: { inserts: toInsert.length } };
+
+    const report = dataDiffToObject(diff);
+    expect(report.inserts).toHaveLength(REPORT_ROW_LIMIT);
+    expect(report.truncated).toBe(true);
+    expect(report.stats.inserts).toBe(REPORT_ROW_LIMIT + 1);
+    expect(dataDiffToObject(diff, Infinity).inserts).toHaveLength(REPORT_ROW_LIMIT + 1);
+  });
+
+  test('reports errors and full replacements without row details', () => {
+    const json = getFormatter('json').formatDataDiff({
+      tableName: 'logs',
+      primaryKey: [],
+      fullReplace: true,
+      stats: { remoteRows: 3, localRows: 1, inserts: 3, updates: 0, deletes: 1 },
+    });
+
+    expect(JSON.parse(json)).toEqual({
+      table: 'logs',
+      primaryKey: [],
+      filter: null,
+      strategy: 'mirror',
+      stats: { remoteRows: 3, localRows: 1, inserts: 3, updates: 0, deletes: 1 },
+      fullReplace: true,
+    });
+  });
+});
+
+describe('Markdown Format', () => {
+  test('renders summary, schema SQL and escaped change table', () => {
+    const report = generatePreview(schemaDiffs, dataDiffs, { format: 'markdown' });
+
+    expect(report).toContain('## Driftwarden Sync Preview');
+    expect(report).toContain('| Deletes | 1 |');
+    expect(report).toContain('**DROP COLUMN** `legacy`');
+    expect(report).toContain('```sql');
+    expect(report).toContain('| 1 | `name` | Alice | Alice \\| A. |');
+    expect(report).not.toContain('`orders`');
+  });
+});
@@ -128,6 +128,42 @@ describe('Database Connectivity Tests', () => {
       }
     });
 
+    test('batch-updates a local table with a FULLTEXT index', async () => {
+      const { loadConfig } = await import('../../src/config/loader.js');
+      const { createLocalWriter } = await import('../../src/db/local-writer.js');
+
+      const config = await loadConfig(CONFIG_PATH);
+      const table = 'driftwarden_fulltext_check';
+      let writer;
+
+      try {
+        writer = await createLocalWriter(config.local.mysql, { maxAttempts: 2, baseDelayMs: 100 });
+      } catch (err) {
+        if (err.message.includes('ECONNREFUSED') || err.message.includes('ETIMEDOUT')) {
+          console.log('Skipping: Local MySQL unreachable');
+          return;
+        }
+        throw err;
+      }
+
+      try {
+        await writer.executeSchema(
+          `CREATE TABLE \`${table}\` (id int PRIMARY KEY, title varchar(64) NOT NULL, FULLTEXT KEY ft_title (title)) ENGINE=InnoDB`
+        );
+        await writer.insertRows(table, [{ id: 1, title: 'old' }, { id: 2, title: 'kept' }]);
+
+        await writer.updateRows(table, [{ id: 1, title: 'new' }], ['id']);
+
+        expect(await writer.getTableData(table, { orderBy: ['id'] })).toEqual([
+          { id: 1, title: 'new' },
+          { id: 2, title: 'kept' },
+        ]);
+      } finally {
+        await writer.executeSchema(`DROP TABLE IF EXISTS \`${table}\``);
+        await writer.close();
+      }
+    });
+
     test('can connect to remote MySQL through tunnel', async () => {
       const { loadConfig } = await import('../../src/config/loader.js');
       const { createTunnel } = await import('../../src/tunnel/ssh-tunnel.js');
@@ -0,0 +1,208 @@
+/**
+ * Local writer tests
+ * The writer runs on a fake connection that records statements and answers like MySQL would.
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { LocalWriter } from '../src/db/local-writer.js';
+
+/**
+ * Fake connection (also used as the pool) whose statements are recorded
+ * @param {object[]} columns - SHOW FULL COLUMNS rows of every table
+ * @param {object} errors - Map of error message to a pattern; matching statements throw it
+ */
+function createFakeConnection(columns, errors = {}) {
+  const statements = [];
+
+  async function run(method, sql, params = []) {
+    statements.push({ method, sql, params });
+    for (const [message, pattern] of Object.entries(errors)) {
+      if (pattern.test(sql)) throw new Error(message);
+    }
+    if (sql.startsWith('SHOW FULL COLUMNS')) {
+      return [columns];
+    }
+    return [{ affectedRows: 2 }];
+  }
+
+  return {
+    statements,
+    query: (sql, params) => run('query', sql, params),
+    execute: (sql, params) => run('execute', sql, params),
+  };
+}
+
+const column = (Field, Extra = '') => ({ Field, Type: 'varchar(64)', Extra });
+
+function createWriter(columns, errors = {}) {
+  const connection = createFakeConnection(columns, errors);
+  const writer = new LocalWriter(connection, 'app', { maxAttempts: 1 }, connection);
+  return { writer, statements: connection.statements };
+}
+
+/**
+ * Statements other than the writer's column lookups (SHOW FULL COLUMNS)
+ */
+function writes(statements) {
+  return statements.filter((s) => !s.sql.startsWith('SHOW'));
+}
+
+describe('LocalWriter.updateRows', () => {
+  test('stages rows in an index-free temporary table and applies them with one UPDATE ... JOIN', async () => {
+    const { writer, statements } = createWriter([column('id'), column('name'), column('email')]);
+
+    await writer.updateRows('users', [
+      { id: 1, name: 'Ada', email: 'ada@example.com' },
+      { id: 2, name: 'Bob', email: 'bob@example.com' },
+    ], ['id']);
+
+    expect(writes(statements)).toEqual([
+      {
+        method: 'query',
+        sql: 'CREATE TEMPORARY TABLE ?? (PRIMARY KEY (??)) SELECT ??, ??, ?? FROM ?? LIMIT 0',
+        params: ['driftwarden_update_rows', 'id', 'id', 'name', 'email', 'users'],
+      },
+      {
+        method: 'query',
+        sql: 'INSERT INTO ?? (??, ??, ??) VALUES (?, ?, ?), (?, ?, ?)',
+        params: [
+          'driftwarden_update_rows', 'id', 'name', 'email',
+          1, 'Ada', 'ada@example.com',
+          2, 'Bob', 'bob@example.com',
+        ],
+      },
+      {
+        method: 'query',
+        sql: 'UPDATE ?? AS t JOIN ?? AS s ON t.?? = s.?? SET t.?? = s.??, t.?? = s.??',
+        params: ['users', 'driftwarden_update_rows', 'id', 'id', 'name', 'name', 'email', 'email'],
+      },
+      {
+        method: 'query',
+        sql: 'DROP TEMPORARY TABLE IF EXISTS ??',
+        params: ['driftwarden_update_rows'],
+      },
+    ]);
+  });
+
+  test('stages tables with a FULLTEXT index without copying their indexes', async () => {
+    // InnoDB rejects FULLTEXT indexes on temporary tables, so a LIKE copy of `articles` would fail
+    const { writer, statements } = createWriter([column('id'), column('title'), column('body')], {
+      "The used table type doesn't support FULLTEXT indexes": / LIKE /,
+    });
+
+    const result = await writer.updateRows('articles', [{ id: 1, title: 'Hello', body: 'World' }], ['id']);
+
+    expect(result).toEqual({ affectedRows: 2 });
+    expect(writes(statements).map((s) => s.sql)).toEqual([
+      'CREATE TEMPORARY TABLE ?? (PRIMARY KEY (??)) SELECT ??, ??, ?? FROM ?? LIMIT 0',
+      'INSERT INTO ?? (??, ??, ??) VALUES (?, ?, ?)',
+      'UPDATE ?? AS t JOIN ?? AS s ON t.?? = s.?? SET t.?? = s.??, t.?? = s.??',
+      'DROP TEMPORARY TABLE IF EXISTS ??',
+    ]);
+  });
+
+  test('joins on every primary key column, stages ignored columns but does not copy them', async () => {
+    const { writer, statements } = createWriter([
+      column('tenant_id'),
+      column('id'),
+      column('total'),
+      column('synced_at'),
+      column('total_cents', 'VIRTUAL GENERATED'),
+    ]);
+
+    await writer.updateRows(
+      'orders',
+      [{ tenant_id: 7, id: 1, total: 10, synced_at: '2024-01-01', total_cents: 1000 }],
+      ['tenant_id', 'id'],
+      { ignoreColumns: ['synced_at'] }
+    );
+
+    const [create, stage, update] = writes(statements);
+    // Generated columns are neither staged nor copied
+    expect(create.sql).toBe('CREATE TEMPORARY TABLE ?? (PRIMARY KEY (??, ??)) SELECT ??, ??, ??, ?? FROM ?? LIMIT 0');
+    expect(create.params).toEqual([
+      'driftwarden_update_rows', 'tenant_id', 'id', 'tenant_id', 'id', 'total', 'synced_at', 'orders',
+    ]);
+    expect(stage.params).toEqual(['driftwarden_update_rows', 'tenant_id', 'id', 'total', 'synced_at', 7, 1, 10, '2024-01-01']);
+    expect(update.sql).toBe('UPDATE ?? AS t JOIN ?? AS s ON t.?? = s.?? AND t.?? = s.?? SET t.?? = s.??');
+    expect(update.params).toEqual([
+      'orders', 'driftwarden_update_rows', 'tenant_id', 'tenant_id', 'id', 'id', 'total', 'total',
+    ]);
+  });
+
+  test('drops the temporary table when staging fails', async () => {
+    const { writer, statements } = createWriter([column('id'), column('name')], {
+      'Duplicate entry': /^INSERT INTO/,
+    });
+
+    await expect(writer.updateRows('users', [{ id: 1, name: 'Ada' }], ['id'])).rejects.toThrow('Duplicate entry');
+
+    expect(writes(statements).map((s) => s.sql)).toEqual([
+      'CREATE TEMPORARY TABLE ?? (PRIMARY KEY (??)) SELECT ??, ?? FROM ?? LIMIT 0',
+      'INSERT INTO ?? (??, ??) VALUES (?, ?)',
+      'DROP TEMPORARY TABLE IF EXISTS ??',
+    ]);
+  });
+
+  test('updates rows one by one when the staging table cannot be created', async () => {
+    const { writer, statements } = createWriter([column('id'), column('name')], {
+      "CREATE TEMPORARY TABLES command denied to user 'sync'@'localhost'": /^CREATE TEMPORARY TABLE/,
+    });
+
+    const first = await writer.updateRows('users', [{ id: 1, name: 'Ada' }, { id: 2, name: 'Bob' }], ['id']);
+    await writer.updateRows('users', [{ id: 3, name: 'Cy' }], ['id']);
+
+    expect(first).toEqual({ affectedRows: 4 });
+    // The staging table is only tried once per connection
+    expect(writes(statements)).toEqual([
+      expect.objectContaining({ sql: 'CREATE TEMPORARY TABLE ?? (PRIMARY KEY (??)) SELECT ??, ?? FROM ?? LIMIT 0' }),
+      { method: 'query', sql: 'UPDATE ?? SET ?? = ? WHERE ?? = ?', params: ['users', 'name', 'Ada', 'id', 1] },
+      { method: 'query', sql: 'UPDATE ?? SET ?? = ? WHERE ?? = ?', params: ['users', 'name', 'Bob', 'id', 2] },
+      { method: 'query', sql: 'UPDATE ?? SET ?? = ? WHERE ?? = ?', params: ['users', 'name', 'Cy', 'id', 3] },
+    ]);
+  });
+
+  test('sends nothing when only key and ignored columns are left', async () => {
+    const { writer, statements } = createWriter([column('id'), column('synced_at')]);
+
+    const result = await writer.updateRows('users', [{ id: 1, synced_at: '2024-01-01' }], ['id'], {
+      ignoreColumns: ['synced_at'],
+    });
+
+    expect(result).toEqual({ affectedRows: 0 });
+    expect(writes(statements)).toEqual([]);
+  });
+});
+
+describe('LocalWriter.deleteRows', () => {
+  test('deletes single-column keys with one IN list', async () => {
+    const { writer, statements } = createWriter([column('id')]);
+
+    await writer.deleteRows('users', [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    expect(writes(statements)).toEqual([
+      { method: 'query', sql: 'DELETE FROM ?? WHERE ?? IN (?, ?, ?)', params: ['users', 'id', 1, 2, 3] },
+    ]);
+  });
+
+  test('deletes composite keys with a row constructor', async () => {
+    const { writer, statements } = createWriter([column('tenant_id'), column('id')]);
+
+    await writer.deleteRows('orders', [{ tenant_id: 7, id: 1 }, { tenant_id: 8, id: 1 }]);
+
+    expect(writes(statements)).toEqual([
+      {
+        method: 'query',
+        sql: 'DELETE FROM ?? WHERE (??, ??) IN ((?, ?), (?, ?))',
+        params: ['orders', 'tenant_id', 'id', 7, 1, 8, 1],
+      },
+    ]);
+  });
+
+  test('sends nothing for an empty batch', async () => {
+    const { writer, statements } = createWriter([column('id')]);
+
+    expect(await writer.deleteRows('users', [])).toEqual({ affectedRows: 0 });
+    expect(writes(statements)).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Data masking tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { maskValue, createMasker, validateMaskingConfig } from '../src/db/masking.js';
+
+describe('maskValue', () => {
+  test('hash is deterministic and depends on the salt', () => {
+    const first = maskValue('alice', 'hash', 'salt-a');
+
+    expect(first).toHaveLength(16);
+    expect(maskValue('alice', 'hash', 'salt-a')).toBe(first);
+    expect(maskValue('alice', 'hash', 'salt-b')).not.toBe(first);
+    expect(maskValue('alice', { strategy: 'hash', length: 8 }, 'salt-a')).toBe(first.substring(0, 8));
+  });
+
+  test('fake-email and keep-domain produce valid looking emails', () => {
+    expect(maskValue('alice@corp.com', 'fake-email', 's')).toMatch(/^user_[0-9a-f]{12}@example\.com$/);
+    expect(maskValue('alice@corp.com', { strategy: 'fake-email', domain: 'test.local' }, 's')).toMatch(
+      /@test\.local$/
+    );
+    expect(maskValue('alice@corp.com', 'keep-domain', 's')).toMatch(/^[0-9a-f]{12}@corp\.com$/);
+    expect(maskValue('not-an-email', 'keep-domain', 's')).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test('null, fixed and truncate', () => {
+    expect(maskValue('secret', 'null')).toBeNull();
+    expect(maskValue('secret', { strategy: 'fixed', value: 'REDACTED' })).toBe('REDACTED');
+    expect(maskValue('Alice Smith', { strategy: 'truncate', length: 1 })).toBe('A');
+    expect(maskValue(Buffer.from('abc'), { strategy: 'truncate', length: 2 })).toEqual(Buffer.from('ab'));
+  });
+
+  test('NULL values stay NULL', () => {
+    expect(maskValue(null, 'fake-email', 's')).toBeNull();
+    expect(maskValue(null, { strategy: 'fixed', value: 'x' })).toBeNull();
+  });
+});
+
+describe('createMasker', () => {
+  const masker = createMasker({
+    salt: 's',
+    tables: { users: { email: 'fake-email', phone: 'null' } },
+  });
+
+  test('masks only configured tables and columns', () => {
+    const rows = [{ id: 1, email: 'a@b.com', phone: '555', name: 'A' }];
+    const [masked] = masker.maskRows('users', rows);
+
+    expect(masked.id).toBe(1);
+    expect(masked.name).toBe('A');
+    expect(masked.phone).toBeNull();
+    expect(masked.email).not.toBe('a@b.com');
+    expect(rows[0].email).toBe('a@b.com');
+    expect(masker.maskRows('orders', rows)).toBe(rows);
+  });
+
+  test('reports masked columns', () => {
+    expect(masker.isMasked('users')).toBe(true);
+    expect(masker.isMasked('orders')).toBe(false);
+    expect(masker.getMaskedColumns('users')).toEqual(['email', 'phone']);
+  });
+});
+
+describe('validateMaskingConfig', () => {
+  test('accepts valid rules', () => {
+    expect(
+      validateMaskingConfig({
+        tables: { users: { email: 'keep-domain', bio: { strategy: 'truncate', length: 10 } } },
+      })
+    ).toEqual([]);
+  });
+
+  test('rejects unknown strategies and missing options', () => {
+    const errors = validateMaskingConfig({
+      tables: {
+        users: {
+          email: 'scramble',
+          status: { strategy: 'fixed' },
+          bio: { strategy: 'truncate' },
+        },
+      },
+    });
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('sync.masking.tables.users.email: unknown strategy "scramble"');
+    expect(errors[1]).toContain('requires a value');
+    expect(errors[2]).toContain('requires a non-negative integer length');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Schema object diff tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { rewriteDefinition, diffSchemaObjects, compareSchemaObjects } from '../src/diff/object-diff.js';
+
+const view = (name, body, schema = 'prod') => ({
+  type: 'view',
+  name,
+  tableName: null,
+  definition: `CREATE ALGORITHM=UNDEFINED DEFINER=\`app\`@\`%\` SQL SECURITY DEFINER VIEW \`${schema}\`.\`${name}\` AS ${body}`,
+});
+
+describe('rewriteDefinition', () => {
+  test('replaces the definer and strips the source schema qualifier', () => {
+    const definition = rewriteDefinition(view('active_users', 'select `prod`.`users`.`id` AS `id` from `prod`.`users`').definition, 'prod');
+
+    expect(definition).toBe(
+      'CREATE ALGORITHM=UNDEFINED DEFINER=CURRENT_USER SQL SECURITY DEFINER VIEW `active_users` AS select `users`.`id` AS `id` from `users`'
+    );
+  });
+});
+
+describe('diffSchemaObjects', () => {
+  const options = { remoteDatabase: 'prod', localDatabase: 'dev' };
+
+  test('creates missing objects and replaces changed ones', () => {
+    const trigger = {
+      type: 'trigger',
+      name: 'orders_bi',
+      tableName: 'orders',
+      definition: 'CREATE DEFINER=`root`@`localhost` TRIGGER `orders_bi` BEFORE INSERT ON `orders` FOR EACH ROW SET NEW.total = 0',
+    };
+    const diffs = diffSchemaObjects(
+      [view('v1', 'select 1 AS `a`'), trigger],
+      [view('v1', 'select 2 AS `a`', 'dev')],
+      options
+    );
+
+    expect(diffs.map((d) => [d.objectType, d.tableName, d.action])).toEqual([
+      ['view', 'v1', 'replace'],
+      ['trigger', 'orders_bi', 'create'],
+    ]);
+    expect(diffs[0].sql[0]).toBe('DROP VIEW IF EXISTS `v1`');
+    expect(diffs[1].sql).toEqual([
+      'CREATE DEFINER=CURRENT_USER TRIGGER `orders_bi` BEFORE INSERT ON `orders` FOR EACH ROW SET NEW.total = 0',
+    ]);
+  });
+
+  test('ignores objects that only differ by definer and schema, and local-only objects', () => {
+    const local = { ...view('v1', 'select 1 AS `a`', 'dev') };
+    local.definition = local.definition.replace('`app`@`%`', '`dev`@`localhost`');
+
+    expect(diffSchemaObjects([view('v1', 'select 1 AS `a`')], [local, view('v_local', 'select 3', 'dev')], options)).toEqual([]);
+  });
+
+  test('creates views before the views that select from them', () => {
+    const diffs = diffSchemaObjects(
+      [view('top', 'select `a` from `prod`.`base`'), view('base', 'select 1 AS `a`')],
+      [],
+      options
+    );
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['base', 'top']);
+  });
+});
+
+describe('compareSchemaObjects', () => {
+  test('only compares triggers of the selected tables', async () => {
+    const remoteReader = {
+      database: 'prod',
+      async getSchemaObjects() {
+        return [
+          { type: 'trigger', name: 't_users', tableName: 'users', definition: 'CREATE TRIGGER `t_users` BEFORE INSERT ON `users` FOR EACH ROW SET @x = 1' },
+          { type: 'trigger', name: 't_logs', tableName: 'logs', definition: 'CREATE TRIGGER `t_logs` BEFORE INSERT ON `logs` FOR EACH ROW SET @x = 1' },
+        ];
+      },
+    };
+    const localWriter = { database: 'dev', async getSchemaObjects() { return []; } };
+
+    const diffs = await compareSchemaObjects(remoteReader, localWriter, ['trigger'], { tables: ['users'] });
+
+    expect(diffs.map((d) => d.tableName)).toEqual(['t_users']);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Row spool tests
+ */
+
+import { describe, test, expect, afterEach } from 'bun:test';
+import { existsSync, readdirSync, rmSync } from 'fs';
+import {
+  RowSpool,
+  rowBatches,
+  firstRows,
+  lastRow,
+  serializeRow,
+  deserializeRow,
+  createSpillArea,
+} from '../src/utils/row-spool.js';
+
+const SPILL_DIR = 'tests/fixtures/spill';
+
+afterEach(() => {
+  rmSync(SPILL_DIR, { recursive: true, force: true });
+});
+
+describe('Row serialization', () => {
+  test('round-trips Dates, Buffers, BigInts and JSON values', () => {
+    const row = {
+      id: 1,
+      name: 'alpha',
+      created_at: new Date('2024-03-01T10:20:30.123Z'),
+      avatar: Buffer.from([0, 1, 255]),
+      big: 9007199254740993n,
+      doc: { tags: ['a', 'b'] },
+      missing: null,
+    };
+
+    const restored = deserializeRow(serializeRow(row));
+
+    expect(restored.created_at).toBeInstanceOf(Date);
+    expect(restored.created_at.toISOString()).toBe('2024-03-01T10:20:30.123Z');
+    expect(Buffer.isBuffer(restored.avatar)).toBe(true);
+    expect([...restored.avatar]).toEqual([0, 1, 255]);
+    expect(restored.big).toBe(9007199254740993n);
+    expect(restored.doc).toEqual({ tags: ['a', 'b'] });
+    expect(restored.missing).toBeNull();
+  });
+
+  test('keeps invalid dates invalid', () => {
+    const restored = deserializeRow(serializeRow({ d: new Date(NaN) }));
+    expect(Number.isNaN(restored.d.getTime())).toBe(true);
+  });
+});
+
+describe('RowSpool', () => {
+  test('stays in memory below the threshold', () => {
+    const spool = new RowSpool(`${SPILL_DIR}/small.ndjson`, 10);
+    spool.push({ id: 1 }, { id: 2 });
+
+    expect(spool.length).toBe(2);
+    expect(existsSync(`${SPILL_DIR}/small.ndjson`)).toBe(false);
+    expect([...spool.batches(5)]).toEqual([[{ id: 1 }, { id: 2 }]]);
+  });
+
+  test('spills past the threshold and reads rows back in order and in batches', () => {
+    const spool = new RowSpool(`${SPILL_DIR}/large.ndjson`, 3);
+    for (let id = 1; id <= 10; id++) {
+      spool.push({ id, name: `ü-${id}` });
+    }
+
+    expect(spool.length).toBe(10);
+    expect(spool.buffer.length).toBeLessThan(3);
+    expect(existsSync(`${SPILL_DIR}/large.ndjson`)).toBe(true);
+
+    const batches = [...spool.batches(4)];
+    expect(batches.map((b) => b.length)).toEqual([4, 4, 2]);
+    expect(batches.flat().map((r) => r.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(batches[0][0].name).toBe('ü-1');
+
+    spool.discard();
+    expect(existsSync(`${SPILL_DIR}/large.ndjson`)).toBe(false);
+  });
+});
+
+describe('Row list helpers', () => {
+  test('work the same for arrays and spools', () => {
+    const rows = [1, 2, 3, 4, 5].map((id) => ({ id }));
+    const spool = new RowSpool(`${SPILL_DIR}/helpers.ndjson`, 2);
+    spool.push(...rows);
+
+    for (const list of [rows, spool]) {
+      expect([...rowBatches(list, 2)].map((b) => b.map((r) => r.id))).toEqual([[1, 2], [3, 4], [5]]);
+      expect(firstRows(list, 3).map((r) => r.id)).toEqual([1, 2, 3]);
+      expect(firstRows(list).map((r) => r.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(lastRow(list)).toEqual({ id: 5 });
+    }
+
+    expect(lastRow([])).toBeNull();
+    expect([...rowBatches(undefined, 2)]).toEqual([]);
+  });
+});
+
+describe('createSpillArea', () => {
+  test('creates spools in a per-run directory and removes it on cleanup', () => {
+    const area = createSpillArea({ directory: SPILL_DIR, thresholdRows: 1 });
+    const spool = area.createSpool('users-insert');
+    spool.push({ id: 1 }, { id: 2 });
+
+    expect(readdirSync(area.directory)).toEqual(['1-users-insert.ndjson']);
+
+    area.cleanup();
+    expect(existsSync(area.directory)).toBe(false);
+  });
+});
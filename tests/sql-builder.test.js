@@ -0,0 +1,152 @@
+/**
+ * SQL builder tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  buildKeysetCondition,
+  buildSelectPage,
+  buildSelectByKeys,
+  buildCountQuery,
+  buildChunkBoundaryQuery,
+  buildRangeChecksumQuery,
+  iterateChunks,
+} from '../src/db/sql-builder.js';
+
+describe('SQL Builder', () => {
+  test('builds a single-column keyset condition', () => {
+    const { clause, params } = buildKeysetCondition(['id'], { id: 10 });
+    expect(clause).toBe('((?? > ?))');
+    expect(params).toEqual(['id', 10]);
+  });
+
+  test('expands composite keys into seek branches', () => {
+    const { clause, params } = buildKeysetCondition(['tenant_id', 'id'], { tenant_id: 4, id: 99 });
+    expect(clause).toBe('((?? > ?) OR (?? = ? AND ?? > ?))');
+    expect(params).toEqual(['tenant_id', 4, 'tenant_id', 4, 'id', 99]);
+  });
+
+  test('seeks past the last key instead of using OFFSET', () => {
+    const { sql, params } = buildSelectPage('orders', {
+      limit: 500,
+      orderBy: ['tenant_id', 'id'],
+      after: { tenant_id: 1, id: 2 },
+      where: { clause: 'status = ?', params: ['paid'] },
+    });
+
+    expect(sql).toBe(
+      'SELECT * FROM ?? WHERE (status = ?) AND ((?? > ?) OR (?? = ? AND ?? > ?)) ORDER BY ??, ?? LIMIT ?'
+    );
+    expect(sql).not.toContain('OFFSET');
+    expect(params).toEqual([
+      'orders', 'paid', 'tenant_id', 1, 'tenant_id', 1, 'id', 2, 'tenant_id', 'id', 500,
+    ]);
+  });
+
+  test('keeps OFFSET paging for the first page and keyless tables', () => {
+    const { sql, params } = buildSelectPage('logs', { limit: 100, offset: 200 });
+    expect(sql).toBe('SELECT * FROM ?? LIMIT ? OFFSET ?');
+    expect(params).toEqual(['logs', 100, 200]);
+  });
+
+  test('selects an explicit column list when given', () => {
+    expect(buildSelectPage('users', { limit: 10, columns: ['id', 'secret'] })).toEqual({
+      sql: 'SELECT ??, ?? FROM ?? LIMIT ? OFFSET ?',
+      params: ['id', 'secret', 'users', 10, 0],
+    });
+    expect(buildSelectByKeys('users', ['id'], [[1]], ['id', 'secret'])).toEqual({
+      sql: 'SELECT ??, ?? FROM ?? WHERE ?? IN (?)',
+      params: ['id', 'secret', 'users', 'id', [1]],
+    });
+  });
+
+  test('iterateChunks passes the last key of each chunk to the next page', async () => {
+    const rows = [1, 2, 3, 4, 5].map((id) => ({ id }));
+    const pages = [];
+    const fetchPage = async (options) => {
+      pages.push(options);
+      const start = options.after ? rows.findIndex((r) => r.id > options.after.id) : 0;
+      return start === -1 ? [] : rows.slice(start, start + options.limit);
+    };
+
+    const chunks = [];
+    for await (const chunk of iterateChunks(fetchPage, 'id', 2)) {
+      chunks.push(chunk.map((r) => r.id));
+    }
+
+    expect(chunks).toEqual([[1, 2], [3, 4], [5]]);
+    expect(pages.map((p) => p.after)).toEqual([null, { id: 2 }, { id: 4 }]);
+    expect(pages.every((p) => p.offset === undefined)).toBe(true);
+  });
+
+  test('bounds a page to a key range', () => {
+    const { sql, params } = buildSelectPage('users', {
+      limit: 10,
+      orderBy: ['id'],
+      after: { id: 5 },
+      upTo: { id: 15 },
+    });
+    expect(sql).toBe('SELECT * FROM ?? WHERE ((?? > ?)) AND ((?? <= ?)) ORDER BY ?? LIMIT ?');
+    expect(params).toEqual(['users', 'id', 5, 'id', 15, 'id', 10]);
+  });
+
+  test('builds an inclusive composite upper bound', () => {
+    const { sql, params } = buildSelectPage('items', {
+      orderBy: ['order_id', 'line'],
+      upTo: { order_id: 3, line: 2 },
+      limit: 5,
+    });
+    expect(sql).toContain('((?? < ?) OR (?? = ? AND ?? <= ?))');
+    expect(params.slice(1, 7)).toEqual(['order_id', 3, 'order_id', 3, 'line', 2]);
+  });
+
+  test('builds an index-only chunk boundary query', () => {
+    const { sql, params } = buildChunkBoundaryQuery('users', ['id'], { id: 100 }, 50);
+    expect(sql).toBe('SELECT ?? FROM ?? WHERE ((?? > ?)) ORDER BY ?? LIMIT 1 OFFSET ?');
+    expect(params).toEqual(['id', 'users', 'id', 100, 'id', 49]);
+  });
+
+  test('builds a range checksum query over all columns', () => {
+    const { sql, params } = buildRangeChecksumQuery('users', ['id', 'name'], ['id'], null, { id: 10 });
+    expect(sql).toBe(
+      "SELECT COUNT(*) AS row_count, COALESCE(BIT_XOR(CRC32(CONCAT_WS('#', CAST(?? AS BINARY), CAST(?? AS BINARY), " +
+      'CONCAT(ISNULL(??), ISNULL(??))))), 0) AS checksum FROM ?? WHERE ((?? <= ?))'
+    );
+    expect(params).toEqual(['id', 'name', 'id', 'name', 'users', 'id', 10]);
+  });
+
+  test('casts checksum columns to BINARY so mixed collations can be concatenated', () => {
+    const { sql } = buildRangeChecksumQuery('posts', ['title', 'slug', 'body'], ['id'], null, null);
+    const concat = /CONCAT_WS\('#', (.*), CONCAT\(ISNULL/.exec(sql)[1];
+
+    expect(concat.split(', ')).toEqual(['CAST(?? AS BINARY)', 'CAST(?? AS BINARY)', 'CAST(?? AS BINARY)']);
+  });
+
+  test('selects rows by single and composite key tuples', () => {
+    expect(buildSelectByKeys('orders', ['id'], [[1], [2]])).toEqual({
+      sql: 'SELECT * FROM ?? WHERE ?? IN (?)',
+      params: ['orders', 'id', [1, 2]],
+    });
+    expect(buildSelectByKeys('order_items', ['order_id', 'line'], [[1, 2]])).toEqual({
+      sql: 'SELECT * FROM ?? WHERE (??, ??) IN (?)',
+      params: ['order_items', 'order_id', 'line', [[1, 2]]],
+    });
+  });
+
+  test('applies a row filter before key bounds', () => {
+    const where = { clause: 'tenant_id = 42', params: [] };
+
+    expect(buildCountQuery('orders', where)).toEqual({
+      sql: 'SELECT COUNT(*) as count FROM ?? WHERE (tenant_id = 42)',
+      params: ['orders'],
+    });
+    expect(buildCountQuery('orders').sql).toBe('SELECT COUNT(*) as count FROM ??');
+
+    const boundary = buildChunkBoundaryQuery('orders', ['id'], { id: 7 }, 10, where);
+    expect(boundary.sql).toBe('SELECT ?? FROM ?? WHERE (tenant_id = 42) AND ((?? > ?)) ORDER BY ?? LIMIT 1 OFFSET ?');
+    expect(boundary.params).toEqual(['id', 'orders', 'id', 7, 'id', 9]);
+
+    const checksum = buildRangeChecksumQuery('orders', ['id'], ['id'], null, null, where);
+    expect(checksum.sql).toEndWith('FROM ?? WHERE (tenant_id = 42)');
+  });
+});
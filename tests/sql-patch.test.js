@@ -0,0 +1,242 @@
+/**
+ * SQL patch export/apply tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  generateSqlPatch,
+  parseSqlPatch,
+  summarizeSqlPatch,
+  applySqlPatch,
+} from '../src/executor/sql-patch.js';
+
+const schemaDiffs = [
+  {
+    tableName: 'users',
+    hasChanges: true,
+    sql: ['ALTER TABLE `users` ADD COLUMN `email` varchar(255) NULL DEFAULT NULL'],
+  },
+];
+
+const dataDiffs = [
+  {
+    tableName: 'users',
+    primaryKey: ['id'],
+    toInsert: [
+      { id: 1, name: "O'Brien; DROP TABLE users" },
+      { id: 2, name: null },
+    ],
+    toUpdate: [{ remote: { id: 3, name: 'line\nbreak' } }],
+    toDelete: [{ id: 4, name: 'gone' }],
+    stats: { inserts: 2, updates: 1, deletes: 1 },
+  },
+  {
+    tableName: 'order_items',
+    primaryKey: ['order_id', 'line'],
+    toInsert: [],
+    toUpdate: [],
+    toDelete: [{ order_id: 7, line: 2 }],
+    stats: { inserts: 0, updates: 0, deletes: 1 },
+  },
+];
+
+function createMockWriter(failOn = null) {
+  const executed = [];
+  return {
+    executed,
+    async executeStatement(sql) {
+      if (failOn && sql.startsWith(failOn)) {
+        throw new Error('boom');
+      }
+      executed.push(sql);
+      return { affectedRows: 1 };
+    },
+  };
+}
+
+describe('SQL Patch', () => {
+  test('serialises schema and data changes into a transaction-wrapped file', () => {
+    const patch = generateSqlPatch(schemaDiffs, dataDiffs, { source: 'production_db' });
+    const statements = parseSqlPatch(patch);
+
+    expect(patch).toContain('-- Source database: production_db');
+    expect(statements).toEqual([
+      'ALTER TABLE `users` ADD COLUMN `email` varchar(255) NULL DEFAULT NULL',
+      'START TRANSACTION',
+      "INSERT INTO `users` (`id`, `name`) VALUES (1, 'O\\'Brien; DROP TABLE users'), (2, NULL)",
+      "UPDATE `users` SET `name` = 'line\\nbreak' WHERE `id` = 3",
+      'DELETE FROM `order_items` WHERE `order_id` = 7 AND `line` = 2',
+      'DELETE FROM `users` WHERE `id` = 4',
+      'COMMIT',
+    ]);
+  });
+
+  test('orders upserts parent-first and deletes child-first by foreign key', () => {
+    const diffs = [
+      {
+        tableName: 'orders',
+        primaryKey: ['id'],
+        toInsert: [{ id: 10, user_id: 5 }],
+        toUpdate: [],
+        toDelete: [{ id: 11, user_id: 6 }],
+        stats: { inserts: 1, updates: 0, deletes: 1 },
+      },
+      {
+        tableName: 'users',
+        primaryKey: ['id'],
+        toInsert: [{ id: 5 }],
+        toUpdate: [],
+        toDelete: [{ id: 6 }],
+        stats: { inserts: 1, updates: 0, deletes: 1 },
+      },
+    ];
+    const foreignKeys = [
+      { name: 'fk_orders_user', table: 'orders', columns: ['user_id'], referencedTable: 'users', referencedColumns: ['id'] },
+    ];
+
+    expect(parseSqlPatch(generateSqlPatch([], diffs, { foreignKeys }))).toEqual([
+      'START TRANSACTION',
+      'INSERT INTO `users` (`id`) VALUES (5)',
+      'INSERT INTO `orders` (`id`, `user_id`) VALUES (10, 5)',
+      'DELETE FROM `orders` WHERE `id` = 11',
+      'DELETE FROM `users` WHERE `id` = 6',
+      'COMMIT',
+    ]);
+  });
+
+  test('writes full replacements as delete-all plus inserts', () => {
+    const patch = generateSqlPatch([], [
+      { tableName: 'logs', primaryKey: [], fullReplace: true, remoteData: [{ msg: 'a' }, { msg: 'b' }] },
+    ], { rowsPerInsert: 1 });
+
+    expect(parseSqlPatch(patch)).toEqual([
+      'START TRANSACTION',
+      'DELETE FROM `logs`',
+      "INSERT INTO `logs` (`msg`) VALUES ('a')",
+      "INSERT INTO `logs` (`msg`) VALUES ('b')",
+      'COMMIT',
+    ]);
+  });
+
+  test('limits filtered full replacements to matching rows', () => {
+    const patch = generateSqlPatch([], [
+      { tableName: 'logs', primaryKey: [], fullReplace: true, filter: 'tenant_id = 42', remoteData: [] },
+    ]);
+
+    expect(parseSqlPatch(patch)).toContain('DELETE FROM `logs` WHERE (tenant_id = 42)');
+  });
+
+  test('leaves ignored columns out of updates, and out of inserts only when configured', () => {
+    const diff = {
+      tableName: 'posts',
+      primaryKey: ['id'],
+      ignoreColumns: ['view_count'],
+      toInsert: [{ id: 1, title: 'a', view_count: 7 }],
+      toUpdate: [{ remote: { id: 2, title: 'b', view_count: 9 } }],
+    };
+
+    expect(parseSqlPatch(generateSqlPatch([], [diff]))).toEqual([
+      'START TRANSACTION',
+      "INSERT INTO `posts` (`id`, `title`, `view_count`) VALUES (1, 'a', 7)",
+      "UPDATE `posts` SET `title` = 'b' WHERE `id` = 2",
+      'COMMIT',
+    ]);
+
+    const patch = generateSqlPatch([], [{ ...diff, ignoreColumnsOnInsert: true }]);
+    expect(parseSqlPatch(patch)).toContain("INSERT INTO `posts` (`id`, `title`) VALUES (1, 'a')");
+  });
+
+  test('writes JSON column values as JSON text and leaves Buffers alone', () => {
+    const diff = {
+      tableName: 't',
+      primaryKey: ['id'],
+      toInsert: [{ id: 1, meta: { a: 'x' }, tags: ['p', 'q'], raw: Buffer.from([0xff]) }],
+      toUpdate: [{ remote: { id: 2, meta: { b: [1, 2] } } }],
+    };
+
+    expect(parseSqlPatch(generateSqlPatch([], [diff]))).toEqual([
+      'START TRANSACTION',
+      `INSERT INTO \`t\` (\`id\`, \`meta\`, \`tags\`, \`raw\`) VALUES (1, '{\\"a\\":\\"x\\"}', '[\\"p\\",\\"q\\"]', X'ff')`,
+      'UPDATE `t` SET `meta` = \'{\\"b\\":[1,2]}\' WHERE `id` = 2',
+      'COMMIT',
+    ]);
+  });
+
+  test('writes Dates in the configured session time zone', () => {
+    const at = new Date('2024-01-01T10:00:00Z');
+    const diff = {
+      tableName: 'events',
+      primaryKey: ['happened_at'],
+      toInsert: [{ happened_at: at }],
+      toUpdate: [{ remote: { happened_at: at, seen_at: new Date('2024-06-30T23:30:00Z') } }],
+    };
+
+    expect(parseSqlPatch(generateSqlPatch([], [diff], { timezone: '+05:30' }))).toEqual([
+      'START TRANSACTION',
+      "INSERT INTO `events` (`happened_at`) VALUES ('2024-01-01 15:30:00.000')",
+      "UPDATE `events` SET `seen_at` = '2024-07-01 05:00:00.000' WHERE `happened_at` = '2024-01-01 15:30:00.000'",
+      'COMMIT',
+    ]);
+  });
+
+  test('writes schema objects after the data inside a DELIMITER block', () => {
+    const objectDiff = {
+      tableName: 'orders_bi',
+      objectType: 'trigger',
+      hasChanges: true,
+      sql: ['DROP TRIGGER IF EXISTS `orders_bi`', 'CREATE TRIGGER `orders_bi` BEFORE INSERT ON `orders` FOR EACH ROW BEGIN SET NEW.total = 0; END'],
+    };
+    const patch = generateSqlPatch([objectDiff], dataDiffs.slice(1));
+
+    expect(patch).toContain('DELIMITER ;;');
+    expect(parseSqlPatch(patch)).toEqual([
+      'START TRANSACTION',
+      'DELETE FROM `order_items` WHERE `order_id` = 7 AND `line` = 2',
+      'COMMIT',
+      'DROP TRIGGER IF EXISTS `orders_bi`',
+      'CREATE TRIGGER `orders_bi` BEFORE INSERT ON `orders` FOR EACH ROW BEGIN SET NEW.total = 0; END',
+    ]);
+  });
+
+  test('parser ignores comments and semicolons inside literals', () => {
+    const statements = parseSqlPatch(
+      "-- header; not a statement\n/* block; comment */\nINSERT INTO `a;b` VALUES ('x;y', \"z;\");\n# trailing\nCOMMIT;"
+    );
+    expect(statements).toEqual(["INSERT INTO `a;b` VALUES ('x;y', \"z;\")", 'COMMIT']);
+  });
+
+  test('summarises statements and flags destructive ones', () => {
+    const summary = summarizeSqlPatch(parseSqlPatch(generateSqlPatch(schemaDiffs, dataDiffs)));
+
+    expect(summary.schema).toBe(1);
+    expect(summary.insert).toBe(1);
+    expect(summary.update).toBe(1);
+    expect(summary.delete).toBe(2);
+    expect(summary.transaction).toBe(2);
+    expect(summary.destructive).toHaveLength(2);
+  });
+
+  test('applies statements in order through the local writer', async () => {
+    const writer = createMockWriter();
+    const statements = parseSqlPatch(generateSqlPatch(schemaDiffs, dataDiffs));
+
+    const result = await applySqlPatch(writer, statements);
+
+    expect(result.success).toBe(true);
+    expect(result.applied).toBe(statements.length);
+    expect(writer.executed).toEqual(statements);
+  });
+
+  test('rolls back the open transaction and stops on failure', async () => {
+    const writer = createMockWriter('UPDATE');
+    const statements = parseSqlPatch(generateSqlPatch(schemaDiffs, dataDiffs));
+
+    const result = await applySqlPatch(writer, statements);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain('boom');
+    expect(writer.executed[writer.executed.length - 1]).toBe('ROLLBACK');
+    expect(writer.executed.some((sql) => sql.startsWith('DELETE'))).toBe(false);
+    expect(result.skipped).toBe(3);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Subset extraction tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { extractSubset, compareSubset } from '../src/diff/subset.js';
+import { groupForeignKeys } from '../src/db/introspection.js';
+
+const data = {
+  customers: [
+    { id: 1, tenant_id: 42, name: 'Acme' },
+    { id: 2, tenant_id: 7, name: 'Globex' },
+  ],
+  countries: [
+    { code: 'NL', name: 'Netherlands' },
+    { code: 'US', name: 'United States' },
+  ],
+  orders: [
+    { id: 10, customer_id: 1, country_code: 'NL' },
+    { id: 11, customer_id: 2, country_code: 'US' },
+    { id: 12, customer_id: 1, country_code: null },
+  ],
+  order_items: [
+    { order_id: 10, line: 1, product_id: 100 },
+    { order_id: 10, line: 2, product_id: 101 },
+    { order_id: 11, line: 1, product_id: 100 },
+  ],
+  products: [
+    { id: 100, name: 'Widget' },
+    { id: 101, name: 'Gadget' },
+  ],
+};
+
+const primaryKeys = {
+  customers: ['id'],
+  countries: ['code'],
+  orders: ['id'],
+  order_items: ['order_id', 'line'],
+  products: ['id'],
+};
+
+const foreignKeys = [
+  { name: 'fk_orders_customer', table: 'orders', columns: ['customer_id'], referencedTable: 'customers', referencedColumns: ['id'] },
+  { name: 'fk_orders_country', table: 'orders', columns: ['country_code'], referencedTable: 'countries', referencedColumns: ['code'] },
+  { name: 'fk_items_order', table: 'order_items', columns: ['order_id'], referencedTable: 'orders', referencedColumns: ['id'] },
+  { name: 'fk_items_product', table: 'order_items', columns: ['product_id'], referencedTable: 'products', referencedColumns: ['id'] },
+];
+
+function createRemoteReader(lookups = []) {
+  return {
+    async getForeignKeys() {
+      return foreignKeys;
+    },
+    async getTableSchema(tableName) {
+      return { name: tableName, primaryKey: primaryKeys[tableName] };
+    },
+    async *getTableDataChunked(tableName, _chunkSize, _pk, { where }) {
+      // Tests use "column = value" root filters
+      const [column, value] = where.clause.split(' = ');
+      yield data[tableName].filter((row) => String(row[column]) === value);
+    },
+    async getRowsByKeys(tableName, columns, tuples) {
+      lookups.push(tableName);
+      const wanted = new Set(tuples.map((tuple) => tuple.map(String).join('|')));
+      return data[tableName].filter((row) => wanted.has(columns.map((c) => String(row[c])).join('|')));
+    },
+  };
+}
+
+function ids(subset, table, column = 'id') {
+  return subset.get(table).rows.map((row) => row[column]).sort();
+}
+
+describe('Subset Extraction', () => {
+  test('follows children from roots and parents of every selected row', async () => {
+    const subset = await extractSubset(createRemoteReader(), { customers: 'tenant_id = 42' });
+
+    expect(ids(subset, 'customers')).toEqual([1]);
+    expect(ids(subset, 'orders')).toEqual([10, 12]);
+    expect(subset.get('order_items').rows).toHaveLength(2);
+    expect(ids(subset, 'products')).toEqual([100, 101]);
+    expect(ids(subset, 'countries', 'code')).toEqual(['NL']);
+  });
+
+  test('does not expand children of rows pulled in as parents', async () => {
+    const subset = await extractSubset(createRemoteReader(), { order_items: 'product_id = 101' });
+
+    // order 10 is a parent; its other line item must not be pulled in
+    expect(subset.get('order_items').rows).toHaveLength(1);
+    expect(ids(subset, 'orders')).toEqual([10]);
+    expect(ids(subset, 'customers')).toEqual([1]);
+    expect(subset.has('products')).toBe(true);
+  });
+
+  test('followChildren: false only pulls parents', async () => {
+    const subset = await extractSubset(createRemoteReader(), { orders: 'id = 10' }, { followChildren: false });
+
+    expect(subset.has('order_items')).toBe(false);
+    expect(ids(subset, 'customers')).toEqual([1]);
+  });
+
+  test('stays within the allowed tables', async () => {
+    const subset = await extractSubset(createRemoteReader(), { customers: 'tenant_id = 42' }, {
+      tables: ['customers', 'orders'],
+    });
+
+    expect([...subset.keys()].sort()).toEqual(['customers', 'orders']);
+  });
+
+  test('does not re-fetch parents that are already selected', async () => {
+    const lookups = [];
+    await extractSubset(createRemoteReader(lookups), { customers: 'tenant_id = 42' });
+
+    expect(lookups.filter((table) => table === 'customers')).toHaveLength(0);
+  });
+});
+
+describe('compareSubset', () => {
+  test('produces insert/update diffs without deletes', async () => {
+    const localRows = { customers: [{ id: 1, tenant_id: 42, name: 'Acme Old' }, { id: 99, tenant_id: 42, name: 'Local only' }] };
+    const localWriter = {
+      async tableExists() {
+        return true;
+      },
+      async query(_sql, params) {
+        const rows = localRows[params[0]] || [];
+        return rows.filter((row) => params.slice(2).includes(row[params[1]]));
+      },
+    };
+
+    const diffs = await compareSubset(createRemoteReader(), localWriter, { customers: 'tenant_id = 42' }, {
+      tables: ['customers', 'orders', 'countries'],
+    });
+
+    const customers = diffs.find((d) => d.tableName === 'customers');
+    expect(customers.subset).toBe(true);
+    expect(customers.stats).toMatchObject({ inserts: 0, updates: 1, deletes: 0 });
+    expect(customers.toUpdate[0].changes).toEqual([{ column: 'name', from: 'Acme Old', to: 'Acme' }]);
+
+    const orders = diffs.find((d) => d.tableName === 'orders');
+    expect(orders.toInsert.map((row) => row.id)).toEqual([10, 12]);
+    expect(orders.toDelete).toEqual([]);
+  });
+
+  test('applies table strategies to subset diffs', async () => {
+    const localWriter = {
+      async tableExists() {
+        return true;
+      },
+      async query(_sql, params) {
+        const rows = params[0] === 'customers' ? [{ id: 1, tenant_id: 42, name: 'Acme Old' }] : [];
+        return rows.filter((row) => params.slice(2).includes(row[params[1]]));
+      },
+    };
+
+    const diffs = await compareSubset(createRemoteReader(), localWriter, { customers: 'tenant_id = 42' }, {
+      tables: ['customers', 'orders', 'countries'],
+      strategies: { customers: 'insert-only', orders: 'replace' },
+    });
+
+    const customers = diffs.find((d) => d.tableName === 'customers');
+    expect(customers.strategy).toBe('insert-only');
+    expect(customers.toUpdate).toEqual([]);
+    expect(customers.stats).toMatchObject({ updates: 0, skippedUpdates: 1 });
+    expect(diffs.find((d) => d.tableName === 'orders').strategy).toBe('upsert');
+    expect(diffs.find((d) => d.tableName === 'countries').strategy).toBe('mirror');
+  });
+});
+
+describe('groupForeignKeys', () => {
+  test('groups composite foreign key columns in order', () => {
+    const fks = groupForeignKeys([
+      { CONSTRAINT_NAME: 'fk_a', TABLE_NAME: 'child', COLUMN_NAME: 'a', REFERENCED_TABLE_NAME: 'parent', REFERENCED_COLUMN_NAME: 'x', UPDATE_RULE: 'RESTRICT', DELETE_RULE: 'CASCADE' },
+      { CONSTRAINT_NAME: 'fk_a', TABLE_NAME: 'child', COLUMN_NAME: 'b', REFERENCED_TABLE_NAME: 'parent', REFERENCED_COLUMN_NAME: 'y', UPDATE_RULE: 'RESTRICT', DELETE_RULE: 'CASCADE' },
+    ]);
+
+    expect(fks).toEqual([
+      {
+        name: 'fk_a',
+        table: 'child',
+        columns: ['a', 'b'],
+        referencedTable: 'parent',
+        referencedColumns: ['x', 'y'],
+        onUpdate: 'RESTRICT',
+        onDelete: 'CASCADE',
+      },
+    ]);
+  });
+});
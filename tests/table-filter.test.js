@@ -0,0 +1,59 @@
+/**
+ * Table filter tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { compileTablePattern, validateTablePatterns, createTableFilter } from '../src/utils/table-filter.js';
+
+describe('compileTablePattern', () => {
+  test('matches globs against whole table names', () => {
+    expect(compileTablePattern('*_log').test('access_log')).toBe(true);
+    expect(compileTablePattern('*_log').test('access_logs')).toBe(false);
+    expect(compileTablePattern('tmp_?').test('tmp_1')).toBe(true);
+    expect(compileTablePattern('tmp_?').test('tmp_12')).toBe(false);
+    expect(compileTablePattern('a.b').test('axb')).toBe(false);
+  });
+
+  test('accepts /regex/flags patterns as written', () => {
+    expect(compileTablePattern('/^audit_\\d+$/').test('audit_2024')).toBe(true);
+    expect(compileTablePattern('/^audit_\\d+$/').test('audit_old')).toBe(false);
+    expect(compileTablePattern('/^USERS$/i').test('users')).toBe(true);
+
+    const global = compileTablePattern('/log/g');
+    expect(global.test('log')).toBe(true);
+    expect(global.test('log')).toBe(true);
+  });
+});
+
+describe('validateTablePatterns', () => {
+  test('accepts lists of patterns', () => {
+    expect(validateTablePatterns(['*_log', '/^tmp/'], 'sync.exclude')).toEqual([]);
+    expect(validateTablePatterns(undefined, 'sync.exclude')).toEqual([]);
+  });
+
+  test('rejects invalid regexes, empty patterns and non-lists', () => {
+    const errors = validateTablePatterns(['/(/', ''], 'sync.exclude');
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toContain('invalid pattern /(/');
+    expect(validateTablePatterns('*_log', 'sync.include')).toHaveLength(1);
+  });
+});
+
+describe('createTableFilter', () => {
+  const tables = ['users', 'orders', 'access_log', 'tmp_import', 'audit_users'];
+
+  test('selects everything by default', () => {
+    expect(tables.filter(createTableFilter())).toEqual(tables);
+  });
+
+  test('applies exclude patterns', () => {
+    const filter = createTableFilter({ exclude: ['*_log', 'tmp_*', 'audit_*'] });
+    expect(tables.filter(filter)).toEqual(['users', 'orders']);
+  });
+
+  test('combines table lists, include and exclude patterns', () => {
+    expect(tables.filter(createTableFilter({ include: ['*users'] }))).toEqual(['users', 'audit_users']);
+    expect(tables.filter(createTableFilter({ include: ['*users'], exclude: ['audit_*'] }))).toEqual(['users']);
+    expect(tables.filter(createTableFilter({ tables: ['users', 'tmp_import'], exclude: ['tmp_*'] }))).toEqual(['users']);
+  });
+});
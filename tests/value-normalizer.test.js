@@ -0,0 +1,80 @@
+/**
+ * Value normalizer tests
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  parseColumnType,
+  normalizeDecimal,
+  canonicalJson,
+  normalizeTemporal,
+  createValueComparator,
+} from '../src/diff/value-normalizer.js';
+
+describe('parseColumnType', () => {
+  test('splits base type, length and scale', () => {
+    expect(parseColumnType('decimal(10,2) unsigned')).toEqual({ base: 'decimal', length: 10, scale: 2 });
+    expect(parseColumnType('DATETIME(3)')).toEqual({ base: 'datetime', length: 3, scale: null });
+    expect(parseColumnType('json')).toEqual({ base: 'json', length: null, scale: null });
+  });
+});
+
+describe('normalizeDecimal', () => {
+  test('drops insignificant zeros and negative zero', () => {
+    expect(normalizeDecimal('1.50')).toBe('1.5');
+    expect(normalizeDecimal('007.000')).toBe('7');
+    expect(normalizeDecimal('-0.00')).toBe('0');
+    expect(normalizeDecimal('-.25')).toBe('-0.25');
+  });
+
+  test('fixes numbers to the column scale', () => {
+    expect(normalizeDecimal(0.1 + 0.2, 2)).toBe('0.3');
+  });
+});
+
+describe('canonicalJson', () => {
+  test('ignores object key order and parses strings', () => {
+    expect(canonicalJson('{"b":1,"a":[{"d":1,"c":2}]}')).toBe(canonicalJson({ a: [{ c: 2, d: 1 }], b: 1 }));
+    expect(canonicalJson('not json')).toBe('not json');
+  });
+});
+
+describe('normalizeTemporal', () => {
+  test('cuts fractional seconds to the column precision', () => {
+    expect(normalizeTemporal('2024-01-01 10:00:00.123456', 3)).toBe('2024-01-01 10:00:00.123');
+    expect(normalizeTemporal('2024-01-01 10:00:00.000', 0)).toBe('2024-01-01 10:00:00');
+    expect(normalizeTemporal(new Date('2024-01-01T10:00:00.789Z'), 0)).toBe('2024-01-01T10:00:00.000Z');
+  });
+});
+
+describe('createValueComparator', () => {
+  const equal = createValueComparator([
+    { Field: 'price', Type: 'decimal(8,2)' },
+    { Field: 'ratio', Type: 'float' },
+    { Field: 'payload', Type: 'varbinary(16)' },
+    { Field: 'flags', Type: 'bit(16)' },
+    { Field: 'seen_at', Type: 'timestamp(2)' },
+  ]);
+
+  test('compares by column type', () => {
+    expect(equal('price', '1.50', '1.5')).toBe(true);
+    expect(equal('price', '1.50', '1.51')).toBe(false);
+    expect(equal('ratio', 0.1, 0.10000000149011612)).toBe(true);
+    expect(equal('ratio', 0.1, 0.2)).toBe(false);
+    expect(equal('payload', Buffer.from('ab'), Buffer.from('ab'))).toBe(true);
+    expect(equal('payload', Buffer.from('ab'), Buffer.from('ac'))).toBe(false);
+    expect(equal('flags', Buffer.from([0, 3]), Buffer.from([3]))).toBe(true);
+    expect(equal('seen_at', '2024-01-01 00:00:00.120', '2024-01-01 00:00:00.12')).toBe(true);
+  });
+
+  test('treats NULL as equal only to NULL', () => {
+    expect(equal('price', null, undefined)).toBe(true);
+    expect(equal('price', null, '0')).toBe(false);
+    expect(equal('unknown', null, '')).toBe(false);
+  });
+
+  test('falls back to string comparison for unknown columns', () => {
+    expect(equal('unknown', 1, '1')).toBe(true);
+    expect(equal('unknown', { a: 1 }, { a: 1 })).toBe(true);
+  });
+});